@@ -8,6 +8,14 @@ require('dotenv').config();
 // Import configurations
 const connectDB = require('./config/database');
 const { connectRedis } = require('./config/redis');
+const AdminUser = require('./models/AdminUser');
+const Watchlist = require('./models/Watchlist');
+const DataExport = require('./models/DataExport');
+const { startScheduledJobs } = require('./jobs');
+const transcodingService = require('./services/transcodingService');
+const exportService = require('./services/exportService');
+const storageConfig = require('./config/storage');
+const localStorageService = require('./services/localStorageService');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
@@ -20,6 +28,7 @@ const feedRoutes = require('./routes/feed');
 const episodeRoutes = require('./routes/episodes');
 const watchlistRoutes = require('./routes/watchlist');
 const adminRoutes = require('./routes/admin');
+const storageRoutes = require('./routes/storage');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -63,6 +72,11 @@ app.use('/api/episodes', episodeRoutes);
 app.use('/api/watchlist', watchlistRoutes);
 app.use('/api/admin', adminRoutes);
 
+// Files for the local storage provider (signed URLs and public media), as primary or as replica
+if ([storageConfig.getProvider(), storageConfig.getSecondaryProvider()].includes('local')) {
+  app.use(localStorageService.routePath, storageRoutes);
+}
+
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({
@@ -91,6 +105,22 @@ async function startServer() {
     // Connect to databases
     await connectDB();
     await connectRedis();
+
+    // Seed the first admin account on a fresh database
+    await AdminUser.ensureBootstrapAdmin();
+
+    // Remove indexes older versions created (pre-profile watchlist unique index, export TTL index)
+    await Watchlist.dropLegacyIndexes();
+    await DataExport.dropLegacyIndexes();
+
+    // Background maintenance (account purges, ...)
+    startScheduledJobs();
+
+    // Video transcoding worker (Bull queue on Redis)
+    transcodingService.startWorker();
+
+    // Background data exports (Bull queue on Redis)
+    exportService.startWorker();
     
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
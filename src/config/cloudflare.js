@@ -30,6 +30,8 @@ class CloudflareConfig {
           secretAccessKey: this.r2SecretAccessKey,
         },
         forcePathStyle: true,
+        // Otherwise presigned PUTs carry a checksum of an empty body and R2 rejects the upload
+        requestChecksumCalculation: 'WHEN_REQUIRED',
       });
       
       console.log('☁️ Cloudflare R2 client initialized successfully');
@@ -58,6 +60,11 @@ class CloudflareConfig {
     return this.r2Client;
   }
 
+  // Storage services use the S3 client through this name (see config/s3.js)
+  getClient() {
+    return this.r2Client;
+  }
+
   getCDNClient() {
     return this.cdnClient;
   }
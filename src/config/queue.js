@@ -0,0 +1,43 @@
+const Bull = require('bull');
+
+const queues = new Map();
+
+// Bull opens its own ioredis connections, configured from the same env as config/redis.js
+const getQueueRedisOptions = () => ({
+  host: process.env.REDIS_HOST || 'localhost',
+  port: process.env.REDIS_PORT ? parseInt(process.env.REDIS_PORT) : 6379,
+  ...(process.env.REDIS_PASSWORD && { password: process.env.REDIS_PASSWORD }),
+  ...(process.env.REDIS_TLS === 'true' && { tls: {} })
+});
+
+/**
+ * Get (or create on first use) a named Bull queue
+ * Queues are created lazily so requiring a module does not open Redis connections
+ */
+const getQueue = (name, options = {}) => {
+  if (!queues.has(name)) {
+    const queue = new Bull(name, {
+      redis: getQueueRedisOptions(),
+      prefix: process.env.QUEUE_PREFIX || 'bull',
+      ...options
+    });
+
+    queue.on('error', (error) => {
+      console.error(`Queue ${name} error:`, error.message);
+    });
+
+    queues.set(name, queue);
+  }
+
+  return queues.get(name);
+};
+
+const closeQueues = async () => {
+  await Promise.all([...queues.values()].map(queue => queue.close()));
+  queues.clear();
+};
+
+module.exports = {
+  getQueue,
+  closeQueues
+};
\ No newline at end of file
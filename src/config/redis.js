@@ -103,6 +103,33 @@ const deleteCache = async (key) => {
   }
 };
 
+// Delete every key matching a glob pattern (SCAN, so Redis is not blocked like KEYS)
+const deleteCachePattern = async (pattern) => {
+  try {
+    if (!redisClient) return 0;
+
+    let deleted = 0;
+    let batch = [];
+
+    for await (const key of redisClient.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+      batch.push(key);
+      if (batch.length >= 100) {
+        deleted += await redisClient.del(batch);
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      deleted += await redisClient.del(batch);
+    }
+
+    return deleted;
+  } catch (error) {
+    console.error('Redis pattern delete error:', error);
+    return 0;
+  }
+};
+
 const flushCache = async () => {
   try {
     if (!redisClient) return false;
@@ -121,5 +148,6 @@ module.exports = {
   setCache,
   getCache,
   deleteCache,
+  deleteCachePattern,
   flushCache
 };
\ No newline at end of file
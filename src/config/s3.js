@@ -0,0 +1,81 @@
+const { S3Client } = require('@aws-sdk/client-s3');
+
+/**
+ * Any S3-compatible bucket: leave S3_ENDPOINT unset for AWS S3, or point it at
+ * MinIO (http://localhost:9000), Backblaze B2 (https://s3.<region>.backblazeb2.com), ...
+ */
+class S3Config {
+  constructor() {
+    this.endpoint = process.env.S3_ENDPOINT;
+    this.region = process.env.S3_REGION || 'us-east-1';
+    this.bucketName = process.env.S3_BUCKET_NAME;
+    this.accessKeyId = process.env.S3_ACCESS_KEY_ID;
+    this.secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+    // MinIO and most self-hosted servers need path-style addressing (endpoint/bucket/key)
+    this.forcePathStyle = process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : !!this.endpoint;
+    this.publicUrl = process.env.S3_PUBLIC_URL;
+    this.customDomain = process.env.S3_CUSTOM_DOMAIN;
+
+    this.client = null;
+
+    this.initializeClient();
+  }
+
+  initializeClient() {
+    try {
+      this.client = new S3Client({
+        region: this.region,
+        ...(this.endpoint && { endpoint: this.endpoint }),
+        // Without keys the SDK falls back to its default chain (env, profile, instance role)
+        ...(this.accessKeyId && {
+          credentials: {
+            accessKeyId: this.accessKeyId,
+            secretAccessKey: this.secretAccessKey
+          }
+        }),
+        forcePathStyle: this.forcePathStyle,
+        // Not every S3-compatible server accepts the newer default checksums
+        requestChecksumCalculation: 'WHEN_REQUIRED'
+      });
+
+      console.log('☁️ S3 client initialized successfully');
+    } catch (error) {
+      console.error('❌ Failed to initialize S3 client:', error);
+    }
+  }
+
+  getClient() {
+    return this.client;
+  }
+
+  getConfig() {
+    return {
+      endpoint: this.endpoint,
+      bucketName: this.bucketName,
+      region: this.region,
+      forcePathStyle: this.forcePathStyle,
+      customDomain: this.customDomain,
+      publicUrl: this.publicUrl
+    };
+  }
+
+  // Generate public URL for files
+  getPublicUrl(filename) {
+    if (this.customDomain) {
+      return `https://${this.customDomain}/${filename}`;
+    } else if (this.publicUrl) {
+      return `${this.publicUrl.replace(/\/+$/, '')}/${filename}`;
+    } else if (this.endpoint) {
+      const endpoint = this.endpoint.replace(/\/+$/, '');
+      return this.forcePathStyle
+        ? `${endpoint}/${this.bucketName}/${filename}`
+        : endpoint.replace('://', `://${this.bucketName}.`) + `/${filename}`;
+    } else {
+      return `https://${this.bucketName}.s3.${this.region}.amazonaws.com/${filename}`;
+    }
+  }
+}
+
+module.exports = new S3Config();
\ No newline at end of file
@@ -1,29 +1,56 @@
 const CloudflareService = require('../services/cloudflareService');
 const GCPService = require('../services/gcpService');
+const S3Service = require('../services/s3Service');
+const s3Config = require('./s3');
+const LocalStorageService = require('../services/localStorageService');
 
 class StorageConfig {
   constructor() {
     this.provider = process.env.STORAGE_PROVIDER || 'cloudflare';
     this.cdnProvider = process.env.CDN_PROVIDER || 'cloudflare';
+    // Optional replica: uploads are written to both, reads fail over to it
+    this.secondaryProvider = process.env.STORAGE_SECONDARY_PROVIDER || null;
     this.service = null;
+    this.secondaryService = null;
     
     this.initializeService();
   }
 
-  initializeService() {
-    switch (this.provider.toLowerCase()) {
+  resolveService(provider) {
+    switch (provider.toLowerCase()) {
       case 'cloudflare':
-        this.service = CloudflareService;
-        break;
+        return CloudflareService;
       case 'gcp':
-        this.service = GCPService;
-        break;
+        return GCPService;
+      case 's3':
+        return S3Service;
+      case 'local':
+        return LocalStorageService;
       default:
-        console.warn(`Unknown storage provider: ${this.provider}. Defaulting to Cloudflare.`);
-        this.service = CloudflareService;
+        return null;
+    }
+  }
+
+  initializeService() {
+    this.service = this.resolveService(this.provider);
+    if (!this.service) {
+      console.warn(`Unknown storage provider: ${this.provider}. Defaulting to Cloudflare.`);
+      this.service = CloudflareService;
     }
     
     console.log(`📦 Storage provider initialized: ${this.provider}`);
+
+    this.secondaryService = null;
+    if (this.secondaryProvider) {
+      const secondary = this.resolveService(this.secondaryProvider);
+      if (!secondary || secondary === this.service) {
+        console.warn(`Invalid secondary storage provider: ${this.secondaryProvider}. Replication disabled.`);
+        this.secondaryProvider = null;
+      } else {
+        this.secondaryService = secondary;
+        console.log(`📦 Secondary storage provider initialized: ${this.secondaryProvider}`);
+      }
+    }
   }
 
   getService() {
@@ -34,6 +61,14 @@ class StorageConfig {
     return this.provider;
   }
 
+  getSecondaryService() {
+    return this.secondaryService;
+  }
+
+  getSecondaryProvider() {
+    return this.secondaryProvider;
+  }
+
   getCDNProvider() {
     return this.cdnProvider;
   }
@@ -47,10 +82,10 @@ class StorageConfig {
     }
   }
 
-  // Get storage configuration based on provider
-  getStorageConfig() {
+  // Get storage configuration based on provider (the primary unless one is given)
+  getStorageConfig(provider = this.provider) {
     const baseConfig = {
-      provider: this.provider,
+      provider,
       cdnProvider: this.cdnProvider,
       maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 104857600,
       maxImageSize: parseInt(process.env.MAX_IMAGE_SIZE) || 5242880,
@@ -58,7 +93,7 @@ class StorageConfig {
       supportedImageFormats: ['.jpg', '.jpeg', '.png', '.webp']
     };
 
-    if (this.provider === 'cloudflare') {
+    if (provider === 'cloudflare') {
       return {
         ...baseConfig,
         bucket: process.env.CLOUDFLARE_R2_BUCKET_NAME,
@@ -69,7 +104,7 @@ class StorageConfig {
         secretAccessKey: process.env.CLOUDFLARE_R2_SECRET_ACCESS_KEY,
         accountId: process.env.CLOUDFLARE_ACCOUNT_ID
       };
-    } else if (this.provider === 'gcp') {
+    } else if (provider === 'gcp') {
       return {
         ...baseConfig,
         bucket: process.env.GCP_BUCKET_NAME,
@@ -77,6 +112,25 @@ class StorageConfig {
         keyFile: process.env.GCP_KEY_FILE,
         cdnUrl: process.env.GCP_CDN_URL
       };
+    } else if (provider === 's3') {
+      return {
+        ...baseConfig,
+        bucket: process.env.S3_BUCKET_NAME,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: s3Config.forcePathStyle,
+        publicUrl: process.env.S3_PUBLIC_URL,
+        customDomain: process.env.S3_CUSTOM_DOMAIN,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      };
+    } else if (provider === 'local') {
+      return {
+        ...baseConfig,
+        directory: LocalStorageService.rootDir,
+        publicUrl: LocalStorageService.publicUrl,
+        publicPrefixes: LocalStorageService.publicPrefixes
+      };
     }
 
     return baseConfig;
@@ -9,9 +9,13 @@ const { v4: uuidv4 } = require('uuid');
 const storageService = require('../services/storageService');
 const cdnService = require('../services/cdnService');
 const videoService = require('../services/videoService');
-const path = require('path');
-const fs = require('fs').promises;
-const { spawn } = require('child_process');
+const auditService = require('../services/auditService');
+const revisionService = require('../services/revisionService');
+const cacheService = require('../services/cacheService');
+const importService = require('../services/importService');
+const catalogExportService = require('../services/catalogExportService');
+const transcodingService = require('../services/transcodingService');
+const { AUDIT_ACTIONS } = require('../utils/constants');
 
 // Create new content
 const createContent = asyncHandler(async (req, res) => {
@@ -55,6 +59,14 @@ const createContent = asyncHandler(async (req, res) => {
     publishedAt: null
   });
 
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.CONTENT_CREATE,
+    targetType: 'content',
+    targetIds: [content._id],
+    after: content
+  });
+  await revisionService.record(req, content, { source: 'create' });
+
   res.status(201).json({
     success: true,
     message: 'Content created successfully',
@@ -62,135 +74,30 @@ const createContent = asyncHandler(async (req, res) => {
   });
 });
 
-// Enhanced video processing with FFmpeg
-const processVideoWithFFmpeg = async (inputBuffer, outputPath, quality = '720p') => {
-  return new Promise((resolve, reject) => {
-    const tempInputPath = `/tmp/input_${Date.now()}.mp4`;
-    const tempOutputPath = `/tmp/output_${Date.now()}_${quality}.mp4`;
-
-    // Quality settings for space optimization
-    const qualitySettings = {
-      '480p': {
-        scale: '854:480',
-        bitrate: '800k',
-        maxrate: '1200k',
-        bufsize: '1600k'
-      },
-      '720p': {
-        scale: '1280:720', 
-        bitrate: '1500k',
-        maxrate: '2250k',
-        bufsize: '3000k'
-      },
-      '1080p': {
-        scale: '1920:1080',
-        bitrate: '3000k',
-        maxrate: '4500k',
-        bufsize: '6000k'
-      }
-    };
-
-    const settings = qualitySettings[quality] || qualitySettings['720p'];
-
-    // Write input buffer to temp file
-    fs.writeFile(tempInputPath, inputBuffer)
-      .then(() => {
-        const ffmpegArgs = [
-          '-i', tempInputPath,
-          '-c:v', 'libx264',
-          '-preset', 'medium',
-          '-crf', '23',
-          '-vf', `scale=${settings.scale}`,
-          '-b:v', settings.bitrate,
-          '-maxrate', settings.maxrate,
-          '-bufsize', settings.bufsize,
-          '-c:a', 'aac',
-          '-b:a', '128k',
-          '-movflags', '+faststart',
-          '-y',
-          tempOutputPath
-        ];
-
-        const ffmpeg = spawn('ffmpeg', ffmpegArgs);
-
-        ffmpeg.on('close', async (code) => {
-          try {
-            // Clean up input file
-            await fs.unlink(tempInputPath).catch(() => {});
-
-            if (code === 0) {
-              // Read processed file
-              const processedBuffer = await fs.readFile(tempOutputPath);
-              
-              // Clean up output file
-              await fs.unlink(tempOutputPath).catch(() => {});
-              
-              resolve({
-                buffer: processedBuffer,
-                quality,
-                originalSize: inputBuffer.length,
-                compressedSize: processedBuffer.length,
-                compressionRatio: ((inputBuffer.length - processedBuffer.length) / inputBuffer.length * 100).toFixed(2)
-              });
-            } else {
-              reject(new Error(`FFmpeg process failed with code ${code}`));
-            }
-          } catch (error) {
-            reject(error);
-          }
-        });
-
-        ffmpeg.on('error', (error) => {
-          reject(error);
-        });
-      })
-      .catch(reject);
+// Store the original upload so the transcoding worker can fetch it (and retries can reuse it)
+const storeSourceFile = async (file, content, episodeId) => {
+  return storageService.uploadFile(file.buffer, {
+    fileName: transcodingService.sourceFileName(content, episodeId, file.originalname),
+    contentType: file.mimetype,
+    metadata: { originalName: file.originalname || '', episodeId }
   });
 };
 
-// Generate video thumbnail with FFmpeg
-const generateThumbnail = async (inputBuffer, timestamp = 5) => {
-  return new Promise((resolve, reject) => {
-    const tempInputPath = `/tmp/input_${Date.now()}.mp4`;
-    const tempThumbnailPath = `/tmp/thumb_${Date.now()}.jpg`;
-
-    fs.writeFile(tempInputPath, inputBuffer)
-      .then(() => {
-        const ffmpegArgs = [
-          '-i', tempInputPath,
-          '-ss', timestamp.toString(),
-          '-vframes', '1',
-          '-vf', 'scale=854:480',
-          '-q:v', '2',
-          '-y',
-          tempThumbnailPath
-        ];
-
-        const ffmpeg = spawn('ffmpeg', ffmpegArgs);
-
-        ffmpeg.on('close', async (code) => {
-          try {
-            await fs.unlink(tempInputPath).catch(() => {});
-
-            if (code === 0) {
-              const thumbnailBuffer = await fs.readFile(tempThumbnailPath);
-              await fs.unlink(tempThumbnailPath).catch(() => {});
-              resolve(thumbnailBuffer);
-            } else {
-              reject(new Error(`Thumbnail generation failed with code ${code}`));
-            }
-          } catch (error) {
-            reject(error);
-          }
-        });
-
-        ffmpeg.on('error', reject);
-      })
-      .catch(reject);
+// Store an uploaded file and create its processing episode (the transcode is queued)
+const createProcessingEpisode = async (file, content, fields, qualities) => {
+  const episodeId = `episode_${Date.now()}_${uuidv4().slice(0, 8)}`;
+  const source = await storeSourceFile(file, content, episodeId);
+
+  return transcodingService.createEpisodeFromSource(source, {
+    episodeId,
+    content,
+    fields,
+    qualities,
+    contentType: file.mimetype
   });
 };
 
-// Enhanced upload video with compression and multiple qualities
+// Upload a video; transcoding and thumbnail generation run on the job queue
 const uploadVideo = asyncHandler(async (req, res) => {
   if (!req.file) {
     throw new AppError('No video file provided', 400);
@@ -203,8 +110,6 @@ const uploadVideo = asyncHandler(async (req, res) => {
     episodeNumber,
     seasonNumber = 1,
     duration,
-    genre,
-    language,
     tags,
     generateQualities = true
   } = req.body;
@@ -218,169 +123,51 @@ const uploadVideo = asyncHandler(async (req, res) => {
     }
   }
 
-  try {
-    console.log('🎬 Starting video processing...');
-    
-    // Generate episode ID
-    const episodeId = `episode_${Date.now()}_${uuidv4().slice(0, 8)}`;
-    
-    const uploadResults = [];
-    const qualityOptions = [];
-
-    // Define qualities to generate for space optimization
-    const qualities = generateQualities ? ['480p', '720p'] : ['720p']; // Reduced to save space in development
-    
-    // Process video for different qualities
-    for (const quality of qualities) {
-      console.log(`📹 Processing ${quality} quality...`);
-      
-      try {
-        // Compress video with FFmpeg
-        const processedVideo = await processVideoWithFFmpeg(req.file.buffer, null, quality);
-        
-        console.log(`✅ ${quality} compressed: ${processedVideo.compressionRatio}% reduction`);
-
-        // Upload compressed video to Cloudflare R2
-        const uploadResult = await storageService.uploadVideo(
-          processedVideo.buffer,
-          {
-            originalName: req.file.originalname,
-            contentId: content?._id,
-            episodeNumber: parseInt(episodeNumber),
-            seasonNumber: parseInt(seasonNumber),
-            quality: quality
-          }
-        );
+  const qualities = generateQualities ? transcodingService.defaultQualities : ['720p'];
 
-        uploadResults.push(uploadResult);
-        
-        // Add to quality options
-        qualityOptions.push({
-          resolution: quality,
-          url: uploadResult.cdnUrl || uploadResult.publicUrl,
-          fileSize: processedVideo.compressedSize,
-          bitrate: quality === '480p' ? '800k' : quality === '720p' ? '1500k' : '3000k'
-        });
-
-      } catch (qualityError) {
-        console.error(`❌ Failed to process ${quality}:`, qualityError.message);
-        // Continue with other qualities
-      }
-    }
+  const { episode, job } = await createProcessingEpisode(req.file, content, {
+    episodeNumber: parseInt(episodeNumber),
+    seasonNumber: parseInt(seasonNumber),
+    title,
+    description: description || '',
+    duration: parseInt(duration),
+    tags
+  }, qualities);
 
-    if (uploadResults.length === 0) {
-      throw new AppError('Failed to process video in any quality', 500);
-    }
+  if (content) {
+    await content.save();
+  }
 
-    // Generate thumbnail
-    console.log('🖼️ Generating thumbnail...');
-    let thumbnailUrl = '';
-    try {
-      const thumbnailBuffer = await generateThumbnail(req.file.buffer, 5);
-      const thumbnailUpload = await storageService.uploadImage(thumbnailBuffer, {
-        type: 'thumbnail',
-        contentId: content?._id,
-        episodeId: episodeId,
-        originalName: `${episodeId}_thumbnail.jpg`
-      });
-      thumbnailUrl = thumbnailUpload.cdnUrl || thumbnailUpload.publicUrl;
-      console.log('✅ Thumbnail generated successfully');
-    } catch (thumbError) {
-      console.error('⚠️ Thumbnail generation failed:', thumbError.message);
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.EPISODE_UPLOAD,
+    targetType: 'episode',
+    targetIds: [episode._id, episode.contentId],
+    after: episode,
+    metadata: {
+      originalName: req.file.originalname,
+      size: req.file.size,
+      qualities,
+      jobId: job.id
     }
+  });
 
-    // Use the best quality (720p) as primary
-    const primaryUpload = uploadResults.find(r => r.fileName.includes('720p')) || uploadResults[0];
-
-    // Create episode with multiple quality options
-    const episode = await Episode.create({
-      episodeId,
-      contentId: content?._id,
-      episodeNumber: parseInt(episodeNumber),
-      seasonNumber: parseInt(seasonNumber),
-      title,
-      description: description || '',
-      videoUrl: primaryUpload.publicUrl,
-      thumbnailUrl,
-      duration: parseInt(duration),
-      qualityOptions,
-      fileInfo: {
-        fileName: primaryUpload.fileName,
-        fileSize: primaryUpload.size,
-        contentType: req.file.mimetype,
-        uploadedAt: primaryUpload.uploadedAt
-      },
-      streamingOptions: {
-        isPreloadEnabled: true,
-        preloadDuration: 10,
-        adaptiveBitrate: true,
-        chunkSize: 1048576
-      },
-      status: 'published' // Auto-publish in development
-    });
+  console.log(`🎬 Queued transcoding for ${episode.episodeId} (${qualities.join(', ')})`);
 
-    // Update content if exists
-    if (content) {
-      content.episodeIds.push(episode._id);
-      
-      // Update seasons structure
-      let season = content.seasons.find(s => s.seasonNumber === parseInt(seasonNumber));
-      if (!season) {
-        season = {
-          seasonNumber: parseInt(seasonNumber),
-          title: `Season ${seasonNumber}`,
-          episodes: []
-        };
-        content.seasons.push(season);
+  res.status(202).json({
+    success: true,
+    message: 'Video uploaded; transcoding has been queued',
+    data: {
+      episode,
+      transcode: {
+        jobId: job.id,
+        qualities,
+        statusUrl: `/api/admin/episode/${episode._id}/transcode`
       }
-      season.episodes.push(episode._id);
-      
-      await content.save();
     }
-
-    // Clear relevant app caches
-    await deleteCache('feed:*');
-    await deleteCache('trending:*');
-    await deleteCache('popular:*');
-
-    // Calculate total space saved
-    const totalOriginalSize = req.file.size * qualities.length;
-    const totalCompressedSize = uploadResults.reduce((sum, result) => sum + result.size, 0);
-    const totalSpaceSaved = ((totalOriginalSize - totalCompressedSize) / totalOriginalSize * 100).toFixed(2);
-
-    res.status(201).json({
-      success: true,
-      message: 'Video processed and uploaded successfully with optimization',
-      data: {
-        episode,
-        uploadResults: uploadResults.map(result => ({
-          quality: result.fileName.match(/_(480p|720p|1080p)_/)?.[1] || 'unknown',
-          publicUrl: result.publicUrl,
-          cdnUrl: result.cdnUrl,
-          size: result.size,
-          sizeFormatted: videoService.formatBytes(result.size)
-        })),
-        optimization: {
-          qualitiesGenerated: qualities,
-          thumbnailGenerated: !!thumbnailUrl,
-          totalSpaceSaved: `${totalSpaceSaved}%`,
-          provider: storageService.getProvider()
-        },
-        streaming: {
-          adaptiveBitrate: true,
-          qualityOptions: qualityOptions.length,
-          preloadEnabled: true
-        }
-      }
-    });
-
-  } catch (error) {
-    console.error('❌ Video upload and processing failed:', error);
-    throw new AppError(`Failed to process and upload video: ${error.message}`, 500);
-  }
+  });
 });
 
-// Batch upload multiple videos with processing
+// Batch upload multiple videos; each file gets its own transcoding job
 const batchUploadVideos = asyncHandler(async (req, res) => {
   if (!req.files || req.files.length === 0) {
     throw new AppError('No video files provided', 400);
@@ -397,135 +184,48 @@ const batchUploadVideos = asyncHandler(async (req, res) => {
   const results = [];
   const errors = [];
 
-  console.log(`🎬 Starting batch processing of ${req.files.length} videos...`);
-
-  // Process videos in parallel (limited concurrency to save resources)
-  const concurrency = 2; // Process 2 videos at a time
-  
-  for (let i = 0; i < req.files.length; i += concurrency) {
-    const batch = req.files.slice(i, i + concurrency);
-    
-    const batchPromises = batch.map(async (file, index) => {
-      const episodeNumber = i + index + 1;
-      
-      try {
-        // Create a mock request object for uploadVideo function
-        const mockReq = {
-          file,
-          body: {
-            title: `Episode ${episodeNumber}`,
-            description: `Episode ${episodeNumber} of ${content.title}`,
-            contentId,
-            episodeNumber,
-            seasonNumber,
-            duration: 1800, // Default 30 minutes
-            generateQualities: true
-          }
-        };
-
-        // Process video (reuse the logic from uploadVideo)
-        const qualities = ['480p', '720p'];
-        const uploadResults = [];
-        const qualityOptions = [];
-
-        for (const quality of qualities) {
-          const processedVideo = await processVideoWithFFmpeg(file.buffer, null, quality);
-          
-          const uploadResult = await storageService.uploadVideo(
-            processedVideo.buffer,
-            {
-              originalName: file.originalname,
-              contentId: content._id,
-              episodeNumber,
-              seasonNumber: parseInt(seasonNumber),
-              quality
-            }
-          );
-
-          uploadResults.push(uploadResult);
-          qualityOptions.push({
-            resolution: quality,
-            url: uploadResult.cdnUrl || uploadResult.publicUrl,
-            fileSize: processedVideo.compressedSize,
-            bitrate: quality === '480p' ? '800k' : '1500k'
-          });
-        }
-
-        // Generate thumbnail
-        const thumbnailBuffer = await generateThumbnail(file.buffer, 5);
-        const thumbnailUpload = await storageService.uploadImage(thumbnailBuffer, {
-          type: 'thumbnail',
-          contentId: content._id,
-          episodeId: `episode_${Date.now()}_${episodeNumber}`,
-          originalName: `episode_${episodeNumber}_thumbnail.jpg`
-        });
-
-        const primaryUpload = uploadResults.find(r => r.fileName.includes('720p')) || uploadResults[0];
-
-        // Create episode
-        const episode = await Episode.create({
-          episodeId: `episode_${Date.now()}_${uuidv4().slice(0, 8)}`,
-          contentId: content._id,
-          episodeNumber,
-          seasonNumber: parseInt(seasonNumber),
-          title: `Episode ${episodeNumber}`,
-          description: `Episode ${episodeNumber} of ${content.title}`,
-          videoUrl: primaryUpload.publicUrl,
-          thumbnailUrl: thumbnailUpload.cdnUrl || thumbnailUpload.publicUrl,
-          duration: 1800,
-          qualityOptions,
-          fileInfo: {
-            fileName: primaryUpload.fileName,
-            fileSize: primaryUpload.size,
-            contentType: file.mimetype,
-            uploadedAt: new Date()
-          },
-          streamingOptions: {
-            isPreloadEnabled: true,
-            preloadDuration: 10,
-            adaptiveBitrate: true
-          },
-          status: 'published'
-        });
-
-        results.push({
-          episodeNumber,
-          episode,
-          uploadResults: uploadResults.length,
-          thumbnailGenerated: true
-        });
+  console.log(`🎬 Queueing ${req.files.length} videos for transcoding...`);
 
-        console.log(`✅ Episode ${episodeNumber} processed successfully`);
-
-      } catch (error) {
-        console.error(`❌ Episode ${episodeNumber} failed:`, error.message);
-        errors.push({
-          episodeNumber,
-          error: error.message,
-          fileName: file.originalname
-        });
-      }
-    });
+  for (const [index, file] of req.files.entries()) {
+    const episodeNumber = index + 1;
 
-    await Promise.allSettled(batchPromises);
+    try {
+      const { episode, job } = await createProcessingEpisode(file, content, {
+        episodeNumber,
+        seasonNumber: parseInt(seasonNumber),
+        title: `Episode ${episodeNumber}`,
+        description: `Episode ${episodeNumber} of ${content.title}`,
+        duration: 1800 // Default 30 minutes
+      }, transcodingService.defaultQualities);
+
+      results.push({ episodeNumber, episode, jobId: job.id });
+    } catch (error) {
+      console.error(`❌ Episode ${episodeNumber} failed:`, error.message);
+      errors.push({
+        episodeNumber,
+        error: error.message,
+        fileName: file.originalname
+      });
+    }
   }
 
-  // Update content with new episodes
-  const episodeIds = results.map(r => r.episode._id);
-  content.episodeIds.push(...episodeIds);
   content.totalEpisodes = content.episodeIds.length;
   await content.save();
 
-  // Clear caches
-  await deleteCache('feed:*');
-  await deleteCache('trending:*');
+  await auditService.recordMany(req, results.map(result => ({
+    action: AUDIT_ACTIONS.EPISODE_UPLOAD,
+    targetType: 'episode',
+    targetIds: [result.episode._id, content._id],
+    after: result.episode,
+    metadata: { batch: true, jobId: result.jobId }
+  })));
 
-  res.status(200).json({
+  res.status(202).json({
     success: true,
-    message: 'Batch video processing completed',
+    message: 'Batch upload completed; transcoding has been queued',
     data: {
       totalFiles: req.files.length,
-      successful: results.length,
+      queued: results.length,
       failed: errors.length,
       results,
       errors,
@@ -537,6 +237,67 @@ const batchUploadVideos = asyncHandler(async (req, res) => {
   });
 });
 
+const findEpisodeOrFail = async (episodeId) => {
+  const episode = await Episode.findById(episodeId);
+  if (!episode) {
+    throw new AppError('Episode not found', 404);
+  }
+  return episode;
+};
+
+// Get transcoding job status for an episode
+const getTranscodeStatus = asyncHandler(async (req, res) => {
+  const episode = await findEpisodeOrFail(req.params.episodeId);
+
+  const [status, processing] = await Promise.all([
+    transcodingService.getStatus(episode),
+    videoService.getProcessingStatus(episode)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: { ...status, summary: processing }
+  });
+});
+
+// Retry a failed or cancelled transcode
+const retryTranscode = asyncHandler(async (req, res) => {
+  const episode = await findEpisodeOrFail(req.params.episodeId);
+  const job = await transcodingService.retry(episode);
+
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.EPISODE_TRANSCODE_RETRY,
+    targetType: 'episode',
+    targetIds: [episode._id],
+    metadata: { jobId: job.id, qualities: episode.processing.targetQualities }
+  });
+
+  res.status(202).json({
+    success: true,
+    message: 'Transcode re-queued',
+    data: { episodeId: episode._id, jobId: job.id, processing: episode.processing }
+  });
+});
+
+// Cancel a queued or running transcode
+const cancelTranscode = asyncHandler(async (req, res) => {
+  const episode = await findEpisodeOrFail(req.params.episodeId);
+  await transcodingService.cancel(episode);
+
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.EPISODE_TRANSCODE_CANCEL,
+    targetType: 'episode',
+    targetIds: [episode._id],
+    metadata: { jobId: episode.processing.jobId }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Transcode cancelled',
+    data: { episodeId: episode._id, status: episode.status, processing: episode.processing }
+  });
+});
+
 // Update content feed settings
 const updateFeedSettings = asyncHandler(async (req, res) => {
   const { contentId } = req.params;
@@ -547,6 +308,9 @@ const updateFeedSettings = asyncHandler(async (req, res) => {
     throw new AppError('Content not found', 404);
   }
 
+  const before = { feedSettings: content.feedSettings.toObject() };
+  const revisionBefore = revisionService.snapshot(content);
+
   // Update feed settings
   content.feedSettings = {
     isInRandomFeed,
@@ -557,6 +321,15 @@ const updateFeedSettings = asyncHandler(async (req, res) => {
 
   await content.save();
 
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.CONTENT_FEED_SETTINGS_UPDATE,
+    targetType: 'content',
+    targetIds: [content._id],
+    before,
+    after: { feedSettings: content.feedSettings }
+  });
+  await revisionService.record(req, content, { source: 'feed_settings', before: revisionBefore });
+
   // Clear feed caches
   await deleteCache('feed:*');
   await deleteCache('trending:*');
@@ -568,6 +341,109 @@ const updateFeedSettings = asyncHandler(async (req, res) => {
   });
 });
 
+// Update content metadata; every change is stored as a content revision
+const updateContent = asyncHandler(async (req, res) => {
+  const { contentId } = req.params;
+
+  const content = await Content.findById(contentId);
+  if (!content) {
+    throw new AppError('Content not found', 404);
+  }
+
+  const before = revisionService.snapshot(content);
+
+  content.set(req.body);
+  content.lastUpdated = new Date();
+  await content.save();
+
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.CONTENT_UPDATE,
+    targetType: 'content',
+    targetIds: [content._id],
+    before,
+    after: revisionService.snapshot(content)
+  });
+  const revision = await revisionService.record(req, content, { source: 'update', before });
+
+  await cacheService.invalidateCatalogCaches({ contentIds: [content._id] });
+
+  res.status(200).json({
+    success: true,
+    message: 'Content updated successfully',
+    data: {
+      content,
+      revision: revision ? revision.revision : null
+    }
+  });
+});
+
+// Import content and episodes from a CSV or JSON catalog manifest (dry run unless mode=apply)
+const importContent = asyncHandler(async (req, res) => {
+  const dryRun = req.query.mode !== 'apply';
+
+  let input;
+  let format = req.query.format;
+
+  if (req.file) {
+    input = req.file.buffer.toString('utf8');
+    format = format || (/\.csv$/i.test(req.file.originalname) || req.file.mimetype.includes('csv') ? 'csv' : 'json');
+  } else if (req.body && (Array.isArray(req.body) || Array.isArray(req.body.content))) {
+    input = req.body;
+    format = 'json';
+  } else {
+    throw new AppError('Upload a manifest file or send a JSON body of content rows', 400);
+  }
+
+  const report = await importService.run(req, input, { format, dryRun });
+
+  if (!dryRun) {
+    const imported = report.rows.filter(row => ['created', 'updated'].includes(row.action));
+
+    await auditService.record(req, {
+      action: AUDIT_ACTIONS.CONTENT_IMPORT,
+      targetType: 'content',
+      targetIds: imported.map(row => row.id),
+      metadata: { format, fileName: req.file?.originalname, summary: report.summary }
+    });
+
+    if (imported.length > 0) {
+      await cacheService.invalidateCatalogCaches({ contentIds: imported.map(row => row.id) });
+    }
+  }
+
+  res.status(dryRun || report.summary.invalid === 0 ? 200 : 207).json({
+    success: report.summary.invalid === 0,
+    message: dryRun ? 'Import dry run completed' : 'Import completed',
+    data: report
+  });
+});
+
+// Stream the catalog as NDJSON or CSV for partner feeds and backups
+const exportCatalog = asyncHandler(async (req, res) => {
+  const { format = 'ndjson', status, category, genre, language, includeEpisodes = true } = req.query;
+  const date = new Date().toISOString().slice(0, 10);
+  const extension = format === 'csv' ? 'csv' : 'ndjson';
+
+  res.status(200);
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="catalog-${date}.${extension}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const written = await catalogExportService.writeExport(res, {
+      format,
+      filters: { status, category, genre, language },
+      includeEpisodes
+    });
+    console.log(`📤 Catalog export (${format}) streamed ${written} titles to ${req.user.username}`);
+    res.end();
+  } catch (error) {
+    // Headers are already sent, so the only way to signal failure is to cut the stream
+    console.error('Catalog export error:', error);
+    res.destroy(error);
+  }
+});
+
 // Publish content
 const publishContent = asyncHandler(async (req, res) => {
   const { contentId } = req.params;
@@ -582,9 +458,18 @@ const publishContent = asyncHandler(async (req, res) => {
     throw new AppError('Cannot publish content without episodes', 400);
   }
 
-  // Update content status
+  if (content.status !== 'approved') {
+    throw new AppError('Only approved content can be published; submit it for review first', 409);
+  }
+
+  const before = { status: content.status, publishedAt: content.publishedAt };
+
+  // Update content status (publishing now replaces any pending scheduled publish)
   content.status = 'published';
   content.publishedAt = new Date();
+  content.scheduledPublishAt = undefined;
+  content.scheduledFeedPriority = undefined;
+  content.scheduleError = undefined;
   await content.save();
 
   // Update all episodes status
@@ -593,6 +478,15 @@ const publishContent = asyncHandler(async (req, res) => {
     { status: 'published', publishedAt: new Date() }
   );
 
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.CONTENT_PUBLISH,
+    targetType: 'content',
+    targetIds: [content._id],
+    before,
+    after: { status: content.status, publishedAt: content.publishedAt },
+    metadata: { episodesPublished: content.episodeIds.length }
+  });
+
   // Clear caches
   await deleteCache('feed:*');
   await deleteCache('trending:*');
@@ -870,6 +764,18 @@ const deleteContent = asyncHandler(async (req, res) => {
   // Delete content
   await Content.deleteOne({ _id: content._id });
 
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.CONTENT_DELETE,
+    targetType: 'content',
+    targetIds: [content._id, ...episodes.map(episode => episode._id)],
+    before: content,
+    metadata: {
+      title: content.title,
+      deletedEpisodes: episodes.length,
+      videosDeleted: deleteVideos
+    }
+  });
+
   // Clear caches
   await flushCache();
 
@@ -893,10 +799,20 @@ const updateEpisode = asyncHandler(async (req, res) => {
     throw new AppError('Episode not found', 404);
   }
 
+  const before = episode.toObject();
+
   // Update episode
   Object.assign(episode, updates);
   await episode.save();
 
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.EPISODE_UPDATE,
+    targetType: 'episode',
+    targetIds: [episode._id, episode.contentId],
+    before,
+    after: episode
+  });
+
   res.status(200).json({
     success: true,
     message: 'Episode updated successfully',
@@ -955,17 +871,50 @@ const getAllContent = asyncHandler(async (req, res) => {
 
 // Bulk update content status
 const bulkUpdateContent = asyncHandler(async (req, res) => {
+  // Validated to plain fields, so the status rules below cannot be sidestepped with update operators
   const { contentIds, updates } = req.body;
 
-  if (!Array.isArray(contentIds) || contentIds.length === 0) {
-    throw new AppError('Content IDs array is required', 400);
+  // Review states only change through /api/admin/review, and only approved content can be published
+  if (['in_review', 'approved'].includes(updates.status)) {
+    throw new AppError('Use the review endpoints to submit or approve content', 400);
   }
+  if (updates.status === 'published') {
+    const unapproved = await Content.countDocuments({ _id: { $in: contentIds }, status: { $nin: ['approved', 'published'] } });
+    if (unapproved > 0) {
+      throw new AppError(`${unapproved} of the selected titles are not approved`, 409);
+    }
+  }
+
+  // Snapshot each title so it gets its own audit entry and content revision
+  const beforeDocs = await Content.find({ _id: { $in: contentIds } }).lean();
 
   const result = await Content.updateMany(
     { _id: { $in: contentIds } },
-    updates
+    { $set: updates }
   );
 
+  const afterDocs = await Content.find({ _id: { $in: contentIds } }).lean();
+  const afterById = new Map(afterDocs.map(doc => [doc._id.toString(), doc]));
+
+  await auditService.recordMany(req, beforeDocs.map(doc => ({
+    action: AUDIT_ACTIONS.CONTENT_BULK_UPDATE,
+    targetType: 'content',
+    targetIds: [doc._id],
+    before: doc,
+    after: afterById.get(doc._id.toString()),
+    metadata: { batchSize: contentIds.length }
+  })));
+
+  for (const doc of beforeDocs) {
+    const after = afterById.get(doc._id.toString());
+    if (after) {
+      await revisionService.record(req, after, {
+        source: 'bulk_update',
+        before: revisionService.snapshot(doc)
+      });
+    }
+  }
+
   // If publishing, also update episodes
   if (updates.status === 'published') {
     await Episode.updateMany(
@@ -1022,7 +971,13 @@ module.exports = {
   createContent,
   uploadVideo,
   batchUploadVideos,
+  getTranscodeStatus,
+  retryTranscode,
+  cancelTranscode,
   updateFeedSettings,
+  updateContent,
+  importContent,
+  exportCatalog,
   publishContent,
   getContentAnalytics,
   getPlatformAnalytics,
@@ -0,0 +1,281 @@
+const AdminUser = require('../models/AdminUser');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { generateRandomString } = require('../utils/helpers');
+const tokenService = require('../services/tokenService');
+const auditService = require('../services/auditService');
+const { AUDIT_ACTIONS } = require('../utils/constants');
+
+// Make sure at least one active admin remains after a change
+const assertNotLastAdmin = async (adminUser) => {
+  if (adminUser.role !== 'admin' || adminUser.status !== 'active') return;
+
+  const activeAdmins = await AdminUser.countDocuments({ role: 'admin', status: 'active' });
+  if (activeAdmins <= 1) {
+    throw new AppError('Cannot remove the last active admin', 400);
+  }
+};
+
+// Log out every session of an admin; tolerated when the session store is down
+const revokeAdminSessions = async (adminUser) => {
+  try {
+    return await tokenService.revokeAllSessions(tokenService.getSubject('admin', adminUser._id));
+  } catch (error) {
+    console.error('Admin session revoke error:', error.message);
+    return 0;
+  }
+};
+
+// List admin accounts
+const getAdminUsers = asyncHandler(async (req, res) => {
+  const { role, status, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+  if (role) query.role = role;
+  if (status) query.status = status;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [adminUsers, totalCount] = await Promise.all([
+    AdminUser.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    AdminUser.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      users: adminUsers.map(adminUser => adminUser.toSafeObject()),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / parseInt(limit)),
+        totalItems: totalCount,
+        hasNext: skip + adminUsers.length < totalCount,
+        hasPrev: parseInt(page) > 1
+      }
+    }
+  });
+});
+
+// Get a single admin account
+const getAdminUser = asyncHandler(async (req, res) => {
+  const { adminId } = req.params;
+
+  const adminUser = await AdminUser.findById(adminId);
+  if (!adminUser) {
+    throw new AppError('Admin user not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: adminUser.toSafeObject()
+  });
+});
+
+// Create admin account
+const createAdminUser = asyncHandler(async (req, res) => {
+  const { username, password, role, email, fullName } = req.body;
+
+  const existing = await AdminUser.findByUsername(username);
+  if (existing) {
+    throw new AppError('Username already taken', 409);
+  }
+
+  const adminUser = await AdminUser.create({
+    username,
+    password,
+    role,
+    email,
+    fullName,
+    createdBy: req.user.username
+  });
+
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.ADMIN_USER_CREATE,
+    targetType: 'admin_user',
+    targetIds: [adminUser._id],
+    after: adminUser.toSafeObject()
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Admin user created successfully',
+    data: adminUser.toSafeObject()
+  });
+});
+
+// Update admin role or profile
+const updateAdminUser = asyncHandler(async (req, res) => {
+  const { adminId } = req.params;
+  const { role, email, fullName } = req.body;
+
+  const adminUser = await AdminUser.findById(adminId);
+  if (!adminUser) {
+    throw new AppError('Admin user not found', 404);
+  }
+
+  const before = adminUser.toSafeObject();
+
+  if (role && role !== adminUser.role) {
+    await assertNotLastAdmin(adminUser);
+    adminUser.role = role;
+  }
+
+  if (email !== undefined) adminUser.email = email;
+  if (fullName !== undefined) adminUser.fullName = fullName;
+
+  await adminUser.save();
+
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.ADMIN_USER_UPDATE,
+    targetType: 'admin_user',
+    targetIds: [adminUser._id],
+    before,
+    after: adminUser.toSafeObject()
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Admin user updated successfully',
+    data: adminUser.toSafeObject()
+  });
+});
+
+// Disable admin account
+const disableAdminUser = asyncHandler(async (req, res) => {
+  const { adminId } = req.params;
+
+  const adminUser = await AdminUser.findById(adminId);
+  if (!adminUser) {
+    throw new AppError('Admin user not found', 404);
+  }
+
+  if (adminUser._id.equals(req.admin._id)) {
+    throw new AppError('You cannot disable your own account', 400);
+  }
+
+  await assertNotLastAdmin(adminUser);
+
+  adminUser.status = 'disabled';
+  adminUser.disabledAt = new Date();
+  adminUser.disabledBy = req.user.username;
+  await adminUser.save();
+  await revokeAdminSessions(adminUser);
+
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.ADMIN_USER_DISABLE,
+    targetType: 'admin_user',
+    targetIds: [adminUser._id],
+    before: { status: 'active' },
+    after: { status: adminUser.status }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Admin user disabled successfully',
+    data: adminUser.toSafeObject()
+  });
+});
+
+// Re-enable admin account
+const enableAdminUser = asyncHandler(async (req, res) => {
+  const { adminId } = req.params;
+
+  const adminUser = await AdminUser.findById(adminId);
+  if (!adminUser) {
+    throw new AppError('Admin user not found', 404);
+  }
+
+  const before = { status: adminUser.status };
+
+  adminUser.status = 'active';
+  adminUser.disabledAt = undefined;
+  adminUser.disabledBy = undefined;
+  await adminUser.save();
+
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.ADMIN_USER_ENABLE,
+    targetType: 'admin_user',
+    targetIds: [adminUser._id],
+    before,
+    after: { status: adminUser.status }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Admin user enabled successfully',
+    data: adminUser.toSafeObject()
+  });
+});
+
+// Reset admin password (generates a temporary one if none is supplied)
+const resetAdminPassword = asyncHandler(async (req, res) => {
+  const { adminId } = req.params;
+  const { password } = req.body;
+
+  const adminUser = await AdminUser.findById(adminId);
+  if (!adminUser) {
+    throw new AppError('Admin user not found', 404);
+  }
+
+  const newPassword = password || generateRandomString(16);
+  adminUser.password = newPassword;
+  await adminUser.save();
+  await revokeAdminSessions(adminUser);
+
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.ADMIN_USER_RESET_PASSWORD,
+    targetType: 'admin_user',
+    targetIds: [adminUser._id],
+    metadata: { generated: !password }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Admin password reset successfully',
+    data: {
+      user: adminUser.toSafeObject(),
+      // Only returned when generated server-side
+      ...(!password && { temporaryPassword: newPassword })
+    }
+  });
+});
+
+// Force logout of every session of an admin account
+const logoutAdminUserSessions = asyncHandler(async (req, res) => {
+  const { adminId } = req.params;
+
+  const adminUser = await AdminUser.findById(adminId);
+  if (!adminUser) {
+    throw new AppError('Admin user not found', 404);
+  }
+
+  const revokedSessions = await tokenService.revokeAllSessions(
+    tokenService.getSubject('admin', adminUser._id)
+  );
+
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.ADMIN_USER_LOGOUT_ALL,
+    targetType: 'admin_user',
+    targetIds: [adminUser._id],
+    metadata: { revokedSessions }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Admin sessions logged out successfully',
+    data: { revokedSessions }
+  });
+});
+
+module.exports = {
+  getAdminUsers,
+  getAdminUser,
+  createAdminUser,
+  updateAdminUser,
+  disableAdminUser,
+  enableAdminUser,
+  resetAdminPassword,
+  logoutAdminUserSessions
+};
\ No newline at end of file
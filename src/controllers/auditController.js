@@ -0,0 +1,24 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const auditService = require('../services/auditService');
+
+// Search the admin audit trail, newest first
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, ...filters } = req.query;
+
+  const { entries, pagination } = await auditService.search(filters, {
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      entries,
+      pagination
+    }
+  });
+});
+
+module.exports = {
+  getAuditLogs
+};
\ No newline at end of file
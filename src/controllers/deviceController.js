@@ -0,0 +1,73 @@
+const User = require('../models/User');
+const Device = require('../models/Device');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const tokenService = require('../services/tokenService');
+const streamService = require('../services/streamService');
+
+// List the devices signed in to a user, with what is streaming right now
+const getDevices = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  const user = await User.findByUserId(userId).select('userId subscription');
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const [devices, activeSessions] = await Promise.all([
+    Device.getUserDevices(userId).lean(),
+    streamService.getActiveSessions(userId)
+  ]);
+
+  const sessionsByDevice = new Map(activeSessions.map(session => [session.deviceId, session]));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      devices: devices.map(device => ({
+        deviceId: device.deviceId,
+        platform: device.platform,
+        appVersion: device.appVersion,
+        osVersion: device.osVersion,
+        firstSeenAt: device.firstSeenAt,
+        lastSeenAt: device.lastSeenAt,
+        isCurrent: device.deviceId === req.deviceId,
+        streaming: sessionsByDevice.get(device.deviceId) || null
+      })),
+      streams: {
+        active: activeSessions.length,
+        limit: streamService.getStreamLimit(user)
+      }
+    }
+  });
+});
+
+// Sign a device out: its tokens stop working and its playback session ends
+const revokeDevice = asyncHandler(async (req, res) => {
+  const { userId, deviceId } = req.params;
+
+  const device = await Device.findOne({ userId, deviceId, revokedAt: null });
+  if (!device) {
+    throw new AppError('Device not found', 404);
+  }
+
+  await tokenService.revokeDevice(tokenService.getSubject('user', userId), deviceId);
+
+  device.revokedAt = new Date();
+  await device.save();
+
+  await streamService.endSession(userId, deviceId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Device signed out successfully',
+    data: {
+      deviceId,
+      revokedAt: device.revokedAt
+    }
+  });
+});
+
+module.exports = {
+  getDevices,
+  revokeDevice
+};
\ No newline at end of file
@@ -5,7 +5,10 @@ const User = require('../models/User');
 const { setCache, getCache } = require('../config/redis');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const videoService = require('../services/videoService');
+const storageService = require('../services/storageService');
 const analyticsService = require('../services/analyticsService');
+const streamService = require('../services/streamService');
+const { isAgeRatingAllowed } = require('../utils/helpers');
 
 // Get episode by ID
 const getEpisodeById = asyncHandler(async (req, res) => {
@@ -18,7 +21,7 @@ const getEpisodeById = asyncHandler(async (req, res) => {
 
   if (!episode) {
     episode = await Episode.findById(episodeId)
-      .populate('contentId', 'title genre language type rating')
+      .populate('contentId', 'title genre language type rating ageRating')
       .lean();
 
     if (!episode) {
@@ -29,6 +32,10 @@ const getEpisodeById = asyncHandler(async (req, res) => {
     await setCache(cacheKey, episode, 3600);
   }
 
+  if (!isAgeRatingAllowed(episode.contentId?.ageRating, req.viewingProfile?.maxAgeRating)) {
+    throw new AppError('Content is not available for this profile', 403);
+  }
+
   // Get optimal video quality based on user preference
   let videoUrl = episode.videoUrl;
   let selectedQuality = '720p';
@@ -43,7 +50,8 @@ const getEpisodeById = asyncHandler(async (req, res) => {
     // Get user data usage preference
     const user = await User.findByUserId(userId);
     if (user && episode.qualityOptions?.length > 0) {
-      const optimalQuality = episode.getOptimalQuality(user.preferences.dataUsage);
+      const preferences = req.viewingProfile?.preferences || user.preferences;
+      const optimalQuality = episode.getOptimalQuality(preferences.dataUsage);
       videoUrl = optimalQuality.url;
       selectedQuality = optimalQuality.resolution;
     }
@@ -52,7 +60,7 @@ const getEpisodeById = asyncHandler(async (req, res) => {
   // Get watch progress if user ID provided
   let watchProgress = null;
   if (userId) {
-    const watchRecord = await Watchlist.findOne({ userId, episodeId });
+    const watchRecord = await Watchlist.findOne({ userId, profileId: req.profileId, episodeId });
     if (watchRecord) {
       watchProgress = {
         currentPosition: watchRecord.watchProgress.currentPosition,
@@ -63,6 +71,16 @@ const getEpisodeById = asyncHandler(async (req, res) => {
     }
   }
 
+  // Stored URLs point at the primary; while it is down they are served from the secondary
+  const [playbackUrl, thumbnailUrl, qualityOptions] = await Promise.all([
+    storageService.resolvePlaybackUrl(videoUrl),
+    storageService.resolvePlaybackUrl(episode.thumbnailUrl),
+    Promise.all((episode.qualityOptions || []).map(async option => ({
+      ...option,
+      url: await storageService.resolvePlaybackUrl(option.url)
+    })))
+  ]);
+
   // Get next and previous episodes
   const [nextEpisode, previousEpisode] = await Promise.all([
     Episode.getNextEpisode(episode.contentId, episode.episodeNumber, episode.seasonNumber),
@@ -90,7 +108,9 @@ const getEpisodeById = asyncHandler(async (req, res) => {
     data: {
       episode: {
         ...episode,
-        videoUrl,
+        videoUrl: playbackUrl,
+        thumbnailUrl,
+        qualityOptions,
         selectedQuality
       },
       watchProgress,
@@ -112,6 +132,26 @@ const getEpisodeById = asyncHandler(async (req, res) => {
   });
 });
 
+// Identify the screen a playback request comes from by what the token is bound to, never by the
+// X-Device-Id header (a fresh header per start would mean unlimited screens); tokens without a
+// device ID are told apart by jti, and legacy requests without a token by IP
+const getPlaybackDeviceId = (req) => {
+  if (req.user?.deviceId) return req.user.deviceId;
+  if (req.user?.jti) return `token:${req.user.jti}`;
+  return `ip:${req.ip}`;
+};
+
+// Start or keep alive the device's playback session; 429 when all screens are in use
+const claimStream = async (req, userId, episode) => {
+  const user = await User.findByUserId(userId).select('userId subscription').lean();
+
+  await streamService.startSession(user || { userId }, getPlaybackDeviceId(req), {
+    episodeId: episode._id.toString(),
+    contentId: episode.contentId.toString(),
+    profileId: req.profileId
+  });
+};
+
 // Start watching episode
 const startWatching = asyncHandler(async (req, res) => {
   const { episodeId } = req.params;
@@ -126,11 +166,21 @@ const startWatching = asyncHandler(async (req, res) => {
     throw new AppError('Episode not found', 404);
   }
 
+  if (req.viewingProfile?.maxAgeRating) {
+    const content = await Content.findById(episode.contentId).select('ageRating');
+    if (!isAgeRatingAllowed(content?.ageRating, req.viewingProfile.maxAgeRating)) {
+      throw new AppError('Content is not available for this profile', 403);
+    }
+  }
+
+  // Claim a screen before anything is recorded
+  await claimStream(req, userId, episode);
+
   // Increment view count
   await episode.incrementViews(userId);
 
   // Create or update watchlist entry
-  const existingRecord = await Watchlist.findOne({ userId, episodeId });
+  const existingRecord = await Watchlist.findOne({ userId, profileId: req.profileId, episodeId });
   
   if (existingRecord) {
     // Update existing record
@@ -143,6 +193,7 @@ const startWatching = asyncHandler(async (req, res) => {
     // Create new watchlist entry
     await Watchlist.create({
       userId,
+      profileId: req.profileId,
       contentId: episode.contentId,
       episodeId: episode._id,
       watchProgress: {
@@ -209,13 +260,17 @@ const updateWatchProgress = asyncHandler(async (req, res) => {
     throw new AppError('Episode not found', 404);
   }
 
+  // Progress updates double as playback heartbeats
+  await claimStream(req, userId, episode);
+
   // Find watchlist record
-  let watchRecord = await Watchlist.findOne({ userId, episodeId });
+  let watchRecord = await Watchlist.findOne({ userId, profileId: req.profileId, episodeId });
   
   if (!watchRecord) {
     // Create new record if doesn't exist
     watchRecord = await Watchlist.create({
       userId,
+      profileId: req.profileId,
       contentId: episode.contentId,
       episodeId: episode._id,
       watchProgress: {
@@ -286,7 +341,7 @@ const markCompleted = asyncHandler(async (req, res) => {
   }
 
   // Find and update watchlist record
-  const watchRecord = await Watchlist.findOne({ userId, episodeId });
+  const watchRecord = await Watchlist.findOne({ userId, profileId: req.profileId, episodeId });
   if (watchRecord) {
     await watchRecord.markAsCompleted();
     
@@ -296,6 +351,9 @@ const markCompleted = asyncHandler(async (req, res) => {
     }
   }
 
+  // Free the screen
+  await streamService.endSession(userId, getPlaybackDeviceId(req));
+
   // Update episode analytics
   if (totalWatchTime) {
     await episode.updateWatchTime(totalWatchTime, userId);
@@ -335,6 +393,22 @@ const markCompleted = asyncHandler(async (req, res) => {
   });
 });
 
+// Stop watching episode (frees the device's screen)
+const stopWatching = asyncHandler(async (req, res) => {
+  const { userId } = req.body;
+
+  if (!userId) {
+    throw new AppError('User ID is required', 400);
+  }
+
+  await streamService.endSession(userId, getPlaybackDeviceId(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Stopped watching episode'
+  });
+});
+
 // Get episode analytics
 const getEpisodeAnalytics = asyncHandler(async (req, res) => {
   const { episodeId } = req.params;
@@ -380,12 +454,13 @@ const toggleLike = asyncHandler(async (req, res) => {
   }
 
   // Find watchlist record
-  let watchRecord = await Watchlist.findOne({ userId, episodeId });
+  let watchRecord = await Watchlist.findOne({ userId, profileId: req.profileId, episodeId });
   
   if (!watchRecord) {
     // Create new record if doesn't exist
     watchRecord = await Watchlist.create({
       userId,
+      profileId: req.profileId,
       contentId: episode.contentId,
       episodeId: episode._id,
       watchProgress: {
@@ -454,7 +529,7 @@ const shareEpisode = asyncHandler(async (req, res) => {
 
   // Update watchlist if user exists
   if (userId) {
-    let watchRecord = await Watchlist.findOne({ userId, episodeId });
+    let watchRecord = await Watchlist.findOne({ userId, profileId: req.profileId, episodeId });
     if (watchRecord) {
       watchRecord.userInteraction.shared = true;
       await watchRecord.save();
@@ -505,9 +580,64 @@ const getPopularEpisodes = asyncHandler(async (req, res) => {
   });
 });
 
+const STREAMING_MANIFESTS = {
+  hls: { field: 'hls', contentType: 'application/vnd.apple.mpegurl', isReady: episode => episode.hls?.variants?.length > 0 },
+  dash: { field: 'dash', contentType: 'application/dash+xml', isReady: episode => episode.dash?.representations?.length > 0 && !!episode.dash.manifest }
+};
+
+// Serve an episode's adaptive streaming manifest (HLS master playlist or DASH MPD)
+const sendStreamingManifest = (format) => asyncHandler(async (req, res) => {
+  const { episodeId } = req.params;
+  const { field, contentType, isReady } = STREAMING_MANIFESTS[format];
+
+  // Per provider, so a failover (or recovery) is not hidden behind a manifest cached before it
+  const provider = await storageService.getActiveProvider();
+  const cacheKey = `episode:${episodeId}:${format}:${provider}`;
+  let manifest = await getCache(cacheKey);
+
+  if (!manifest) {
+    const episode = await Episode.findById(episodeId)
+      .select(`status duration contentId ${field}`)
+      .populate('contentId', 'ageRating')
+      .lean();
+
+    if (!episode || episode.status !== 'published') {
+      throw new AppError('Episode not found', 404);
+    }
+    if (!isReady(episode)) {
+      throw new AppError(`${format.toUpperCase()} stream is not available for this episode yet`, 404);
+    }
+
+    const { content } = await videoService.generateStreamingManifest(episode, format);
+    manifest = { content, ageRating: episode.contentId?.ageRating };
+
+    // Cache for 1 hour (cleared when the episode is re-transcoded)
+    await setCache(cacheKey, manifest, 3600);
+  }
+
+  if (!isAgeRatingAllowed(manifest.ageRating, req.viewingProfile?.maxAgeRating)) {
+    throw new AppError('Content is not available for this profile', 403);
+  }
+
+  res.set({
+    'Content-Type': contentType,
+    'Cache-Control': 'public, max-age=60'
+  });
+  res.status(200).send(manifest.content);
+});
+
+// Get the HLS master playlist for an episode
+const getHlsManifest = sendStreamingManifest('hls');
+
+// Get the DASH MPD for an episode
+const getDashManifest = sendStreamingManifest('dash');
+
 module.exports = {
   getEpisodeById,
+  getHlsManifest,
+  getDashManifest,
   startWatching,
+  stopWatching,
   updateWatchProgress,
   markCompleted,
   getEpisodeAnalytics,
@@ -6,21 +6,28 @@ const { setCache, getCache, deleteCache } = require('../config/redis');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const feedService = require('../services/feedService');
 const analyticsService = require('../services/analyticsService');
+const { getAllowedAgeRatings, isAgeRatingAllowed } = require('../utils/helpers');
 
 // Get random feed for user
 const getRandomFeed = asyncHandler(async (req, res) => {
   const { userId, limit = 20, offset = 0, genre, language } = req.query;
+  const { profileId, viewingProfile } = req;
 
   // Build cache key
-  const cacheKey = `feed:${userId || 'anonymous'}:${limit}:${offset}:${genre || 'all'}:${language || 'all'}`;
+  const cacheKey = `feed:${userId || 'anonymous'}:${profileId || 'main'}:${limit}:${offset}:${genre || 'all'}:${language || 'all'}`;
   
   // Try cache first
   let feedData = await getCache(cacheKey);
 
   if (!feedData) {
-    // Get user preferences if userId provided
+    // Get user (or viewing profile) preferences if userId provided
     let userPreferences = {};
-    if (userId) {
+    if (viewingProfile) {
+      userPreferences = {
+        genres: viewingProfile.preferences.preferredGenres,
+        languages: viewingProfile.preferences.preferredLanguages
+      };
+    } else if (userId) {
       const user = await User.findByUserId(userId);
       if (user) {
         userPreferences = {
@@ -39,7 +46,9 @@ const getRandomFeed = asyncHandler(async (req, res) => {
       userPreferences,
       limit: parseInt(limit),
       offset: parseInt(offset),
-      userId
+      userId,
+      profileId,
+      maxAgeRating: viewingProfile?.maxAgeRating
     });
 
     // Cache for 15 minutes (shorter cache for personalized feeds)
@@ -81,13 +90,17 @@ const getContentEpisodes = asyncHandler(async (req, res) => {
     throw new AppError('Content not found', 404);
   }
 
+  if (!isAgeRatingAllowed(content.ageRating, req.viewingProfile?.maxAgeRating)) {
+    throw new AppError('Content is not available for this profile', 403);
+  }
+
   // Get episodes
   const episodes = await Episode.getEpisodesByContent(contentId, seasonNumber);
 
   // Get user's watch progress if userId provided
   let watchProgress = {};
   if (userId) {
-    const progressData = await Watchlist.getUserProgress(userId, contentId);
+    const progressData = await Watchlist.getUserProgress(userId, contentId, req.profileId);
     watchProgress = progressData.reduce((acc, item) => {
       acc[item.episodeId.toString()] = {
         currentPosition: item.watchProgress.currentPosition,
@@ -259,6 +272,7 @@ const getPopularByGenre = asyncHandler(async (req, res) => {
 const getPersonalizedFeed = asyncHandler(async (req, res) => {
   const { userId } = req.params;
   const { limit = 20, excludeWatched = true } = req.query;
+  const { profileId, viewingProfile } = req;
 
   const user = await User.findByUserId(userId);
   if (!user) {
@@ -266,13 +280,14 @@ const getPersonalizedFeed = asyncHandler(async (req, res) => {
   }
 
   // Try cache first
-  const cacheKey = `personalized:${userId}:${limit}:${excludeWatched}`;
+  const cacheKey = `personalized:${userId}:${profileId || 'main'}:${limit}:${excludeWatched}`;
   let personalizedFeed = await getCache(cacheKey);
 
   if (!personalizedFeed) {
-    // Get user's watch history and preferences
-    const watchHistory = await Watchlist.getWatchedContent(userId);
+    // Get the profile's watch history and preferences
+    const watchHistory = await Watchlist.getWatchedContent(userId, profileId);
     const watchedContentIds = watchHistory.map(item => item._id);
+    const preferences = viewingProfile ? viewingProfile.preferences : user.preferences;
 
     // Build query based on user preferences
     const query = {
@@ -280,13 +295,21 @@ const getPersonalizedFeed = asyncHandler(async (req, res) => {
       'feedSettings.isInRandomFeed': true
     };
 
+    // Only show content the profile is allowed to watch
+    const allowedAgeRatings = getAllowedAgeRatings(viewingProfile?.maxAgeRating);
+    if (allowedAgeRatings) {
+      query.ageRating = { $in: allowedAgeRatings };
+    }
+
     // Exclude already watched content if requested
     if (excludeWatched === 'true' && watchedContentIds.length > 0) {
       query._id = { $nin: watchedContentIds };
     }
 
-    // Prefer user's favorite genres
-    if (user.analytics.favoriteGenres?.length > 0) {
+    // Prefer the profile's chosen genres, then the user's favorite genres
+    if (viewingProfile && preferences.preferredGenres?.length > 0) {
+      query.genre = { $in: preferences.preferredGenres };
+    } else if (user.analytics.favoriteGenres?.length > 0) {
       const favoriteGenres = user.analytics.favoriteGenres
         .slice(0, 5) // Top 5 genres
         .map(g => g.genre);
@@ -295,8 +318,8 @@ const getPersonalizedFeed = asyncHandler(async (req, res) => {
     }
 
     // Prefer user's languages
-    if (user.preferences.preferredLanguages?.length > 0) {
-      query.language = { $in: user.preferences.preferredLanguages };
+    if (preferences.preferredLanguages?.length > 0) {
+      query.language = { $in: preferences.preferredLanguages };
     }
 
     personalizedFeed = await Content.find(query)
@@ -317,6 +340,7 @@ const getPersonalizedFeed = asyncHandler(async (req, res) => {
       const generalContent = await Content.find({
         status: 'published',
         'feedSettings.isInRandomFeed': true,
+        ...(allowedAgeRatings && { ageRating: { $in: allowedAgeRatings } }),
         _id: { 
           $nin: [
             ...personalizedFeed.map(c => c._id),
@@ -349,13 +373,14 @@ const getPersonalizedFeed = asyncHandler(async (req, res) => {
 const getContinueWatching = asyncHandler(async (req, res) => {
   const { userId } = req.params;
   const { limit = 10 } = req.query;
+  const { profileId } = req;
 
   // Try cache first
-  const cacheKey = `continue:${userId}:${limit}`;
+  const cacheKey = `continue:${userId}:${profileId || 'main'}:${limit}`;
   let continueWatching = await getCache(cacheKey);
 
   if (!continueWatching) {
-    continueWatching = await Watchlist.getContinueWatching(userId, parseInt(limit));
+    continueWatching = await Watchlist.getContinueWatching(userId, parseInt(limit), profileId);
     
     // Cache for 5 minutes (short cache as this changes frequently)
     await setCache(cacheKey, continueWatching, 300);
@@ -376,8 +401,10 @@ const searchContent = asyncHandler(async (req, res) => {
     throw new AppError('Search query must be at least 2 characters', 400);
   }
 
+  const maxAgeRating = req.viewingProfile?.maxAgeRating;
+
   // Try cache first
-  const cacheKey = `search:${q}:${genre || 'all'}:${language || 'all'}:${type || 'all'}:${page}:${limit}`;
+  const cacheKey = `search:${q}:${genre || 'all'}:${language || 'all'}:${type || 'all'}:${maxAgeRating || 'any'}:${page}:${limit}`;
   let searchResults = await getCache(cacheKey);
 
   if (!searchResults) {
@@ -398,6 +425,9 @@ const searchContent = asyncHandler(async (req, res) => {
     if (language) query.language = { $in: [language] };
     if (type) query.type = type;
 
+    const allowedAgeRatings = getAllowedAgeRatings(maxAgeRating);
+    if (allowedAgeRatings) query.ageRating = { $in: allowedAgeRatings };
+
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     searchResults = await Content.find(query)
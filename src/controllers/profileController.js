@@ -0,0 +1,147 @@
+const User = require('../models/User');
+const Watchlist = require('../models/Watchlist');
+const { deleteCache } = require('../config/redis');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { AGE_RATINGS, MAX_VIEWING_PROFILES } = require('../utils/constants');
+
+// Load the household account; profiles are only available to registered users
+const getHouseholdAccount = async (userId) => {
+  const user = await User.findByUserId(userId);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (user.isAnonymous) {
+    throw new AppError('Register to add profiles', 403);
+  }
+
+  return user;
+};
+
+const formatProfiles = (user) => ([
+  {
+    profileId: null,
+    name: user.profile?.username || user.profile?.fullName || 'Main',
+    isMain: true,
+    isKids: false,
+    preferences: user.preferences
+  },
+  ...user.viewingProfiles.map(profile => ({
+    profileId: profile.profileId,
+    name: profile.name,
+    avatar: profile.avatar,
+    isMain: false,
+    isKids: profile.isKids,
+    maxAgeRating: profile.maxAgeRating,
+    preferences: profile.preferences,
+    createdAt: profile.createdAt
+  }))
+]);
+
+// List the account's profiles, main profile first
+const getProfiles = asyncHandler(async (req, res) => {
+  const user = await getHouseholdAccount(req.params.userId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      profiles: formatProfiles(user),
+      maxProfiles: MAX_VIEWING_PROFILES
+    }
+  });
+});
+
+// Add a viewing profile
+const createProfile = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { name, avatar, isKids = false, maxAgeRating, preferences } = req.body;
+
+  const user = await getHouseholdAccount(userId);
+
+  if (user.viewingProfiles.length >= MAX_VIEWING_PROFILES) {
+    throw new AppError(`An account can have at most ${MAX_VIEWING_PROFILES} additional profiles`, 400);
+  }
+
+  user.viewingProfiles.push({
+    name,
+    avatar,
+    isKids,
+    // Kids profiles default to all-ages content
+    maxAgeRating: maxAgeRating || (isKids ? AGE_RATINGS.ALL : undefined),
+    preferences: preferences || {}
+  });
+
+  await user.save();
+  await deleteCache(`user:${userId}`);
+
+  const profile = user.viewingProfiles[user.viewingProfiles.length - 1];
+
+  res.status(201).json({
+    success: true,
+    message: 'Profile created successfully',
+    data: { profile }
+  });
+});
+
+// Update a viewing profile
+const updateProfile = asyncHandler(async (req, res) => {
+  const { userId, profileId } = req.params;
+  const { name, avatar, isKids, maxAgeRating, preferences } = req.body;
+
+  const user = await getHouseholdAccount(userId);
+  const profile = user.getViewingProfile(profileId);
+
+  if (!profile) {
+    throw new AppError('Profile not found', 404);
+  }
+
+  if (name !== undefined) profile.name = name;
+  if (avatar !== undefined) profile.avatar = avatar;
+  if (isKids !== undefined) profile.isKids = isKids;
+  if (maxAgeRating !== undefined) profile.maxAgeRating = maxAgeRating || undefined;
+  if (profile.isKids && !profile.maxAgeRating) profile.maxAgeRating = AGE_RATINGS.ALL;
+  if (preferences) Object.assign(profile.preferences, preferences);
+
+  await user.save();
+  await deleteCache(`user:${userId}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Profile updated successfully',
+    data: { profile }
+  });
+});
+
+// Remove a viewing profile along with its watch history
+const deleteProfile = asyncHandler(async (req, res) => {
+  const { userId, profileId } = req.params;
+
+  const user = await getHouseholdAccount(userId);
+
+  if (!user.getViewingProfile(profileId)) {
+    throw new AppError('Profile not found', 404);
+  }
+
+  user.viewingProfiles = user.viewingProfiles.filter(profile => profile.profileId !== profileId);
+  await user.save();
+
+  const result = await Watchlist.deleteMany({ userId, profileId });
+
+  await deleteCache(`user:${userId}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Profile deleted successfully',
+    data: {
+      watchlistEntriesRemoved: result.deletedCount
+    }
+  });
+});
+
+module.exports = {
+  getProfiles,
+  createProfile,
+  updateProfile,
+  deleteProfile
+};
\ No newline at end of file
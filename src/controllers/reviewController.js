@@ -0,0 +1,156 @@
+const Content = require('../models/Content');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const reviewService = require('../services/reviewService');
+const auditService = require('../services/auditService');
+const { AUDIT_ACTIONS } = require('../utils/constants');
+
+const findContent = async (contentId) => {
+  const content = await Content.findById(contentId);
+  if (!content) {
+    throw new AppError('Content not found', 404);
+  }
+  return content;
+};
+
+const reviewSnapshot = (content) => ({
+  status: content.status,
+  assignee: content.review.assignee?.username || null,
+  decision: content.review.decision || null
+});
+
+// Review queue with assignee and age filters
+const getReviewQueue = asyncHandler(async (req, res) => {
+  const { status, assignee, minAgeHours, maxAgeHours, page = 1, limit = 20 } = req.query;
+
+  const { items, pagination } = await reviewService.getQueue(req.admin, {
+    status,
+    assignee,
+    minAgeHours,
+    maxAgeHours,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      items,
+      pagination
+    }
+  });
+});
+
+// Submit a draft for review
+const submitForReview = asyncHandler(async (req, res) => {
+  const content = await findContent(req.params.contentId);
+  const before = reviewSnapshot(content);
+
+  await reviewService.submit(content, req.admin, req.body);
+
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.CONTENT_SUBMIT_REVIEW,
+    targetType: 'content',
+    targetIds: [content._id],
+    before,
+    after: reviewSnapshot(content),
+    metadata: { comment: req.body.comment }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Content submitted for review',
+    data: {
+      contentId: content._id,
+      status: content.status,
+      review: content.review
+    }
+  });
+});
+
+// Assign a submission to a reviewer
+const assignReviewer = asyncHandler(async (req, res) => {
+  const content = await findContent(req.params.contentId);
+  const before = reviewSnapshot(content);
+
+  await reviewService.assign(content, req.admin, req.body.assigneeId);
+
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.CONTENT_ASSIGN_REVIEWER,
+    targetType: 'content',
+    targetIds: [content._id],
+    before,
+    after: reviewSnapshot(content)
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Reviewer assigned',
+    data: {
+      contentId: content._id,
+      status: content.status,
+      review: content.review
+    }
+  });
+});
+
+// Approve a submission so it can be published
+const approveContent = asyncHandler(async (req, res) => {
+  const content = await findContent(req.params.contentId);
+  const before = reviewSnapshot(content);
+
+  await reviewService.approve(content, req.admin, req.body.comment);
+
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.CONTENT_APPROVE,
+    targetType: 'content',
+    targetIds: [content._id],
+    before,
+    after: reviewSnapshot(content),
+    metadata: { comment: req.body.comment }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Content approved',
+    data: {
+      contentId: content._id,
+      status: content.status,
+      review: content.review
+    }
+  });
+});
+
+// Send a submission back to draft with a comment
+const rejectContent = asyncHandler(async (req, res) => {
+  const content = await findContent(req.params.contentId);
+  const before = reviewSnapshot(content);
+
+  await reviewService.reject(content, req.admin, req.body.comment);
+
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.CONTENT_REJECT,
+    targetType: 'content',
+    targetIds: [content._id],
+    before,
+    after: reviewSnapshot(content),
+    metadata: { comment: req.body.comment }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Content sent back to draft',
+    data: {
+      contentId: content._id,
+      status: content.status,
+      review: content.review
+    }
+  });
+});
+
+module.exports = {
+  getReviewQueue,
+  submitForReview,
+  assignReviewer,
+  approveContent,
+  rejectContent
+};
\ No newline at end of file
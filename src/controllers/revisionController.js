@@ -0,0 +1,89 @@
+const Content = require('../models/Content');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const revisionService = require('../services/revisionService');
+const auditService = require('../services/auditService');
+const cacheService = require('../services/cacheService');
+const { AUDIT_ACTIONS } = require('../utils/constants');
+
+// List the metadata revisions of a content, newest first
+const getContentRevisions = asyncHandler(async (req, res) => {
+  const { contentId } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+
+  const { revisions, pagination } = await revisionService.list(contentId, {
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      revisions,
+      pagination
+    }
+  });
+});
+
+// Get one revision with its full snapshot
+const getContentRevision = asyncHandler(async (req, res) => {
+  const { contentId, revision } = req.params;
+
+  const doc = await revisionService.get(contentId, parseInt(revision));
+
+  res.status(200).json({
+    success: true,
+    data: doc
+  });
+});
+
+// Field-level diff between two revisions
+const diffContentRevisions = asyncHandler(async (req, res) => {
+  const { contentId } = req.params;
+  const { from, to } = req.query;
+
+  const diff = await revisionService.diff(contentId, parseInt(from), parseInt(to));
+
+  res.status(200).json({
+    success: true,
+    data: diff
+  });
+});
+
+// Restore content metadata to an earlier revision
+const rollbackContentRevision = asyncHandler(async (req, res) => {
+  const { contentId, revision } = req.params;
+
+  const content = await Content.findById(contentId);
+  if (!content) {
+    throw new AppError('Content not found', 404);
+  }
+
+  const result = await revisionService.rollback(req, content, parseInt(revision));
+
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.CONTENT_ROLLBACK,
+    targetType: 'content',
+    targetIds: [content._id],
+    before: result.before,
+    after: revisionService.snapshot(content),
+    metadata: { restoredRevision: parseInt(revision) }
+  });
+
+  await cacheService.invalidateCatalogCaches({ contentIds: [content._id] });
+
+  res.status(200).json({
+    success: true,
+    message: `Content rolled back to revision ${revision}`,
+    data: {
+      content,
+      revision: result.revision ? result.revision.revision : null
+    }
+  });
+});
+
+module.exports = {
+  getContentRevisions,
+  getContentRevision,
+  diffContentRevisions,
+  rollbackContentRevision
+};
\ No newline at end of file
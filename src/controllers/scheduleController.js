@@ -0,0 +1,155 @@
+const Content = require('../models/Content');
+const Episode = require('../models/Episode');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const schedulingService = require('../services/schedulingService');
+const auditService = require('../services/auditService');
+const { AUDIT_ACTIONS } = require('../utils/constants');
+
+const scheduleSnapshot = (doc) => ({
+  scheduledPublishAt: doc.scheduledPublishAt || null,
+  scheduledUnpublishAt: doc.scheduledUnpublishAt || null,
+  scheduledFeedPriority: doc.scheduledFeedPriority || null
+});
+
+const findScheduleTarget = async (type, id) => {
+  const doc = type === 'content' ? await Content.findById(id) : await Episode.findById(id);
+  if (!doc) {
+    throw new AppError(type === 'content' ? 'Content not found' : 'Episode not found', 404);
+  }
+  return doc;
+};
+
+// List upcoming publish/unpublish times
+const getSchedules = asyncHandler(async (req, res) => {
+  const { type = 'content', from, to, page = 1, limit = 20 } = req.query;
+
+  const { items, pagination } = await schedulingService.getUpcoming(type, {
+    from,
+    to,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      type,
+      items,
+      pagination
+    }
+  });
+});
+
+// Schedule content to publish and/or unpublish
+const scheduleContent = asyncHandler(async (req, res) => {
+  const content = await findScheduleTarget('content', req.params.contentId);
+  const before = scheduleSnapshot(content);
+
+  await schedulingService.setSchedule(content, req.body, req.user.username);
+
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.CONTENT_SCHEDULE,
+    targetType: 'content',
+    targetIds: [content._id],
+    before,
+    after: scheduleSnapshot(content)
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Content schedule updated',
+    data: {
+      contentId: content._id,
+      status: content.status,
+      ...scheduleSnapshot(content)
+    }
+  });
+});
+
+// Cancel a content schedule
+const cancelContentSchedule = asyncHandler(async (req, res) => {
+  const content = await findScheduleTarget('content', req.params.contentId);
+  const before = scheduleSnapshot(content);
+
+  await schedulingService.cancelSchedule(content, req.query.action);
+
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.CONTENT_SCHEDULE_CANCEL,
+    targetType: 'content',
+    targetIds: [content._id],
+    before,
+    after: scheduleSnapshot(content)
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Content schedule cancelled',
+    data: {
+      contentId: content._id,
+      status: content.status,
+      ...scheduleSnapshot(content)
+    }
+  });
+});
+
+// Schedule an episode to publish and/or unpublish
+const scheduleEpisode = asyncHandler(async (req, res) => {
+  const episode = await findScheduleTarget('episode', req.params.episodeId);
+  const before = scheduleSnapshot(episode);
+
+  await schedulingService.setSchedule(episode, req.body, req.user.username);
+
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.EPISODE_SCHEDULE,
+    targetType: 'episode',
+    targetIds: [episode._id, episode.contentId],
+    before,
+    after: scheduleSnapshot(episode)
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Episode schedule updated',
+    data: {
+      episodeId: episode._id,
+      status: episode.status,
+      scheduledPublishAt: episode.scheduledPublishAt || null,
+      scheduledUnpublishAt: episode.scheduledUnpublishAt || null
+    }
+  });
+});
+
+// Cancel an episode schedule
+const cancelEpisodeSchedule = asyncHandler(async (req, res) => {
+  const episode = await findScheduleTarget('episode', req.params.episodeId);
+  const before = scheduleSnapshot(episode);
+
+  await schedulingService.cancelSchedule(episode, req.query.action);
+
+  await auditService.record(req, {
+    action: AUDIT_ACTIONS.EPISODE_SCHEDULE_CANCEL,
+    targetType: 'episode',
+    targetIds: [episode._id, episode.contentId],
+    before,
+    after: scheduleSnapshot(episode)
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Episode schedule cancelled',
+    data: {
+      episodeId: episode._id,
+      status: episode.status,
+      scheduledPublishAt: episode.scheduledPublishAt || null,
+      scheduledUnpublishAt: episode.scheduledUnpublishAt || null
+    }
+  });
+});
+
+module.exports = {
+  getSchedules,
+  scheduleContent,
+  cancelContentSchedule,
+  scheduleEpisode,
+  cancelEpisodeSchedule
+};
\ No newline at end of file
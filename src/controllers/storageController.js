@@ -0,0 +1,67 @@
+const express = require('express');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const localStorageService = require('../services/localStorageService');
+
+// Object key from the request path (the router is mounted at localStorageService.routePath)
+const objectKey = (req) => {
+  try {
+    return decodeURIComponent(req.path.replace(/^\/+/, ''));
+  } catch (error) {
+    throw new AppError('Invalid object key', 400);
+  }
+};
+
+// Public prefixes are readable by anyone, like the CDN; everything else needs a signed URL
+const authorizeRead = (req, res, next) => {
+  const key = objectKey(req);
+
+  if (!localStorageService.isPublic(key) && !localStorageService.verifySignedRequest(req, key)) {
+    throw new AppError('Invalid or expired signature', 403);
+  }
+
+  if (req.query['response-content-type']) {
+    res.type(req.query['response-content-type']);
+  }
+  // Players and admin tools load media from other origins
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  next();
+};
+
+const serveObject = express.static(localStorageService.objectsDir, {
+  dotfiles: 'deny',
+  index: false,
+  redirect: false
+});
+
+// Signed PUT (direct uploads): the body is written as-is
+const putObject = asyncHandler(async (req, res) => {
+  const key = objectKey(req);
+
+  if (!localStorageService.verifySignedRequest(req, key)) {
+    throw new AppError('Invalid or expired signature', 403);
+  }
+
+  const metadata = Object.fromEntries(
+    Object.entries(req.headers)
+      .filter(([header]) => header.startsWith('x-meta-'))
+      .map(([header, value]) => [header.slice('x-meta-'.length), value])
+  );
+
+  const result = await localStorageService.uploadStream(req, {
+    fileName: key,
+    contentType: req.get('content-type') || 'application/octet-stream',
+    metadata
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'File uploaded',
+    data: { fileName: result.fileName, size: result.size }
+  });
+});
+
+module.exports = {
+  authorizeRead,
+  serveObject,
+  putObject
+};
\ No newline at end of file
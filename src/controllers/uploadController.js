@@ -0,0 +1,125 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const uploadService = require('../services/uploadService');
+
+// What a client needs to resume: which chunks are still missing
+const sessionView = (session) => ({
+  uploadId: session.uploadId,
+  method: session.method,
+  status: session.status,
+  fileName: session.fileName,
+  fileSize: session.fileSize,
+  chunkSize: session.chunkSize,
+  totalChunks: session.totalChunks,
+  receivedChunks: session.receivedChunks.length,
+  bytesReceived: session.bytesReceived,
+  missingChunks: session.getMissingChunks(),
+  episodeId: session.episodeId || null,
+  jobId: session.jobId || null,
+  error: session.error || null,
+  expiresAt: session.expiresAt
+});
+
+// Start a resumable upload
+const createUpload = asyncHandler(async (req, res) => {
+  const { fileName, fileSize, contentType, chunkSize, checksum, ...episode } = req.body;
+
+  const session = await uploadService.createSession(req.admin, {
+    fileName,
+    fileSize,
+    contentType,
+    chunkSize,
+    checksum,
+    episode
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Upload started',
+    data: sessionView(session)
+  });
+});
+
+// Start a direct upload: returns a presigned PUT for the bucket
+const createPresignedUpload = asyncHandler(async (req, res) => {
+  const { fileName, fileSize, contentType, ...episode } = req.body;
+
+  const { session, upload } = await uploadService.createPresignedSession(req.admin, {
+    fileName,
+    fileSize,
+    contentType,
+    episode
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Upload slot created; PUT the file to the URL, then call complete',
+    data: {
+      ...sessionView(session),
+      upload
+    }
+  });
+});
+
+// Get upload progress (used to resume after a dropped connection)
+const getUpload = asyncHandler(async (req, res) => {
+  const session = await uploadService.getSession(req.params.uploadId);
+
+  res.status(200).json({
+    success: true,
+    data: sessionView(session)
+  });
+});
+
+// Receive one chunk as the raw request body
+const uploadChunk = asyncHandler(async (req, res) => {
+  const session = await uploadService.getSession(req.params.uploadId);
+  const index = parseInt(req.params.index);
+
+  const updated = await uploadService.writeChunk(session, index, req, {
+    sha256: req.get('x-chunk-sha256')
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Chunk ${index} received`,
+    data: {
+      uploadId: updated.uploadId,
+      receivedChunks: updated.receivedChunks.length,
+      totalChunks: updated.totalChunks,
+      bytesReceived: updated.bytesReceived
+    }
+  });
+});
+
+// Assemble the chunks (or verify a direct upload) and hand the file to the transcoding pipeline
+const completeUpload = asyncHandler(async (req, res) => {
+  const session = await uploadService.getSession(req.params.uploadId);
+  const { session: current, started } = await uploadService.complete(session, req);
+
+  res.status(started ? 202 : 200).json({
+    success: true,
+    message: started ? 'Upload is being assembled' : 'Upload completed',
+    data: sessionView(current)
+  });
+});
+
+// Abort an upload and drop its chunks or uploaded object
+const abortUpload = asyncHandler(async (req, res) => {
+  const session = await uploadService.getSession(req.params.uploadId);
+  await uploadService.abort(session);
+
+  res.status(200).json({
+    success: true,
+    message: 'Upload aborted',
+    data: sessionView(session)
+  });
+});
+
+module.exports = {
+  createUpload,
+  createPresignedUpload,
+  getUpload,
+  uploadChunk,
+  completeUpload,
+  abortUpload
+};
\ No newline at end of file
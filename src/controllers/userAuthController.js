@@ -0,0 +1,409 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Watchlist = require('../models/Watchlist');
+const Analytics = require('../models/Analytics');
+const Device = require('../models/Device');
+const { deleteCache } = require('../config/redis');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const tokenService = require('../services/tokenService');
+const otpService = require('../services/otpService');
+const accountDeletionService = require('../services/accountDeletionService');
+const { normalizePhoneNumber } = require('../utils/helpers');
+
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Drop cached copies of a user's data
+const clearUserCache = async (userId) => {
+  await deleteCache(`user:${userId}`);
+  await deleteCache(`stats:${userId}`);
+  await deleteCache(`feed:${userId}`);
+};
+
+// Issue an access/refresh token pair for an app user, bound to a device when known
+const issueUserTokens = (user, deviceId) => {
+  return tokenService.issueTokens(tokenService.getSubject('user', user.userId), {
+    userId: user.userId,
+    type: 'user',
+    ...(deviceId && { deviceId })
+  });
+};
+
+// Add the signing-in device to the user's device list; returns its deviceId
+const recordDevice = async (user, req) => {
+  const deviceInfo = { ...req.body.deviceInfo };
+  deviceInfo.deviceId = deviceInfo.deviceId || req.deviceId;
+
+  if (!deviceInfo.deviceId) return null;
+
+  await Device.recordSignIn(user.userId, deviceInfo, req.ip);
+  return deviceInfo.deviceId;
+};
+
+// Log out every session of a user; tolerated when the session store is down
+const revokeUserSessions = async (user) => {
+  try {
+    return await tokenService.revokeAllSessions(tokenService.getSubject('user', user.userId));
+  } catch (error) {
+    console.error('User session revoke error:', error.message);
+    return 0;
+  }
+};
+
+/**
+ * Move an anonymous user's watch history, analytics events and preferences
+ * onto a registered account, then remove the anonymous user.
+ * On a watchlist clash for the same episode the most recently watched entry wins.
+ */
+const mergeAnonymousUser = async (anonymousUser, account) => {
+  const fromId = anonymousUser.userId;
+  const toId = account.userId;
+
+  const [anonymousEntries, accountEntries] = await Promise.all([
+    Watchlist.find({ userId: fromId, profileId: null }).select('episodeId sessionInfo.lastWatchedAt'),
+    Watchlist.find({ userId: toId, profileId: null }).select('episodeId sessionInfo.lastWatchedAt')
+  ]);
+
+  const accountEntriesByEpisode = new Map(
+    accountEntries.map(entry => [entry.episodeId.toString(), entry])
+  );
+
+  let watchlistMoved = 0;
+  for (const entry of anonymousEntries) {
+    const existing = accountEntriesByEpisode.get(entry.episodeId.toString());
+
+    if (existing && existing.sessionInfo.lastWatchedAt >= entry.sessionInfo.lastWatchedAt) {
+      await Watchlist.deleteOne({ _id: entry._id });
+      continue;
+    }
+
+    if (existing) {
+      await Watchlist.deleteOne({ _id: existing._id });
+    }
+    await Watchlist.updateOne({ _id: entry._id }, { userId: toId });
+    watchlistMoved += 1;
+  }
+
+  const analyticsResult = await Analytics.updateMany({ userId: fromId }, { userId: toId });
+
+  // The device is recorded on the account again as part of this sign-in
+  await Device.deleteMany({ userId: fromId });
+
+  // Preferences: keep the account's choices, add anything new from the device
+  const mergeList = (target, source) => [...new Set([...(target || []), ...(source || [])])];
+  account.preferences.preferredGenres = mergeList(
+    account.preferences.preferredGenres,
+    anonymousUser.preferences.preferredGenres
+  ).slice(0, 10);
+  account.preferences.preferredLanguages = mergeList(
+    account.preferences.preferredLanguages,
+    anonymousUser.preferences.preferredLanguages
+  ).slice(0, 5);
+
+  // Counters are additive
+  account.analytics.totalWatchTime += anonymousUser.analytics.totalWatchTime || 0;
+  account.analytics.videosWatched += anonymousUser.analytics.videosWatched || 0;
+  account.analytics.totalSessions += anonymousUser.analytics.totalSessions || 0;
+  if (account.analytics.totalSessions > 0) {
+    account.analytics.averageSessionDuration =
+      account.analytics.totalWatchTime / account.analytics.totalSessions;
+  }
+
+  ['likes', 'shares', 'swipeRight', 'swipeLeft'].forEach(field => {
+    account.engagement[field] += anonymousUser.engagement[field] || 0;
+  });
+
+  if (anonymousUser.firstSeenAt < account.firstSeenAt) {
+    account.firstSeenAt = anonymousUser.firstSeenAt;
+  }
+
+  await User.deleteOne({ userId: fromId });
+  await clearUserCache(fromId);
+
+  return {
+    fromUserId: fromId,
+    watchlistMoved,
+    analyticsMoved: analyticsResult.modifiedCount
+  };
+};
+
+// Register credentials for an anonymous user (or a brand new one)
+const register = asyncHandler(async (req, res) => {
+  const { userId, email, password, username, fullName, deviceInfo } = req.body;
+
+  const existingAccount = await User.findByEmail(email);
+  if (existingAccount) {
+    throw new AppError('Email already registered', 409);
+  }
+
+  let user;
+  if (userId) {
+    user = await User.findByUserId(userId);
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    if (!user.isAnonymous) {
+      throw new AppError('User is already registered', 409);
+    }
+  } else {
+    user = new User({ deviceInfo: deviceInfo || {} });
+  }
+
+  // Same userId, so watchlist, analytics and preferences stay attached
+  await user.register({ email, password, username, fullName });
+  await clearUserCache(user.userId);
+
+  const deviceId = await recordDevice(user, req);
+  const tokens = await issueUserTokens(user, deviceId);
+
+  res.status(201).json({
+    success: true,
+    message: 'User registered successfully',
+    data: {
+      userId: user.userId,
+      profile: user.profile,
+      preferences: user.preferences,
+      ...tokens
+    }
+  });
+});
+
+// Log in with email and password, optionally folding in this device's anonymous user
+const login = asyncHandler(async (req, res) => {
+  const { email, password, anonymousUserId } = req.body;
+
+  const user = await User.findByEmail(email, true);
+  if (!user || !(await user.comparePassword(password))) {
+    throw new AppError('Invalid email or password', 401);
+  }
+
+  // Logging back in during the grace period cancels a pending deletion
+  const restored = user.status === 'pending_deletion';
+  if (restored) {
+    await accountDeletionService.restoreAccount(user);
+  }
+
+  if (user.status !== 'active') {
+    throw new AppError('User account is not active', 403);
+  }
+
+  let merged = null;
+  if (anonymousUserId && anonymousUserId !== user.userId) {
+    const anonymousUser = await User.findByUserId(anonymousUserId);
+    if (anonymousUser?.isAnonymous) {
+      merged = await mergeAnonymousUser(anonymousUser, user);
+    }
+  }
+
+  user.credentials.lastLoginAt = new Date();
+  await user.updateActivity();
+  await clearUserCache(user.userId);
+
+  const deviceId = await recordDevice(user, req);
+  const tokens = await issueUserTokens(user, deviceId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      userId: user.userId,
+      profile: user.profile,
+      preferences: user.preferences,
+      merged,
+      restored,
+      ...tokens
+    }
+  });
+});
+
+// Exchange a user refresh token for a new token pair
+const refresh = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const session = await tokenService.consumeRefreshToken(refreshToken, 'user');
+
+  const user = session.claims?.userId ? await User.findByUserId(session.claims.userId) : null;
+  if (!user || user.status !== 'active') {
+    throw new AppError('User account is not active or no longer exists', 401);
+  }
+
+  const { deviceId } = session.claims;
+  if (await tokenService.isDeviceRevoked(session.subject, deviceId, new Date(session.issuedAt).getTime())) {
+    throw new AppError('This device has been signed out', 401);
+  }
+
+  const tokens = await issueUserTokens(user, deviceId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Token refreshed',
+    data: tokens
+  });
+});
+
+// Revoke the current access token and the given refresh token
+const logout = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  await tokenService.revokeAccessToken(req.user);
+  await tokenService.revokeRefreshToken(refreshToken, 'user');
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+});
+
+// Start a password reset; the response is the same whether or not the email exists
+const requestPasswordReset = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findByEmail(email);
+  let resetToken;
+
+  if (user) {
+    resetToken = crypto.randomBytes(32).toString('hex');
+    user.credentials.passwordResetToken = hashResetToken(resetToken);
+    user.credentials.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL);
+    await user.save();
+
+    // No mail provider is wired up yet; the token is delivered out of band
+    console.log(`🔑 Password reset requested for user ${user.userId}`);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'If that email is registered, a password reset link has been sent',
+    ...(process.env.NODE_ENV === 'development' && resetToken && { data: { resetToken } })
+  });
+});
+
+// Complete a password reset and log out every existing session
+const confirmPasswordReset = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const user = await User.findOne({
+    'credentials.passwordResetToken': hashResetToken(token),
+    'credentials.passwordResetExpires': { $gt: new Date() }
+  });
+
+  if (!user) {
+    throw new AppError('Invalid or expired reset token', 400);
+  }
+
+  user.credentials.password = password;
+  user.credentials.passwordResetToken = undefined;
+  user.credentials.passwordResetExpires = undefined;
+  await user.save();
+
+  await revokeUserSessions(user);
+  await clearUserCache(user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password reset successfully'
+  });
+});
+
+// Resolve a request's phone number to E.164 or fail with 400
+const requirePhoneNumber = (phoneNumber) => {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  if (!normalized) {
+    throw new AppError('Invalid phone number', 400);
+  }
+  return normalized;
+};
+
+// Send a login code by SMS
+const requestOtp = asyncHandler(async (req, res) => {
+  const phoneNumber = requirePhoneNumber(req.body.phoneNumber);
+
+  const result = await otpService.requestOtp(phoneNumber);
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification code sent',
+    data: {
+      phoneNumber,
+      ...result
+    }
+  });
+});
+
+/**
+ * Verify a login code and sign in the user who owns the phone number.
+ * First-time numbers are attached to the device's anonymous user (or a new user);
+ * a known number absorbs the device's anonymous user like email login does.
+ */
+const verifyOtp = asyncHandler(async (req, res) => {
+  const { code, anonymousUserId, deviceInfo } = req.body;
+  const phoneNumber = requirePhoneNumber(req.body.phoneNumber);
+
+  await otpService.verifyOtp(phoneNumber, code);
+
+  const anonymousUser = anonymousUserId ? await User.findByUserId(anonymousUserId) : null;
+  let user = await User.findByPhone(phoneNumber);
+  let merged = null;
+  let isNew = false;
+
+  let restored = false;
+
+  if (user) {
+    // Logging back in during the grace period cancels a pending deletion
+    if (user.status === 'pending_deletion') {
+      await accountDeletionService.restoreAccount(user);
+      restored = true;
+    }
+
+    if (user.status !== 'active') {
+      throw new AppError('User account is not active', 403);
+    }
+
+    if (anonymousUser?.isAnonymous && anonymousUser.userId !== user.userId) {
+      merged = await mergeAnonymousUser(anonymousUser, user);
+    }
+    await user.updateActivity();
+  } else {
+    if (anonymousUser?.isAnonymous) {
+      user = anonymousUser;
+    } else {
+      user = new User({ deviceInfo: deviceInfo || {} });
+      isNew = true;
+    }
+    await user.verifyPhone(phoneNumber);
+  }
+
+  await clearUserCache(user.userId);
+
+  const deviceId = await recordDevice(user, req);
+  const tokens = await issueUserTokens(user, deviceId);
+
+  res.status(isNew ? 201 : 200).json({
+    success: true,
+    message: 'Phone number verified',
+    data: {
+      userId: user.userId,
+      phoneNumber,
+      profile: user.profile,
+      preferences: user.preferences,
+      isNew,
+      merged,
+      restored,
+      ...tokens
+    }
+  });
+});
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  requestPasswordReset,
+  confirmPasswordReset,
+  requestOtp,
+  verifyOtp
+};
\ No newline at end of file
@@ -1,7 +1,13 @@
 const User = require('../models/User');
+const Device = require('../models/Device');
+const DataExport = require('../models/DataExport');
 const { setCache, getCache, deleteCache } = require('../config/redis');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const analyticsService = require('../services/analyticsService');
+const tokenService = require('../services/tokenService');
+const exportService = require('../services/exportService');
+const accountDeletionService = require('../services/accountDeletionService');
+const { getAllowedAgeRatings } = require('../utils/helpers');
 
 // Create anonymous user
 const createUser = asyncHandler(async (req, res) => {
@@ -9,18 +15,38 @@ const createUser = asyncHandler(async (req, res) => {
 
   // Check if user already exists with this device ID
   if (deviceInfo?.deviceId) {
-    const existingUser = await User.findOne({ 
-      'deviceInfo.deviceId': deviceInfo.deviceId 
-    });
-    
+    const deviceQuery = {
+      'deviceInfo.deviceId': deviceInfo.deviceId,
+      status: { $ne: 'pending_deletion' }
+    };
+
+    // A device ID alone is not enough to act as a registered account
+    if (await User.exists({ ...deviceQuery, isAnonymous: false })) {
+      return res.status(200).json({
+        success: true,
+        message: 'Device belongs to a registered account, please log in',
+        data: {
+          requiresLogin: true
+        }
+      });
+    }
+
+    // Device IDs are not secret either: only the holder of the user's current token gets it back
+    // with a new one, anyone else gets a fresh anonymous user below
+    const existingUser = req.user?.userId
+      ? await User.findOne({ ...deviceQuery, userId: req.user.userId, isAnonymous: true })
+      : null;
+
     if (existingUser) {
       await existingUser.updateActivity();
-      
+      await Device.recordSignIn(existingUser.userId, deviceInfo, req.ip);
+
       return res.status(200).json({
         success: true,
         message: 'User already exists',
         data: {
           userId: existingUser.userId,
+          token: tokenService.signDeviceToken(existingUser.userId, deviceInfo.deviceId),
           preferences: existingUser.preferences,
           analytics: existingUser.analytics
         }
@@ -38,6 +64,10 @@ const createUser = asyncHandler(async (req, res) => {
 
   const user = await User.create(userData);
 
+  if (deviceInfo?.deviceId) {
+    await Device.recordSignIn(user.userId, deviceInfo, req.ip);
+  }
+
   // Cache user data
   await setCache(`user:${user.userId}`, user, 3600); // 1 hour cache
 
@@ -55,6 +85,7 @@ const createUser = asyncHandler(async (req, res) => {
     message: 'Anonymous user created successfully',
     data: {
       userId: user.userId,
+      token: tokenService.signDeviceToken(user.userId, user.deviceInfo?.deviceId),
       preferences: user.preferences,
       isNew: true
     }
@@ -149,9 +180,12 @@ const updateUserPreferences = asyncHandler(async (req, res) => {
     throw new AppError('User not found', 404);
   }
 
-  // Update preferences
+  // Update preferences of the selected viewing profile, or the main profile
+  const viewingProfile = req.profileId ? user.getViewingProfile(req.profileId) : null;
+  const target = viewingProfile || user;
+
   if (preferences) {
-    Object.assign(user.preferences, preferences);
+    Object.assign(target.preferences, preferences);
   }
 
   // Update location
@@ -171,7 +205,8 @@ const updateUserPreferences = asyncHandler(async (req, res) => {
     success: true,
     message: 'User preferences updated successfully',
     data: {
-      preferences: user.preferences,
+      profileId: req.profileId,
+      preferences: target.preferences,
       location: user.location
     }
   });
@@ -326,11 +361,13 @@ const getUserRecommendations = asyncHandler(async (req, res) => {
   }
 
   // Try cache first
-  const cacheKey = `recommendations:${userId}:${limit}`;
+  const cacheKey = `recommendations:${userId}:${req.profileId || 'main'}:${limit}`;
   let recommendations = await getCache(cacheKey);
 
   if (!recommendations) {
     const Content = require('../models/Content');
+    const viewingProfile = req.viewingProfile;
+    const preferences = viewingProfile ? viewingProfile.preferences : user.preferences;
     
     // Get recommendations based on user preferences
     const query = {
@@ -338,14 +375,20 @@ const getUserRecommendations = asyncHandler(async (req, res) => {
       'feedSettings.isInRandomFeed': true
     };
 
+    // Kids profiles only see content up to their age rating
+    const allowedAgeRatings = getAllowedAgeRatings(viewingProfile?.maxAgeRating);
+    if (allowedAgeRatings) {
+      query.ageRating = { $in: allowedAgeRatings };
+    }
+
     // Add genre preferences
-    if (user.preferences.preferredGenres?.length > 0) {
-      query.genre = { $in: user.preferences.preferredGenres };
+    if (preferences.preferredGenres?.length > 0) {
+      query.genre = { $in: preferences.preferredGenres };
     }
 
     // Add language preferences
-    if (user.preferences.preferredLanguages?.length > 0) {
-      query.language = { $in: user.preferences.preferredLanguages };
+    if (preferences.preferredLanguages?.length > 0) {
+      query.language = { $in: preferences.preferredLanguages };
     }
 
     recommendations = await Content.find(query)
@@ -365,8 +408,10 @@ const getUserRecommendations = asyncHandler(async (req, res) => {
 });
 
 // Delete user (GDPR compliance)
+// Soft-deletes now; accountDeletionService purges the data once the grace window ends
 const deleteUser = asyncHandler(async (req, res) => {
   const { userId } = req.params;
+  const { reason } = req.body;
 
   const user = await User.findByUserId(userId);
   
@@ -374,23 +419,109 @@ const deleteUser = asyncHandler(async (req, res) => {
     throw new AppError('User not found', 404);
   }
 
-  // Delete user data
-  await User.deleteOne({ userId });
-  
-  // Delete from cache
-  await deleteCache(`user:${userId}`);
-  await deleteCache(`stats:${userId}`);
-  await deleteCache(`recommendations:${userId}:*`);
-  await deleteCache(`feed:${userId}`);
+  if (user.status === 'pending_deletion') {
+    throw new AppError('Account is already scheduled for deletion', 409);
+  }
 
-  // Note: In production, you might want to:
-  // 1. Anonymize analytics data instead of deleting
-  // 2. Keep aggregated stats for business intelligence
-  // 3. Follow data retention policies
+  const { scheduledFor, restoreToken } = await accountDeletionService.requestDeletion(user, reason);
 
   res.status(200).json({
     success: true,
-    message: 'User deleted successfully'
+    message: 'Account scheduled for deletion',
+    data: {
+      userId,
+      scheduledFor,
+      gracePeriodDays: accountDeletionService.graceDays,
+      // Keep this to undo the deletion; registered users can also just log in again
+      restoreToken
+    }
+  });
+});
+
+// Cancel a pending account deletion with the restore token
+const restoreUser = asyncHandler(async (req, res) => {
+  const { userId, restoreToken } = req.body;
+
+  const user = await accountDeletionService.findByRestoreToken(userId, restoreToken);
+  await accountDeletionService.restoreAccount(user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Account restored successfully',
+    data: {
+      userId: user.userId,
+      isAnonymous: user.isAnonymous,
+      // Registered accounts log in again; anonymous ones get a fresh device token
+      ...(user.isAnonymous && {
+        token: tokenService.signDeviceToken(user.userId, user.deviceInfo?.deviceId)
+      })
+    }
+  });
+});
+
+// Export everything stored about a user (GDPR / DPDP right of access)
+const exportUserData = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { format = 'zip', background } = req.query;
+
+  const user = await User.findByUserId(userId);
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const recordCount = await exportService.countRecords(userId);
+
+  // Large accounts get a background job and a signed download link
+  if (background || exportService.shouldRunInBackground(recordCount)) {
+    const job = await exportService.startExportJob(userId, format);
+
+    return res.status(202).json({
+      success: true,
+      message: 'Your data export is being prepared',
+      data: {
+        exportId: job.exportId,
+        status: job.status,
+        format: job.format,
+        statusUrl: `/api/users/${userId}/export/${job.exportId}`
+      }
+    });
+  }
+
+  const data = await exportService.collectUserData(userId);
+  const archive = exportService.buildArchive(data, format);
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.set({
+    'Content-Type': archive.contentType,
+    'Content-Disposition': `attachment; filename="cino-export-${userId}-${date}.${archive.extension}"`,
+    'Cache-Control': 'no-store'
+  });
+  res.status(200).send(archive.buffer);
+});
+
+// Get the status (and download link) of a background data export
+const getDataExport = asyncHandler(async (req, res) => {
+  const { userId, exportId } = req.params;
+
+  const job = await DataExport.findOne({ exportId, userId });
+  if (!job) {
+    throw new AppError('Export not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      exportId: job.exportId,
+      status: job.status,
+      format: job.format,
+      size: job.size,
+      recordCounts: job.recordCounts,
+      error: job.error,
+      completedAt: job.completedAt,
+      expiresAt: job.expiresAt,
+      downloadUrl: await exportService.getDownloadUrl(job),
+      downloadUrlExpiresIn: job.status === 'completed' ? exportService.downloadUrlTTL : undefined
+    }
   });
 });
 
@@ -434,5 +565,8 @@ module.exports = {
   updateUserEngagement,
   getUserRecommendations,
   deleteUser,
+  restoreUser,
+  exportUserData,
+  getDataExport,
   getActiveUsersCount
 };
\ No newline at end of file
@@ -5,20 +5,22 @@ const User = require('../models/User');
 const { setCache, getCache, deleteCache } = require('../config/redis');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const analyticsService = require('../services/analyticsService');
+const { isAgeRatingAllowed } = require('../utils/helpers');
 
 // Get user's watchlist
 const getUserWatchlist = asyncHandler(async (req, res) => {
   const { userId } = req.params;
   const { status, page = 1, limit = 20 } = req.query;
+  const { profileId } = req;
 
   // Build cache key
-  const cacheKey = `watchlist:${userId}:${status || 'all'}:${page}:${limit}`;
+  const cacheKey = `watchlist:${userId}:${profileId || 'main'}:${status || 'all'}:${page}:${limit}`;
   
   // Try cache first
   let watchlist = await getCache(cacheKey);
 
   if (!watchlist) {
-    const query = { userId };
+    const query = { userId, profileId };
     if (status) {
       query.status = status;
     }
@@ -51,13 +53,14 @@ const getUserWatchlist = asyncHandler(async (req, res) => {
 const getContinueWatching = asyncHandler(async (req, res) => {
   const { userId } = req.params;
   const { limit = 10 } = req.query;
+  const { profileId } = req;
 
   // Try cache first
-  const cacheKey = `continue_watching:${userId}:${limit}`;
+  const cacheKey = `continue_watching:${userId}:${profileId || 'main'}:${limit}`;
   let continueWatching = await getCache(cacheKey);
 
   if (!continueWatching) {
-    continueWatching = await Watchlist.getContinueWatching(userId, parseInt(limit));
+    continueWatching = await Watchlist.getContinueWatching(userId, parseInt(limit), profileId);
     
     // Format data for better UX
     const formattedData = continueWatching.map(item => ({
@@ -82,9 +85,10 @@ const getContinueWatching = asyncHandler(async (req, res) => {
 const getCompletedContent = asyncHandler(async (req, res) => {
   const { userId } = req.params;
   const { page = 1, limit = 20 } = req.query;
+  const { profileId } = req;
 
   // Try cache first
-  const cacheKey = `completed:${userId}:${page}:${limit}`;
+  const cacheKey = `completed:${userId}:${profileId || 'main'}:${page}:${limit}`;
   let completedContent = await getCache(cacheKey);
 
   if (!completedContent) {
@@ -92,6 +96,7 @@ const getCompletedContent = asyncHandler(async (req, res) => {
 
     completedContent = await Watchlist.find({
       userId,
+      profileId,
       'watchProgress.isCompleted': true
     })
       .sort({ 'sessionInfo.completedAt': -1 })
@@ -147,9 +152,10 @@ const getCompletedContent = asyncHandler(async (req, res) => {
 const getUserWatchStats = asyncHandler(async (req, res) => {
   const { userId } = req.params;
   const { timeframe = 30 } = req.query; // days
+  const { profileId } = req;
 
   // Try cache first
-  const cacheKey = `watch_stats:${userId}:${timeframe}`;
+  const cacheKey = `watch_stats:${userId}:${profileId || 'main'}:${timeframe}`;
   let stats = await getCache(cacheKey);
 
   if (!stats) {
@@ -158,9 +164,9 @@ const getUserWatchStats = asyncHandler(async (req, res) => {
 
     // Get basic stats
     const [basicStats, genreStats, dailyStats] = await Promise.all([
-      Watchlist.getUserStats(userId),
+      Watchlist.getUserStats(userId, profileId),
       Watchlist.aggregate([
-        { $match: { userId, 'sessionInfo.lastWatchedAt': { $gte: startDate } } },
+        { $match: { userId, profileId, 'sessionInfo.lastWatchedAt': { $gte: startDate } } },
         {
           $lookup: {
             from: 'contents',
@@ -182,7 +188,7 @@ const getUserWatchStats = asyncHandler(async (req, res) => {
         { $limit: 10 }
       ]),
       Watchlist.aggregate([
-        { $match: { userId, 'sessionInfo.lastWatchedAt': { $gte: startDate } } },
+        { $match: { userId, profileId, 'sessionInfo.lastWatchedAt': { $gte: startDate } } },
         {
           $group: {
             _id: {
@@ -230,6 +236,7 @@ const getUserWatchStats = asyncHandler(async (req, res) => {
 // Add to watchlist (manually)
 const addToWatchlist = asyncHandler(async (req, res) => {
   const { userId, contentId, episodeId, currentPosition = 0, watchedVia = 'manual' } = req.body;
+  const { profileId } = req;
 
   // Validate content and episode exist
   const [content, episode] = await Promise.all([
@@ -245,8 +252,12 @@ const addToWatchlist = asyncHandler(async (req, res) => {
     throw new AppError('Episode not found', 404);
   }
 
+  if (!isAgeRatingAllowed(content.ageRating, req.viewingProfile?.maxAgeRating)) {
+    throw new AppError('Content is not available for this profile', 403);
+  }
+
   // Check if already exists
-  const existingRecord = await Watchlist.findOne({ userId, episodeId });
+  const existingRecord = await Watchlist.findOne({ userId, profileId, episodeId });
   
   if (existingRecord) {
     return res.status(200).json({
@@ -259,6 +270,7 @@ const addToWatchlist = asyncHandler(async (req, res) => {
   // Create watchlist entry
   const watchlistEntry = await Watchlist.create({
     userId,
+    profileId,
     contentId,
     episodeId,
     watchProgress: {
@@ -291,14 +303,15 @@ const addToWatchlist = asyncHandler(async (req, res) => {
 // Remove from watchlist
 const removeFromWatchlist = asyncHandler(async (req, res) => {
   const { userId, episodeId } = req.params;
+  const { profileId } = req;
 
-  const watchlistEntry = await Watchlist.findOne({ userId, episodeId });
+  const watchlistEntry = await Watchlist.findOne({ userId, profileId, episodeId });
   
   if (!watchlistEntry) {
     throw new AppError('Watchlist entry not found', 404);
   }
 
-  await Watchlist.deleteOne({ userId, episodeId });
+  await Watchlist.deleteOne({ _id: watchlistEntry._id });
 
   // Clear cache
   await deleteCache(`watchlist:${userId}*`);
@@ -314,8 +327,9 @@ const removeFromWatchlist = asyncHandler(async (req, res) => {
 const updateWatchProgress = asyncHandler(async (req, res) => {
   const { userId, episodeId } = req.params;
   const { currentPosition, sessionDuration = 0, pauseCount = 0, seekCount = 0 } = req.body;
+  const { profileId } = req;
 
-  const watchlistEntry = await Watchlist.findOne({ userId, episodeId });
+  const watchlistEntry = await Watchlist.findOne({ userId, profileId, episodeId });
   
   if (!watchlistEntry) {
     throw new AppError('Watchlist entry not found', 404);
@@ -357,7 +371,7 @@ const rateContent = asyncHandler(async (req, res) => {
   }
 
   // Find any watchlist entry for this content
-  const watchlistEntry = await Watchlist.findOne({ userId, contentId });
+  const watchlistEntry = await Watchlist.findOne({ userId, profileId: req.profileId, contentId });
   
   if (!watchlistEntry) {
     throw new AppError('Must watch content before rating', 400);
@@ -413,15 +427,16 @@ const rateContent = asyncHandler(async (req, res) => {
 // Get content progress summary
 const getContentProgress = asyncHandler(async (req, res) => {
   const { userId, contentId } = req.params;
+  const { profileId } = req;
 
   // Try cache first
-  const cacheKey = `content_progress:${userId}:${contentId}`;
+  const cacheKey = `content_progress:${userId}:${profileId || 'main'}:${contentId}`;
   let progress = await getCache(cacheKey);
 
   if (!progress) {
     const [content, progressData] = await Promise.all([
       Content.findById(contentId),
-      Watchlist.getUserProgress(userId, contentId)
+      Watchlist.getUserProgress(userId, contentId, profileId)
     ]);
 
     if (!content) {
@@ -476,7 +491,7 @@ const clearWatchHistory = asyncHandler(async (req, res) => {
   const { userId } = req.params;
   const { contentId, older_than_days } = req.body;
 
-  let deleteQuery = { userId };
+  let deleteQuery = { userId, profileId: req.profileId };
 
   if (contentId) {
     deleteQuery.contentId = contentId;
@@ -0,0 +1,126 @@
+const cron = require('node-cron');
+const { getRedisClient } = require('../config/redis');
+const accountDeletionService = require('../services/accountDeletionService');
+const schedulingService = require('../services/schedulingService');
+const uploadService = require('../services/uploadService');
+const exportService = require('../services/exportService');
+const replicationService = require('../services/replicationService');
+const storageGcService = require('../services/storageGcService');
+
+// Without Redis every instance takes the lock (fine for a single-instance deployment)
+const acquireLock = async (name, ttlSeconds) => {
+  const client = getRedisClient();
+  if (!client) return true;
+
+  return !!await client.set(`jobs:lock:${name}`, process.pid.toString(), { NX: true, EX: ttlSeconds });
+};
+
+const releaseLock = async (name) => {
+  const client = getRedisClient();
+  if (client) {
+    await client.del(`jobs:lock:${name}`).catch(() => {});
+  }
+};
+
+/**
+ * Run fn only if no other instance holds the job's lock
+ */
+const runExclusive = async (name, ttlSeconds, fn) => {
+  if (!await acquireLock(name, ttlSeconds)) {
+    console.log(`⏭️ Skipping ${name}: already running elsewhere`);
+    return null;
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await releaseLock(name);
+  }
+};
+
+// Scheduled jobs: name, cron expression and what to run
+const JOBS = [
+  {
+    name: 'account-purge',
+    schedule: process.env.ACCOUNT_PURGE_CRON || '0 3 * * *', // Daily at 03:00
+    lockTTL: 60 * 60,
+    run: () => accountDeletionService.purgeDueAccounts()
+  },
+  {
+    name: 'content-schedule',
+    schedule: process.env.CONTENT_SCHEDULE_CRON || '* * * * *', // Every minute
+    lockTTL: 5 * 60,
+    run: () => schedulingService.runDueTransitions()
+  },
+  {
+    name: 'upload-cleanup',
+    schedule: process.env.UPLOAD_CLEANUP_CRON || '15 * * * *', // Hourly
+    lockTTL: 30 * 60,
+    run: () => uploadService.cleanupExpired()
+  },
+  {
+    name: 'export-expiry',
+    schedule: process.env.EXPORT_EXPIRY_CRON || '45 * * * *', // Hourly
+    lockTTL: 30 * 60,
+    run: () => exportService.expireExports()
+  },
+  {
+    name: 'storage-repair',
+    schedule: process.env.STORAGE_REPAIR_CRON || '30 4 * * *', // Daily at 04:30 (no-op without a secondary provider)
+    lockTTL: 6 * 60 * 60,
+    run: () => replicationService.repair()
+  },
+  {
+    name: 'storage-gc',
+    schedule: process.env.STORAGE_GC_CRON || '0 5 * * 0', // Weekly, Sunday 05:00
+    lockTTL: 6 * 60 * 60,
+    // Report only unless STORAGE_GC_DELETE=true
+    run: () => storageGcService.run({ confirm: process.env.STORAGE_GC_DELETE === 'true' })
+  }
+];
+
+/**
+ * Register every scheduled job; set SCHEDULED_JOBS_ENABLED=false on instances that should not run them
+ */
+const startScheduledJobs = () => {
+  if (process.env.SCHEDULED_JOBS_ENABLED === 'false') {
+    console.log('⏸️ Scheduled jobs disabled on this instance');
+    return [];
+  }
+
+  return JOBS.map(job => {
+    const task = cron.schedule(job.schedule, () => {
+      runExclusive(job.name, job.lockTTL, job.run).catch(error => {
+        console.error(`❌ Scheduled job ${job.name} failed:`, error);
+      });
+    });
+
+    console.log(`⏰ Scheduled job ${job.name} (${job.schedule})`);
+    return task;
+  });
+};
+
+/**
+ * Start a run of a scheduled job now (e.g. from an admin request), in the background and under the
+ * same lock as its cron runs; resolves to false without running when another run holds the lock
+ */
+const startJobNow = async (name, fn) => {
+  const job = JOBS.find(candidate => candidate.name === name);
+
+  if (!await acquireLock(name, job.lockTTL)) {
+    return false;
+  }
+
+  Promise.resolve()
+    .then(fn)
+    .catch(error => console.error(`❌ Job ${name} failed:`, error))
+    .finally(() => releaseLock(name));
+
+  return true;
+};
+
+module.exports = {
+  startScheduledJobs,
+  runExclusive,
+  startJobNow
+};
\ No newline at end of file
@@ -1,34 +1,53 @@
 const jwt = require('jsonwebtoken');
 const { asyncHandler, AppError } = require('./errorHandler');
 const User = require('../models/User');
+const AdminUser = require('../models/AdminUser');
+const Device = require('../models/Device');
+const { ROLE_PERMISSIONS } = require('../utils/constants');
+const tokenService = require('../services/tokenService');
+
+// Token types accepted on user-scoped routes
+const USER_TOKEN_TYPES = ['device', 'user'];
+
+/**
+ * Read the Bearer token from the Authorization header
+ */
+const getBearerToken = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return null;
+};
 
 /**
  * Authentication middleware for admin routes
  * Since we use anonymous users, this is mainly for admin/protected routes
  */
 const authenticate = asyncHandler(async (req, res, next) => {
-  let token;
-
   // Get token from header
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
-  }
+  const token = getBearerToken(req);
 
   // Check if token exists
   if (!token) {
     throw new AppError('Access token is required', 401);
   }
 
+  let decoded;
   try {
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Add user info to request (for admin users)
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     throw new AppError('Invalid or expired token', 401);
   }
+
+  // Reject logged-out tokens and tokens issued before a "log out all sessions"
+  if (await tokenService.isRevoked(decoded)) {
+    throw new AppError('Token has been revoked', 401);
+  }
+
+  // Add user info to request (for admin users)
+  req.user = decoded;
+  next();
 });
 
 /**
@@ -36,18 +55,19 @@ const authenticate = asyncHandler(async (req, res, next) => {
  * Used for routes that work for both anonymous and authenticated users
  */
 const optionalAuth = asyncHandler(async (req, res, next) => {
-  let token;
-
   // Get token from header
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
-  }
+  const token = getBearerToken(req);
 
   if (token) {
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = decoded;
+
+      if (await tokenService.isRevoked(decoded)) {
+        console.log('Optional auth failed: token revoked');
+      } else {
+        req.user = decoded;
+      }
     } catch (error) {
       // Don't throw error, just continue as anonymous
       console.log('Optional auth failed:', error.message);
@@ -57,12 +77,139 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
   next();
 });
 
+/**
+ * Get the userId a request acts on
+ * anonymousUserId is the device user that login/registration will absorb
+ */
+const getRequestedUserId = (req) => {
+  return req.params.userId || req.body?.userId || req.body?.anonymousUserId || req.query.userId;
+};
+
+/**
+ * USER_AUTH_MODE=compat lets app versions that predate user tokens call
+ * user-scoped routes without one; a token that is sent is always checked
+ */
+const isUserAuthCompatMode = () => {
+  return (process.env.USER_AUTH_MODE || 'enforce').toLowerCase() === 'compat';
+};
+
+/**
+ * Check the user token against the userId in the request
+ * Sets req.user/req.userId; returns false for a tolerated legacy request
+ * allowLegacy: false keeps compat mode off for routes that attach credentials to or merge the user
+ */
+const verifyUserAccess = async (req, res, requestedUserId, { allowLegacy = true } = {}) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    if (!requestedUserId) return false;
+
+    if (allowLegacy && isUserAuthCompatMode()) {
+      res.set('Deprecation', 'true');
+      req.userAuth = 'legacy';
+      return false;
+    }
+
+    throw new AppError('User token is required', 401);
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AppError('Invalid or expired token', 401);
+  }
+
+  if (!decoded.userId || !USER_TOKEN_TYPES.includes(decoded.type)) {
+    throw new AppError('A user token is required for this route', 401);
+  }
+
+  if (await tokenService.isRevoked(decoded)) {
+    throw new AppError('Token has been revoked', 401);
+  }
+
+  if (requestedUserId && requestedUserId !== decoded.userId) {
+    throw new AppError('Token does not belong to this user', 403);
+  }
+
+  // Keep the device list's last-seen time fresh without holding up the request
+  if (decoded.deviceId) {
+    Device.touch(decoded.userId, decoded.deviceId).catch(error => {
+      console.error('Device touch error:', error.message);
+    });
+  }
+
+  req.user = decoded;
+  req.userAuth = 'token';
+  return true;
+};
+
+/**
+ * User authentication middleware for user-scoped routes
+ * Requires a device/user token whose userId matches the :userId (or body/query userId)
+ * Sets req.deviceId from the token, falling back to the X-Device-Id header
+ */
+const authenticateUser = asyncHandler(async (req, res, next) => {
+  const requestedUserId = getRequestedUserId(req);
+
+  await verifyUserAccess(req, res, requestedUserId);
+
+  req.userId = requestedUserId || req.user?.userId;
+  req.deviceId = req.user?.deviceId || req.headers['x-device-id'] || null;
+  next();
+});
+
+/**
+ * User authentication for register/login/OTP verify
+ * Same as authenticateUser, but a userId/anonymousUserId always needs its token, even in compat mode:
+ * these routes attach credentials to that user or merge it away
+ */
+const authenticateAccountLink = asyncHandler(async (req, res, next) => {
+  const requestedUserId = getRequestedUserId(req);
+
+  await verifyUserAccess(req, res, requestedUserId, { allowLegacy: false });
+
+  req.userId = requestedUserId || req.user?.userId;
+  req.deviceId = req.user?.deviceId || req.headers['x-device-id'] || null;
+  next();
+});
+
+/**
+ * Resolve the household viewing profile a request acts for
+ * profileId comes from the X-Profile-Id header, query or body; none means the main profile
+ * Runs after authenticateUser so the profile is only looked up on the caller's account
+ */
+const resolveProfile = asyncHandler(async (req, res, next) => {
+  const profileId = req.headers['x-profile-id'] || req.query.profileId || req.body?.profileId;
+
+  req.profileId = null;
+  req.viewingProfile = null;
+
+  if (!profileId) return next();
+
+  const userId = req.userId || getRequestedUserId(req);
+  if (!userId) {
+    throw new AppError('User ID is required to select a profile', 400);
+  }
+
+  const user = await User.findByUserId(userId);
+  const profile = user?.getViewingProfile(profileId);
+
+  if (!profile) {
+    throw new AppError('Profile not found', 404);
+  }
+
+  req.profileId = profile.profileId;
+  req.viewingProfile = profile;
+  next();
+});
+
 /**
  * User validation middleware
- * Validates userId from request params/body and sets user context
+ * Validates userId from request params/body, checks the user token and sets user context
  */
 const validateUser = asyncHandler(async (req, res, next) => {
-  const userId = req.params.userId || req.body.userId || req.query.userId;
+  const userId = getRequestedUserId(req);
 
   if (!userId) {
     throw new AppError('User ID is required', 400);
@@ -73,6 +220,8 @@ const validateUser = asyncHandler(async (req, res, next) => {
     throw new AppError('Invalid user ID format', 400);
   }
 
+  await verifyUserAccess(req, res, userId);
+
   // Check if user exists (optional - for better error handling)
   try {
     const user = await User.findByUserId(userId);
@@ -93,21 +242,78 @@ const validateUser = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * Admin role authorization
- * Checks if authenticated user has admin privileges
+ * Load the admin account behind the token onto req.admin
+ * Rejects disabled accounts and refreshes req.user.role from the stored role
  */
-const requireAdmin = asyncHandler(async (req, res, next) => {
+const loadAdminAccount = async (req) => {
   if (!req.user) {
     throw new AppError('Authentication required', 401);
   }
 
-  if (req.user.role !== 'admin') {
-    throw new AppError('Admin access required', 403);
+  if (req.admin) return req.admin;
+
+  const admin = req.user.adminId ? await AdminUser.findById(req.user.adminId) : null;
+
+  if (!admin || admin.status !== 'active') {
+    throw new AppError('Admin account is disabled or no longer exists', 401);
+  }
+
+  // Use the stored role so role changes apply without re-login
+  req.admin = admin;
+  req.user.role = admin.role;
+  return admin;
+};
+
+/**
+ * Get the permission set for an admin role
+ */
+const getRolePermissions = (role) => {
+  return ROLE_PERMISSIONS[role] || [];
+};
+
+/**
+ * Check whether a role grants a permission
+ */
+const hasPermission = (role, permission) => {
+  const permissions = getRolePermissions(role);
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+/**
+ * Role-based authorization for admin routes
+ * Checks the account's current role against the allowed roles
+ */
+const requireRole = (...roles) => asyncHandler(async (req, res, next) => {
+  const admin = await loadAdminAccount(req);
+
+  if (roles.length > 0 && !roles.includes(admin.role)) {
+    throw new AppError('Insufficient role for this action', 403);
   }
 
   next();
 });
 
+/**
+ * Permission-based authorization for admin routes
+ * e.g. requirePermission('content:publish'); all listed permissions are required
+ */
+const requirePermission = (...permissions) => asyncHandler(async (req, res, next) => {
+  const admin = await loadAdminAccount(req);
+
+  const missing = permissions.filter(permission => !hasPermission(admin.role, permission));
+  if (missing.length > 0) {
+    throw new AppError(`Missing permission: ${missing.join(', ')}`, 403);
+  }
+
+  next();
+});
+
+/**
+ * Admin role authorization
+ * Checks if authenticated user has admin privileges
+ */
+const requireAdmin = requireRole('admin');
+
 /**
  * Device validation middleware
  * Validates device info for analytics and user tracking
@@ -151,53 +357,126 @@ const validateSession = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * Generate JWT token for admin users
+ * Generate short-lived JWT access token
+ * Long-lived sessions use refresh tokens from tokenService.issueTokens
  */
-const generateToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: '7d' // Token expires in 7 days
-  });
+const generateToken = (payload, subject) => {
+  return tokenService.signAccessToken(payload, subject);
 };
 
 /**
- * Admin login (for testing/demo purposes)
- * In production, this should be more secure
+ * Admin login
+ * Verifies credentials against the AdminUser collection
  */
 const adminLogin = asyncHandler(async (req, res) => {
   const { username, password } = req.body;
 
-  // Simple admin credentials (in production, use proper authentication)
-  const validAdmins = [
-    { username: 'admin', password: 'admin123', role: 'admin' },
-    { username: 'moderator', password: 'mod123', role: 'moderator' }
-  ];
+  if (!username || !password) {
+    throw new AppError('Username and password are required', 400);
+  }
 
-  const admin = validAdmins.find(a => a.username === username && a.password === password);
+  const admin = await AdminUser.findByUsername(username, true);
 
-  if (!admin) {
+  if (!admin || !(await admin.comparePassword(password))) {
     throw new AppError('Invalid credentials', 401);
   }
 
-  // Generate token
-  const token = generateToken({
-    username: admin.username,
-    role: admin.role,
-    loginTime: new Date()
-  });
+  if (admin.status !== 'active') {
+    throw new AppError('Admin account is disabled', 403);
+  }
+
+  await admin.recordLogin(req.ip);
+
+  // Issue access + refresh tokens
+  const tokens = await tokenService.issueTokens(
+    tokenService.getSubject('admin', admin._id),
+    {
+      adminId: admin._id.toString(),
+      username: admin.username,
+      role: admin.role,
+      loginTime: new Date()
+    }
+  );
 
   res.status(200).json({
     success: true,
     message: 'Login successful',
     data: {
-      token,
+      token: tokens.accessToken,
+      ...tokens,
       user: {
         username: admin.username,
-        role: admin.role
+        role: admin.role,
+        permissions: getRolePermissions(admin.role)
       }
     }
   });
 });
 
+/**
+ * Exchange an admin refresh token for a new token pair
+ * The presented refresh token is consumed (rotation)
+ */
+const adminRefresh = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    throw new AppError('Refresh token is required', 400);
+  }
+
+  const session = await tokenService.consumeRefreshToken(refreshToken, 'admin');
+
+  const admin = session.claims?.adminId ? await AdminUser.findById(session.claims.adminId) : null;
+  if (!admin || admin.status !== 'active') {
+    throw new AppError('Admin account is disabled or no longer exists', 401);
+  }
+
+  const tokens = await tokenService.issueTokens(session.subject, {
+    ...session.claims,
+    role: admin.role
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Token refreshed',
+    data: {
+      token: tokens.accessToken,
+      ...tokens
+    }
+  });
+});
+
+/**
+ * Admin logout
+ * Denylists the current access token and drops the given refresh token
+ */
+const adminLogout = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  await tokenService.revokeAccessToken(req.user);
+  await tokenService.revokeRefreshToken(refreshToken, 'admin');
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+});
+
+/**
+ * Log out every session of the current admin
+ */
+const adminLogoutAll = asyncHandler(async (req, res) => {
+  const revokedSessions = await tokenService.revokeAllSessions(
+    tokenService.getSubject('admin', req.admin._id)
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'All sessions logged out',
+    data: { revokedSessions }
+  });
+});
+
 /**
  * Security headers middleware
  */
@@ -304,12 +583,21 @@ const checkContentAccess = asyncHandler(async (req, res, next) => {
 module.exports = {
   authenticate,
   optionalAuth,
+  authenticateUser,
+  authenticateAccountLink,
+  resolveProfile,
   validateUser,
+  requireRole,
+  requirePermission,
+  hasPermission,
   requireAdmin,
   validateDevice,
   validateSession,
   generateToken,
   adminLogin,
+  adminRefresh,
+  adminLogout,
+  adminLogoutAll,
   securityHeaders,
   requestLogger,
   validateApiKey,
@@ -1,11 +1,18 @@
 const rateLimit = require('express-rate-limit');
 const { getRedisClient } = require('../config/redis');
+const { normalizePhoneNumber } = require('../utils/helpers');
 
 // Redis store for rate limiting (if Redis is available)
 class RedisStore {
-  constructor() {
+  constructor(prefix = 'rl:') {
     this.client = getRedisClient();
-    this.prefix = 'rl:';
+    this.prefix = prefix;
+    this.windowSeconds = 60;
+  }
+
+  // Called by express-rate-limit with the limiter options
+  init(options) {
+    this.windowSeconds = Math.ceil(options.windowMs / 1000);
   }
 
   async increment(key) {
@@ -16,7 +23,7 @@ class RedisStore {
       const pipeline = this.client.multi();
       
       pipeline.incr(redisKey);
-      pipeline.expire(redisKey, 60); // 1 minute expiry
+      pipeline.expire(redisKey, this.windowSeconds);
       
       const results = await pipeline.exec();
       const totalHits = results[0][1];
@@ -61,12 +68,17 @@ const keyGenerator = (req) => {
   return userId || req.ip;
 };
 
+// Upload session calls (create, status polling, complete, abort) and chunks skip the general and
+// strict limiters; they use uploadSessionLimiter and uploadChunkLimiter instead
+const isUploadRequest = (req) => /^\/api\/admin\/uploads(\/|\?|$)/.test(req.originalUrl);
+
 // General API rate limiter
 const generalLimiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
   max: parseInt(process.env.RATE_LIMIT_MAX) || 100, // requests per windowMs
   store: getRedisClient() ? new RedisStore() : undefined,
   keyGenerator,
+  skip: isUploadRequest,
   message: {
     success: false,
     error: 'Too many requests from this user/IP, please try again later.',
@@ -84,7 +96,37 @@ const generalLimiter = rateLimit({
   }
 });
 
-// Strict limiter for sensitive operations (admin, uploads)
+// Chunk uploads: a multi-GB file is hundreds of requests
+const uploadChunkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.UPLOAD_CHUNK_RATE_LIMIT_MAX) || 2000,
+  store: getRedisClient() ? new RedisStore('rl:chunks:') : undefined,
+  keyGenerator,
+  message: {
+    success: false,
+    error: 'Too many chunk uploads, please slow down.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Upload sessions: the client polls progress and may start, complete or abort many uploads
+const uploadSessionLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.UPLOAD_SESSION_RATE_LIMIT_MAX) || 300,
+  store: getRedisClient() ? new RedisStore('rl:uploads:') : undefined,
+  keyGenerator,
+  message: {
+    success: false,
+    error: 'Too many upload requests, please slow down.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Strict limiter for sensitive operations (admin)
 const strictLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 10, // Only 10 requests per 15 minutes
@@ -94,7 +136,8 @@ const strictLimiter = rateLimit({
     success: false,
     error: 'Too many sensitive operations from this user/IP',
     retryAfter: '15 minutes'
-  }
+  },
+  skip: isUploadRequest
 });
 
 // Video streaming rate limiter (more lenient)
@@ -149,6 +192,36 @@ const analyticsLimiter = rateLimit({
   }
 });
 
+// OTP limiter per phone number, so one number cannot be flooded with SMS from many IPs
+const otpPhoneLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.OTP_MAX_PER_PHONE) || 5,
+  store: getRedisClient() ? new RedisStore('rl:otp:phone:') : undefined,
+  keyGenerator: (req) => normalizePhoneNumber(req.body.phoneNumber) || req.ip,
+  message: {
+    success: false,
+    error: 'Too many verification codes requested for this phone number',
+    retryAfter: '1 hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// OTP limiter per IP, so one client cannot enumerate many phone numbers
+const otpIpLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.OTP_MAX_PER_IP) || 20,
+  store: getRedisClient() ? new RedisStore('rl:otp:ip:') : undefined,
+  keyGenerator: (req) => req.ip,
+  message: {
+    success: false,
+    error: 'Too many verification codes requested from this IP',
+    retryAfter: '1 hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Progressive rate limiting based on user behavior
 const createProgressiveLimiter = (baseMax = 100) => {
   return rateLimit({
@@ -218,10 +291,14 @@ const createDynamicLimiter = (baseMax = 100) => {
 module.exports = {
   generalLimiter,
   strictLimiter,
+  uploadChunkLimiter,
+  uploadSessionLimiter,
   videoLimiter,
   feedLimiter,
   searchLimiter,
   analyticsLimiter,
+  otpPhoneLimiter,
+  otpIpLimiter,
   createProgressiveLimiter,
   createBypassLimiter,
   createDynamicLimiter
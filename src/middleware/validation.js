@@ -90,6 +90,150 @@ const userValidation = {
     params: Joi.object({
       userId: commonSchemas.userId
     })
+  }),
+
+  register: Joi.object({
+    body: Joi.object({
+      userId: Joi.string().min(1).max(100),
+      email: Joi.string().email().max(100).required(),
+      password: Joi.string().min(8).max(128).required(),
+      username: Joi.string().max(50),
+      fullName: Joi.string().max(100),
+      deviceInfo: commonSchemas.deviceInfo
+    })
+  }),
+
+  login: Joi.object({
+    body: Joi.object({
+      email: Joi.string().email().max(100).required(),
+      password: Joi.string().max(128).required(),
+      anonymousUserId: Joi.string().min(1).max(100),
+      deviceInfo: commonSchemas.deviceInfo
+    })
+  }),
+
+  refreshToken: Joi.object({
+    body: Joi.object({
+      refreshToken: Joi.string().required()
+    })
+  }),
+
+  logout: Joi.object({
+    body: Joi.object({
+      refreshToken: Joi.string()
+    })
+  }),
+
+  requestPasswordReset: Joi.object({
+    body: Joi.object({
+      email: Joi.string().email().max(100).required()
+    })
+  }),
+
+  confirmPasswordReset: Joi.object({
+    body: Joi.object({
+      token: Joi.string().required(),
+      password: Joi.string().min(8).max(128).required()
+    })
+  }),
+
+  requestOtp: Joi.object({
+    body: Joi.object({
+      phoneNumber: Joi.string().min(10).max(20).required()
+    })
+  }),
+
+  verifyOtp: Joi.object({
+    body: Joi.object({
+      phoneNumber: Joi.string().min(10).max(20).required(),
+      code: Joi.string().pattern(/^\d{6}$/).required(),
+      anonymousUserId: Joi.string().min(1).max(100),
+      deviceInfo: commonSchemas.deviceInfo
+    })
+  }),
+
+  createProfile: Joi.object({
+    params: Joi.object({
+      userId: commonSchemas.userId
+    }),
+    body: Joi.object({
+      name: Joi.string().trim().min(1).max(50).required(),
+      avatar: Joi.string().max(500),
+      isKids: Joi.boolean(),
+      maxAgeRating: Joi.string().valid('all', '13+', '16+', '18+'),
+      preferences: Joi.object({
+        preferredGenres: Joi.array().items(Joi.string()).max(10),
+        preferredLanguages: Joi.array().items(Joi.string()).max(5),
+        autoPlay: Joi.boolean(),
+        dataUsage: Joi.string().valid('low', 'medium', 'high')
+      })
+    })
+  }),
+
+  updateProfile: Joi.object({
+    params: Joi.object({
+      userId: commonSchemas.userId,
+      profileId: Joi.string().required()
+    }),
+    body: Joi.object({
+      name: Joi.string().trim().min(1).max(50),
+      avatar: Joi.string().max(500).allow(''),
+      isKids: Joi.boolean(),
+      maxAgeRating: Joi.string().valid('all', '13+', '16+', '18+').allow(null),
+      preferences: Joi.object({
+        preferredGenres: Joi.array().items(Joi.string()).max(10),
+        preferredLanguages: Joi.array().items(Joi.string()).max(5),
+        autoPlay: Joi.boolean(),
+        dataUsage: Joi.string().valid('low', 'medium', 'high')
+      })
+    })
+  }),
+
+  deleteUser: Joi.object({
+    params: Joi.object({
+      userId: commonSchemas.userId
+    }),
+    body: Joi.object({
+      reason: Joi.string().max(500)
+    })
+  }),
+
+  restoreUser: Joi.object({
+    body: Joi.object({
+      userId: commonSchemas.userId,
+      restoreToken: Joi.string().hex().length(64).required()
+    })
+  }),
+
+  exportUserData: Joi.object({
+    params: Joi.object({
+      userId: commonSchemas.userId
+    }),
+    query: Joi.object({
+      format: Joi.string().valid('json', 'zip').default('zip'),
+      background: Joi.boolean()
+    })
+  }),
+
+  getDataExport: Joi.object({
+    params: Joi.object({
+      userId: commonSchemas.userId,
+      exportId: Joi.string().guid().required()
+    })
+  }),
+
+  deviceIdParam: Joi.object({
+    params: Joi.object({
+      userId: commonSchemas.userId,
+      deviceId: Joi.string().max(100).required()
+    })
+  }),
+
+  profileIdParam: Joi.object({
+    params: Joi.object({
+      userId: commonSchemas.userId,
+      profileId: Joi.string().required()
+    })
   })
 };
 
@@ -268,6 +412,21 @@ const analyticsValidation = {
   })
 };
 
+// The file and the episode it becomes, for chunked and presigned uploads
+const uploadFields = {
+  fileName: Joi.string().max(500).required(),
+  fileSize: Joi.number().integer().min(1).required(),
+  contentType: Joi.string().valid('video/mp4', 'video/mpeg', 'video/quicktime', 'video/x-msvideo', 'video/webm', 'video/x-matroska').default('video/mp4'),
+  title: Joi.string().min(1).max(200).required(),
+  description: Joi.string().max(1000),
+  contentId: Joi.string().regex(/^[0-9a-fA-F]{24}$/),
+  episodeNumber: Joi.number().integer().min(1).required(),
+  seasonNumber: Joi.number().integer().min(1).default(1),
+  duration: Joi.number().min(1).required(),
+  tags: Joi.array().items(Joi.string()).max(20),
+  generateQualities: Joi.boolean().default(true)
+};
+
 // Admin validation schemas
 const adminValidation = {
   uploadVideo: Joi.object({
@@ -284,6 +443,31 @@ const adminValidation = {
     })
   }),
 
+  createUpload: Joi.object({
+    body: Joi.object({
+      ...uploadFields,
+      chunkSize: Joi.number().integer().min(1024 * 1024).max(100 * 1024 * 1024),
+      checksum: Joi.string().hex().length(64)
+    })
+  }),
+
+  createPresignedUpload: Joi.object({
+    body: Joi.object(uploadFields)
+  }),
+
+  uploadSession: Joi.object({
+    params: Joi.object({
+      uploadId: Joi.string().guid().required()
+    })
+  }),
+
+  uploadChunk: Joi.object({
+    params: Joi.object({
+      uploadId: Joi.string().guid().required(),
+      index: Joi.number().integer().min(0).required()
+    })
+  }),
+
   createContent: Joi.object({
     body: Joi.object({
       title: Joi.string().min(1).max(200).required(),
@@ -313,6 +497,272 @@ const adminValidation = {
       feedWeight: Joi.number().min(0).max(100),
       targetAudience: Joi.array().items(Joi.string()).max(10)
     })
+  }),
+
+  updateContent: Joi.object({
+    params: Joi.object({
+      contentId: commonSchemas.contentId
+    }),
+    body: Joi.object({
+      title: Joi.string().min(1).max(200),
+      description: Joi.string().min(10).max(2000),
+      genre: Joi.array().items(Joi.string()).min(1).max(5),
+      language: Joi.array().items(Joi.string()).min(1).max(3),
+      category: Joi.string().valid('bollywood', 'hollywood', 'regional', 'korean', 'anime'),
+      releaseYear: Joi.number().integer().min(1900).max(new Date().getFullYear() + 2),
+      rating: Joi.string().valid('U', 'U/A', 'A'),
+      ageRating: Joi.string().valid('all', '13+', '16+', '18+'),
+      visibility: Joi.string().valid('public', 'premium', 'restricted'),
+      tags: Joi.array().items(Joi.string()).max(50),
+      searchKeywords: Joi.array().items(Joi.string()).max(50),
+      cast: Joi.array().items(Joi.string()).max(20),
+      director: Joi.string().max(100),
+      producer: Joi.string().max(100),
+      contentWarnings: Joi.array().items(Joi.string()).max(20),
+      thumbnail: Joi.string().uri(),
+      poster: Joi.string().uri(),
+      banner: Joi.string().uri(),
+      trailerUrl: Joi.string().uri()
+    }).min(1)
+  }),
+
+  // Plain fields only: update operators would bypass the review rules applied to status
+  bulkUpdateContent: Joi.object({
+    body: Joi.object({
+      contentIds: Joi.array().items(commonSchemas.contentId).min(1).max(500).required(),
+      updates: Joi.object({
+        status: Joi.string().valid('draft', 'in_review', 'approved', 'published', 'archived', 'private'),
+        visibility: Joi.string().valid('public', 'premium', 'restricted'),
+        category: Joi.string().valid('bollywood', 'hollywood', 'regional', 'korean', 'anime'),
+        ageRating: Joi.string().valid('all', '13+', '16+', '18+'),
+        tags: Joi.array().items(Joi.string()).max(50),
+        contentWarnings: Joi.array().items(Joi.string()).max(20),
+        'feedSettings.isInRandomFeed': Joi.boolean(),
+        'feedSettings.isFeatured': Joi.boolean(),
+        'feedSettings.isEditorsPick': Joi.boolean(),
+        'feedSettings.isTrending': Joi.boolean()
+      })
+        .pattern(/^\$/, Joi.forbidden())
+        .min(1)
+        .required()
+    })
+  }),
+
+  importContent: Joi.object({
+    query: Joi.object({
+      mode: Joi.string().valid('dry-run', 'apply').default('dry-run'),
+      format: Joi.string().valid('csv', 'json')
+    })
+  }),
+
+  exportCatalog: Joi.object({
+    query: Joi.object({
+      format: Joi.string().valid('ndjson', 'csv').default('ndjson'),
+      status: Joi.string().valid('draft', 'in_review', 'approved', 'published', 'archived', 'private'),
+      category: Joi.string().valid('bollywood', 'hollywood', 'regional', 'korean', 'anime'),
+      genre: Joi.string().max(50),
+      language: Joi.string().max(50),
+      includeEpisodes: Joi.boolean().default(true)
+    })
+  }),
+
+  getContentRevisions: Joi.object({
+    params: Joi.object({
+      contentId: commonSchemas.contentId
+    }),
+    query: Joi.object({
+      ...commonSchemas.pagination
+    })
+  }),
+
+  contentRevisionParam: Joi.object({
+    params: Joi.object({
+      contentId: commonSchemas.contentId,
+      revision: Joi.number().integer().min(1).required()
+    })
+  }),
+
+  diffContentRevisions: Joi.object({
+    params: Joi.object({
+      contentId: commonSchemas.contentId
+    }),
+    query: Joi.object({
+      from: Joi.number().integer().min(1).required(),
+      to: Joi.number().integer().min(1).required()
+    })
+  }),
+
+  getReviewQueue: Joi.object({
+    query: Joi.object({
+      status: Joi.string().valid('in_review', 'approved').default('in_review'),
+      assignee: Joi.alternatives().try(
+        Joi.string().valid('me', 'unassigned'),
+        Joi.string().regex(/^[0-9a-fA-F]{24}$/)
+      ),
+      minAgeHours: Joi.number().min(0),
+      maxAgeHours: Joi.number().min(0),
+      ...commonSchemas.pagination
+    })
+  }),
+
+  submitForReview: Joi.object({
+    params: Joi.object({
+      contentId: commonSchemas.contentId
+    }),
+    body: Joi.object({
+      assigneeId: Joi.string().regex(/^[0-9a-fA-F]{24}$/),
+      comment: Joi.string().max(2000)
+    })
+  }),
+
+  assignReviewer: Joi.object({
+    params: Joi.object({
+      contentId: commonSchemas.contentId
+    }),
+    body: Joi.object({
+      assigneeId: Joi.string().regex(/^[0-9a-fA-F]{24}$/).allow(null).required()
+    })
+  }),
+
+  approveContent: Joi.object({
+    params: Joi.object({
+      contentId: commonSchemas.contentId
+    }),
+    body: Joi.object({
+      comment: Joi.string().max(2000)
+    })
+  }),
+
+  rejectContent: Joi.object({
+    params: Joi.object({
+      contentId: commonSchemas.contentId
+    }),
+    body: Joi.object({
+      comment: Joi.string().min(1).max(2000).required()
+    })
+  }),
+
+  scheduleContent: Joi.object({
+    params: Joi.object({
+      contentId: commonSchemas.contentId
+    }),
+    body: Joi.object({
+      publishAt: Joi.date().greater('now'),
+      unpublishAt: Joi.date().greater('now'),
+      feedPriority: Joi.number().integer().min(1).max(10)
+    }).or('publishAt', 'unpublishAt')
+  }),
+
+  scheduleEpisode: Joi.object({
+    params: Joi.object({
+      episodeId: commonSchemas.episodeId
+    }),
+    body: Joi.object({
+      publishAt: Joi.date().greater('now'),
+      unpublishAt: Joi.date().greater('now')
+    }).or('publishAt', 'unpublishAt')
+  }),
+
+  cancelContentSchedule: Joi.object({
+    params: Joi.object({
+      contentId: commonSchemas.contentId
+    }),
+    query: Joi.object({
+      action: Joi.string().valid('publish', 'unpublish', 'all').default('all')
+    })
+  }),
+
+  cancelEpisodeSchedule: Joi.object({
+    params: Joi.object({
+      episodeId: commonSchemas.episodeId
+    }),
+    query: Joi.object({
+      action: Joi.string().valid('publish', 'unpublish', 'all').default('all')
+    })
+  }),
+
+  storageGc: Joi.object({
+    body: Joi.object({
+      confirm: Joi.boolean().default(false),
+      prefixes: Joi.array().items(Joi.string().min(1).max(200)).min(1).max(20)
+    })
+  }),
+
+  transcodeJob: Joi.object({
+    params: Joi.object({
+      episodeId: commonSchemas.episodeId
+    })
+  }),
+
+  getSchedules: Joi.object({
+    query: Joi.object({
+      type: Joi.string().valid('content', 'episode').default('content'),
+      from: Joi.date(),
+      to: Joi.date(),
+      ...commonSchemas.pagination
+    })
+  }),
+
+  createAdminUser: Joi.object({
+    body: Joi.object({
+      username: Joi.string().alphanum().min(3).max(50).required(),
+      password: Joi.string().min(8).max(128).required(),
+      role: Joi.string().valid('admin', 'moderator', 'content-editor', 'analyst', 'reviewer').required(),
+      email: Joi.string().email().max(100),
+      fullName: Joi.string().max(100)
+    })
+  }),
+
+  updateAdminUser: Joi.object({
+    params: Joi.object({
+      adminId: Joi.string().regex(/^[0-9a-fA-F]{24}$/).required()
+    }),
+    body: Joi.object({
+      role: Joi.string().valid('admin', 'moderator', 'content-editor', 'analyst', 'reviewer'),
+      email: Joi.string().email().max(100),
+      fullName: Joi.string().max(100)
+    }).min(1)
+  }),
+
+  resetAdminPassword: Joi.object({
+    params: Joi.object({
+      adminId: Joi.string().regex(/^[0-9a-fA-F]{24}$/).required()
+    }),
+    body: Joi.object({
+      password: Joi.string().min(8).max(128)
+    })
+  }),
+
+  refreshToken: Joi.object({
+    body: Joi.object({
+      refreshToken: Joi.string().required()
+    })
+  }),
+
+  logout: Joi.object({
+    body: Joi.object({
+      refreshToken: Joi.string()
+    })
+  }),
+
+  adminIdParam: Joi.object({
+    params: Joi.object({
+      adminId: Joi.string().regex(/^[0-9a-fA-F]{24}$/).required()
+    })
+  }),
+
+  getAuditLogs: Joi.object({
+    query: Joi.object({
+      actorId: Joi.string().regex(/^[0-9a-fA-F]{24}$/),
+      actor: Joi.string().max(100),
+      action: Joi.string().max(100),
+      targetType: Joi.string().valid('content', 'episode', 'admin_user', 'cache', 'analytics', 'system'),
+      targetId: Joi.string().max(100),
+      from: Joi.date(),
+      to: Joi.date().min(Joi.ref('from')),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(50)
+    })
   })
 };
 
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const SALT_ROUNDS = 12;
+
+const adminUserSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+
+  email: { type: String, trim: true, lowercase: true },
+  fullName: { type: String, trim: true },
+
+  // bcrypt hash, never returned by default
+  password: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  role: {
+    type: String,
+    enum: ['admin', 'moderator', 'content-editor', 'analyst', 'reviewer'],
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'disabled'],
+    default: 'active'
+  },
+
+  // Audit fields
+  createdBy: { type: String }, // username of the admin who created this account
+  disabledAt: { type: Date },
+  disabledBy: { type: String },
+  passwordChangedAt: { type: Date },
+  lastLoginAt: { type: Date },
+  lastLoginIp: { type: String }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes for better performance
+adminUserSchema.index({ role: 1, status: 1 });
+
+// Hash password whenever it is set or changed
+adminUserSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Instance methods
+adminUserSchema.methods.comparePassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+adminUserSchema.methods.recordLogin = function(ip) {
+  this.lastLoginAt = new Date();
+  this.lastLoginIp = ip;
+  return this.save();
+};
+
+adminUserSchema.methods.toSafeObject = function() {
+  return {
+    _id: this._id,
+    username: this.username,
+    email: this.email,
+    fullName: this.fullName,
+    role: this.role,
+    status: this.status,
+    createdBy: this.createdBy,
+    disabledAt: this.disabledAt,
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static methods
+adminUserSchema.statics.findByUsername = function(username, withPassword = false) {
+  const query = this.findOne({ username: (username || '').toLowerCase() });
+  return withPassword ? query.select('+password') : query;
+};
+
+/**
+ * Create the first admin account from env vars when the collection is empty,
+ * so a fresh deployment is not locked out of the admin API.
+ */
+adminUserSchema.statics.ensureBootstrapAdmin = async function() {
+  const username = process.env.ADMIN_BOOTSTRAP_USERNAME;
+  const password = process.env.ADMIN_BOOTSTRAP_PASSWORD;
+
+  if (!username || !password) return null;
+
+  const existing = await this.countDocuments();
+  if (existing > 0) return null;
+
+  const admin = await this.create({
+    username,
+    password,
+    role: 'admin',
+    createdBy: 'bootstrap'
+  });
+
+  console.log(`👤 Bootstrap admin account created: ${admin.username}`);
+  return admin;
+};
+
+module.exports = mongoose.model('AdminUser', adminUserSchema);
\ No newline at end of file
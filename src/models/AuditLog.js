@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Append-only record of an admin mutation
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+    username: { type: String },
+    role: { type: String }
+  },
+
+  // e.g. 'content.publish', 'admin_user.disable'
+  action: {
+    type: String,
+    required: true
+  },
+
+  targetType: {
+    type: String,
+    enum: ['content', 'episode', 'admin_user', 'cache', 'analytics', 'system'],
+    required: true
+  },
+
+  // Ids of the documents the action touched (stored as strings so any id format fits)
+  targetIds: [{ type: String }],
+
+  // Changed fields, e.g. { field: 'feedSettings.isInRandomFeed', before: true, after: false }
+  changes: [{
+    _id: false,
+    field: { type: String },
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed }
+  }],
+
+  // Extra context such as counts or request flags
+  metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  ip: { type: String },
+  userAgent: { type: String }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetIds: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.adminId': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Audit entries are never edited
+const rejectUpdate = function(next) {
+  next(new Error('Audit log entries are immutable'));
+};
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], rejectUpdate);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
\ No newline at end of file
@@ -64,9 +64,29 @@ const contentSchema = new mongoose.Schema({
   // Admin and content management
   status: { 
     type: String, 
-    enum: ['draft', 'published', 'archived', 'private'], 
+    enum: ['draft', 'in_review', 'approved', 'published', 'archived', 'private'], 
     default: 'draft' 
   },
+
+  // Editorial review: editors submit drafts, reviewers approve or send them back
+  review: {
+    submittedBy: { type: String }, // Admin username
+    submittedAt: { type: Date },
+    assignee: {
+      adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+      username: { type: String }
+    },
+    decision: { type: String, enum: ['approved', 'rejected'] },
+    decidedBy: { type: String },
+    decidedAt: { type: Date },
+    comments: [{
+      _id: false,
+      author: { type: String },
+      action: { type: String, enum: ['submit', 'assign', 'approve', 'reject'] },
+      body: { type: String },
+      createdAt: { type: Date, default: Date.now }
+    }]
+  },
   
   visibility: {
     type: String,
@@ -102,6 +122,18 @@ const contentSchema = new mongoose.Schema({
   contentWarnings: [{ type: String }], // e.g., ['violence', 'adult-content']
   ageRating: { type: String, enum: ['all', '13+', '16+', '18+'], default: 'all' },
 
+  // Scheduled status changes, applied by the content-schedule job
+  scheduledPublishAt: { type: Date },
+  scheduledUnpublishAt: { type: Date },
+  scheduledFeedPriority: { type: Number, min: 1, max: 10 }, // When set, scheduled publish also adds the title to the random feed
+  scheduledBy: { type: String }, // Admin username
+  // Why a due transition could not be applied; the job skips it until it is rescheduled (or approved)
+  scheduleError: {
+    action: { type: String, enum: ['publish', 'unpublish'] },
+    message: { type: String },
+    failedAt: { type: Date }
+  },
+
   // Timestamps
   publishedAt: { type: Date },
   lastUpdated: { type: Date, default: Date.now }
@@ -118,10 +150,13 @@ contentSchema.index({ 'feedSettings.isInRandomFeed': 1 });
 contentSchema.index({ 'analytics.popularityScore': -1 });
 contentSchema.index({ 'analytics.trendingScore': -1 });
 contentSchema.index({ publishedAt: -1 });
+contentSchema.index({ scheduledPublishAt: 1 }, { sparse: true });
+contentSchema.index({ scheduledUnpublishAt: 1 }, { sparse: true });
 
 // Compound indexes
 contentSchema.index({ status: 1, 'feedSettings.isInRandomFeed': 1, 'feedSettings.feedPriority': -1 });
 contentSchema.index({ genre: 1, language: 1, status: 1 });
+contentSchema.index({ status: 1, 'review.assignee.adminId': 1, 'review.submittedAt': 1 });
 
 // Virtual for episode count
 contentSchema.virtual('episodeCount').get(function() {
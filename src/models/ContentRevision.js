@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a title's editable metadata after one admin change
+const contentRevisionSchema = new mongoose.Schema({
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content',
+    required: true
+  },
+
+  // 1, 2, 3... per content
+  revision: {
+    type: Number,
+    required: true
+  },
+
+  // Editable metadata as it was after this change (TRACKED_FIELDS in revisionService)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Top-level fields that differ from the previous revision
+  changedFields: [{ type: String }],
+
+  source: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'feed_settings', 'bulk_update', 'import', 'rollback'],
+    required: true
+  },
+
+  // For rollbacks: the revision whose snapshot was restored
+  restoredRevision: { type: Number },
+
+  author: {
+    adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+    username: { type: String }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+contentRevisionSchema.index({ contentId: 1, revision: -1 }, { unique: true });
+
+// Static methods
+contentRevisionSchema.statics.getLatest = function(contentId) {
+  return this.findOne({ contentId }).sort({ revision: -1 });
+};
+
+module.exports = mongoose.model('ContentRevision', contentRevisionSchema);
\ No newline at end of file
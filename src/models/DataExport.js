@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { dropLegacyIndexes } = require('../utils/helpers');
+
+// A user's request for a copy of their data, built in the background for large accounts
+const dataExportSchema = new mongoose.Schema({
+  exportId: {
+    type: String,
+    default: uuidv4,
+    unique: true,
+    required: true
+  },
+
+  userId: {
+    type: String,
+    required: true
+  },
+
+  format: {
+    type: String,
+    enum: ['json', 'zip'],
+    default: 'zip'
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+
+  // Storage object holding the finished archive
+  fileName: { type: String },
+  size: { type: Number },
+
+  recordCounts: {
+    watchlist: { type: Number, default: 0 },
+    ratings: { type: Number, default: 0 },
+    likes: { type: Number, default: 0 },
+    analyticsEvents: { type: Number, default: 0 },
+    devices: { type: Number, default: 0 }
+  },
+
+  error: { type: String },
+  startedAt: { type: Date },
+  completedAt: { type: Date },
+
+  // The export-expiry job deletes the archive after this, then the record
+  expiresAt: { type: Date }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// expiresAt_1 was a TTL index: it dropped records while their archives stayed in storage
+const LEGACY_INDEXES = ['expiresAt_1'];
+
+// Static methods
+dataExportSchema.statics.findActiveForUser = function(userId) {
+  return this.findOne({ userId, status: { $in: ['pending', 'processing'] } });
+};
+
+// Drop LEGACY_INDEXES left on an existing collection (run at startup)
+dataExportSchema.statics.dropLegacyIndexes = function() {
+  return dropLegacyIndexes(this, LEGACY_INDEXES);
+};
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
\ No newline at end of file
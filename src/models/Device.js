@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// One document per app install a user has signed in from
+const deviceSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+
+  deviceId: {
+    type: String,
+    required: true
+  },
+
+  platform: { type: String, enum: ['android', 'ios', 'web'] },
+  appVersion: { type: String },
+  osVersion: { type: String },
+
+  lastIp: { type: String },
+  firstSeenAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now },
+
+  // Set when the user signs the device out; a fresh login clears it
+  revokedAt: { type: Date, default: null }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+deviceSchema.index({ userId: 1, deviceId: 1 }, { unique: true });
+deviceSchema.index({ userId: 1, lastSeenAt: -1 });
+
+// Static methods
+
+/**
+ * Upsert a device when a token is issued for it; re-activates a revoked device
+ */
+deviceSchema.statics.recordSignIn = function(userId, deviceInfo = {}, ip) {
+  const { deviceId, platform, appVersion, osVersion } = deviceInfo;
+
+  return this.findOneAndUpdate(
+    { userId, deviceId },
+    {
+      $set: {
+        ...(platform && { platform }),
+        ...(appVersion && { appVersion }),
+        ...(osVersion && { osVersion }),
+        ...(ip && { lastIp: ip }),
+        lastSeenAt: new Date(),
+        revokedAt: null
+      },
+      $setOnInsert: { firstSeenAt: new Date() }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Bump lastSeenAt, at most once per interval to keep writes off the hot path
+ */
+deviceSchema.statics.touch = function(userId, deviceId, intervalMs = 5 * 60 * 1000) {
+  return this.updateOne(
+    {
+      userId,
+      deviceId,
+      revokedAt: null,
+      lastSeenAt: { $lt: new Date(Date.now() - intervalMs) }
+    },
+    { lastSeenAt: new Date() }
+  );
+};
+
+deviceSchema.statics.getUserDevices = function(userId) {
+  return this.find({ userId, revokedAt: null }).sort({ lastSeenAt: -1 });
+};
+
+module.exports = mongoose.model('Device', deviceSchema);
\ No newline at end of file
@@ -40,7 +40,14 @@ const episodeSchema = new mongoose.Schema({
     fileSize: { type: Number }, // Size in bytes
     contentType: { type: String, default: 'video/mp4' },
     uploadedAt: { type: Date, default: Date.now },
-    md5Hash: { type: String }
+    md5Hash: { type: String },
+    // Providers holding a copy of fileName (more than one with STORAGE_SECONDARY_PROVIDER)
+    replicas: [{
+      _id: false,
+      provider: { type: String },
+      fileName: { type: String },
+      storedAt: { type: Date }
+    }]
   },
 
   // Episode analytics
@@ -102,6 +109,74 @@ const episodeSchema = new mongoose.Schema({
   contentWarnings: [{ type: String }],
   tags: [{ type: String }],
   
+  // HLS renditions written by the transcoding worker (storage keys, served via /api/episodes/:id/manifest.m3u8)
+  hls: {
+    masterPlaylist: { type: String },
+    segmentType: { type: String, enum: ['mpegts', 'fmp4'] },
+    segmentDuration: { type: Number }, // Target seconds per segment
+    variants: [{
+      _id: false,
+      resolution: { type: String },
+      width: { type: Number },
+      height: { type: Number },
+      bandwidth: { type: Number }, // Peak bits per second (video maxrate + audio)
+      codecs: { type: String },
+      playlist: { type: String }, // Media playlist key; segments sit next to it
+      segmentCount: { type: Number }
+    }],
+    generatedAt: { type: Date }
+  },
+
+  // DASH representations (fMP4 segments) written by the transcoding worker, served via /api/episodes/:id/manifest.mpd
+  dash: {
+    manifest: { type: String }, // Stored MPD key; segment paths below are relative to its folder
+    segmentDuration: { type: Number },
+    representations: [{
+      _id: false,
+      id: { type: String },
+      contentType: { type: String, enum: ['video', 'audio'] },
+      width: { type: Number },
+      height: { type: Number },
+      bandwidth: { type: Number },
+      codecs: { type: String },
+      audioSamplingRate: { type: Number },
+      audioChannels: { type: Number },
+      initialization: { type: String },
+      media: { type: String }, // SegmentTemplate, e.g. 720p/segment_$Number%05d$.m4s
+      segmentCount: { type: Number }
+    }],
+    generatedAt: { type: Date }
+  },
+
+  // Background transcoding (see transcodingService); status stays 'processing' until it completes,
+  // then returns to processing.previousStatus (draft for new episodes)
+  processing: {
+    jobId: { type: String },
+    state: { type: String, enum: ['queued', 'active', 'completed', 'failed', 'cancelled'] },
+    progress: { type: Number, default: 0, min: 0, max: 100 },
+    stage: { type: String }, // e.g. 'download', 'transcode:720p', 'thumbnail'
+    targetQualities: [{ type: String }],
+    completedQualities: [{ type: String }],
+    sourceFile: { type: String }, // Original upload in storage, kept for retries
+    previousStatus: { type: String }, // Status before the transcode, restored when it completes
+    attempts: { type: Number, default: 0 },
+    error: { type: String },
+    queuedAt: { type: Date },
+    startedAt: { type: Date },
+    finishedAt: { type: Date }
+  },
+
+  // Scheduled status changes, applied by the content-schedule job
+  scheduledPublishAt: { type: Date },
+  scheduledUnpublishAt: { type: Date },
+  scheduledBy: { type: String }, // Admin username
+  // Why a due transition could not be applied; the job skips it until it is rescheduled (or approved)
+  scheduleError: {
+    action: { type: String, enum: ['publish', 'unpublish'] },
+    message: { type: String },
+    failedAt: { type: Date }
+  },
+
   // Timestamps
   publishedAt: { type: Date },
   lastWatched: { type: Date }
@@ -114,6 +189,9 @@ const episodeSchema = new mongoose.Schema({
 episodeSchema.index({ contentId: 1, episodeNumber: 1 });
 episodeSchema.index({ contentId: 1, seasonNumber: 1, episodeNumber: 1 });
 episodeSchema.index({ status: 1, publishedAt: -1 });
+episodeSchema.index({ 'processing.state': 1 }, { sparse: true });
+episodeSchema.index({ scheduledPublishAt: 1 }, { sparse: true });
+episodeSchema.index({ scheduledUnpublishAt: 1 }, { sparse: true });
 episodeSchema.index({ 'analytics.totalViews': -1 });
 
 // Compound indexes for episode navigation
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One execution of a scheduled background job
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date },
+  durationMs: { type: Number },
+
+  // Job-specific counters, e.g. { usersPurged: 3 }
+  stats: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  failures: [{
+    ref: { type: String }, // What the error is about, e.g. a userId
+    message: { type: String }
+  }],
+
+  host: { type: String }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+// Instance methods
+jobRunSchema.methods.finish = function(stats = {}, error = null) {
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  this.stats = { ...this.stats, ...stats };
+  this.status = error ? 'failed' : 'completed';
+
+  if (error) {
+    this.failures.push({ message: error.message });
+  }
+
+  return this.save();
+};
+
+// Static methods
+jobRunSchema.statics.getRecentRuns = function(job, limit = 20) {
+  return this.find(job ? { job } : {}).sort({ startedAt: -1 }).limit(limit);
+};
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
\ No newline at end of file
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// An object deleted through storageService that some replica still holds because its delete failed
+// The storage-repair job retries the delete instead of copying the object back, then drops the marker
+const storageDeletionSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Providers whose delete has not succeeded yet
+  pendingProviders: [{ type: String }],
+
+  deletedAt: { type: Date, default: Date.now },
+  lastError: { type: String }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Static methods
+storageDeletionSchema.statics.markPending = function(fileName, providers, message) {
+  return this.updateOne(
+    { fileName },
+    {
+      $addToSet: { pendingProviders: { $each: providers } },
+      $set: { deletedAt: new Date(), lastError: message }
+    },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('StorageDeletion', storageDeletionSchema);
\ No newline at end of file
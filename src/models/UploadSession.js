@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// A large video upload: chunked (chunks land in temporary storage until the client completes it)
+// or presigned (the client PUTs the file straight to the bucket)
+const uploadSessionSchema = new mongoose.Schema({
+  uploadId: {
+    type: String,
+    default: uuidv4,
+    unique: true,
+    required: true
+  },
+
+  method: {
+    type: String,
+    enum: ['chunked', 'presigned'],
+    default: 'chunked'
+  },
+
+  createdBy: {
+    adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+    username: { type: String }
+  },
+
+  fileName: { type: String, required: true },
+  fileSize: { type: Number, required: true },
+  contentType: { type: String, default: 'video/mp4' },
+  checksum: { type: String }, // Optional SHA-256 of the whole file, checked after assembly
+
+  chunkSize: { type: Number, required: function() { return this.method === 'chunked'; } },
+  totalChunks: { type: Number, required: function() { return this.method === 'chunked'; } },
+  receivedChunks: [{ type: Number }],
+  bytesReceived: { type: Number, default: 0 },
+
+  status: {
+    type: String,
+    enum: ['uploading', 'assembling', 'completed', 'failed', 'aborted', 'expired'],
+    default: 'uploading'
+  },
+
+  // Episode to create once the file is assembled
+  episode: {
+    contentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Content' },
+    title: { type: String },
+    description: { type: String },
+    episodeNumber: { type: Number },
+    seasonNumber: { type: Number, default: 1 },
+    duration: { type: Number },
+    tags: [{ type: String }],
+    qualities: [{ type: String }]
+  },
+
+  episodeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Episode' },
+  reservedEpisodeId: { type: String }, // Presigned uploads: picked up front because it is part of the storage key
+  sourceFile: { type: String },
+  jobId: { type: String },
+
+  error: { type: String },
+  completedAt: { type: Date },
+
+  // Unfinished uploads (and their chunks) are dropped by the upload-cleanup job after this
+  expiresAt: { type: Date, required: true }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+uploadSessionSchema.index({ 'createdBy.adminId': 1, createdAt: -1 });
+
+// Instance methods
+uploadSessionSchema.methods.getMissingChunks = function() {
+  if (this.method !== 'chunked') return [];
+
+  const received = new Set(this.receivedChunks);
+  return Array.from({ length: this.totalChunks }, (_, index) => index).filter(index => !received.has(index));
+};
+
+// Expected byte length of a chunk (the last one is usually shorter)
+uploadSessionSchema.methods.getChunkLength = function(index) {
+  return Math.min(this.chunkSize, this.fileSize - index * this.chunkSize);
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
\ No newline at end of file
@@ -1,6 +1,30 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
 
+const SALT_ROUNDS = 12;
+
+// Viewing profile inside a household account; the account itself is the main profile
+const viewingProfileSchema = new mongoose.Schema({
+  profileId: {
+    type: String,
+    default: uuidv4,
+    required: true
+  },
+  name: { type: String, required: true, trim: true },
+  avatar: { type: String },
+  isKids: { type: Boolean, default: false },
+  // Highest content ageRating this profile may watch (unset = no limit)
+  maxAgeRating: { type: String, enum: ['all', '13+', '16+', '18+'] },
+  preferences: {
+    preferredGenres: [{ type: String }],
+    preferredLanguages: [{ type: String }],
+    autoPlay: { type: Boolean, default: true },
+    dataUsage: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' }
+  },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   userId: {
     type: String,
@@ -34,6 +58,16 @@ const userSchema = new mongoose.Schema({
     dataUsage: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' }
   },
 
+  // Subscription tier; decides how many screens can stream at once
+  subscription: {
+    tier: { type: String, enum: ['free', 'standard', 'premium'], default: 'free' },
+    maxStreams: { type: Number, min: 1 }, // Per-account override of the tier limit
+    expiresAt: { type: Date }
+  },
+
+  // Additional household profiles (registered accounts only)
+  viewingProfiles: [viewingProfileSchema],
+
   // Analytics and tracking
   analytics: {
     totalWatchTime: { type: Number, default: 0 }, // in seconds
@@ -66,11 +100,36 @@ const userSchema = new mongoose.Schema({
   // Status and metadata
   status: { 
     type: String, 
-    enum: ['active', 'inactive', 'suspended'], 
+    enum: ['active', 'inactive', 'suspended', 'pending_deletion'], 
     default: 'active' 
   },
+
+  // Soft deletion; the account is purged once scheduledFor has passed
+  deletion: {
+    requestedAt: { type: Date },
+    scheduledFor: { type: Date },
+    reason: { type: String },
+    restoreTokenHash: { type: String, select: false }
+  },
   
   isAnonymous: { type: Boolean, default: true },
+
+  // Login credentials, set when an anonymous user registers
+  credentials: {
+    email: { type: String, trim: true, lowercase: true },
+    password: { type: String, select: false }, // bcrypt hash
+    passwordChangedAt: { type: Date },
+    passwordResetToken: { type: String, select: false }, // sha256 of the emailed token
+    passwordResetExpires: { type: Date, select: false },
+    registeredAt: { type: Date },
+    lastLoginAt: { type: Date }
+  },
+
+  // Verified phone number for OTP login (E.164, e.g. +919876543210)
+  phone: {
+    number: { type: String, trim: true },
+    verifiedAt: { type: Date }
+  },
   
   // Timestamps
   firstSeenAt: { type: Date, default: Date.now },
@@ -84,6 +143,9 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ 'deviceInfo.deviceId': 1 });
 userSchema.index({ lastSeenAt: -1 });
 userSchema.index({ status: 1 });
+userSchema.index({ status: 1, 'deletion.scheduledFor': 1 });
+userSchema.index({ 'credentials.email': 1 }, { unique: true, sparse: true });
+userSchema.index({ 'phone.number': 1 }, { unique: true, sparse: true });
 
 // Update lastSeenAt on any activity
 userSchema.pre('save', function(next) {
@@ -91,6 +153,21 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+// Hash password whenever it is set or changed
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('credentials.password') || !this.credentials.password) return next();
+
+  try {
+    this.credentials.password = await bcrypt.hash(this.credentials.password, SALT_ROUNDS);
+    if (this.credentials.registeredAt && !this.isModified('credentials.registeredAt')) {
+      this.credentials.passwordChangedAt = new Date();
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Instance methods
 userSchema.methods.updateActivity = function() {
   this.lastSeenAt = new Date();
@@ -110,11 +187,52 @@ userSchema.methods.updatePreferences = function(genres, languages) {
   return this.save();
 };
 
+userSchema.methods.comparePassword = function(candidatePassword) {
+  if (!this.credentials?.password) return Promise.resolve(false);
+  return bcrypt.compare(candidatePassword, this.credentials.password);
+};
+
+// Turn an anonymous user into a registered account, keeping its userId
+userSchema.methods.register = function({ email, password, username, fullName }) {
+  this.isAnonymous = false;
+  this.credentials.email = email;
+  this.credentials.password = password;
+  this.credentials.registeredAt = new Date();
+
+  this.profile.email = email;
+  if (username !== undefined) this.profile.username = username;
+  if (fullName !== undefined) this.profile.fullName = fullName;
+  this.profile.hasProfile = true;
+
+  return this.save();
+};
+
+// Attach a verified phone number; the user stops being anonymous
+userSchema.methods.verifyPhone = function(phoneNumber) {
+  this.phone.number = phoneNumber;
+  this.phone.verifiedAt = new Date();
+  this.isAnonymous = false;
+  return this.save();
+};
+
+userSchema.methods.getViewingProfile = function(profileId) {
+  return this.viewingProfiles.find(profile => profile.profileId === profileId) || null;
+};
+
 // Static methods
 userSchema.statics.findByUserId = function(userId) {
   return this.findOne({ userId });
 };
 
+userSchema.statics.findByEmail = function(email, withPassword = false) {
+  const query = this.findOne({ 'credentials.email': (email || '').toLowerCase() });
+  return withPassword ? query.select('+credentials.password') : query;
+};
+
+userSchema.statics.findByPhone = function(phoneNumber) {
+  return this.findOne({ 'phone.number': phoneNumber });
+};
+
 userSchema.statics.createAnonymousUser = function(deviceInfo = {}) {
   return this.create({
     deviceInfo,
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { dropLegacyIndexes } = require('../utils/helpers');
 
 const watchlistSchema = new mongoose.Schema({
   userId: {
@@ -6,6 +7,12 @@ const watchlistSchema = new mongoose.Schema({
     required: true
   },
 
+  // Viewing profile within the user's account (null = main profile)
+  profileId: {
+    type: String,
+    default: null
+  },
+
   contentId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Content',
@@ -92,12 +99,16 @@ const watchlistSchema = new mongoose.Schema({
 });
 
 // Compound indexes for better performance
-watchlistSchema.index({ userId: 1, contentId: 1 });
-watchlistSchema.index({ userId: 1, episodeId: 1 }, { unique: true });
-watchlistSchema.index({ userId: 1, status: 1 });
-watchlistSchema.index({ userId: 1, 'sessionInfo.lastWatchedAt': -1 });
+watchlistSchema.index({ userId: 1, profileId: 1, contentId: 1 });
+watchlistSchema.index({ userId: 1, profileId: 1, episodeId: 1 }, { unique: true });
+watchlistSchema.index({ userId: 1, profileId: 1, status: 1 });
+watchlistSchema.index({ userId: 1, profileId: 1, 'sessionInfo.lastWatchedAt': -1 });
 watchlistSchema.index({ contentId: 1, 'watchProgress.isCompleted': 1 });
 
+// Indexes older deployments created that the schema no longer declares
+// userId_1_episodeId_1 was unique before profiles and rejects a second profile's entry for the same episode
+const LEGACY_INDEXES = ['userId_1_episodeId_1'];
+
 // Calculate percentage watched before saving
 watchlistSchema.pre('save', function(next) {
   if (this.watchProgress.currentPosition && this.watchProgress.totalDuration) {
@@ -156,23 +167,24 @@ watchlistSchema.methods.toggleLike = function() {
 };
 
 // Static methods
-watchlistSchema.statics.getUserWatchHistory = function(userId, limit = 50) {
-  return this.find({ userId })
+// profileId selects a household viewing profile; null is the account's main profile
+watchlistSchema.statics.getUserWatchHistory = function(userId, limit = 50, profileId = null) {
+  return this.find({ userId, profileId })
     .sort({ 'sessionInfo.lastWatchedAt': -1 })
     .limit(limit)
     .populate('contentId', 'title thumbnail genre')
     .populate('episodeId', 'title episodeNumber duration');
 };
 
-watchlistSchema.statics.getUserProgress = function(userId, contentId) {
-  return this.find({ userId, contentId })
+watchlistSchema.statics.getUserProgress = function(userId, contentId, profileId = null) {
+  return this.find({ userId, profileId, contentId })
     .sort({ 'episodeDetails.episodeNumber': 1 })
     .populate('episodeId', 'title episodeNumber duration');
 };
 
-watchlistSchema.statics.getWatchedContent = function(userId) {
+watchlistSchema.statics.getWatchedContent = function(userId, profileId = null) {
   return this.aggregate([
-    { $match: { userId } },
+    { $match: { userId, profileId } },
     { 
       $group: {
         _id: '$contentId',
@@ -188,9 +200,10 @@ watchlistSchema.statics.getWatchedContent = function(userId) {
   ]);
 };
 
-watchlistSchema.statics.getContinueWatching = function(userId, limit = 10) {
+watchlistSchema.statics.getContinueWatching = function(userId, limit = 10, profileId = null) {
   return this.find({
     userId,
+    profileId,
     status: { $in: ['watching', 'paused'] },
     'watchProgress.percentageWatched': { $gt: 5, $lt: 80 } // 5-80% watched
   })
@@ -200,9 +213,10 @@ watchlistSchema.statics.getContinueWatching = function(userId, limit = 10) {
     .populate('episodeId', 'title episodeNumber duration');
 };
 
-watchlistSchema.statics.getCompletedContent = function(userId, limit = 20) {
+watchlistSchema.statics.getCompletedContent = function(userId, limit = 20, profileId = null) {
   return this.find({
     userId,
+    profileId,
     'watchProgress.isCompleted': true
   })
     .sort({ 'sessionInfo.completedAt': -1 })
@@ -210,9 +224,9 @@ watchlistSchema.statics.getCompletedContent = function(userId, limit = 20) {
     .populate('contentId', 'title thumbnail genre');
 };
 
-watchlistSchema.statics.getUserStats = function(userId) {
+watchlistSchema.statics.getUserStats = function(userId, profileId = null) {
   return this.aggregate([
-    { $match: { userId } },
+    { $match: { userId, profileId } },
     {
       $group: {
         _id: null,
@@ -273,4 +287,9 @@ watchlistSchema.statics.getDropOffAnalytics = function(episodeId) {
   ]);
 };
 
+// Drop LEGACY_INDEXES left on an existing collection (run at startup)
+watchlistSchema.statics.dropLegacyIndexes = function() {
+  return dropLegacyIndexes(this, LEGACY_INDEXES);
+};
+
 module.exports = mongoose.model('Watchlist', watchlistSchema);
\ No newline at end of file
@@ -4,11 +4,19 @@ const router = express.Router();
 
 // Import controllers and middleware
 const adminController = require('../controllers/adminController');
+const adminUserController = require('../controllers/adminUserController');
+const auditController = require('../controllers/auditController');
+const scheduleController = require('../controllers/scheduleController');
+const revisionController = require('../controllers/revisionController');
+const reviewController = require('../controllers/reviewController');
+const uploadController = require('../controllers/uploadController');
 const analyticsService = require('../services/analyticsService');
+const auditService = require('../services/auditService');
 const { validate, adminValidation, fileValidation, analyticsValidation } = require('../middleware/validation');
-const { strictLimiter } = require('../middleware/rateLimiter');
-const { optionalAuth, adminLogin, requireAdmin, validateApiKey } = require('../middleware/auth');
-const { asyncHandler } = require('../middleware/errorHandler');
+const { strictLimiter, uploadChunkLimiter, uploadSessionLimiter } = require('../middleware/rateLimiter');
+const { authenticate, adminLogin, adminRefresh, adminLogout, adminLogoutAll, requireRole, requirePermission, validateApiKey } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { AUDIT_ACTIONS } = require('../utils/constants');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -29,53 +37,189 @@ const upload = multer({
   }
 });
 
+// Catalog manifests for bulk import (CSV or JSON)
+const manifestUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 5 * 1024 * 1024 // 5MB default
+  },
+  fileFilter: (req, file, cb) => {
+    cb(null, file.fieldname === 'manifest' && /\.(csv|json)$/i.test(file.originalname));
+  }
+});
+
 // Apply strict rate limiting to all admin routes
 router.use(strictLimiter);
 
-// Add requireAdmin to all routes except /login
-router.use((req, res, next) => {
-  if (req.path === '/login') return next();
-  return require('../middleware/auth').requireAdmin(req, res, next);
-});
-
 /**
  * @route   POST /api/admin/login
- * @desc    Admin login (for demo/testing)
+ * @desc    Admin login
  * @access  Public
  */
 router.post('/login', adminLogin);
 
+/**
+ * @route   POST /api/admin/refresh
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public (refresh token)
+ */
+router.post('/refresh', validate(adminValidation.refreshToken), adminRefresh);
+
+// Every route below requires an active admin account of any role;
+// individual routes then check the permission they need
+router.use(authenticate, requireRole());
+
+/**
+ * @route   POST /api/admin/logout
+ * @desc    Revoke the current access token and refresh token
+ * @access  Admin
+ */
+router.post('/logout', validate(adminValidation.logout), adminLogout);
+
+/**
+ * @route   POST /api/admin/logout-all
+ * @desc    Revoke every session of the current admin
+ * @access  Admin
+ */
+router.post('/logout-all', adminLogoutAll);
+
 /**
  * @route   POST /api/admin/content
  * @desc    Create new content
- * @access  Admin
+ * @access  Admin (content:create)
  */
 router.post(
   '/content',
+  requirePermission('content:create'),
   validate(adminValidation.createContent),
   adminController.createContent
 );
 
+/**
+ * @route   POST /api/admin/content/import
+ * @desc    Bulk import content/episodes from a CSV or JSON manifest (?mode=dry-run|apply)
+ * @access  Admin (content:create)
+ */
+router.post(
+  '/content/import',
+  requirePermission('content:create'),
+  manifestUpload.single('manifest'),
+  validate(adminValidation.importContent),
+  adminController.importContent
+);
+
+/**
+ * @route   GET /api/admin/content/export
+ * @desc    Stream the catalog as NDJSON or CSV (?format=&status=&category=&genre=&language=)
+ * @access  Admin (content:export)
+ */
+router.get(
+  '/content/export',
+  requirePermission('content:export'),
+  validate(adminValidation.exportCatalog),
+  adminController.exportCatalog
+);
+
 /**
  * @route   POST /api/admin/upload-video
  * @desc    Upload video and create episode
- * @access  Admin
+ * @access  Admin (episode:upload)
  */
 router.post(
   '/upload-video',
+  requirePermission('episode:upload'),
   upload.single('video'),
   fileValidation.videoUpload,
   validate(adminValidation.uploadVideo),
   adminController.uploadVideo
 );
 
+/**
+ * @route   POST /api/admin/uploads
+ * @desc    Start a resumable (chunked) video upload
+ * @access  Admin (episode:upload)
+ */
+router.post(
+  '/uploads',
+  uploadSessionLimiter,
+  requirePermission('episode:upload'),
+  validate(adminValidation.createUpload),
+  uploadController.createUpload
+);
+
+/**
+ * @route   POST /api/admin/uploads/presigned
+ * @desc    Get a presigned URL to upload a video straight to storage
+ * @access  Admin (episode:upload)
+ */
+router.post(
+  '/uploads/presigned',
+  uploadSessionLimiter,
+  requirePermission('episode:upload'),
+  validate(adminValidation.createPresignedUpload),
+  uploadController.createPresignedUpload
+);
+
+/**
+ * @route   GET /api/admin/uploads/:uploadId
+ * @desc    Upload progress and missing chunks
+ * @access  Admin (episode:upload)
+ */
+router.get(
+  '/uploads/:uploadId',
+  uploadSessionLimiter,
+  requirePermission('episode:upload'),
+  validate(adminValidation.uploadSession),
+  uploadController.getUpload
+);
+
+/**
+ * @route   PUT /api/admin/uploads/:uploadId/chunks/:index
+ * @desc    Upload one chunk (raw body, optional X-Chunk-SHA256 header)
+ * @access  Admin (episode:upload)
+ */
+router.put(
+  '/uploads/:uploadId/chunks/:index',
+  uploadChunkLimiter,
+  requirePermission('episode:upload'),
+  validate(adminValidation.uploadChunk),
+  uploadController.uploadChunk
+);
+
+/**
+ * @route   POST /api/admin/uploads/:uploadId/complete
+ * @desc    Assemble the chunks (or verify a direct upload) and queue the video for transcoding
+ * @access  Admin (episode:upload)
+ */
+router.post(
+  '/uploads/:uploadId/complete',
+  uploadSessionLimiter,
+  requirePermission('episode:upload'),
+  validate(adminValidation.uploadSession),
+  uploadController.completeUpload
+);
+
+/**
+ * @route   DELETE /api/admin/uploads/:uploadId
+ * @desc    Abort an upload and delete its chunks or uploaded object
+ * @access  Admin (episode:upload)
+ */
+router.delete(
+  '/uploads/:uploadId',
+  uploadSessionLimiter,
+  requirePermission('episode:upload'),
+  validate(adminValidation.uploadSession),
+  uploadController.abortUpload
+);
+
 /**
  * @route   POST /api/admin/upload-thumbnail/:episodeId
  * @desc    Upload thumbnail for episode
- * @access  Admin
+ * @access  Admin (episode:upload)
  */
 router.post(
   '/upload-thumbnail/:episodeId',
+  requirePermission('episode:upload'),
   upload.single('thumbnail'),
   fileValidation.imageUpload,
   asyncHandler(async (req, res) => {
@@ -88,37 +232,44 @@ router.post(
       });
     }
 
-    // Upload thumbnail to GCP
-    const { uploadVideoToGCP } = require('../config/gcp');
-    const fileName = `thumbnails/episode_${episodeId}_${Date.now()}.jpg`;
-    
+    const Episode = require('../models/Episode');
+    const episode = await Episode.findById(episodeId);
+
+    if (!episode) {
+      return res.status(404).json({
+        success: false,
+        error: 'Episode not found'
+      });
+    }
+
     try {
-      const uploadResult = await uploadVideoToGCP(
-        req.file.buffer,
-        fileName,
-        { contentType: req.file.mimetype }
-      );
-
-      // Update episode with thumbnail URL
-      const Episode = require('../models/Episode');
-      const episode = await Episode.findById(episodeId);
-      
-      if (!episode) {
-        return res.status(404).json({
-          success: false,
-          error: 'Episode not found'
-        });
-      }
+      // Stored on the configured provider (and its replica), like generated thumbnails
+      const storageService = require('../services/storageService');
+      const uploadResult = await storageService.uploadImage(req.file.buffer, {
+        type: 'thumbnail',
+        contentId: episode.contentId,
+        episodeId: episode.episodeId,
+        originalName: req.file.originalname
+      });
 
-      episode.thumbnailUrl = uploadResult.publicUrl;
+      const previousThumbnailUrl = episode.thumbnailUrl;
+      episode.thumbnailUrl = uploadResult.cdnUrl || uploadResult.publicUrl;
       await episode.save();
 
+      await auditService.record(req, {
+        action: AUDIT_ACTIONS.EPISODE_THUMBNAIL_UPLOAD,
+        targetType: 'episode',
+        targetIds: [episode._id, episode.contentId],
+        before: { thumbnailUrl: previousThumbnailUrl },
+        after: { thumbnailUrl: episode.thumbnailUrl }
+      });
+
       res.status(200).json({
         success: true,
         message: 'Thumbnail uploaded successfully',
         data: {
           episodeId,
-          thumbnailUrl: uploadResult.publicUrl
+          thumbnailUrl: episode.thumbnailUrl
         }
       });
 
@@ -132,13 +283,50 @@ router.post(
   })
 );
 
+/**
+ * @route   GET /api/admin/episode/:episodeId/transcode
+ * @desc    Transcoding job status and progress for an episode
+ * @access  Admin (episode:upload)
+ */
+router.get(
+  '/episode/:episodeId/transcode',
+  requirePermission('episode:upload'),
+  validate(adminValidation.transcodeJob),
+  adminController.getTranscodeStatus
+);
+
+/**
+ * @route   POST /api/admin/episode/:episodeId/transcode/retry
+ * @desc    Re-queue a failed or cancelled transcode
+ * @access  Admin (episode:upload)
+ */
+router.post(
+  '/episode/:episodeId/transcode/retry',
+  requirePermission('episode:upload'),
+  validate(adminValidation.transcodeJob),
+  adminController.retryTranscode
+);
+
+/**
+ * @route   DELETE /api/admin/episode/:episodeId/transcode
+ * @desc    Cancel a queued or running transcode
+ * @access  Admin (episode:upload)
+ */
+router.delete(
+  '/episode/:episodeId/transcode',
+  requirePermission('episode:upload'),
+  validate(adminValidation.transcodeJob),
+  adminController.cancelTranscode
+);
+
 /**
  * @route   PUT /api/admin/content/:contentId/feed-settings
  * @desc    Update content feed settings
- * @access  Admin
+ * @access  Admin (content:update)
  */
 router.put(
   '/content/:contentId/feed-settings',
+  requirePermission('content:update'),
   validate(adminValidation.updateFeedSettings),
   adminController.updateFeedSettings
 );
@@ -146,100 +334,291 @@ router.put(
 /**
  * @route   POST /api/admin/content/:contentId/publish
  * @desc    Publish content
- * @access  Admin
+ * @access  Admin (content:publish)
  */
 router.post(
   '/content/:contentId/publish',
+  requirePermission('content:publish'),
   adminController.publishContent
 );
 
+/**
+ * @route   PUT /api/admin/content/:contentId/schedule
+ * @desc    Schedule content to publish and/or unpublish at a future time
+ * @access  Admin (content:publish)
+ */
+router.put(
+  '/content/:contentId/schedule',
+  requirePermission('content:publish'),
+  validate(adminValidation.scheduleContent),
+  scheduleController.scheduleContent
+);
+
+/**
+ * @route   DELETE /api/admin/content/:contentId/schedule
+ * @desc    Cancel scheduled publish/unpublish (?action=publish|unpublish|all)
+ * @access  Admin (content:publish)
+ */
+router.delete(
+  '/content/:contentId/schedule',
+  requirePermission('content:publish'),
+  validate(adminValidation.cancelContentSchedule),
+  scheduleController.cancelContentSchedule
+);
+
+/**
+ * @route   PUT /api/admin/episode/:episodeId/schedule
+ * @desc    Schedule an episode to publish and/or unpublish at a future time
+ * @access  Admin (content:publish)
+ */
+router.put(
+  '/episode/:episodeId/schedule',
+  requirePermission('content:publish'),
+  validate(adminValidation.scheduleEpisode),
+  scheduleController.scheduleEpisode
+);
+
+/**
+ * @route   DELETE /api/admin/episode/:episodeId/schedule
+ * @desc    Cancel an episode's scheduled publish/unpublish (?action=publish|unpublish|all)
+ * @access  Admin (content:publish)
+ */
+router.delete(
+  '/episode/:episodeId/schedule',
+  requirePermission('content:publish'),
+  validate(adminValidation.cancelEpisodeSchedule),
+  scheduleController.cancelEpisodeSchedule
+);
+
+/**
+ * @route   GET /api/admin/review
+ * @desc    Review queue (?assignee=me|unassigned|<adminId>&minAgeHours=&maxAgeHours=)
+ * @access  Admin (content:read)
+ */
+router.get(
+  '/review',
+  requirePermission('content:read'),
+  validate(adminValidation.getReviewQueue),
+  reviewController.getReviewQueue
+);
+
+/**
+ * @route   POST /api/admin/review/:contentId/submit
+ * @desc    Submit a draft for review
+ * @access  Admin (content:update)
+ */
+router.post(
+  '/review/:contentId/submit',
+  requirePermission('content:update'),
+  validate(adminValidation.submitForReview),
+  reviewController.submitForReview
+);
+
+/**
+ * @route   PUT /api/admin/review/:contentId/assignee
+ * @desc    Assign a submission to a reviewer
+ * @access  Admin (content:review)
+ */
+router.put(
+  '/review/:contentId/assignee',
+  requirePermission('content:review'),
+  validate(adminValidation.assignReviewer),
+  reviewController.assignReviewer
+);
+
+/**
+ * @route   POST /api/admin/review/:contentId/approve
+ * @desc    Approve a submission
+ * @access  Admin (content:review)
+ */
+router.post(
+  '/review/:contentId/approve',
+  requirePermission('content:review'),
+  validate(adminValidation.approveContent),
+  reviewController.approveContent
+);
+
+/**
+ * @route   POST /api/admin/review/:contentId/reject
+ * @desc    Reject a submission back to draft with a comment
+ * @access  Admin (content:review)
+ */
+router.post(
+  '/review/:contentId/reject',
+  requirePermission('content:review'),
+  validate(adminValidation.rejectContent),
+  reviewController.rejectContent
+);
+
+/**
+ * @route   GET /api/admin/schedules
+ * @desc    List upcoming scheduled publishes/unpublishes (?type=content|episode)
+ * @access  Admin (content:read)
+ */
+router.get(
+  '/schedules',
+  requirePermission('content:read'),
+  validate(adminValidation.getSchedules),
+  scheduleController.getSchedules
+);
+
 /**
  * @route   GET /api/admin/content/:contentId/analytics
  * @desc    Get content analytics
- * @access  Admin
+ * @access  Admin (analytics:read)
  */
 router.get(
   '/content/:contentId/analytics',
+  requirePermission('analytics:read'),
   adminController.getContentAnalytics
 );
 
 /**
  * @route   GET /api/admin/analytics/platform
  * @desc    Get platform analytics
- * @access  Admin
+ * @access  Admin (analytics:read)
  */
 router.get(
   '/analytics/platform',
+  requirePermission('analytics:read'),
   adminController.getPlatformAnalytics
 );
 
 /**
  * @route   DELETE /api/admin/content/:contentId
  * @desc    Delete content
- * @access  Admin
+ * @access  Admin (content:delete)
  */
 router.delete(
   '/content/:contentId',
+  requirePermission('content:delete'),
   adminController.deleteContent
 );
 
 /**
  * @route   PUT /api/admin/episode/:episodeId
  * @desc    Update episode
- * @access  Admin
+ * @access  Admin (episode:update)
  */
 router.put(
   '/episode/:episodeId',
+  requirePermission('episode:update'),
   adminController.updateEpisode
 );
 
 /**
  * @route   GET /api/admin/content
  * @desc    Get all content (admin view)
- * @access  Admin
+ * @access  Admin (content:read)
  */
 router.get(
   '/content',
+  requirePermission('content:read'),
   adminController.getAllContent
 );
 
 /**
  * @route   PUT /api/admin/content/bulk-update
  * @desc    Bulk update content status
- * @access  Admin
+ * @access  Admin (content:publish)
  */
 router.put(
   '/content/bulk-update',
+  requirePermission('content:publish'),
+  validate(adminValidation.bulkUpdateContent),
   adminController.bulkUpdateContent
 );
 
+/**
+ * @route   PUT /api/admin/content/:contentId
+ * @desc    Update content metadata (stored as a new revision)
+ * @access  Admin (content:update)
+ */
+router.put(
+  '/content/:contentId',
+  requirePermission('content:update'),
+  validate(adminValidation.updateContent),
+  adminController.updateContent
+);
+
+/**
+ * @route   GET /api/admin/content/:contentId/revisions
+ * @desc    List metadata revisions of a content
+ * @access  Admin (content:read)
+ */
+router.get(
+  '/content/:contentId/revisions',
+  requirePermission('content:read'),
+  validate(adminValidation.getContentRevisions),
+  revisionController.getContentRevisions
+);
+
+/**
+ * @route   GET /api/admin/content/:contentId/revisions/diff
+ * @desc    Diff two revisions (?from=&to=)
+ * @access  Admin (content:read)
+ */
+router.get(
+  '/content/:contentId/revisions/diff',
+  requirePermission('content:read'),
+  validate(adminValidation.diffContentRevisions),
+  revisionController.diffContentRevisions
+);
+
+/**
+ * @route   GET /api/admin/content/:contentId/revisions/:revision
+ * @desc    Get one revision with its metadata snapshot
+ * @access  Admin (content:read)
+ */
+router.get(
+  '/content/:contentId/revisions/:revision',
+  requirePermission('content:read'),
+  validate(adminValidation.contentRevisionParam),
+  revisionController.getContentRevision
+);
+
+/**
+ * @route   POST /api/admin/content/:contentId/revisions/:revision/rollback
+ * @desc    Roll content metadata back to a revision
+ * @access  Admin (content:update)
+ */
+router.post(
+  '/content/:contentId/revisions/:revision/rollback',
+  requirePermission('content:update'),
+  validate(adminValidation.contentRevisionParam),
+  revisionController.rollbackContentRevision
+);
+
 /**
  * @route   GET /api/admin/system/health
  * @desc    System health check
- * @access  Admin
+ * @access  Admin (system:read)
  */
 router.get(
   '/system/health',
+  requirePermission('system:read'),
   adminController.getSystemHealth
 );
 
 /**
  * @route   GET /api/admin/system/health
  * @desc    System health check
- * @access  Admin
+ * @access  Admin (system:read)
  */
 router.get(
   '/system/health',
+  requirePermission('system:read'),
   adminController.getSystemHealth
 );
 
 /**
  * @route   GET /api/admin/system/gcp-health
  * @desc    GCP service health check
- * @access  Admin
+ * @access  Admin (system:read)
  */
 router.get(
   '/system/gcp-health',
+  requirePermission('system:read'),
   asyncHandler(async (req, res) => {
     const gcpService = require('../services/gcpService');
     const healthStatus = await gcpService.healthCheck();
@@ -254,10 +633,11 @@ router.get(
 /**
  * @route   GET /api/admin/storage/stats
  * @desc    Get storage usage statistics
- * @access  Admin
+ * @access  Admin (storage:read)
  */
 router.get(
   '/storage/stats',
+  requirePermission('storage:read'),
   asyncHandler(async (req, res) => {
     const gcpService = require('../services/gcpService');
     const stats = await gcpService.getStorageStats();
@@ -269,13 +649,84 @@ router.get(
   })
 );
 
+/**
+ * @route   GET /api/admin/storage/orphans
+ * @desc    Last storage GC report (from the job or POST /storage/gc); does not scan storage
+ * @access  Admin (storage:read)
+ */
+router.get(
+  '/storage/orphans',
+  requirePermission('storage:read'),
+  asyncHandler(async (req, res) => {
+    const storageGcService = require('../services/storageGcService');
+    const report = await storageGcService.getLastReport();
+
+    if (!report) {
+      throw new AppError('No storage GC report yet; run POST /api/admin/storage/gc', 404);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  })
+);
+
+/**
+ * @route   POST /api/admin/storage/gc
+ * @desc    Start a scan for orphaned objects and, with confirm: true, delete them
+ *          Runs in the background under the storage-gc job lock; GET /storage/orphans returns the report
+ * @access  Admin (storage:cleanup)
+ */
+router.post(
+  '/storage/gc',
+  requirePermission('storage:cleanup'),
+  validate(adminValidation.storageGc),
+  asyncHandler(async (req, res) => {
+    const storageGcService = require('../services/storageGcService');
+    const { startJobNow } = require('../jobs');
+    const { confirm, prefixes = storageGcService.prefixes } = req.body;
+
+    storageGcService.validatePrefixes(prefixes);
+
+    const started = await startJobNow('storage-gc', async () => {
+      const report = await storageGcService.run({ confirm, prefixes });
+
+      if (confirm) {
+        await auditService.record(req, {
+          action: AUDIT_ACTIONS.STORAGE_GC,
+          targetType: 'system',
+          metadata: {
+            providers: report.providers,
+            prefixes: report.prefixes,
+            deleted: report.deleted,
+            deletedBytes: report.deletedBytes,
+            runId: report.runId
+          }
+        });
+      }
+    });
+
+    if (!started) {
+      throw new AppError('A storage GC run is already in progress', 409);
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Storage GC started; GET /api/admin/storage/orphans returns the report when it finishes',
+      data: { confirm: !!confirm, prefixes }
+    });
+  })
+);
+
 /**
  * @route   POST /api/admin/analytics/track
  * @desc    Track analytics event (for testing)
- * @access  Admin
+ * @access  Admin (analytics:track)
  */
 router.post(
   '/analytics/track',
+  requirePermission('analytics:track'),
   validate(analyticsValidation.trackEvent),
   asyncHandler(async (req, res) => {
     const eventId = await analyticsService.trackEvent(req.body);
@@ -291,10 +742,11 @@ router.post(
 /**
  * @route   GET /api/admin/analytics/report
  * @desc    Generate analytics report
- * @access  Admin
+ * @access  Admin (analytics:read)
  */
 router.get(
   '/analytics/report',
+  requirePermission('analytics:read'),
   asyncHandler(async (req, res) => {
     const {
       startDate,
@@ -325,10 +777,11 @@ router.get(
 /**
  * @route   GET /api/admin/analytics/realtime
  * @desc    Get real-time analytics
- * @access  Admin
+ * @access  Admin (analytics:read)
  */
 router.get(
   '/analytics/realtime',
+  requirePermission('analytics:read'),
   asyncHandler(async (req, res) => {
     const realTimeData = await analyticsService.getRealTimeAnalytics();
     
@@ -342,13 +795,20 @@ router.get(
 /**
  * @route   POST /api/admin/cache/clear
  * @desc    Clear application cache
- * @access  Admin
+ * @access  Admin (cache:clear)
  */
 router.post(
   '/cache/clear',
+  requirePermission('cache:clear'),
   asyncHandler(async (req, res) => {
     const cacheService = require('../services/cacheService');
     const clearedKeys = await cacheService.clearAllCache();
+
+    await auditService.record(req, {
+      action: AUDIT_ACTIONS.CACHE_CLEAR,
+      targetType: 'cache',
+      metadata: { clearedKeys }
+    });
     
     res.status(200).json({
       success: true,
@@ -361,10 +821,11 @@ router.post(
 /**
  * @route   GET /api/admin/cache/stats
  * @desc    Get cache statistics
- * @access  Admin
+ * @access  Admin (cache:read)
  */
 router.get(
   '/cache/stats',
+  requirePermission('cache:read'),
   asyncHandler(async (req, res) => {
     const cacheService = require('../services/cacheService');
     const stats = await cacheService.getCacheStats();
@@ -379,13 +840,20 @@ router.get(
 /**
  * @route   POST /api/admin/cache/warm
  * @desc    Warm up cache with popular data
- * @access  Admin
+ * @access  Admin (cache:warm)
  */
 router.post(
   '/cache/warm',
+  requirePermission('cache:warm'),
   asyncHandler(async (req, res) => {
     const cacheService = require('../services/cacheService');
     const result = await cacheService.warmCache();
+
+    await auditService.record(req, {
+      action: AUDIT_ACTIONS.CACHE_WARM,
+      targetType: 'cache',
+      metadata: { succeeded: Boolean(result) }
+    });
     
     res.status(200).json({
       success: true,
@@ -397,13 +865,20 @@ router.post(
 /**
  * @route   POST /api/admin/analytics/cleanup
  * @desc    Clean up old analytics data
- * @access  Admin
+ * @access  Admin (analytics:cleanup)
  */
 router.post(
   '/analytics/cleanup',
+  requirePermission('analytics:cleanup'),
   asyncHandler(async (req, res) => {
     const { daysToKeep = 365 } = req.body;
     const deletedCount = await analyticsService.cleanupOldData(daysToKeep);
+
+    await auditService.record(req, {
+      action: AUDIT_ACTIONS.ANALYTICS_CLEANUP,
+      targetType: 'analytics',
+      metadata: { daysToKeep, deletedRecords: deletedCount }
+    });
     
     res.status(200).json({
       success: true,
@@ -413,4 +888,108 @@ router.post(
   })
 );
 
+/**
+ * @route   GET /api/admin/users
+ * @desc    List admin accounts
+ * @access  Admin (admin-users:manage)
+ */
+router.get(
+  '/users',
+  requirePermission('admin-users:manage'),
+  adminUserController.getAdminUsers
+);
+
+/**
+ * @route   POST /api/admin/users
+ * @desc    Create admin account
+ * @access  Admin (admin-users:manage)
+ */
+router.post(
+  '/users',
+  requirePermission('admin-users:manage'),
+  validate(adminValidation.createAdminUser),
+  adminUserController.createAdminUser
+);
+
+/**
+ * @route   GET /api/admin/users/:adminId
+ * @desc    Get admin account
+ * @access  Admin (admin-users:manage)
+ */
+router.get(
+  '/users/:adminId',
+  requirePermission('admin-users:manage'),
+  adminUserController.getAdminUser
+);
+
+/**
+ * @route   PUT /api/admin/users/:adminId
+ * @desc    Update admin role or profile
+ * @access  Admin (admin-users:manage)
+ */
+router.put(
+  '/users/:adminId',
+  requirePermission('admin-users:manage'),
+  validate(adminValidation.updateAdminUser),
+  adminUserController.updateAdminUser
+);
+
+/**
+ * @route   POST /api/admin/users/:adminId/disable
+ * @desc    Disable admin account
+ * @access  Admin (admin-users:manage)
+ */
+router.post(
+  '/users/:adminId/disable',
+  requirePermission('admin-users:manage'),
+  adminUserController.disableAdminUser
+);
+
+/**
+ * @route   POST /api/admin/users/:adminId/enable
+ * @desc    Re-enable admin account
+ * @access  Admin (admin-users:manage)
+ */
+router.post(
+  '/users/:adminId/enable',
+  requirePermission('admin-users:manage'),
+  adminUserController.enableAdminUser
+);
+
+/**
+ * @route   POST /api/admin/users/:adminId/reset-password
+ * @desc    Reset admin password
+ * @access  Admin (admin-users:manage)
+ */
+router.post(
+  '/users/:adminId/reset-password',
+  requirePermission('admin-users:manage'),
+  validate(adminValidation.resetAdminPassword),
+  adminUserController.resetAdminPassword
+);
+
+/**
+ * @route   POST /api/admin/users/:adminId/logout-all
+ * @desc    Force logout of every session of an admin account
+ * @access  Admin (admin-users:manage)
+ */
+router.post(
+  '/users/:adminId/logout-all',
+  requirePermission('admin-users:manage'),
+  validate(adminValidation.adminIdParam),
+  adminUserController.logoutAdminUserSessions
+);
+
+/**
+ * @route   GET /api/admin/audit
+ * @desc    Search the audit trail of admin mutations
+ * @access  Admin (audit:read)
+ */
+router.get(
+  '/audit',
+  requirePermission('audit:read'),
+  validate(adminValidation.getAuditLogs),
+  auditController.getAuditLogs
+);
+
 module.exports = router;
\ No newline at end of file
@@ -5,37 +5,70 @@ const router = express.Router();
 const episodeController = require('../controllers/episodeController');
 const { validate, episodeValidation } = require('../middleware/validation');
 const { videoLimiter, analyticsLimiter } = require('../middleware/rateLimiter');
+const { authenticateUser, resolveProfile } = require('../middleware/auth');
 
 /**
  * @route   GET /api/episodes/:episodeId
  * @desc    Get episode by ID
- * @access  Public
+ * @access  Public (user token required when userId is sent)
  */
 router.get(
   '/:episodeId',
+  authenticateUser,
+  resolveProfile,
   validate(episodeValidation.getEpisode),
   episodeController.getEpisodeById
 );
 
+/**
+ * @route   GET /api/episodes/:episodeId/manifest.m3u8
+ * @desc    HLS master playlist for adaptive streaming
+ * @access  Public (user token required when userId is sent)
+ */
+router.get(
+  '/:episodeId/manifest.m3u8',
+  authenticateUser,
+  resolveProfile,
+  validate(episodeValidation.getEpisode),
+  episodeController.getHlsManifest
+);
+
+/**
+ * @route   GET /api/episodes/:episodeId/manifest.mpd
+ * @desc    MPEG-DASH MPD for adaptive streaming
+ * @access  Public (user token required when userId is sent)
+ */
+router.get(
+  '/:episodeId/manifest.mpd',
+  authenticateUser,
+  resolveProfile,
+  validate(episodeValidation.getEpisode),
+  episodeController.getDashManifest
+);
+
 /**
  * @route   POST /api/episodes/:episodeId/start
  * @desc    Start watching episode
- * @access  Public
+ * @access  Private (user token)
  */
 router.post(
   '/:episodeId/start',
   videoLimiter,
+  authenticateUser,
+  resolveProfile,
   episodeController.startWatching
 );
 
 /**
  * @route   PUT /api/episodes/:episodeId/progress
  * @desc    Update watch progress
- * @access  Public
+ * @access  Private (user token)
  */
 router.put(
   '/:episodeId/progress',
   analyticsLimiter,
+  authenticateUser,
+  resolveProfile,
   validate(episodeValidation.updateWatchProgress),
   episodeController.updateWatchProgress
 );
@@ -43,13 +76,26 @@ router.put(
 /**
  * @route   POST /api/episodes/:episodeId/complete
  * @desc    Mark episode as completed
- * @access  Public
+ * @access  Private (user token)
  */
 router.post(
   '/:episodeId/complete',
+  authenticateUser,
+  resolveProfile,
   episodeController.markCompleted
 );
 
+/**
+ * @route   POST /api/episodes/:episodeId/stop
+ * @desc    Stop watching episode (frees this device's stream slot)
+ * @access  Private (user token)
+ */
+router.post(
+  '/:episodeId/stop',
+  authenticateUser,
+  episodeController.stopWatching
+);
+
 /**
  * @route   GET /api/episodes/:episodeId/analytics
  * @desc    Get episode analytics
@@ -64,20 +110,24 @@ router.get(
 /**
  * @route   POST /api/episodes/:episodeId/like
  * @desc    Like/Unlike episode
- * @access  Public
+ * @access  Private (user token)
  */
 router.post(
   '/:episodeId/like',
+  authenticateUser,
+  resolveProfile,
   episodeController.toggleLike
 );
 
 /**
  * @route   POST /api/episodes/:episodeId/share
  * @desc    Share episode
- * @access  Public
+ * @access  Private (user token)
  */
 router.post(
   '/:episodeId/share',
+  authenticateUser,
+  resolveProfile,
   episodeController.shareEpisode
 );
 
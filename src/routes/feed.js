@@ -5,15 +5,18 @@ const router = express.Router();
 const feedController = require('../controllers/feedController');
 const { validate, feedValidation, contentValidation } = require('../middleware/validation');
 const { feedLimiter, searchLimiter } = require('../middleware/rateLimiter');
+const { authenticateUser, resolveProfile } = require('../middleware/auth');
 
 /**
  * @route   GET /api/feed/random
  * @desc    Get random feed for user
- * @access  Public
+ * @access  Public (user token required when userId is sent)
  */
 router.get(
   '/random',
   feedLimiter,
+  authenticateUser,
+  resolveProfile,
   validate(feedValidation.getFeed),
   feedController.getRandomFeed
 );
@@ -21,11 +24,13 @@ router.get(
 /**
  * @route   POST /api/feed/personalized
  * @desc    Get personalized feed with user preferences
- * @access  Public
+ * @access  Public (user token required when userId is sent)
  */
 router.post(
   '/personalized',
   feedLimiter,
+  authenticateUser,
+  resolveProfile,
   validate(feedValidation.getFeedWithPreferences),
   feedController.getPersonalizedFeed
 );
@@ -33,11 +38,13 @@ router.post(
 /**
  * @route   GET /api/feed/content/:contentId/episodes
  * @desc    Get content episodes (when user swipes right)
- * @access  Public
+ * @access  Public (user token required when userId is sent)
  */
 router.get(
   '/content/:contentId/episodes',
   feedLimiter,
+  authenticateUser,
+  resolveProfile,
   validate(contentValidation.getContent),
   feedController.getContentEpisodes
 );
@@ -68,33 +75,39 @@ router.get(
 /**
  * @route   GET /api/feed/personalized/:userId
  * @desc    Get personalized feed based on user history
- * @access  Public
+ * @access  Private (user token)
  */
 router.get(
   '/personalized/:userId',
   feedLimiter,
+  authenticateUser,
+  resolveProfile,
   feedController.getPersonalizedFeed
 );
 
 /**
  * @route   GET /api/feed/continue/:userId
  * @desc    Get continue watching feed
- * @access  Public
+ * @access  Private (user token)
  */
 router.get(
   '/continue/:userId',
   feedLimiter,
+  authenticateUser,
+  resolveProfile,
   feedController.getContinueWatching
 );
 
 /**
  * @route   GET /api/feed/search
  * @desc    Search content
- * @access  Public
+ * @access  Public (user token required when userId is sent)
  */
 router.get(
   '/search',
   searchLimiter,
+  authenticateUser,
+  resolveProfile,
   validate(contentValidation.searchContent),
   feedController.searchContent
 );
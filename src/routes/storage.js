@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+
+// Only mounted when STORAGE_PROVIDER=local
+const storageController = require('../controllers/storageController');
+
+/**
+ * @route   GET /files/* (the path of LOCAL_STORAGE_PUBLIC_URL)
+ * @desc    Serve a stored object (public prefixes, or a signed URL)
+ * @access  Public / signed URL
+ */
+router.get('/*', storageController.authorizeRead, storageController.serveObject);
+
+/**
+ * @route   PUT /files/* (the path of LOCAL_STORAGE_PUBLIC_URL)
+ * @desc    Upload an object through a signed URL (direct uploads)
+ * @access  Signed URL
+ */
+router.put('/*', storageController.putObject);
+
+module.exports = router;
\ No newline at end of file
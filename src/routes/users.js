@@ -3,30 +3,135 @@ const router = express.Router();
 
 // Import controllers and middleware
 const userController = require('../controllers/userController');
+const profileController = require('../controllers/profileController');
+const deviceController = require('../controllers/deviceController');
+const userAuthController = require('../controllers/userAuthController');
 const { validate, userValidation } = require('../middleware/validation');
-const { generalLimiter, analyticsLimiter } = require('../middleware/rateLimiter');
+const { generalLimiter, strictLimiter, analyticsLimiter, otpPhoneLimiter, otpIpLimiter } = require('../middleware/rateLimiter');
+const { authenticate, optionalAuth, authenticateUser, authenticateAccountLink, resolveProfile } = require('../middleware/auth');
 
 // Apply rate limiting to all user routes
 router.use(generalLimiter);
 
 /**
  * @route   POST /api/users
- * @desc    Create anonymous user
+ * @desc    Create anonymous user (re-issues a known device's token only to the holder of its current token)
  * @access  Public
  */
 router.post(
   '/',
+  optionalAuth,
   validate(userValidation.createUser),
   userController.createUser
 );
 
+/**
+ * @route   POST /api/users/register
+ * @desc    Register email/password credentials, upgrading an anonymous user in place
+ * @access  Public (device token required when userId is sent)
+ */
+router.post(
+  '/register',
+  strictLimiter,
+  authenticateAccountLink,
+  validate(userValidation.register),
+  userAuthController.register
+);
+
+/**
+ * @route   POST /api/users/login
+ * @desc    Log in with email/password (merges the device's anonymous user if given)
+ * @access  Public (device token required when anonymousUserId is sent)
+ */
+router.post(
+  '/login',
+  strictLimiter,
+  authenticateAccountLink,
+  validate(userValidation.login),
+  userAuthController.login
+);
+
+/**
+ * @route   POST /api/users/refresh
+ * @desc    Exchange a refresh token for a new token pair
+ * @access  Public (refresh token)
+ */
+router.post(
+  '/refresh',
+  validate(userValidation.refreshToken),
+  userAuthController.refresh
+);
+
+/**
+ * @route   POST /api/users/logout
+ * @desc    Revoke the current access token and refresh token
+ * @access  Private (user token)
+ */
+router.post(
+  '/logout',
+  authenticate,
+  validate(userValidation.logout),
+  userAuthController.logout
+);
+
+/**
+ * @route   POST /api/users/password-reset
+ * @desc    Request a password reset token
+ * @access  Public
+ */
+router.post(
+  '/password-reset',
+  strictLimiter,
+  validate(userValidation.requestPasswordReset),
+  userAuthController.requestPasswordReset
+);
+
+/**
+ * @route   POST /api/users/password-reset/confirm
+ * @desc    Set a new password with a reset token
+ * @access  Public
+ */
+router.post(
+  '/password-reset/confirm',
+  strictLimiter,
+  validate(userValidation.confirmPasswordReset),
+  userAuthController.confirmPasswordReset
+);
+
+/**
+ * @route   POST /api/users/otp/request
+ * @desc    Send a login code to a phone number
+ * @access  Public
+ */
+router.post(
+  '/otp/request',
+  otpIpLimiter,
+  validate(userValidation.requestOtp),
+  otpPhoneLimiter,
+  userAuthController.requestOtp
+);
+
+/**
+ * @route   POST /api/users/otp/verify
+ * @desc    Verify a login code and sign in (creates or upgrades the user)
+ * @access  Public (device token required when anonymousUserId is sent)
+ */
+router.post(
+  '/otp/verify',
+  strictLimiter,
+  authenticateAccountLink,
+  validate(userValidation.verifyOtp),
+  userAuthController.verifyOtp
+);
+
 /**
  * @route   GET /api/users/:userId
  * @desc    Get user by ID
- * @access  Public
+ * @access  Private (user token)
  */
 router.get(
   '/:userId',
+  authenticateUser,
   validate(userValidation.getUserById),
   userController.getUserById
 );
@@ -34,20 +139,23 @@ router.get(
 /**
  * @route   PUT /api/users/:userId/profile
  * @desc    Update user profile (optional)
- * @access  Public
+ * @access  Private (user token)
  */
 router.put(
   '/:userId/profile',
+  authenticateUser,
   userController.updateUserProfile
 );
 
 /**
  * @route   PUT /api/users/:userId/preferences
- * @desc    Update user preferences
- * @access  Public
+ * @desc    Update user preferences (of the profile selected with X-Profile-Id, if any)
+ * @access  Private (user token)
  */
 router.put(
   '/:userId/preferences',
+  authenticateUser,
+  resolveProfile,
   validate(userValidation.updateUser),
   userController.updateUserPreferences
 );
@@ -55,21 +163,23 @@ router.put(
 /**
  * @route   PUT /api/users/:userId/analytics
  * @desc    Update user analytics
- * @access  Public
+ * @access  Private (user token)
  */
 router.put(
   '/:userId/analytics',
   analyticsLimiter,
+  authenticateUser,
   userController.updateUserAnalytics
 );
 
 /**
  * @route   GET /api/users/:userId/stats
  * @desc    Get user statistics
- * @access  Public
+ * @access  Private (user token)
  */
 router.get(
   '/:userId/stats',
+  authenticateUser,
   validate(userValidation.getUserById),
   userController.getUserStats
 );
@@ -77,36 +187,149 @@ router.get(
 /**
  * @route   PUT /api/users/:userId/engagement
  * @desc    Update user engagement metrics
- * @access  Public
+ * @access  Private (user token)
  */
 router.put(
   '/:userId/engagement',
   analyticsLimiter,
+  authenticateUser,
   userController.updateUserEngagement
 );
 
 /**
  * @route   GET /api/users/:userId/recommendations
  * @desc    Get user recommendations
- * @access  Public
+ * @access  Private (user token)
  */
 router.get(
   '/:userId/recommendations',
+  authenticateUser,
+  resolveProfile,
   validate(userValidation.getUserById),
   userController.getUserRecommendations
 );
 
+/**
+ * @route   GET /api/users/:userId/profiles
+ * @desc    List the account's viewing profiles
+ * @access  Private (user token)
+ */
+router.get(
+  '/:userId/profiles',
+  authenticateUser,
+  validate(userValidation.getUserById),
+  profileController.getProfiles
+);
+
+/**
+ * @route   POST /api/users/:userId/profiles
+ * @desc    Add a viewing profile (registered accounts only)
+ * @access  Private (user token)
+ */
+router.post(
+  '/:userId/profiles',
+  authenticateUser,
+  validate(userValidation.createProfile),
+  profileController.createProfile
+);
+
+/**
+ * @route   PUT /api/users/:userId/profiles/:profileId
+ * @desc    Update a viewing profile
+ * @access  Private (user token)
+ */
+router.put(
+  '/:userId/profiles/:profileId',
+  authenticateUser,
+  validate(userValidation.updateProfile),
+  profileController.updateProfile
+);
+
+/**
+ * @route   DELETE /api/users/:userId/profiles/:profileId
+ * @desc    Delete a viewing profile and its watch history
+ * @access  Private (user token)
+ */
+router.delete(
+  '/:userId/profiles/:profileId',
+  authenticateUser,
+  validate(userValidation.profileIdParam),
+  profileController.deleteProfile
+);
+
+/**
+ * @route   GET /api/users/:userId/devices
+ * @desc    List signed-in devices and active streams
+ * @access  Private (user token)
+ */
+router.get(
+  '/:userId/devices',
+  authenticateUser,
+  validate(userValidation.getUserById),
+  deviceController.getDevices
+);
+
+/**
+ * @route   DELETE /api/users/:userId/devices/:deviceId
+ * @desc    Sign a device out and end its stream
+ * @access  Private (user token)
+ */
+router.delete(
+  '/:userId/devices/:deviceId',
+  authenticateUser,
+  validate(userValidation.deviceIdParam),
+  deviceController.revokeDevice
+);
+
+/**
+ * @route   GET /api/users/:userId/export
+ * @desc    Download a copy of the user's data (JSON or ZIP); large exports return 202 and run in the background
+ * @access  Private (user token)
+ */
+router.get(
+  '/:userId/export',
+  strictLimiter,
+  authenticateUser,
+  validate(userValidation.exportUserData),
+  userController.exportUserData
+);
+
+/**
+ * @route   GET /api/users/:userId/export/:exportId
+ * @desc    Get a background export's status and signed download URL
+ * @access  Private (user token)
+ */
+router.get(
+  '/:userId/export/:exportId',
+  authenticateUser,
+  validate(userValidation.getDataExport),
+  userController.getDataExport
+);
+
 /**
  * @route   DELETE /api/users/:userId
- * @desc    Delete user (GDPR compliance)
- * @access  Public
+ * @desc    Delete user (GDPR compliance); data is purged after the grace period
+ * @access  Private (user token)
  */
 router.delete(
   '/:userId',
-  validate(userValidation.getUserById),
+  authenticateUser,
+  validate(userValidation.deleteUser),
   userController.deleteUser
 );
 
+/**
+ * @route   POST /api/users/restore
+ * @desc    Cancel a pending account deletion with its restore token
+ * @access  Public (restore token)
+ */
+router.post(
+  '/restore',
+  strictLimiter,
+  validate(userValidation.restoreUser),
+  userController.restoreUser
+);
+
 /**
  * @route   GET /api/users/active/count
  * @desc    Get active users count (for admin/analytics)
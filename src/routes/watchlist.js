@@ -5,6 +5,7 @@ const router = express.Router();
 const watchlistController = require('../controllers/watchlistController');
 const { validate, watchlistValidation } = require('../middleware/validation');
 const { generalLimiter, analyticsLimiter } = require('../middleware/rateLimiter');
+const { authenticateUser, resolveProfile } = require('../middleware/auth');
 
 // Apply rate limiting to all watchlist routes
 router.use(generalLimiter);
@@ -12,10 +13,12 @@ router.use(generalLimiter);
 /**
  * @route   GET /api/watchlist/:userId
  * @desc    Get user's watchlist
- * @access  Public
+ * @access  Private (user token)
  */
 router.get(
   '/:userId',
+  authenticateUser,
+  resolveProfile,
   validate(watchlistValidation.getWatchlist),
   watchlistController.getUserWatchlist
 );
@@ -23,40 +26,48 @@ router.get(
 /**
  * @route   GET /api/watchlist/:userId/continue
  * @desc    Get continue watching list
- * @access  Public
+ * @access  Private (user token)
  */
 router.get(
   '/:userId/continue',
+  authenticateUser,
+  resolveProfile,
   watchlistController.getContinueWatching
 );
 
 /**
  * @route   GET /api/watchlist/:userId/completed
  * @desc    Get completed content
- * @access  Public
+ * @access  Private (user token)
  */
 router.get(
   '/:userId/completed',
+  authenticateUser,
+  resolveProfile,
   watchlistController.getCompletedContent
 );
 
 /**
  * @route   GET /api/watchlist/:userId/stats
  * @desc    Get user watch statistics
- * @access  Public
+ * @access  Private (user token)
  */
 router.get(
   '/:userId/stats',
+  authenticateUser,
+  resolveProfile,
   watchlistController.getUserWatchStats
 );
 
 /**
  * @route   POST /api/watchlist
  * @desc    Add to watchlist
- * @access  Public
+ * @access  Private (user token)
  */
 router.post(
   '/',
+  authenticateUser,
+  resolveProfile,
   validate(watchlistValidation.addToWatchlist),
   watchlistController.addToWatchlist
 );
@@ -64,21 +75,25 @@ router.post(
 /**
  * @route   DELETE /api/watchlist/:userId/:episodeId
  * @desc    Remove from watchlist
- * @access  Public
+ * @access  Private (user token)
  */
 router.delete(
   '/:userId/:episodeId',
+  authenticateUser,
+  resolveProfile,
   watchlistController.removeFromWatchlist
 );
 
 /**
  * @route   PUT /api/watchlist/:userId/:episodeId/progress
  * @desc    Update watch progress
- * @access  Public
+ * @access  Private (user token)
  */
 router.put(
   '/:userId/:episodeId/progress',
   analyticsLimiter,
+  authenticateUser,
+  resolveProfile,
   validate(watchlistValidation.updateWatchProgress),
   watchlistController.updateWatchProgress
 );
@@ -86,10 +101,12 @@ router.put(
 /**
  * @route   POST /api/watchlist/:userId/:contentId/rate
  * @desc    Rate content
- * @access  Public
+ * @access  Private (user token)
  */
 router.post(
   '/:userId/:contentId/rate',
+  authenticateUser,
+  resolveProfile,
   validate(watchlistValidation.rateContent),
   watchlistController.rateContent
 );
@@ -97,20 +114,24 @@ router.post(
 /**
  * @route   GET /api/watchlist/:userId/:contentId/progress
  * @desc    Get content progress summary
- * @access  Public
+ * @access  Private (user token)
  */
 router.get(
   '/:userId/:contentId/progress',
+  authenticateUser,
+  resolveProfile,
   watchlistController.getContentProgress
 );
 
 /**
  * @route   DELETE /api/watchlist/:userId/clear
  * @desc    Clear watch history
- * @access  Public
+ * @access  Private (user token)
  */
 router.delete(
   '/:userId/clear',
+  authenticateUser,
+  resolveProfile,
   watchlistController.clearWatchHistory
 );
 
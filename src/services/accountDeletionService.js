@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const Watchlist = require('../models/Watchlist');
+const Analytics = require('../models/Analytics');
+const Device = require('../models/Device');
+const DataExport = require('../models/DataExport');
+const JobRun = require('../models/JobRun');
+const { deleteCache, deleteCachePattern } = require('../config/redis');
+const { AppError } = require('../middleware/errorHandler');
+const tokenService = require('./tokenService');
+const storageService = require('./storageService');
+
+// Cache key prefixes that embed a userId (see the controllers and services that write them)
+const USER_CACHE_PREFIXES = [
+  'user', 'stats', 'feed', 'personalized', 'recommendations', 'continue',
+  'continue_watching', 'completed', 'watchlist', 'watch_stats',
+  'content_progress', 'user_quality', 'streams'
+];
+
+/**
+ * Account deletion: soft-delete with a grace window, then a scheduled purge
+ * that removes or anonymizes everything keyed by the userId.
+ */
+class AccountDeletionService {
+  constructor() {
+    this.graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+    // 'anonymize' keeps events for aggregate stats under a random id; 'delete' drops them
+    this.analyticsMode = (process.env.ACCOUNT_DELETION_ANALYTICS || 'anonymize').toLowerCase();
+    this.batchSize = parseInt(process.env.ACCOUNT_PURGE_BATCH_SIZE) || 100;
+  }
+
+  _hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Soft-delete a user: sign out everywhere and schedule the purge
+   * Returns a one-time restore token for undoing the deletion within the grace window
+   */
+  async requestDeletion(user, reason) {
+    const restoreToken = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    user.status = 'pending_deletion';
+    user.deletion = {
+      requestedAt: now,
+      scheduledFor: new Date(now.getTime() + this.graceDays * 24 * 60 * 60 * 1000),
+      reason,
+      restoreTokenHash: this._hashToken(restoreToken)
+    };
+    await user.save();
+
+    try {
+      await tokenService.revokeAllSessions(tokenService.getSubject('user', user.userId));
+    } catch (error) {
+      console.error('User session revoke error:', error.message);
+    }
+
+    await this.clearUserCaches(user.userId);
+
+    return {
+      scheduledFor: user.deletion.scheduledFor,
+      restoreToken
+    };
+  }
+
+  /**
+   * Cancel a pending deletion
+   */
+  async restoreAccount(user) {
+    user.status = 'active';
+    user.deletion = undefined;
+    await user.save();
+    await deleteCache(`user:${user.userId}`);
+    return user;
+  }
+
+  /**
+   * Find the pending-deletion user a restore token belongs to
+   */
+  async findByRestoreToken(userId, restoreToken) {
+    const user = await User.findOne({ userId, status: 'pending_deletion' }).select('+deletion.restoreTokenHash');
+
+    if (!user || !user.deletion?.restoreTokenHash) {
+      throw new AppError('Invalid restore token or the account can no longer be restored', 400);
+    }
+
+    const expected = Buffer.from(user.deletion.restoreTokenHash, 'hex');
+    const actual = Buffer.from(this._hashToken(restoreToken), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      throw new AppError('Invalid restore token or the account can no longer be restored', 400);
+    }
+
+    return user;
+  }
+
+  async clearUserCaches(userId) {
+    let deleted = 0;
+
+    for (const prefix of USER_CACHE_PREFIXES) {
+      await deleteCache(`${prefix}:${userId}`);
+      deleted += await deleteCachePattern(`${prefix}:${userId}:*`);
+    }
+    deleted += await deleteCachePattern(`shorts_app:user:${userId}:*`);
+
+    return deleted;
+  }
+
+  /**
+   * Remove or anonymize every record tied to a userId
+   */
+  async purgeUser(userId) {
+    const stats = {};
+
+    const watchlist = await Watchlist.deleteMany({ userId });
+    stats.watchlistDeleted = watchlist.deletedCount;
+
+    if (this.analyticsMode === 'delete') {
+      const analytics = await Analytics.deleteMany({ userId });
+      stats.analyticsDeleted = analytics.deletedCount;
+    } else {
+      const analytics = await Analytics.updateMany(
+        { userId },
+        {
+          $set: { userId: `deleted:${uuidv4()}` },
+          $unset: { sessionId: '', location: '', 'metadata.userAgent': '', 'eventData.searchQuery': '' }
+        }
+      );
+      stats.analyticsAnonymized = analytics.modifiedCount;
+    }
+
+    const devices = await Device.deleteMany({ userId });
+    stats.devicesDeleted = devices.deletedCount;
+
+    const exportFiles = await DataExport.find({ userId, fileName: { $exists: true } }).select('fileName');
+    for (const dataExport of exportFiles) {
+      await storageService.deleteFile(dataExport.fileName).catch(error => {
+        console.error(`Export file delete error (${dataExport.fileName}):`, error.message);
+      });
+    }
+    const exportRecords = await DataExport.deleteMany({ userId });
+    stats.exportsDeleted = exportRecords.deletedCount;
+
+    stats.cacheKeysDeleted = await this.clearUserCaches(userId);
+
+    await User.deleteOne({ userId });
+
+    return stats;
+  }
+
+  /**
+   * Purge every account whose grace window has ended; the run is recorded as a JobRun
+   */
+  async purgeDueAccounts() {
+    const run = await JobRun.create({ job: 'account-purge', host: os.hostname() });
+    const totals = { usersPurged: 0, usersFailed: 0 };
+
+    try {
+      const due = await User.find({
+        status: 'pending_deletion',
+        'deletion.scheduledFor': { $lte: new Date() }
+      })
+        .select('userId')
+        .limit(this.batchSize)
+        .lean();
+
+      for (const { userId } of due) {
+        try {
+          const stats = await this.purgeUser(userId);
+          totals.usersPurged += 1;
+
+          for (const [key, value] of Object.entries(stats)) {
+            totals[key] = (totals[key] || 0) + value;
+          }
+          console.log(`🗑️ Purged account ${userId}`, stats);
+        } catch (error) {
+          totals.usersFailed += 1;
+          run.failures.push({ ref: userId, message: error.message });
+          console.error(`❌ Account purge failed for ${userId}:`, error);
+        }
+      }
+
+      await run.finish(totals);
+    } catch (error) {
+      await run.finish(totals, error);
+      throw error;
+    }
+
+    console.log(`🧹 Account purge run finished: ${totals.usersPurged} purged, ${totals.usersFailed} failed`);
+    return run;
+  }
+}
+
+module.exports = new AccountDeletionService();
\ No newline at end of file
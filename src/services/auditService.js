@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Never copy secrets into the audit trail
+const REDACTED_FIELDS = /password|token|secret/i;
+const IGNORED_FIELDS = new Set(['_id', 'updatedAt', 'createdAt']);
+
+class AuditService {
+  /**
+   * Plain JSON-safe copy of a document or value
+   */
+  _toPlain(value) {
+    if (value === undefined || value === null) return value;
+    if (typeof value.toObject === 'function') {
+      value = value.toObject({ depopulate: true });
+    }
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  _isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Field-level diff of two plain objects as [{ field, before, after }] with dotted field paths
+   * Arrays are compared as a whole
+   */
+  diff(before, after, prefix = '') {
+    const changes = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const key of keys) {
+      if (IGNORED_FIELDS.has(key)) continue;
+
+      const field = prefix ? `${prefix}.${key}` : key;
+      const from = before?.[key];
+      const to = after?.[key];
+
+      if (this._isPlainObject(from) && this._isPlainObject(to)) {
+        changes.push(...this.diff(from, to, field));
+        continue;
+      }
+
+      if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+      changes.push(REDACTED_FIELDS.test(key)
+        ? { field, before: '[redacted]', after: '[redacted]' }
+        : { field, before: from === undefined ? null : from, after: to === undefined ? null : to });
+    }
+
+    return changes;
+  }
+
+  _buildEntry(req, { action, targetType, targetIds = [], before, after, metadata = {} }) {
+    const admin = req.admin || {};
+
+    return {
+      actor: {
+        adminId: admin._id || req.user?.adminId,
+        username: admin.username || req.user?.username,
+        role: admin.role || req.user?.role
+      },
+      action,
+      targetType,
+      targetIds: targetIds.filter(Boolean).map(id => id.toString()),
+      changes: this.diff(this._toPlain(before), this._toPlain(after)),
+      metadata: this._toPlain(metadata),
+      ip: req.ip,
+      userAgent: req.get?.('user-agent')
+    };
+  }
+
+  /**
+   * Record one admin mutation; failures are logged and never break the request
+   */
+  async record(req, entry) {
+    try {
+      return await AuditLog.create(this._buildEntry(req, entry));
+    } catch (error) {
+      console.error('❌ Audit log write failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record several entries at once (bulk actions log one entry per target)
+   */
+  async recordMany(req, entries) {
+    if (entries.length === 0) return [];
+
+    try {
+      return await AuditLog.insertMany(entries.map(entry => this._buildEntry(req, entry)));
+    } catch (error) {
+      console.error('❌ Audit log write failed:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Search the audit trail, newest first
+   */
+  async search(filters = {}, { page = 1, limit = 50 } = {}) {
+    const query = {};
+
+    if (filters.actorId) query['actor.adminId'] = new mongoose.Types.ObjectId(filters.actorId);
+    if (filters.actor) query['actor.username'] = filters.actor;
+    if (filters.action) query.action = filters.action;
+    if (filters.targetType) query.targetType = filters.targetType;
+    if (filters.targetId) query.targetIds = filters.targetId;
+
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) query.createdAt.$gte = new Date(filters.from);
+      if (filters.to) query.createdAt.$lte = new Date(filters.to);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [entries, totalCount] = await Promise.all([
+      AuditLog.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalItems: totalCount,
+        hasNext: skip + entries.length < totalCount,
+        hasPrev: page > 1
+      }
+    };
+  }
+}
+
+module.exports = new AuditService();
\ No newline at end of file
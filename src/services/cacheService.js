@@ -1,4 +1,11 @@
-const { setCache, getCache, deleteCache, getRedisClient } = require('../config/redis');
+const { setCache, getCache, deleteCache, deleteCachePattern, getRedisClient } = require('../config/redis');
+
+// Unprefixed listing keys written by the content/feed controllers that go stale
+// whenever a title's metadata or status changes
+const CATALOG_CACHE_PATTERNS = [
+  'feed:*', 'trending:*', 'popular:*', 'personalized:*', 'featured_content:*',
+  'editors_picks:*', 'content:latest:*', 'content:genre:*', 'content:type:*', 'search:*'
+];
 
 class CacheService {
   constructor() {
@@ -383,6 +390,26 @@ class CacheService {
     return memoryInfo;
   }
 
+  /**
+   * Drop cached catalog listings plus the detail keys of the given content and episodes
+   */
+  async invalidateCatalogCaches({ contentIds = [], episodeIds = [] } = {}) {
+    let deleted = 0;
+
+    for (const pattern of CATALOG_CACHE_PATTERNS) {
+      deleted += await deleteCachePattern(pattern);
+    }
+    for (const contentId of contentIds) {
+      await deleteCache(`content:${contentId}:details`);
+      deleted += await deleteCachePattern(`similar:${contentId}:*`);
+    }
+    for (const episodeId of episodeIds) {
+      deleted += await deleteCachePattern(`episode:${episodeId}:*`);
+    }
+
+    return deleted;
+  }
+
   /**
    * Clear all application cache
    */
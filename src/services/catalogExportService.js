@@ -0,0 +1,151 @@
+const { once } = require('events');
+const Content = require('../models/Content');
+const Episode = require('../models/Episode');
+const { toCsvRow } = require('../utils/csv');
+
+const CONTENT_FIELDS = [
+  'contentId', 'title', 'description', 'genre', 'language', 'type', 'category',
+  'releaseYear', 'rating', 'ageRating', 'visibility', 'tags', 'cast', 'director', 'producer',
+  'thumbnail', 'poster', 'banner', 'trailerUrl', 'videoQuality', 'audioLanguages', 'subtitles',
+  'totalEpisodes', 'status', 'publishedAt', 'feedSettings', 'createdAt', 'updatedAt'
+];
+
+const EPISODE_FIELDS = [
+  'episodeId', 'episodeNumber', 'seasonNumber', 'title', 'description', 'duration',
+  'videoUrl', 'thumbnailUrl', 'qualityOptions', 'status', 'publishedAt', 'fileInfo.fileName'
+];
+
+const FEED_SETTINGS_FIELDS = [
+  'isInRandomFeed', 'feedPriority', 'feedWeight', 'isFeatured', 'isEditorsPick', 'isTrending'
+];
+
+// CSV columns line up with the import manifest (rowType=episode rows follow their title)
+const CSV_COLUMNS = [
+  'rowType', 'contentId', 'title', 'description', 'genre', 'language', 'type', 'category',
+  'releaseYear', 'rating', 'ageRating', 'visibility', 'tags', 'cast', 'director', 'producer',
+  'thumbnail', 'poster', 'banner', 'trailerUrl', 'status', 'publishedAt',
+  ...FEED_SETTINGS_FIELDS.map(field => `feedSettings.${field}`),
+  'episodeId', 'episodeNumber', 'seasonNumber', 'duration', 'videoUrl', 'thumbnailUrl', 'fileName', 'qualityOptions'
+];
+
+/**
+ * Streams the catalog (content with episodes) as NDJSON or CSV from a MongoDB cursor,
+ * so memory use stays flat however large the catalog is.
+ */
+class CatalogExportService {
+  constructor() {
+    this.batchSize = parseInt(process.env.CATALOG_EXPORT_BATCH_SIZE) || 100;
+  }
+
+  buildQuery({ status, category, genre, language } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (category) query.category = category;
+    if (genre) query.genre = { $in: [genre] };
+    if (language) query.language = { $in: [language] };
+    return query;
+  }
+
+  _toCsvRows(content) {
+    const contentRow = {
+      ...content,
+      rowType: 'content',
+      ...Object.fromEntries(FEED_SETTINGS_FIELDS.map(field => [`feedSettings.${field}`, content.feedSettings?.[field]]))
+    };
+
+    const rows = [toCsvRow(CSV_COLUMNS.map(column => contentRow[column]))];
+
+    for (const episode of content.episodes || []) {
+      const episodeRow = {
+        ...episode,
+        rowType: 'episode',
+        contentId: content.contentId,
+        fileName: episode.fileInfo?.fileName,
+        qualityOptions: episode.qualityOptions?.length ? JSON.stringify(episode.qualityOptions) : undefined
+      };
+      rows.push(toCsvRow(CSV_COLUMNS.map(column => episodeRow[column])));
+    }
+
+    return rows.join('');
+  }
+
+  _format(content, format) {
+    return format === 'csv' ? this._toCsvRows(content) : `${JSON.stringify(content)}\n`;
+  }
+
+  // Attach episodes to a batch of content with one query
+  async _withEpisodes(batch) {
+    const episodes = await Episode.find({ contentId: { $in: batch.map(content => content._id) } })
+      .select(['contentId', ...EPISODE_FIELDS].join(' '))
+      .sort({ seasonNumber: 1, episodeNumber: 1 })
+      .lean();
+
+    const byContent = new Map();
+    for (const episode of episodes) {
+      const key = episode.contentId.toString();
+      if (!byContent.has(key)) byContent.set(key, []);
+      // Episodes are nested under their title, so their own ids are left out
+      delete episode._id;
+      delete episode.contentId;
+      byContent.get(key).push(episode);
+    }
+
+    return batch.map(content => {
+      const { _id, ...fields } = content;
+      return { ...fields, episodes: byContent.get(_id.toString()) || [] };
+    });
+  }
+
+  /**
+   * Write the export to a writable stream (the HTTP response), honouring backpressure
+   * Stops early if the stream closes; resolves with the number of titles written
+   */
+  async writeExport(stream, { format = 'ndjson', filters = {}, includeEpisodes = true } = {}) {
+    const cursor = Content.find(this.buildQuery(filters))
+      .select(['_id', ...CONTENT_FIELDS].join(' '))
+      .sort({ _id: 1 })
+      .lean()
+      .cursor({ batchSize: this.batchSize });
+
+    let closed = false;
+    const onClose = () => { closed = true; };
+    stream.once('close', onClose);
+
+    let written = 0;
+    let batch = [];
+
+    const flush = async () => {
+      const items = includeEpisodes ? await this._withEpisodes(batch) : batch.map(({ _id, ...fields }) => fields);
+      batch = [];
+
+      for (const item of items) {
+        if (closed) return;
+        if (!stream.write(this._format(item, format))) {
+          await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+        }
+        written += 1;
+      }
+    };
+
+    try {
+      if (format === 'csv') {
+        stream.write(toCsvRow(CSV_COLUMNS));
+      }
+
+      for await (const content of cursor) {
+        if (closed) break;
+        batch.push(content);
+        if (batch.length >= this.batchSize) await flush();
+      }
+
+      if (!closed && batch.length > 0) await flush();
+    } finally {
+      stream.removeListener('close', onClose);
+      await cursor.close().catch(() => {});
+    }
+
+    return written;
+  }
+}
+
+module.exports = new CatalogExportService();
\ No newline at end of file
@@ -0,0 +1,314 @@
+const os = require('os');
+const User = require('../models/User');
+const Watchlist = require('../models/Watchlist');
+const Analytics = require('../models/Analytics');
+const Device = require('../models/Device');
+const DataExport = require('../models/DataExport');
+const JobRun = require('../models/JobRun');
+const storageService = require('./storageService');
+const { getQueue } = require('../config/queue');
+const { AppError } = require('../middleware/errorHandler');
+const { createZip } = require('../utils/zip');
+
+const QUEUE_NAME = 'data-export';
+
+/**
+ * Personal data exports (right of access / data portability).
+ * Small accounts are archived inline; larger ones are built by a worker on a
+ * Bull queue, stored through storageService and handed out as a signed URL.
+ * The export-expiry job deletes archives after EXPORT_RETENTION_DAYS.
+ */
+class ExportService {
+  constructor() {
+    this.inlineMaxRecords = parseInt(process.env.EXPORT_INLINE_MAX_RECORDS) || 5000;
+    this.downloadUrlTTL = parseInt(process.env.EXPORT_URL_TTL_SECONDS) || 3600;
+    this.retentionDays = parseInt(process.env.EXPORT_RETENTION_DAYS) || 7;
+    this.attempts = parseInt(process.env.EXPORT_ATTEMPTS) || 3;
+    // Exports still pending/processing after this are failed, so a lost job cannot block new ones
+    this.jobTimeoutMs = (parseInt(process.env.EXPORT_JOB_TIMEOUT_MINUTES) || 60) * 60 * 1000;
+  }
+
+  getQueue() {
+    return getQueue(QUEUE_NAME, {
+      defaultJobOptions: {
+        attempts: this.attempts,
+        backoff: { type: 'exponential', delay: 30 * 1000 },
+        removeOnComplete: 200,
+        removeOnFail: 500
+      }
+    });
+  }
+
+  _retentionEnd() {
+    return new Date(Date.now() + this.retentionDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Number of rows an export of this user would contain
+   */
+  async countRecords(userId) {
+    const [watchlist, analyticsEvents] = await Promise.all([
+      Watchlist.countDocuments({ userId }),
+      Analytics.countDocuments({ userId })
+    ]);
+
+    return watchlist + analyticsEvents;
+  }
+
+  shouldRunInBackground(recordCount) {
+    return recordCount > this.inlineMaxRecords;
+  }
+
+  /**
+   * Gather everything stored about a user
+   */
+  async collectUserData(userId) {
+    const user = await User.findByUserId(userId).lean();
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const [watchlist, devices] = await Promise.all([
+      Watchlist.find({ userId })
+        .populate('contentId', 'title type')
+        .sort({ 'sessionInfo.lastWatchedAt': -1 })
+        .lean(),
+      Device.find({ userId }).lean()
+    ]);
+
+    // Analytics can be large; read it in batches instead of one query
+    const analyticsEvents = [];
+    const cursor = Analytics.find({ userId }).sort({ timestamp: 1 }).lean().cursor();
+    for await (const event of cursor) {
+      analyticsEvents.push(event);
+    }
+
+    const toInteraction = (entry) => ({
+      contentId: entry.contentId?._id || entry.contentId,
+      contentTitle: entry.contentId?.title,
+      episodeId: entry.episodeId,
+      profileId: entry.profileId,
+      episodeTitle: entry.episodeDetails?.episodeTitle,
+      updatedAt: entry.updatedAt
+    });
+
+    const ratings = watchlist
+      .filter(entry => entry.userInteraction?.rating)
+      .map(entry => ({ ...toInteraction(entry), rating: entry.userInteraction.rating }));
+
+    const likes = watchlist
+      .filter(entry => entry.userInteraction?.liked)
+      .map(toInteraction);
+
+    return {
+      exportedAt: new Date(),
+      user,
+      watchlist,
+      ratings,
+      likes,
+      devices,
+      analyticsEvents
+    };
+  }
+
+  /**
+   * Serialize collected data as one JSON document or a ZIP of JSON files
+   */
+  buildArchive(data, format = 'zip') {
+    if (format === 'json') {
+      return {
+        buffer: Buffer.from(JSON.stringify(data, null, 2)),
+        contentType: 'application/json',
+        extension: 'json'
+      };
+    }
+
+    const { exportedAt, ...sections } = data;
+    const entries = Object.entries(sections).map(([name, value]) => ({
+      name: `${name}.json`,
+      data: JSON.stringify(value, null, 2)
+    }));
+
+    entries.unshift({
+      name: 'README.txt',
+      data: [
+        `Cino data export for user ${data.user.userId}`,
+        `Generated at ${exportedAt.toISOString()}`,
+        '',
+        'user.json            Account, preferences, viewing profiles and settings',
+        'watchlist.json       Watch history and progress for every episode',
+        'ratings.json         Ratings you gave',
+        'likes.json           Episodes you liked',
+        'devices.json         Devices signed in to your account',
+        'analyticsEvents.json App usage events recorded for your account'
+      ].join('\n')
+    });
+
+    return {
+      buffer: createZip(entries, exportedAt),
+      contentType: 'application/zip',
+      extension: 'zip'
+    };
+  }
+
+  summarize(data) {
+    return {
+      watchlist: data.watchlist.length,
+      ratings: data.ratings.length,
+      likes: data.likes.length,
+      analyticsEvents: data.analyticsEvents.length,
+      devices: data.devices.length
+    };
+  }
+
+  /**
+   * Queue a background export; an export already in progress is reused
+   */
+  async startExportJob(userId, format) {
+    const active = await DataExport.findActiveForUser(userId);
+    if (active) return active;
+
+    const job = await DataExport.create({ userId, format });
+
+    try {
+      await this.getQueue().add({ exportId: job.exportId }, { jobId: job.exportId });
+    } catch (error) {
+      job.status = 'failed';
+      job.error = 'Export could not be queued';
+      job.completedAt = new Date();
+      job.expiresAt = this._retentionEnd();
+      await job.save();
+      throw error;
+    }
+
+    return job;
+  }
+
+  /**
+   * Build and store one export; a retried or stalled queue job picks up a processing record again
+   */
+  async runExportJob(exportId) {
+    const job = await DataExport.findOne({ exportId });
+    if (!job || !['pending', 'processing'].includes(job.status)) return job;
+
+    job.status = 'processing';
+    job.startedAt = new Date();
+    await job.save();
+
+    const data = await this.collectUserData(job.userId);
+    const archive = this.buildArchive(data, job.format);
+    const fileName = `exports/${job.userId}/${job.exportId}.${archive.extension}`;
+
+    // Record the object before writing it, so expiry and account purges find it even if the job dies
+    job.fileName = fileName;
+    job.expiresAt = this._retentionEnd();
+    await job.save();
+
+    await storageService.uploadFile(archive.buffer, {
+      fileName,
+      contentType: archive.contentType,
+      metadata: { userId: job.userId, exportId: job.exportId }
+    });
+
+    job.size = archive.buffer.length;
+    job.recordCounts = this.summarize(data);
+    job.status = 'completed';
+    job.completedAt = new Date();
+    job.expiresAt = this._retentionEnd();
+    await job.save();
+
+    console.log(`📦 Data export ready for user ${job.userId}: ${fileName}`);
+    return job;
+  }
+
+  async _onFailed(queueJob, error) {
+    const { exportId } = queueJob.data;
+    const finalAttempt = queueJob.attemptsMade >= (queueJob.opts.attempts || 1);
+
+    if (finalAttempt) {
+      await DataExport.updateOne(
+        { exportId, status: { $in: ['pending', 'processing'] } },
+        { $set: { status: 'failed', error: error.message, completedAt: new Date(), expiresAt: this._retentionEnd() } }
+      );
+    }
+
+    console.error(`❌ Data export ${exportId} failed (attempt ${queueJob.attemptsMade}/${queueJob.opts.attempts}):`, error.message);
+  }
+
+  /**
+   * Start consuming the export queue; set EXPORT_WORKER_ENABLED=false on instances that should not build exports
+   */
+  startWorker() {
+    if (process.env.EXPORT_WORKER_ENABLED === 'false') {
+      console.log('⏸️ Data export worker disabled on this instance');
+      return null;
+    }
+
+    const queue = this.getQueue();
+    queue.process(job => this.runExportJob(job.data.exportId));
+    queue.on('failed', (job, error) => {
+      this._onFailed(job, error).catch(err => console.error('Data export failure handling error:', err));
+    });
+
+    console.log('📦 Data export worker started');
+    return queue;
+  }
+
+  /**
+   * Delete archives past expiresAt and then their records; a record whose archive could not be
+   * deleted is kept for the next run. Exports stuck past EXPORT_JOB_TIMEOUT_MINUTES are failed.
+   */
+  async expireExports() {
+    const run = await JobRun.create({ job: 'export-expiry', host: os.hostname() });
+    const stats = { expired: 0, timedOut: 0 };
+
+    try {
+      const timedOut = await DataExport.updateMany(
+        {
+          status: { $in: ['pending', 'processing'] },
+          createdAt: { $lte: new Date(Date.now() - this.jobTimeoutMs) }
+        },
+        { $set: { status: 'failed', error: 'Export timed out', completedAt: new Date(), expiresAt: this._retentionEnd() } }
+      );
+      stats.timedOut = timedOut.modifiedCount;
+
+      const due = await DataExport.find({
+        status: { $in: ['completed', 'failed'] },
+        expiresAt: { $lte: new Date() }
+      });
+
+      for (const job of due) {
+        try {
+          if (job.fileName && !(await storageService.deleteFile(job.fileName))) {
+            throw new Error('Archive delete failed');
+          }
+          await job.deleteOne();
+          stats.expired += 1;
+        } catch (error) {
+          run.failures.push({ ref: job.exportId, message: error.message });
+        }
+      }
+
+      await run.finish(stats);
+    } catch (error) {
+      await run.finish(stats, error);
+      throw error;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Short-lived download link for a finished export
+   */
+  async getDownloadUrl(job) {
+    if (job.status !== 'completed' || !job.fileName) return null;
+
+    return storageService.getSignedUrl(job.fileName, {
+      expiresIn: this.downloadUrlTTL, // Cloudflare R2
+      expires: this.downloadUrlTTL // GCP
+    });
+  }
+}
+
+module.exports = new ExportService();
\ No newline at end of file
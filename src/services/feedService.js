@@ -3,6 +3,7 @@ const Episode = require('../models/Episode');
 const User = require('../models/User');
 const Watchlist = require('../models/Watchlist');
 const { setCache, getCache } = require('../config/redis');
+const { getAllowedAgeRatings } = require('../utils/helpers');
 
 class FeedService {
   /**
@@ -14,6 +15,8 @@ class FeedService {
       limit = 20,
       offset = 0,
       userId = null,
+      profileId = null, // Household viewing profile (null = main profile)
+      maxAgeRating = null, // Restrict content for kids profiles
       excludeWatched = false,
       enablePrefetch = true // New option for prefetch
     } = options;
@@ -22,7 +25,7 @@ class FeedService {
       // Get user's watch history if userId provided
       let watchedContentIds = [];
       if (userId && excludeWatched) {
-        const watchHistory = await Watchlist.distinct('contentId', { userId });
+        const watchHistory = await Watchlist.distinct('contentId', { userId, profileId });
         watchedContentIds = watchHistory;
       }
 
@@ -32,6 +35,12 @@ class FeedService {
         'feedSettings.isInRandomFeed': true
       };
 
+      // Only show content the profile is allowed to watch
+      const allowedAgeRatings = getAllowedAgeRatings(maxAgeRating);
+      if (allowedAgeRatings) {
+        baseQuery.ageRating = { $in: allowedAgeRatings };
+      }
+
       // Exclude watched content if requested
       if (watchedContentIds.length > 0) {
         baseQuery._id = { $nin: watchedContentIds };
@@ -78,7 +87,7 @@ class FeedService {
         console.log('🚀 Starting prefetch for next episodes...');
         
         // Prefetch logic for next 5-7 episodes
-        const prefetchData = await this._prefetchNextEpisodes(feedWithEpisodes, userId);
+        const prefetchData = await this._prefetchNextEpisodes(feedWithEpisodes, userId, profileId);
         
         // Add prefetch data to response
         feedWithEpisodes.forEach((item, index) => {
@@ -99,7 +108,7 @@ class FeedService {
   /**
    * Enhanced prefetch logic for next 5-7 episodes
    */
-  async _prefetchNextEpisodes(feedContent, userId = null) {
+  async _prefetchNextEpisodes(feedContent, userId = null, profileId = null) {
     const prefetchCount = 7; // Prefetch next 7 episodes
     const prefetchData = [];
 
@@ -121,7 +130,8 @@ class FeedService {
           if (userId && nextEpisodes.length > 0) {
             watchProgress = await this._getUserProgressForEpisodes(
               userId, 
-              nextEpisodes.map(ep => ep._id)
+              nextEpisodes.map(ep => ep._id),
+              profileId
             );
           }
 
@@ -200,9 +210,10 @@ class FeedService {
   /**
    * Get user progress for multiple episodes
    */
-  async _getUserProgressForEpisodes(userId, episodeIds) {
+  async _getUserProgressForEpisodes(userId, episodeIds, profileId = null) {
     const progressData = await Watchlist.find({
       userId,
+      profileId,
       episodeId: { $in: episodeIds }
     })
     .select('episodeId watchProgress')
@@ -40,6 +40,11 @@ class GCPService {
     }
   }
 
+  // URL of a public object (uploadVideo/uploadImage make theirs public)
+  getPublicUrl(fileName) {
+    return `https://storage.googleapis.com/${this.bucketName}/${fileName}`;
+  }
+
   /**
    * Upload video file to GCP Storage
    */
@@ -91,7 +96,7 @@ class GCPService {
             // Make file publicly readable
             await file.makePublic();
             
-            const publicUrl = `https://storage.googleapis.com/${this.bucketName}/${fileName}`;
+            const publicUrl = this.getPublicUrl(fileName);
             
             const result = {
               fileName,
@@ -178,7 +183,7 @@ class GCPService {
             // Make file publicly readable
             await file.makePublic();
             
-            const publicUrl = `https://storage.googleapis.com/${this.bucketName}/${fileName}`;
+            const publicUrl = this.getPublicUrl(fileName);
             
             const result = {
               fileName,
@@ -205,6 +210,100 @@ class GCPService {
     }
   }
 
+  /**
+   * Upload an arbitrary private object (exports, manifests) under a caller-chosen key
+   */
+  async uploadFile(fileBuffer, options = {}) {
+    try {
+      await this.ensureInitialized();
+
+      const { fileName, contentType = 'application/octet-stream', metadata = {} } = options;
+
+      if (!fileName) {
+        throw new Error('fileName is required');
+      }
+
+      await this.bucket.file(fileName).save(fileBuffer, {
+        resumable: false,
+        metadata: {
+          contentType,
+          metadata: {
+            ...metadata,
+            uploadedAt: new Date().toISOString()
+          }
+        }
+      });
+
+      console.log(`✅ File uploaded successfully: ${fileName}`);
+      return {
+        fileName,
+        size: fileBuffer.length,
+        contentType,
+        uploadedAt: new Date(),
+        bucket: this.bucketName
+      };
+    } catch (error) {
+      console.error('❌ File upload failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Download a file to a local path (used by workers that need the source on disk)
+   */
+  async downloadFile(fileName, destinationPath) {
+    try {
+      await this.ensureInitialized();
+
+      await this.bucket.file(fileName).download({ destination: destinationPath });
+      return destinationPath;
+    } catch (error) {
+      console.error('❌ GCP file download failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a file from local disk (resumable, so large sources survive network blips)
+   * public: true makes the object publicly readable, like uploadVideo does
+   */
+  async uploadLocalFile(localPath, options = {}) {
+    try {
+      await this.ensureInitialized();
+
+      const { fileName, contentType = 'application/octet-stream', metadata = {}, public: isPublic = false } = options;
+
+      if (!fileName) {
+        throw new Error('fileName is required');
+      }
+
+      const [file] = await this.bucket.upload(localPath, {
+        destination: fileName,
+        resumable: true,
+        ...(isPublic && { predefinedAcl: 'publicRead' }),
+        metadata: {
+          contentType,
+          metadata: {
+            ...metadata,
+            uploadedAt: new Date().toISOString()
+          }
+        }
+      });
+
+      console.log(`✅ File uploaded successfully: ${fileName}`);
+      return {
+        fileName,
+        size: parseInt(file.metadata.size),
+        contentType,
+        uploadedAt: new Date(),
+        bucket: this.bucketName
+      };
+    } catch (error) {
+      console.error('❌ Local file upload failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete file from GCP Storage
    */
@@ -274,6 +373,33 @@ class GCPService {
     }
   }
 
+  /**
+   * V4 signed PUT so a client can upload straight to the bucket (not cached, unlike read URLs)
+   */
+  async getSignedUploadUrl(fileName, options = {}) {
+    await this.ensureInitialized();
+
+    const { expiresIn = 3600, contentType = 'application/octet-stream', metadata = {} } = options;
+    const extensionHeaders = Object.fromEntries(
+      Object.entries(metadata).map(([key, value]) => [`x-goog-meta-${key.toLowerCase()}`, String(value)])
+    );
+
+    const [url] = await this.bucket.file(fileName).getSignedUrl({
+      version: 'v4',
+      action: 'write',
+      expires: Date.now() + expiresIn * 1000,
+      contentType,
+      extensionHeaders
+    });
+
+    return {
+      url,
+      method: 'PUT',
+      headers: { 'Content-Type': contentType, ...extensionHeaders },
+      expiresAt: new Date(Date.now() + expiresIn * 1000)
+    };
+  }
+
   /**
    * Get file metadata
    */
@@ -358,6 +484,28 @@ class GCPService {
     }
   }
 
+  /**
+   * Every object under a prefix, a page at a time (for jobs that walk the whole bucket)
+   */
+  async *iterateFiles(prefix = '') {
+    await this.ensureInitialized();
+
+    let query = { prefix, autoPaginate: false, maxResults: 1000 };
+    while (query) {
+      const [files, nextQuery] = await this.bucket.getFiles(query);
+
+      for (const file of files) {
+        yield {
+          name: file.name,
+          size: parseInt(file.metadata.size) || 0,
+          lastModified: new Date(file.metadata.updated)
+        };
+      }
+
+      query = nextQuery;
+    }
+  }
+
   /**
    * Get streaming URL for video files
    */
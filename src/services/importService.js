@@ -0,0 +1,376 @@
+const Joi = require('joi');
+const Content = require('../models/Content');
+const Episode = require('../models/Episode');
+const { AppError } = require('../middleware/errorHandler');
+const { adminValidation } = require('../middleware/validation');
+const { parseCsvObjects } = require('../utils/csv');
+const { generateContentId, generateEpisodeId } = require('../utils/helpers');
+const revisionService = require('./revisionService');
+
+// CSV cells holding lists use '|' between items, e.g. "action|drama"
+const LIST_FIELDS = ['genre', 'language', 'tags', 'cast', 'searchKeywords', 'contentWarnings'];
+const NUMBER_FIELDS = ['releaseYear', 'totalEpisodes', 'episodeNumber', 'seasonNumber', 'duration'];
+
+const episodeRowSchema = Joi.object({
+  episodeNumber: Joi.number().integer().min(1).required(),
+  seasonNumber: Joi.number().integer().min(1).default(1),
+  title: Joi.string().min(1).max(200).required(),
+  description: Joi.string().max(1000).allow(''),
+  duration: Joi.number().min(1).required(),
+  videoUrl: Joi.string().uri().required(),
+  thumbnailUrl: Joi.string().uri().required(),
+  fileName: Joi.string().max(500),
+  tags: Joi.array().items(Joi.string()).max(20)
+});
+
+// The createContent body plus the fields a catalog file can carry
+const contentRowSchema = adminValidation.createContent.extract('body').keys({
+  contentId: Joi.string().max(100),
+  thumbnail: Joi.string().uri().required(),
+  poster: Joi.string().uri(),
+  banner: Joi.string().uri(),
+  trailerUrl: Joi.string().uri(),
+  visibility: Joi.string().valid('public', 'premium', 'restricted'),
+  searchKeywords: Joi.array().items(Joi.string()).max(50),
+  contentWarnings: Joi.array().items(Joi.string()).max(20),
+  episodes: Joi.array().items(episodeRowSchema).max(1000)
+});
+
+const formatJoiError = (error) => error.details.map(detail => detail.message.replace(/"/g, ''));
+
+const formatMongooseError = (error) => Object.values(error.errors).map(err => err.message);
+
+/**
+ * Catalog import: CSV or JSON manifests of content (and their episodes),
+ * validated row by row and upserted by contentId.
+ */
+class ImportService {
+  constructor() {
+    this.maxRows = parseInt(process.env.IMPORT_MAX_ROWS) || 1000;
+  }
+
+  _coerceCsvRecord(record) {
+    const data = { ...record };
+    delete data._row;
+    delete data.rowType;
+
+    // A blank cell leaves the field alone rather than clearing it
+    Object.keys(data).forEach(field => {
+      if (data[field] === '') delete data[field];
+    });
+
+    for (const field of LIST_FIELDS) {
+      if (typeof data[field] === 'string') {
+        data[field] = data[field].split('|').map(item => item.trim()).filter(Boolean);
+        if (data[field].length === 0) delete data[field];
+      }
+    }
+    for (const field of NUMBER_FIELDS) {
+      if (typeof data[field] === 'string' && data[field] !== '' && !isNaN(data[field])) {
+        data[field] = Number(data[field]);
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * CSV manifests have one row per title; rows with rowType=episode add an episode
+   * to the title with the same contentId (in the file or already in the catalog)
+   */
+  _entriesFromCsv(text) {
+    const records = parseCsvObjects(text);
+    const entries = [];
+    const byContentId = new Map();
+
+    for (const record of records.filter(r => (r.rowType || 'content') === 'content')) {
+      const entry = { row: record._row, data: this._coerceCsvRecord(record), episodes: [] };
+      entries.push(entry);
+      if (entry.data.contentId) byContentId.set(entry.data.contentId, entry);
+    }
+
+    for (const record of records.filter(r => r.rowType && r.rowType !== 'content')) {
+      const data = this._coerceCsvRecord(record);
+      const episode = { row: record._row, data };
+      delete data.contentId;
+
+      if (record.rowType !== 'episode') {
+        entries.push({ row: record._row, data: null, episodes: [], errors: [`Unknown rowType ${record.rowType}`] });
+        continue;
+      }
+      if (!record.contentId) {
+        entries.push({ row: record._row, data: null, episodes: [], errors: ['Episode rows need a contentId'] });
+        continue;
+      }
+
+      let entry = byContentId.get(record.contentId);
+      if (!entry) {
+        // Episodes for a title that is already in the catalog
+        entry = { row: record._row, contentId: record.contentId, data: null, episodes: [] };
+        entries.push(entry);
+        byContentId.set(record.contentId, entry);
+      }
+      entry.episodes.push(episode);
+    }
+
+    return entries;
+  }
+
+  _entriesFromJson(text) {
+    let parsed;
+    try {
+      parsed = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (error) {
+      throw new AppError(`Invalid JSON manifest: ${error.message}`, 400);
+    }
+
+    const rows = Array.isArray(parsed) ? parsed : parsed?.content;
+    if (!Array.isArray(rows)) {
+      throw new AppError('JSON manifest must be an array of content rows or { "content": [...] }', 400);
+    }
+
+    return rows.map((data, index) => {
+      const { episodes = [], ...fields } = data || {};
+      return {
+        row: index + 1,
+        data: fields,
+        episodes: Array.isArray(episodes)
+          ? episodes.map((episode, episodeIndex) => ({ row: `${index + 1}.${episodeIndex + 1}`, data: episode }))
+          : []
+      };
+    });
+  }
+
+  /**
+   * Turn a manifest (file text or already-parsed JSON) into entries of { row, data, episodes }
+   */
+  parseManifest(input, format) {
+    let entries;
+    if (format === 'csv') {
+      try {
+        entries = this._entriesFromCsv(input);
+      } catch (error) {
+        throw new AppError(`Invalid CSV manifest: ${error.message}`, 400);
+      }
+    } else {
+      entries = this._entriesFromJson(input);
+    }
+
+    if (entries.length === 0) {
+      throw new AppError('Manifest has no rows', 400);
+    }
+    if (entries.length > this.maxRows) {
+      throw new AppError(`Manifest has ${entries.length} rows; the limit is ${this.maxRows}`, 400);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Validate every entry; the result carries the cleaned values and row-level errors
+   */
+  async validate(entries) {
+    const contentIds = new Set();
+    const results = [];
+
+    for (const entry of entries) {
+      const result = {
+        row: entry.row,
+        contentId: entry.contentId || entry.data?.contentId || null,
+        errors: [...(entry.errors || [])],
+        episodes: []
+      };
+
+      if (entry.data) {
+        // No defaults yet: an update row must only carry the fields it actually contains
+        const { error, value } = contentRowSchema.validate(
+          { ...entry.data, episodes: undefined },
+          { abortEarly: false, stripUnknown: true, noDefaults: true }
+        );
+        if (error) {
+          result.errors.push(...formatJoiError(error));
+        } else {
+          result.value = value;
+          const modelError = new Content({ contentId: value.contentId || 'dry-run', ...value }).validateSync();
+          if (modelError) result.errors.push(...formatMongooseError(modelError));
+        }
+      }
+
+      if (result.contentId) {
+        if (contentIds.has(result.contentId)) {
+          result.errors.push(`contentId ${result.contentId} appears more than once`);
+        }
+        contentIds.add(result.contentId);
+      }
+
+      const episodeKeys = new Set();
+      for (const episode of entry.episodes) {
+        const episodeResult = { row: episode.row, errors: [] };
+        const { error, value } = episodeRowSchema.validate(episode.data, { abortEarly: false, stripUnknown: true });
+
+        if (error) {
+          episodeResult.errors.push(...formatJoiError(error));
+        } else {
+          episodeResult.value = value;
+          episodeResult.episodeNumber = value.episodeNumber;
+          episodeResult.seasonNumber = value.seasonNumber;
+
+          const key = `${value.seasonNumber}:${value.episodeNumber}`;
+          if (episodeKeys.has(key)) {
+            episodeResult.errors.push(`Season ${value.seasonNumber} episode ${value.episodeNumber} appears more than once`);
+          }
+          episodeKeys.add(key);
+        }
+
+        result.episodes.push(episodeResult);
+      }
+
+      results.push(result);
+    }
+
+    // Which rows update an existing title, and whether episode-only rows point at one
+    const existing = await Content.find({ contentId: { $in: [...contentIds] } }).select('contentId').lean();
+    const existingIds = new Set(existing.map(doc => doc.contentId));
+
+    for (const result of results) {
+      result.action = result.contentId && existingIds.has(result.contentId) ? 'update' : 'create';
+      if (result.action === 'create' && result.value) {
+        result.value = contentRowSchema.validate(result.value).value;
+      }
+      if (!result.value && result.errors.length === 0 && result.action === 'create') {
+        result.errors.push(`Content ${result.contentId} not found`);
+      }
+      result.valid = result.errors.length === 0 && result.episodes.every(episode => episode.errors.length === 0);
+    }
+
+    return results;
+  }
+
+  async _upsertEpisodes(content, episodes) {
+    const summary = { created: 0, updated: 0 };
+
+    for (const episodeResult of episodes) {
+      const { fileName, ...fields } = episodeResult.value;
+      let episode = await Episode.findOne({
+        contentId: content._id,
+        seasonNumber: fields.seasonNumber,
+        episodeNumber: fields.episodeNumber
+      });
+
+      if (episode) {
+        episode.set(fields);
+        if (fileName) episode.fileInfo.fileName = fileName;
+        await episode.save();
+        episodeResult.action = 'updated';
+        summary.updated += 1;
+      } else {
+        episode = await Episode.create({
+          ...fields,
+          episodeId: generateEpisodeId(),
+          contentId: content._id,
+          fileInfo: { fileName: fileName || new URL(fields.videoUrl).pathname.replace(/^\//, '') },
+          status: 'draft'
+        });
+        content.episodeIds.push(episode._id);
+
+        let season = content.seasons.find(s => s.seasonNumber === fields.seasonNumber);
+        if (!season) {
+          content.seasons.push({ seasonNumber: fields.seasonNumber, title: `Season ${fields.seasonNumber}`, episodes: [] });
+          season = content.seasons[content.seasons.length - 1];
+        }
+        season.episodes.push(episode._id);
+
+        episodeResult.action = 'created';
+        summary.created += 1;
+      }
+
+      episodeResult.episodeId = episode._id;
+      delete episodeResult.value;
+    }
+
+    content.totalEpisodes = Math.max(content.totalEpisodes || 0, content.episodeIds.length);
+    await content.save();
+
+    return summary;
+  }
+
+  /**
+   * Upsert every valid row by contentId; invalid rows are skipped and reported
+   * New titles start as drafts so they go through editorial review
+   */
+  async apply(req, results) {
+    for (const result of results) {
+      if (!result.valid) {
+        result.action = 'skipped';
+        continue;
+      }
+
+      try {
+        let content;
+
+        if (result.action === 'update') {
+          content = await Content.findOne({ contentId: result.contentId });
+          if (result.value) {
+            const before = revisionService.snapshot(content);
+            // The row's contentId selects the title; it is not an update
+            const fields = { ...result.value };
+            delete fields.contentId;
+            content.set(fields);
+            content.lastUpdated = new Date();
+            await content.save();
+            await revisionService.record(req, content, { source: 'import', before });
+          }
+          result.action = 'updated';
+        } else {
+          content = await Content.create({
+            ...result.value,
+            contentId: result.value.contentId || generateContentId(),
+            status: 'draft',
+            publishedAt: null
+          });
+          await revisionService.record(req, content, { source: 'import' });
+          result.action = 'created';
+        }
+
+        result.contentId = content.contentId;
+        result.id = content._id;
+        result.episodeSummary = await this._upsertEpisodes(content, result.episodes);
+      } catch (error) {
+        result.action = 'failed';
+        result.errors.push(error.message);
+      }
+
+      delete result.value;
+    }
+
+    return results;
+  }
+
+  /**
+   * Validate a manifest and, unless it is a dry run, apply it
+   */
+  async run(req, input, { format, dryRun = true } = {}) {
+    const entries = this.parseManifest(input, format);
+    let results = await this.validate(entries);
+
+    if (!dryRun) {
+      results = await this.apply(req, results);
+    }
+
+    const summary = { rows: results.length, valid: 0, invalid: 0 };
+    for (const result of results) {
+      summary[result.valid ? 'valid' : 'invalid'] += 1;
+      if (!dryRun) summary[result.action] = (summary[result.action] || 0) + 1;
+      delete result.value;
+      result.episodes.forEach(episode => delete episode.value);
+    }
+
+    return {
+      mode: dryRun ? 'dry-run' : 'apply',
+      summary,
+      rows: results
+    };
+  }
+}
+
+module.exports = new ImportService();
\ No newline at end of file
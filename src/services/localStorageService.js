@@ -0,0 +1,570 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { generateRandomString } = require('../utils/helpers');
+
+const DEFAULT_PUBLIC_PREFIXES = 'videos/,thumbnails/,posters/,images/,hls/,dash/';
+
+/**
+ * Storage on the local disk, for development and tests (STORAGE_PROVIDER=local)
+ * Objects live under <LOCAL_STORAGE_DIR>/objects and are served by routes/storage.js;
+ * content type and custom metadata sit next to them in <LOCAL_STORAGE_DIR>/metadata.
+ * Signed URLs carry an HMAC of method, key, expiry and content type.
+ */
+class LocalStorageService {
+  constructor() {
+    this.rootDir = path.resolve(process.env.LOCAL_STORAGE_DIR || './storage');
+    this.objectsDir = path.join(this.rootDir, 'objects');
+    this.metadataDir = path.join(this.rootDir, 'metadata');
+    this.publicUrl = (process.env.LOCAL_STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}/files`).replace(/\/+$/, '');
+    // Where app.js mounts routes/storage.js
+    this.routePath = new URL(this.publicUrl, 'http://localhost').pathname || '/';
+    this.secret = process.env.LOCAL_STORAGE_SECRET || process.env.JWT_SECRET || 'local-storage-secret';
+    // Keys readable without a signature, like a public bucket behind the CDN
+    this.publicPrefixes = (process.env.LOCAL_STORAGE_PUBLIC_PREFIXES ?? DEFAULT_PUBLIC_PREFIXES)
+      .split(',')
+      .map(prefix => prefix.trim())
+      .filter(Boolean);
+    this.initialized = false;
+  }
+
+  async initialize() {
+    try {
+      await fs.promises.mkdir(this.objectsDir, { recursive: true });
+      await fs.promises.mkdir(this.metadataDir, { recursive: true });
+
+      this.initialized = true;
+      console.log(`💾 Local storage initialized at ${this.rootDir}`);
+      return true;
+    } catch (error) {
+      console.error('❌ Local storage initialization failed:', error);
+      this.initialized = false;
+      return false;
+    }
+  }
+
+  // Object keys are relative paths; anything that would leave the objects folder is rejected
+  _objectPath(fileName) {
+    const key = path.posix.normalize(String(fileName || ''));
+    if (!key || key === '.' || key.startsWith('/') || key.startsWith('../') || key === '..' || key.includes('\0')) {
+      throw new Error(`Invalid object key: ${fileName}`);
+    }
+    return path.join(this.objectsDir, key);
+  }
+
+  _metadataPath(fileName) {
+    return path.join(this.metadataDir, `${path.posix.normalize(fileName)}.json`);
+  }
+
+  async _writeMetadata(fileName, { contentType, metadata = {} }) {
+    const metadataPath = this._metadataPath(fileName);
+    await fs.promises.mkdir(path.dirname(metadataPath), { recursive: true });
+    await fs.promises.writeFile(metadataPath, JSON.stringify({
+      contentType,
+      metadata: { ...metadata, uploadedAt: new Date().toISOString() }
+    }));
+  }
+
+  async _readMetadata(fileName) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this._metadataPath(fileName), 'utf8'));
+    } catch (error) {
+      return { contentType: 'application/octet-stream', metadata: {} };
+    }
+  }
+
+  // Write into a temporary file first so readers never see half an object
+  async _store(fileName, write, { contentType = 'application/octet-stream', metadata = {} } = {}) {
+    const objectPath = this._objectPath(fileName);
+    const tmpPath = `${objectPath}.${generateRandomString(8)}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(objectPath), { recursive: true });
+    try {
+      await write(tmpPath);
+      await fs.promises.rename(tmpPath, objectPath);
+    } catch (error) {
+      await fs.promises.rm(tmpPath, { force: true });
+      throw error;
+    }
+
+    await this._writeMetadata(fileName, { contentType, metadata });
+    const { size } = await fs.promises.stat(objectPath);
+    return size;
+  }
+
+  // Every object key, sorted, optionally under a prefix
+  async _listKeys(prefix = '') {
+    const keys = [];
+
+    const walk = async (dir, base) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const key = base ? `${base}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          await walk(path.join(dir, entry.name), key);
+        } else if (!entry.name.endsWith('.tmp') && key.startsWith(prefix)) {
+          keys.push(key);
+        }
+      }
+    };
+
+    await walk(this.objectsDir, '');
+    return keys.sort();
+  }
+
+  getPublicUrl(fileName) {
+    return `${this.publicUrl}/${fileName}`;
+  }
+
+  isPublic(fileName) {
+    const key = path.posix.normalize(fileName);
+    return !key.startsWith('../') && this.publicPrefixes.some(prefix => key.startsWith(prefix));
+  }
+
+  async uploadVideo(fileBuffer, options = {}) {
+    try {
+      await this.ensureInitialized();
+
+      const {
+        originalName,
+        contentId,
+        episodeNumber,
+        seasonNumber = 1,
+        quality = '720p'
+      } = options;
+
+      const timestamp = Date.now();
+      const randomId = generateRandomString(8);
+      const extension = originalName ? originalName.split('.').pop() : 'mp4';
+
+      const fileName = `videos/${contentId}/${seasonNumber}/${episodeNumber}_${quality}_${timestamp}_${randomId}.${extension}`;
+
+      const size = await this._store(fileName, tmpPath => fs.promises.writeFile(tmpPath, fileBuffer), {
+        contentType: 'video/mp4',
+        metadata: {
+          contentId: contentId || 'unknown',
+          episodeNumber: episodeNumber?.toString() || '0',
+          seasonNumber: seasonNumber?.toString() || '1',
+          quality: quality || '720p',
+          originalName: originalName || 'unknown'
+        }
+      });
+
+      const publicUrl = this.getPublicUrl(fileName);
+
+      console.log(`✅ Video saved to local storage: ${fileName}`);
+      return {
+        fileName,
+        publicUrl,
+        cdnUrl: publicUrl,
+        size,
+        contentType: 'video/mp4',
+        uploadedAt: new Date(),
+        provider: 'local',
+        path: `videos/${contentId}/${seasonNumber}/`
+      };
+    } catch (error) {
+      console.error('❌ Local storage video upload failed:', error);
+      throw error;
+    }
+  }
+
+  async uploadImage(fileBuffer, options = {}) {
+    try {
+      await this.ensureInitialized();
+
+      const {
+        originalName,
+        type = 'thumbnail',
+        contentId,
+        episodeId,
+        width,
+        height
+      } = options;
+
+      const timestamp = Date.now();
+      const randomId = generateRandomString(6);
+      const extension = originalName ? originalName.split('.').pop() : 'jpg';
+
+      let fileName;
+      if (type === 'thumbnail') {
+        fileName = `thumbnails/${contentId}/${episodeId}_${timestamp}_${randomId}.${extension}`;
+      } else if (type === 'poster') {
+        fileName = `posters/${contentId}_${timestamp}_${randomId}.${extension}`;
+      } else {
+        fileName = `images/${type}/${timestamp}_${randomId}.${extension}`;
+      }
+
+      const size = await this._store(fileName, tmpPath => fs.promises.writeFile(tmpPath, fileBuffer), {
+        contentType: `image/${extension}`,
+        metadata: {
+          type: type || 'thumbnail',
+          contentId: contentId || 'unknown',
+          episodeId: episodeId || 'unknown',
+          width: width?.toString() || '',
+          height: height?.toString() || '',
+          originalName: originalName || 'unknown'
+        }
+      });
+
+      const publicUrl = this.getPublicUrl(fileName);
+
+      console.log(`✅ Image saved to local storage: ${fileName}`);
+      return {
+        fileName,
+        publicUrl,
+        cdnUrl: publicUrl,
+        size,
+        contentType: `image/${extension}`,
+        uploadedAt: new Date(),
+        provider: 'local',
+        type,
+        dimensions: width && height ? { width, height } : null
+      };
+    } catch (error) {
+      console.error('❌ Local storage image upload failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store an arbitrary private object (exports, manifests) under a caller-chosen key
+   */
+  async uploadFile(fileBuffer, options = {}) {
+    try {
+      await this.ensureInitialized();
+
+      const { fileName, contentType = 'application/octet-stream', metadata = {} } = options;
+
+      if (!fileName) {
+        throw new Error('fileName is required');
+      }
+
+      const size = await this._store(fileName, tmpPath => fs.promises.writeFile(tmpPath, fileBuffer), { contentType, metadata });
+
+      console.log(`✅ File saved to local storage: ${fileName}`);
+      return {
+        fileName,
+        size,
+        contentType,
+        uploadedAt: new Date(),
+        provider: 'local'
+      };
+    } catch (error) {
+      console.error('❌ Local storage file upload failed:', error);
+      throw error;
+    }
+  }
+
+  async uploadLocalFile(localPath, options = {}) {
+    try {
+      await this.ensureInitialized();
+
+      const { fileName, contentType = 'application/octet-stream', metadata = {} } = options;
+
+      if (!fileName) {
+        throw new Error('fileName is required');
+      }
+
+      const size = await this._store(fileName, tmpPath => fs.promises.copyFile(localPath, tmpPath), { contentType, metadata });
+
+      console.log(`✅ File saved to local storage: ${fileName} (${size} bytes)`);
+      return {
+        fileName,
+        size,
+        contentType,
+        uploadedAt: new Date(),
+        provider: 'local'
+      };
+    } catch (error) {
+      console.error('❌ Local storage local file upload failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a request body (a signed PUT) without buffering it
+   */
+  async uploadStream(stream, options = {}) {
+    await this.ensureInitialized();
+
+    const { fileName, contentType = 'application/octet-stream', metadata = {} } = options;
+    const size = await this._store(fileName, tmpPath => pipeline(stream, fs.createWriteStream(tmpPath)), { contentType, metadata });
+
+    console.log(`✅ File saved to local storage: ${fileName} (${size} bytes)`);
+    return { fileName, size, contentType, uploadedAt: new Date(), provider: 'local' };
+  }
+
+  async downloadFile(fileName, destinationPath) {
+    try {
+      await this.ensureInitialized();
+
+      await fs.promises.copyFile(this._objectPath(fileName), destinationPath);
+      return destinationPath;
+    } catch (error) {
+      console.error('❌ Local storage file download failed:', error);
+      throw error;
+    }
+  }
+
+  async deleteFile(fileName) {
+    try {
+      await this.ensureInitialized();
+
+      await fs.promises.rm(this._objectPath(fileName), { force: true });
+      await fs.promises.rm(this._metadataPath(fileName), { force: true });
+      console.log(`🗑️ File deleted from local storage: ${fileName}`);
+
+      return true;
+    } catch (error) {
+      console.error('❌ Local storage file deletion failed:', error);
+      return false;
+    }
+  }
+
+  _sign(method, fileName, expires, contentType = '') {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${method}\n${fileName}\n${expires}\n${contentType}`)
+      .digest('base64url');
+  }
+
+  _signedUrl(method, fileName, expiresIn, contentType) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const params = new URLSearchParams({ expires, signature: this._sign(method, fileName, expires, contentType) });
+    if (method === 'GET' && contentType) {
+      params.set('response-content-type', contentType);
+    }
+    return `${this.getPublicUrl(fileName)}?${params.toString()}`;
+  }
+
+  /**
+   * Check a signed URL against the request; GET signatures cover the response content type,
+   * PUT signatures the Content-Type of the upload
+   */
+  verifySignedRequest(req, fileName) {
+    const { expires, signature } = req.query;
+    if (!expires || !signature) return false;
+    if (parseInt(expires) < Math.floor(Date.now() / 1000)) return false;
+
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+    const contentType = method === 'PUT' ? req.get('content-type') : req.query['response-content-type'];
+    const expected = Buffer.from(this._sign(method, fileName, expires, contentType || ''));
+    const actual = Buffer.from(String(signature));
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  async getSignedUrl(fileName, options = {}) {
+    try {
+      await this.ensureInitialized();
+
+      const { expiresIn, expires, responseContentType } = options;
+      return this._signedUrl('GET', fileName, expiresIn || expires || 3600, responseContentType);
+    } catch (error) {
+      console.error('❌ Failed to generate local storage signed URL:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Signed PUT to routes/storage.js, the local stand-in for a presigned bucket upload
+   * Metadata goes in x-meta-* headers
+   */
+  async getSignedUploadUrl(fileName, options = {}) {
+    await this.ensureInitialized();
+
+    const { expiresIn = 3600, contentType = 'application/octet-stream', metadata = {} } = options;
+
+    return {
+      url: this._signedUrl('PUT', fileName, expiresIn, contentType),
+      method: 'PUT',
+      headers: {
+        'Content-Type': contentType,
+        ...Object.fromEntries(Object.entries(metadata).map(([key, value]) => [`x-meta-${key.toLowerCase()}`, String(value)]))
+      },
+      expiresAt: new Date(Date.now() + expiresIn * 1000)
+    };
+  }
+
+  async fileExists(fileName) {
+    try {
+      await this.ensureInitialized();
+
+      const stats = await fs.promises.stat(this._objectPath(fileName));
+      return stats.isFile();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async getFileMetadata(fileName) {
+    try {
+      await this.ensureInitialized();
+
+      const stats = await fs.promises.stat(this._objectPath(fileName));
+      const { contentType, metadata } = await this._readMetadata(fileName);
+
+      return {
+        name: fileName,
+        size: stats.size,
+        contentType,
+        lastModified: stats.mtime,
+        metadata,
+        provider: 'local'
+      };
+    } catch (error) {
+      console.error('❌ Failed to get local storage file metadata:', error);
+      return null;
+    }
+  }
+
+  async listFiles(prefix = '', options = {}) {
+    try {
+      await this.ensureInitialized();
+
+      const {
+        limit = 100,
+        continuationToken
+      } = options;
+
+      const keys = (await this._listKeys(prefix)).filter(key => !continuationToken || key > continuationToken);
+      const page = keys.slice(0, limit);
+
+      const files = await Promise.all(page.map(async key => {
+        const stats = await fs.promises.stat(this._objectPath(key));
+        return {
+          name: key,
+          publicUrl: this.getPublicUrl(key),
+          cdnUrl: this.getPublicUrl(key),
+          lastModified: stats.mtime,
+          size: stats.size
+        };
+      }));
+
+      const isTruncated = keys.length > limit;
+      return {
+        files,
+        isTruncated,
+        nextContinuationToken: isTruncated ? page[page.length - 1] : undefined,
+        totalCount: files.length
+      };
+    } catch (error) {
+      console.error('❌ Error listing local storage files:', error);
+      return { files: [], isTruncated: false, totalCount: 0 };
+    }
+  }
+
+  // Every object under a prefix (for jobs that walk the whole store)
+  async *iterateFiles(prefix = '') {
+    await this.ensureInitialized();
+
+    for (const key of await this._listKeys(prefix)) {
+      const stats = await fs.promises.stat(this._objectPath(key)).catch(() => null);
+      if (stats) {
+        yield { name: key, size: stats.size, lastModified: stats.mtime };
+      }
+    }
+  }
+
+  async getStorageStats() {
+    try {
+      await this.ensureInitialized();
+
+      let totalSize = 0;
+      let videoCount = 0;
+      let imageCount = 0;
+      let otherCount = 0;
+
+      const keys = await this._listKeys();
+      for (const key of keys) {
+        const stats = await fs.promises.stat(this._objectPath(key));
+        totalSize += stats.size;
+
+        const { contentType = '' } = await this._readMetadata(key);
+        if (contentType.startsWith('video/')) {
+          videoCount++;
+        } else if (contentType.startsWith('image/')) {
+          imageCount++;
+        } else {
+          otherCount++;
+        }
+      }
+
+      return {
+        provider: 'local',
+        directory: this.rootDir,
+        totalFiles: keys.length,
+        totalSize,
+        totalSizeFormatted: this.formatBytes(totalSize),
+        breakdown: {
+          videos: videoCount,
+          images: imageCount,
+          others: otherCount
+        }
+      };
+    } catch (error) {
+      console.error('❌ Error getting local storage stats:', error);
+      return null;
+    }
+  }
+
+  formatBytes(bytes, decimals = 2) {
+    if (!bytes) return '0 Bytes';
+
+    const k = 1024;
+    const dm = decimals < 0 ? 0 : decimals;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+    return `${parseFloat((bytes / Math.pow(k, i)).toFixed(dm))} ${sizes[i]}`;
+  }
+
+  async healthCheck() {
+    try {
+      await this.ensureInitialized();
+
+      // Round-trip a small file
+      const testFileName = `health-check-${Date.now()}.txt`;
+      await this.uploadFile(Buffer.from('health check test'), { fileName: testFileName, contentType: 'text/plain' });
+      const exists = await this.fileExists(testFileName);
+      await this.deleteFile(testFileName);
+
+      return {
+        status: exists ? 'healthy' : 'unhealthy',
+        message: exists ? 'Local storage is working properly' : 'Local storage test failed',
+        timestamp: new Date(),
+        provider: 'local',
+        directory: this.rootDir
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        message: error.message,
+        timestamp: new Date(),
+        provider: 'local',
+        directory: this.rootDir
+      };
+    }
+  }
+
+  async ensureInitialized() {
+    if (!this.initialized) {
+      const success = await this.initialize();
+      if (!success) {
+        throw new Error('Failed to initialize local storage');
+      }
+    }
+  }
+}
+
+module.exports = new LocalStorageService();
\ No newline at end of file
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+const { AppError } = require('../middleware/errorHandler');
+const smsService = require('./smsService');
+
+class OtpService {
+  constructor() {
+    this.keyPrefix = 'otp:';
+    this.codeLength = 6;
+    this.codeTTL = parseInt(process.env.OTP_TTL_SECONDS) || 300; // 5 minutes
+    this.resendCooldown = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 30;
+    this.maxAttempts = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+  }
+
+  /**
+   * Generate Redis key with prefix
+   */
+  _generateKey(key) {
+    return `${this.keyPrefix}${key}`;
+  }
+
+  _hashCode(phoneNumber, code) {
+    return crypto
+      .createHmac('sha256', process.env.JWT_SECRET || 'otp')
+      .update(`${phoneNumber}:${code}`)
+      .digest('hex');
+  }
+
+  _getClient() {
+    const client = getRedisClient();
+    if (!client) {
+      throw new AppError('OTP service unavailable', 503);
+    }
+    return client;
+  }
+
+  _generateCode() {
+    return crypto.randomInt(0, 10 ** this.codeLength).toString().padStart(this.codeLength, '0');
+  }
+
+  /**
+   * Generate and send an OTP to a normalized phone number
+   * Only the latest code is valid; requesting again replaces it
+   */
+  async requestOtp(phoneNumber) {
+    const client = this._getClient();
+    const cooldownKey = this._generateKey(`cooldown:${phoneNumber}`);
+
+    const cooldown = await client.ttl(cooldownKey);
+    if (cooldown > 0) {
+      throw new AppError(`Please wait ${cooldown} seconds before requesting another code`, 429);
+    }
+
+    const code = this._generateCode();
+
+    await client.set(
+      this._generateKey(`code:${phoneNumber}`),
+      JSON.stringify({ hash: this._hashCode(phoneNumber, code), attempts: 0 }),
+      { EX: this.codeTTL }
+    );
+    await client.set(cooldownKey, '1', { EX: this.resendCooldown });
+
+    await smsService.send(
+      phoneNumber,
+      `${code} is your Cino verification code. It expires in ${Math.round(this.codeTTL / 60)} minutes.`
+    );
+
+    return {
+      expiresIn: this.codeTTL,
+      resendAfter: this.resendCooldown
+    };
+  }
+
+  /**
+   * Check an OTP; the code is single-use and burns after maxAttempts wrong guesses
+   */
+  async verifyOtp(phoneNumber, code) {
+    const client = this._getClient();
+    const codeKey = this._generateKey(`code:${phoneNumber}`);
+
+    const stored = await client.get(codeKey);
+    if (!stored) {
+      throw new AppError('Invalid or expired verification code', 400);
+    }
+
+    const entry = JSON.parse(stored);
+    const expected = Buffer.from(entry.hash, 'hex');
+    const actual = Buffer.from(this._hashCode(phoneNumber, String(code)), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      entry.attempts += 1;
+
+      if (entry.attempts >= this.maxAttempts) {
+        await client.del(codeKey);
+        throw new AppError('Too many incorrect attempts, please request a new code', 429);
+      }
+
+      await client.set(codeKey, JSON.stringify(entry), { KEEPTTL: true });
+      throw new AppError('Invalid or expired verification code', 400);
+    }
+
+    await client.del(codeKey);
+    return true;
+  }
+}
+
+module.exports = new OtpService();
\ No newline at end of file
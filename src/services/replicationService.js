@@ -0,0 +1,149 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Episode = require('../models/Episode');
+const JobRun = require('../models/JobRun');
+const StorageDeletion = require('../models/StorageDeletion');
+const storageService = require('./storageService');
+const { generateRandomString } = require('../utils/helpers');
+
+/**
+ * Keeps the primary and secondary storage providers in sync (STORAGE_SECONDARY_PROVIDER)
+ * Uploads are written to both, but a replica write can fail and direct uploads only reach the
+ * primary; the storage-repair job copies whatever one side is missing from the other.
+ */
+class ReplicationService {
+  constructor() {
+    this.maxCopies = parseInt(process.env.STORAGE_REPAIR_MAX_COPIES) || 500;
+    // Objects this recent may still be mid-upload to the other side
+    this.minAgeMs = parseInt(process.env.STORAGE_REPAIR_MIN_AGE_MINUTES ?? 60) * 60 * 1000;
+    this.tmpDir = process.env.STORAGE_REPAIR_TMP_DIR || os.tmpdir();
+  }
+
+  _skip(file) {
+    return path.posix.basename(file.name).startsWith('health-check-') ||
+      Date.now() - new Date(file.lastModified).getTime() < this.minAgeMs;
+  }
+
+  // Copy one object through a temporary file, keeping its content type and metadata
+  async _copy(fileName, source, target) {
+    const tmpPath = path.join(this.tmpDir, `replica_${Date.now()}_${generateRandomString(8)}`);
+
+    try {
+      const metadata = await source.service.getFileMetadata(fileName);
+      await source.service.downloadFile(fileName, tmpPath);
+      await target.service.uploadLocalFile(tmpPath, {
+        fileName,
+        contentType: metadata?.contentType || 'application/octet-stream',
+        metadata: metadata?.metadata || metadata?.customMetadata || {}
+      });
+    } finally {
+      await fs.unlink(tmpPath).catch(() => {});
+    }
+  }
+
+  // An object storageService deleted but this side kept: retry the delete rather than copy it back
+  async _finishDelete(file, source, marker, run, stats) {
+    const deleted = await source.service.deleteFile(file.name).catch(() => false);
+
+    if (deleted) {
+      marker.deleted.add(source.provider);
+      stats.deletesFinished += 1;
+    } else {
+      marker.failed.add(source.provider);
+      stats.failed += 1;
+      run.failures.push({ ref: `${source.provider}: ${file.name}`, message: 'Pending delete failed again' });
+    }
+  }
+
+  // Drop markers whose object is gone everywhere; keep the providers that still hold it
+  async _updateMarkers(markers, walkedAll) {
+    for (const marker of markers.values()) {
+      const pending = walkedAll
+        ? [...marker.failed]
+        : [...new Set([...marker.pendingProviders.filter(provider => !marker.deleted.has(provider)), ...marker.failed])];
+
+      if (pending.length === 0) {
+        await StorageDeletion.deleteOne({ _id: marker._id });
+      } else {
+        await StorageDeletion.updateOne({ _id: marker._id }, { $set: { pendingProviders: pending } });
+      }
+    }
+  }
+
+  async _recordReplica(fileName, provider) {
+    await Episode.updateMany(
+      { 'fileInfo.fileName': fileName, 'fileInfo.replicas.provider': { $ne: provider } },
+      { $push: { 'fileInfo.replicas': { provider, fileName, storedAt: new Date() } } }
+    );
+  }
+
+  /**
+   * Copy objects missing from either provider to the other, up to STORAGE_REPAIR_MAX_COPIES per run
+   * Keys with a deletion marker (a delete that failed on one side) are deleted instead of copied,
+   * unless the object was written again after the delete
+   * The target's keys are held in memory while its counterpart is walked
+   */
+  async repair() {
+    const providers = storageService.getReplicaProviders();
+    if (providers.length < 2) {
+      return null;
+    }
+
+    const run = await JobRun.create({ job: 'storage-repair', host: os.hostname() });
+    const stats = { checked: 0, copied: 0, deletesFinished: 0, failed: 0, truncated: false };
+
+    try {
+      const [primary, secondary] = providers;
+      const markers = new Map();
+      for (const marker of await StorageDeletion.find({}).lean()) {
+        markers.set(marker.fileName, { ...marker, deleted: new Set(), failed: new Set() });
+      }
+
+      for (const [source, target] of [[primary, secondary], [secondary, primary]]) {
+        const existing = new Set();
+        for await (const file of target.service.iterateFiles()) {
+          existing.add(file.name);
+        }
+
+        for await (const file of source.service.iterateFiles()) {
+          stats.checked += 1;
+
+          const marker = markers.get(file.name);
+          if (marker && new Date(file.lastModified) <= new Date(marker.deletedAt)) {
+            await this._finishDelete(file, source, marker, run, stats);
+            continue;
+          }
+
+          if (existing.has(file.name) || this._skip(file)) continue;
+
+          if (stats.copied + stats.failed >= this.maxCopies) {
+            stats.truncated = true;
+            break;
+          }
+
+          try {
+            await this._copy(file.name, source, target);
+            await this._recordReplica(file.name, target.provider);
+            stats.copied += 1;
+          } catch (error) {
+            stats.failed += 1;
+            run.failures.push({ ref: `${source.provider} -> ${target.provider}: ${file.name}`, message: error.message });
+          }
+        }
+      }
+
+      await this._updateMarkers(markers, !stats.truncated);
+
+      console.log(`🔁 Storage repair: ${stats.copied} copied, ${stats.deletesFinished} deletes finished, ${stats.failed} failed, ${stats.checked} checked`);
+      await run.finish(stats);
+    } catch (error) {
+      await run.finish(stats, error);
+      throw error;
+    }
+
+    return stats;
+  }
+}
+
+module.exports = new ReplicationService();
\ No newline at end of file
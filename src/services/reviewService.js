@@ -0,0 +1,169 @@
+const Content = require('../models/Content');
+const AdminUser = require('../models/AdminUser');
+const { AppError } = require('../middleware/errorHandler');
+const { hasPermission } = require('../middleware/auth');
+const { CONTENT_STATUS, ADMIN_ROLES, ADMIN_PERMISSIONS } = require('../utils/constants');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Editorial workflow: draft -> in_review -> approved -> published.
+ * Rejected submissions go back to draft with the reviewer's comment.
+ */
+class ReviewService {
+  _addComment(content, author, action, body) {
+    content.review.comments.push({ author, action, body, createdAt: new Date() });
+  }
+
+  /**
+   * Look up an active admin who is allowed to review
+   */
+  async resolveReviewer(adminId) {
+    const reviewer = await AdminUser.findById(adminId);
+
+    if (!reviewer || reviewer.status !== 'active') {
+      throw new AppError('Reviewer not found or disabled', 400);
+    }
+    if (!hasPermission(reviewer.role, ADMIN_PERMISSIONS.CONTENT_REVIEW)) {
+      throw new AppError(`${reviewer.username} cannot review content`, 400);
+    }
+
+    return { adminId: reviewer._id, username: reviewer.username };
+  }
+
+  /**
+   * Editor submits a draft for review, optionally to a specific reviewer
+   */
+  async submit(content, admin, { assigneeId, comment } = {}) {
+    if (content.status !== CONTENT_STATUS.DRAFT) {
+      throw new AppError('Only draft content can be submitted for review', 409);
+    }
+
+    const assignee = assigneeId ? await this.resolveReviewer(assigneeId) : undefined;
+
+    content.status = CONTENT_STATUS.IN_REVIEW;
+    content.review.submittedBy = admin.username;
+    content.review.submittedAt = new Date();
+    content.review.assignee = assignee;
+    content.review.decision = undefined;
+    content.review.decidedBy = undefined;
+    content.review.decidedAt = undefined;
+    this._addComment(content, admin.username, 'submit', comment);
+
+    await content.save();
+    return content;
+  }
+
+  /**
+   * (Re)assign a submission; assigneeId null leaves it unassigned
+   */
+  async assign(content, admin, assigneeId) {
+    if (content.status !== CONTENT_STATUS.IN_REVIEW) {
+      throw new AppError('Content is not in review', 409);
+    }
+
+    const assignee = assigneeId ? await this.resolveReviewer(assigneeId) : undefined;
+
+    content.review.assignee = assignee;
+    this._addComment(content, admin.username, 'assign', assignee ? `Assigned to ${assignee.username}` : 'Unassigned');
+
+    await content.save();
+    return content;
+  }
+
+  // Reviewers cannot decide on their own submissions or on ones assigned to someone else (admins can)
+  _assertCanDecide(content, admin) {
+    if (content.status !== CONTENT_STATUS.IN_REVIEW) {
+      throw new AppError('Content is not in review', 409);
+    }
+    if (admin.role === ADMIN_ROLES.ADMIN) return;
+
+    if (content.review.submittedBy === admin.username) {
+      throw new AppError('You cannot review your own submission', 403);
+    }
+    const assigneeId = content.review.assignee?.adminId;
+    if (assigneeId && assigneeId.toString() !== admin._id.toString()) {
+      throw new AppError(`This submission is assigned to ${content.review.assignee.username}`, 403);
+    }
+  }
+
+  async approve(content, admin, comment) {
+    this._assertCanDecide(content, admin);
+
+    content.status = CONTENT_STATUS.APPROVED;
+    content.review.decision = 'approved';
+    content.review.decidedBy = admin.username;
+    content.review.decidedAt = new Date();
+    this._addComment(content, admin.username, 'approve', comment);
+    // A scheduled publish that failed because the title was not approved can go ahead now
+    content.scheduleError = undefined;
+
+    await content.save();
+    return content;
+  }
+
+  async reject(content, admin, comment) {
+    this._assertCanDecide(content, admin);
+
+    content.status = CONTENT_STATUS.DRAFT;
+    content.review.decision = 'rejected';
+    content.review.decidedBy = admin.username;
+    content.review.decidedAt = new Date();
+    this._addComment(content, admin.username, 'reject', comment);
+
+    await content.save();
+    return content;
+  }
+
+  /**
+   * Review queue, oldest submission first
+   * assignee: an admin id, 'me' or 'unassigned'; ages are hours since submission
+   */
+  async getQueue(admin, { status = CONTENT_STATUS.IN_REVIEW, assignee, minAgeHours, maxAgeHours, page = 1, limit = 20 } = {}) {
+    const query = { status };
+
+    if (assignee === 'me') {
+      query['review.assignee.adminId'] = admin._id;
+    } else if (assignee === 'unassigned') {
+      query['review.assignee.adminId'] = null;
+    } else if (assignee) {
+      query['review.assignee.adminId'] = assignee;
+    }
+
+    if (minAgeHours !== undefined || maxAgeHours !== undefined) {
+      query['review.submittedAt'] = {};
+      if (minAgeHours !== undefined) query['review.submittedAt'].$lte = new Date(Date.now() - minAgeHours * HOUR_MS);
+      if (maxAgeHours !== undefined) query['review.submittedAt'].$gte = new Date(Date.now() - maxAgeHours * HOUR_MS);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [items, totalCount] = await Promise.all([
+      Content.find(query)
+        .select('title type category status thumbnail review episodeIds createdAt updatedAt')
+        .sort({ 'review.submittedAt': 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Content.countDocuments(query)
+    ]);
+
+    return {
+      items: items.map(item => ({
+        ...item,
+        ageHours: item.review?.submittedAt
+          ? Math.floor((Date.now() - new Date(item.review.submittedAt).getTime()) / HOUR_MS)
+          : null
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalItems: totalCount,
+        hasNext: skip + items.length < totalCount,
+        hasPrev: page > 1
+      }
+    };
+  }
+}
+
+module.exports = new ReviewService();
\ No newline at end of file
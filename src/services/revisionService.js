@@ -0,0 +1,176 @@
+const ContentRevision = require('../models/ContentRevision');
+const { AppError } = require('../middleware/errorHandler');
+const auditService = require('./auditService');
+
+// Editable metadata captured in each revision; status and analytics are not versioned
+const TRACKED_FIELDS = [
+  'title', 'description', 'genre', 'language', 'type', 'category',
+  'releaseYear', 'rating', 'ageRating', 'visibility',
+  'tags', 'searchKeywords', 'cast', 'director', 'producer', 'contentWarnings',
+  'thumbnail', 'poster', 'banner', 'trailerUrl',
+  'feedSettings'
+];
+
+// Concurrent edits of one title race for the next revision number; the loser recomputes and retries
+const MAX_RECORD_ATTEMPTS = 5;
+
+/**
+ * Revision history for content metadata: every admin edit stores a snapshot
+ * so editors can compare versions and roll back.
+ */
+class RevisionService {
+  /**
+   * Plain copy of the tracked fields of a content document (or lean object)
+   */
+  snapshot(content) {
+    const source = typeof content.toObject === 'function' ? content.toObject() : content;
+    const plain = JSON.parse(JSON.stringify(source));
+    const snapshot = {};
+
+    for (const field of TRACKED_FIELDS) {
+      if (plain[field] !== undefined) {
+        snapshot[field] = plain[field];
+      }
+    }
+
+    return snapshot;
+  }
+
+  _author(req) {
+    return {
+      adminId: req?.user?.adminId,
+      username: req?.user?.username
+    };
+  }
+
+  async _insert(contentId, data) {
+    const latest = await ContentRevision.getLatest(contentId).select('revision').lean();
+    return ContentRevision.create({
+      contentId,
+      revision: (latest?.revision || 0) + 1,
+      ...data
+    });
+  }
+
+  /**
+   * Store a revision after an edit. `before` is the snapshot taken before the edit;
+   * content edited for the first time gets a baseline revision from it so there is
+   * always something to roll back to. Unchanged snapshots are not stored.
+   * Failures are logged and never break the request.
+   */
+  async record(req, content, options = {}) {
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await this._record(req, content, options);
+      } catch (error) {
+        // Another edit took the revision number (unique contentId + revision); diff against it and retry
+        if (error.code === 11000 && attempt < MAX_RECORD_ATTEMPTS) {
+          continue;
+        }
+        console.error(`❌ Content revision write failed for ${content._id}:`, error);
+        return null;
+      }
+    }
+  }
+
+  async _record(req, content, { source, before, restoredRevision }) {
+    const after = this.snapshot(content);
+    let latest = await ContentRevision.getLatest(content._id).lean();
+
+    if (!latest && before) {
+      latest = await this._insert(content._id, {
+        snapshot: before,
+        changedFields: [],
+        source: 'baseline'
+      });
+    }
+
+    const changedFields = [...new Set(
+      auditService.diff(latest?.snapshot || {}, after).map(change => change.field.split('.')[0])
+    )];
+
+    if (latest && changedFields.length === 0) {
+      return null;
+    }
+
+    return this._insert(content._id, {
+      snapshot: after,
+      changedFields,
+      source,
+      restoredRevision,
+      author: this._author(req)
+    });
+  }
+
+  /**
+   * Revisions of a content, newest first (without snapshots)
+   */
+  async list(contentId, { page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+
+    const [revisions, totalCount] = await Promise.all([
+      ContentRevision.find({ contentId })
+        .select('-snapshot')
+        .sort({ revision: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      ContentRevision.countDocuments({ contentId })
+    ]);
+
+    return {
+      revisions,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalItems: totalCount,
+        hasNext: skip + revisions.length < totalCount,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  async get(contentId, revision) {
+    const doc = await ContentRevision.findOne({ contentId, revision }).lean();
+    if (!doc) {
+      throw new AppError(`Revision ${revision} not found`, 404);
+    }
+    return doc;
+  }
+
+  /**
+   * Field-level differences going from one revision to another
+   */
+  async diff(contentId, from, to) {
+    const [fromRevision, toRevision] = await Promise.all([
+      this.get(contentId, from),
+      this.get(contentId, to)
+    ]);
+
+    return {
+      from: fromRevision.revision,
+      to: toRevision.revision,
+      changes: auditService.diff(fromRevision.snapshot, toRevision.snapshot)
+    };
+  }
+
+  /**
+   * Restore a content's metadata to an earlier revision; the rollback is itself a new revision
+   */
+  async rollback(req, content, revision) {
+    const target = await this.get(content._id, revision);
+    const before = this.snapshot(content);
+
+    for (const field of TRACKED_FIELDS) {
+      content.set(field, target.snapshot[field] !== undefined ? target.snapshot[field] : undefined);
+    }
+    content.lastUpdated = new Date();
+    await content.save();
+
+    const created = await this.record(req, content, { source: 'rollback', before, restoredRevision: revision });
+
+    return { content, before, revision: created };
+  }
+}
+
+module.exports = new RevisionService();
\ No newline at end of file
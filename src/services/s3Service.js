@@ -0,0 +1,9 @@
+const S3StorageService = require('./s3StorageService');
+const s3Config = require('../config/s3');
+
+// Generic S3 bucket (AWS S3, MinIO, Backblaze B2, ...) configured by config/s3.js
+module.exports = new S3StorageService(s3Config, {
+  provider: 's3',
+  label: 'S3',
+  multipartPartSize: parseInt(process.env.S3_MULTIPART_PART_SIZE)
+});
\ No newline at end of file
@@ -0,0 +1,662 @@
+const { 
+  PutObjectCommand, 
+  GetObjectCommand, 
+  DeleteObjectCommand, 
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  ListObjectsV2Command,
+  HeadObjectCommand 
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { generateRandomString } = require('../utils/helpers');
+
+/**
+ * Storage on any S3-compatible bucket (Cloudflare R2, AWS S3, MinIO, Backblaze B2)
+ * `storageConfig` supplies the client, bucket and public URLs (config/cloudflare.js, config/s3.js);
+ * `provider` and `label` only change what results and logs report.
+ */
+class S3StorageService {
+  constructor(storageConfig, { provider, label, multipartPartSize }) {
+    this.storageConfig = storageConfig;
+    this.provider = provider;
+    this.label = label;
+    this.multipartPartSize = multipartPartSize || 64 * 1024 * 1024;
+    this.client = null;
+    this.config = null;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    try {
+      this.client = this.storageConfig.getClient();
+      this.config = this.storageConfig.getConfig();
+      
+      if (!this.client) {
+        throw new Error(`${this.label} client not initialized`);
+      }
+
+      // Test connection
+      await this.client.send(new ListObjectsV2Command({
+        Bucket: this.config.bucketName,
+        MaxKeys: 1
+      }));
+
+      this.initialized = true;
+      console.log(`☁️ ${this.label} service initialized successfully`);
+      return true;
+    } catch (error) {
+      console.error(`❌ ${this.label} initialization failed:`, error);
+      this.initialized = false;
+      return false;
+    }
+  }
+
+  getPublicUrl(fileName) {
+    return this.storageConfig.getPublicUrl(fileName);
+  }
+
+  async uploadVideo(fileBuffer, options = {}) {
+    try {
+      await this.ensureInitialized();
+
+      const {
+        originalName,
+        contentId,
+        episodeNumber,
+        seasonNumber = 1,
+        quality = '720p'
+      } = options;
+
+      // Generate unique filename
+      const timestamp = Date.now();
+      const randomId = generateRandomString(8);
+      const extension = originalName ? originalName.split('.').pop() : 'mp4';
+      
+      const fileName = `videos/${contentId}/${seasonNumber}/${episodeNumber}_${quality}_${timestamp}_${randomId}.${extension}`;
+
+      const command = new PutObjectCommand({
+        Bucket: this.config.bucketName,
+        Key: fileName,
+        Body: fileBuffer,
+        ContentType: 'video/mp4',
+        Metadata: {
+          contentId: contentId || 'unknown',
+          episodeNumber: episodeNumber?.toString() || '0',
+          seasonNumber: seasonNumber?.toString() || '1',
+          quality: quality || '720p',
+          uploadedAt: new Date().toISOString(),
+          originalName: originalName || 'unknown'
+        }
+      });
+
+      await this.client.send(command);
+
+      // Public URL (the custom domain when one is configured)
+      const publicUrl = this.storageConfig.getPublicUrl(fileName);
+      const cdnUrl = publicUrl;
+
+      const result = {
+        fileName,
+        publicUrl,
+        cdnUrl,
+        size: fileBuffer.length,
+        contentType: 'video/mp4',
+        uploadedAt: new Date(),
+        bucket: this.config.bucketName,
+        provider: this.provider,
+        path: `videos/${contentId}/${seasonNumber}/`
+      };
+
+      console.log(`✅ Video uploaded to ${this.label}: ${fileName}`);
+      return result;
+    } catch (error) {
+      console.error(`❌ ${this.label} video upload failed:`, error);
+      throw error;
+    }
+  }
+
+  async uploadImage(fileBuffer, options = {}) {
+    try {
+      await this.ensureInitialized();
+
+      const {
+        originalName,
+        type = 'thumbnail',
+        contentId,
+        episodeId,
+        width,
+        height
+      } = options;
+
+      // Generate unique filename
+      const timestamp = Date.now();
+      const randomId = generateRandomString(6);
+      const extension = originalName ? originalName.split('.').pop() : 'jpg';
+      
+      let fileName;
+      if (type === 'thumbnail') {
+        fileName = `thumbnails/${contentId}/${episodeId}_${timestamp}_${randomId}.${extension}`;
+      } else if (type === 'poster') {
+        fileName = `posters/${contentId}_${timestamp}_${randomId}.${extension}`;
+      } else {
+        fileName = `images/${type}/${timestamp}_${randomId}.${extension}`;
+      }
+
+      const command = new PutObjectCommand({
+        Bucket: this.config.bucketName,
+        Key: fileName,
+        Body: fileBuffer,
+        ContentType: `image/${extension}`,
+        Metadata: {
+          type: type || 'thumbnail',
+          contentId: contentId || 'unknown',
+          episodeId: episodeId || 'unknown',
+          width: width?.toString() || '',
+          height: height?.toString() || '',
+          uploadedAt: new Date().toISOString(),
+          originalName: originalName || 'unknown'
+        }
+      });
+
+      await this.client.send(command);
+
+      // Public URL (the custom domain when one is configured)
+      const publicUrl = this.storageConfig.getPublicUrl(fileName);
+      const cdnUrl = publicUrl;
+
+      const result = {
+        fileName,
+        publicUrl,
+        cdnUrl,
+        size: fileBuffer.length,
+        contentType: `image/${extension}`,
+        uploadedAt: new Date(),
+        provider: this.provider,
+        type,
+        dimensions: width && height ? { width, height } : null
+      };
+
+      console.log(`✅ Image uploaded to ${this.label}: ${fileName}`);
+      return result;
+    } catch (error) {
+      console.error(`❌ ${this.label} image upload failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload an arbitrary private object (exports, manifests) under a caller-chosen key
+   */
+  async uploadFile(fileBuffer, options = {}) {
+    try {
+      await this.ensureInitialized();
+
+      const { fileName, contentType = 'application/octet-stream', metadata = {} } = options;
+
+      if (!fileName) {
+        throw new Error('fileName is required');
+      }
+
+      const command = new PutObjectCommand({
+        Bucket: this.config.bucketName,
+        Key: fileName,
+        Body: fileBuffer,
+        ContentType: contentType,
+        Metadata: {
+          ...metadata,
+          uploadedAt: new Date().toISOString()
+        }
+      });
+
+      await this.client.send(command);
+
+      console.log(`✅ File uploaded to ${this.label}: ${fileName}`);
+      return {
+        fileName,
+        size: fileBuffer.length,
+        contentType,
+        uploadedAt: new Date(),
+        provider: this.provider
+      };
+    } catch (error) {
+      console.error(`❌ ${this.label} file upload failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a file from local disk without loading it into memory
+   * Files above the multipart threshold go up in parts (a single PUT is capped at 5GB)
+   */
+  async uploadLocalFile(localPath, options = {}) {
+    try {
+      await this.ensureInitialized();
+
+      const { fileName, contentType = 'application/octet-stream', metadata = {} } = options;
+
+      if (!fileName) {
+        throw new Error('fileName is required');
+      }
+
+      const { size } = await fs.promises.stat(localPath);
+      const objectMetadata = { ...metadata, uploadedAt: new Date().toISOString() };
+      const partSize = this.multipartPartSize;
+
+      if (size <= partSize) {
+        await this.client.send(new PutObjectCommand({
+          Bucket: this.config.bucketName,
+          Key: fileName,
+          Body: fs.createReadStream(localPath),
+          ContentLength: size,
+          ContentType: contentType,
+          Metadata: objectMetadata
+        }));
+      } else {
+        const { UploadId } = await this.client.send(new CreateMultipartUploadCommand({
+          Bucket: this.config.bucketName,
+          Key: fileName,
+          ContentType: contentType,
+          Metadata: objectMetadata
+        }));
+
+        const handle = await fs.promises.open(localPath, 'r');
+        try {
+          const parts = [];
+          const buffer = Buffer.alloc(partSize);
+
+          for (let offset = 0, partNumber = 1; offset < size; offset += partSize, partNumber++) {
+            const { bytesRead } = await handle.read(buffer, 0, partSize, offset);
+            const { ETag } = await this.client.send(new UploadPartCommand({
+              Bucket: this.config.bucketName,
+              Key: fileName,
+              UploadId,
+              PartNumber: partNumber,
+              Body: buffer.subarray(0, bytesRead)
+            }));
+            parts.push({ ETag, PartNumber: partNumber });
+          }
+
+          await this.client.send(new CompleteMultipartUploadCommand({
+            Bucket: this.config.bucketName,
+            Key: fileName,
+            UploadId,
+            MultipartUpload: { Parts: parts }
+          }));
+        } catch (error) {
+          await this.client.send(new AbortMultipartUploadCommand({
+            Bucket: this.config.bucketName,
+            Key: fileName,
+            UploadId
+          })).catch(() => {});
+          throw error;
+        } finally {
+          await handle.close();
+        }
+      }
+
+      console.log(`✅ File uploaded to ${this.label}: ${fileName} (${size} bytes)`);
+      return {
+        fileName,
+        size,
+        contentType,
+        uploadedAt: new Date(),
+        provider: this.provider
+      };
+    } catch (error) {
+      console.error(`❌ ${this.label} local file upload failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stream an object to a local file (used by workers that need the source on disk)
+   */
+  async downloadFile(fileName, destinationPath) {
+    try {
+      await this.ensureInitialized();
+
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.config.bucketName,
+        Key: fileName
+      }));
+
+      await pipeline(response.Body, fs.createWriteStream(destinationPath));
+      return destinationPath;
+    } catch (error) {
+      console.error(`❌ ${this.label} file download failed:`, error);
+      throw error;
+    }
+  }
+
+  async deleteFile(fileName) {
+    try {
+      await this.ensureInitialized();
+
+      const command = new DeleteObjectCommand({
+        Bucket: this.config.bucketName,
+        Key: fileName
+      });
+
+      await this.client.send(command);
+      console.log(`🗑️ File deleted from ${this.label}: ${fileName}`);
+      
+      return true;
+    } catch (error) {
+      if (error.name === 'NoSuchKey') {
+        console.log(`⚠️ File not found for deletion: ${fileName}`);
+        return true;
+      }
+      
+      console.error(`❌ ${this.label} file deletion failed:`, error);
+      return false;
+    }
+  }
+
+  async getSignedUrl(fileName, options = {}) {
+    try {
+      await this.ensureInitialized();
+
+      const {
+        expiresIn = 3600,
+        responseContentType
+      } = options;
+
+      const command = new GetObjectCommand({
+        Bucket: this.config.bucketName,
+        Key: fileName,
+        ...(responseContentType && { ResponseContentType: responseContentType })
+      });
+
+      const signedUrl = await getSignedUrl(this.client, command, { 
+        expiresIn 
+      });
+
+      return signedUrl;
+    } catch (error) {
+      console.error(`❌ Failed to generate ${this.label} signed URL:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Presigned PUT so a client can upload straight to the bucket
+   * Content type and length are signed, so the bucket rejects a different file
+   */
+  async getSignedUploadUrl(fileName, options = {}) {
+    await this.ensureInitialized();
+
+    const { expiresIn = 3600, contentType = 'application/octet-stream', contentLength, metadata = {} } = options;
+
+    const command = new PutObjectCommand({
+      Bucket: this.config.bucketName,
+      Key: fileName,
+      ContentType: contentType,
+      ...(contentLength && { ContentLength: contentLength }),
+      Metadata: metadata
+    });
+
+    const url = await getSignedUrl(this.client, command, {
+      expiresIn,
+      signableHeaders: new Set(['content-type']),
+      // Metadata is sent as x-amz-meta-* headers rather than query parameters
+      unhoistableHeaders: new Set(Object.keys(metadata).map(key => `x-amz-meta-${key.toLowerCase()}`))
+    });
+
+    return {
+      url,
+      method: 'PUT',
+      headers: {
+        'Content-Type': contentType,
+        ...Object.fromEntries(Object.entries(metadata).map(([key, value]) => [`x-amz-meta-${key.toLowerCase()}`, String(value)]))
+      },
+      expiresAt: new Date(Date.now() + expiresIn * 1000)
+    };
+  }
+
+  async fileExists(fileName) {
+    try {
+      await this.ensureInitialized();
+
+      await this.client.send(new HeadObjectCommand({
+        Bucket: this.config.bucketName,
+        Key: fileName
+      }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return false;
+      }
+      console.error(`❌ Error checking ${this.label} file existence:`, error);
+      return false;
+    }
+  }
+
+  async getFileMetadata(fileName) {
+    try {
+      await this.ensureInitialized();
+
+      const command = new HeadObjectCommand({
+        Bucket: this.config.bucketName,
+        Key: fileName
+      });
+
+      const response = await this.client.send(command);
+      
+      return {
+        name: fileName,
+        size: response.ContentLength,
+        contentType: response.ContentType,
+        lastModified: response.LastModified,
+        etag: response.ETag,
+        metadata: response.Metadata || {},
+        provider: this.provider
+      };
+    } catch (error) {
+      console.error(`❌ Failed to get ${this.label} file metadata:`, error);
+      return null;
+    }
+  }
+
+  async listFiles(prefix = '', options = {}) {
+    try {
+      await this.ensureInitialized();
+
+      const {
+        limit = 100,
+        continuationToken
+      } = options;
+
+      const command = new ListObjectsV2Command({
+        Bucket: this.config.bucketName,
+        Prefix: prefix,
+        MaxKeys: limit,
+        ...(continuationToken && { ContinuationToken: continuationToken })
+      });
+
+      const response = await this.client.send(command);
+      
+      const files = (response.Contents || []).map(file => ({
+        name: file.Key,
+        publicUrl: this.storageConfig.getPublicUrl(file.Key),
+        cdnUrl: this.storageConfig.getPublicUrl(file.Key),
+        lastModified: file.LastModified,
+        size: file.Size,
+        etag: file.ETag
+      }));
+
+      return {
+        files,
+        isTruncated: response.IsTruncated,
+        nextContinuationToken: response.NextContinuationToken,
+        totalCount: files.length
+      };
+    } catch (error) {
+      console.error(`❌ Error listing ${this.label} files:`, error);
+      return { files: [], isTruncated: false, totalCount: 0 };
+    }
+  }
+
+  /**
+   * Every object under a prefix, a page at a time (for jobs that walk the whole bucket)
+   */
+  async *iterateFiles(prefix = '') {
+    await this.ensureInitialized();
+
+    let continuationToken;
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.config.bucketName,
+        Prefix: prefix,
+        ...(continuationToken && { ContinuationToken: continuationToken })
+      }));
+
+      for (const file of response.Contents || []) {
+        yield { name: file.Key, size: file.Size, lastModified: file.LastModified };
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+  }
+
+  async getStorageStats() {
+    try {
+      await this.ensureInitialized();
+
+      const listCommand = new ListObjectsV2Command({
+        Bucket: this.config.bucketName
+      });
+
+      let totalSize = 0;
+      let totalFiles = 0;
+      let videoCount = 0;
+      let imageCount = 0;
+      let otherCount = 0;
+      let isTruncated = true;
+      let continuationToken = undefined;
+
+      while (isTruncated) {
+        if (continuationToken) {
+          listCommand.input.ContinuationToken = continuationToken;
+        }
+
+        const response = await this.client.send(listCommand);
+        const files = response.Contents || [];
+
+        files.forEach(file => {
+          totalSize += file.Size || 0;
+          totalFiles++;
+
+          const fileName = file.Key.toLowerCase();
+          if (fileName.includes('/videos/') || fileName.endsWith('.mp4') || fileName.endsWith('.avi')) {
+            videoCount++;
+          } else if (fileName.includes('/images/') || fileName.includes('/thumbnails/') || fileName.includes('/posters/')) {
+            imageCount++;
+          } else {
+            otherCount++;
+          }
+        });
+
+        isTruncated = response.IsTruncated || false;
+        continuationToken = response.NextContinuationToken;
+      }
+
+      return {
+        provider: this.provider,
+        bucket: this.config.bucketName,
+        totalFiles,
+        totalSize,
+        totalSizeFormatted: this.formatBytes(totalSize),
+        breakdown: {
+          videos: videoCount,
+          images: imageCount,
+          others: otherCount
+        },
+        customDomain: this.config.customDomain,
+        hasCustomDomain: !!this.config.customDomain
+      };
+    } catch (error) {
+      console.error(`❌ Error getting ${this.label} storage stats:`, error);
+      return null;
+    }
+  }
+
+  formatBytes(bytes, decimals = 2) {
+    if (!bytes) return '0 Bytes';
+
+    const k = 1024;
+    const dm = decimals < 0 ? 0 : decimals;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+    return `${parseFloat((bytes / Math.pow(k, i)).toFixed(dm))} ${sizes[i]}`;
+  }
+
+  async healthCheck() {
+    try {
+      await this.ensureInitialized();
+      
+      // Test basic operations
+      const testFileName = `health-check-${Date.now()}.txt`;
+      const testContent = Buffer.from('health check test');
+      
+      // Upload test file
+      const putCommand = new PutObjectCommand({
+        Bucket: this.config.bucketName,
+        Key: testFileName,
+        Body: testContent,
+        ContentType: 'text/plain'
+      });
+      
+      await this.client.send(putCommand);
+      
+      // Check if file exists
+      const headCommand = new HeadObjectCommand({
+        Bucket: this.config.bucketName,
+        Key: testFileName
+      });
+      
+      await this.client.send(headCommand);
+      
+      // Delete test file
+      const deleteCommand = new DeleteObjectCommand({
+        Bucket: this.config.bucketName,
+        Key: testFileName
+      });
+      
+      await this.client.send(deleteCommand);
+      
+      return {
+        status: 'healthy',
+        message: `${this.label} is working properly`,
+        timestamp: new Date(),
+        provider: this.provider,
+        bucket: this.config.bucketName,
+        customDomain: this.config.customDomain
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        message: error.message,
+        timestamp: new Date(),
+        provider: this.provider,
+        bucket: this.config.bucketName
+      };
+    }
+  }
+
+  async ensureInitialized() {
+    if (!this.initialized) {
+      const success = await this.initialize();
+      if (!success) {
+        throw new Error(`Failed to initialize ${this.label} service`);
+      }
+    }
+  }
+}
+
+module.exports = S3StorageService;
\ No newline at end of file
@@ -0,0 +1,265 @@
+const os = require('os');
+const Content = require('../models/Content');
+const Episode = require('../models/Episode');
+const JobRun = require('../models/JobRun');
+const { AppError } = require('../middleware/errorHandler');
+const cacheService = require('./cacheService');
+
+const SCHEDULE_MODELS = {
+  content: Content,
+  episode: Episode
+};
+
+/**
+ * Content scheduling: admins set future publish/unpublish times on content and
+ * episodes, and the content-schedule job applies the ones that are due.
+ */
+class SchedulingService {
+  constructor() {
+    this.batchSize = parseInt(process.env.CONTENT_SCHEDULE_BATCH_SIZE) || 100;
+  }
+
+  /**
+   * Set (or move) the publish and/or unpublish time of a content or episode document
+   */
+  async setSchedule(doc, { publishAt, unpublishAt, feedPriority }, scheduledBy) {
+    const nextPublishAt = publishAt !== undefined ? publishAt : doc.scheduledPublishAt;
+    const nextUnpublishAt = unpublishAt !== undefined ? unpublishAt : doc.scheduledUnpublishAt;
+
+    if (nextPublishAt && nextUnpublishAt && new Date(nextUnpublishAt) <= new Date(nextPublishAt)) {
+      throw new AppError('Unpublish time must be after the publish time', 400);
+    }
+
+    if (publishAt !== undefined) doc.scheduledPublishAt = publishAt;
+    if (unpublishAt !== undefined) doc.scheduledUnpublishAt = unpublishAt;
+    if (feedPriority !== undefined && doc instanceof Content) {
+      doc.scheduledFeedPriority = feedPriority;
+    }
+    doc.scheduledBy = scheduledBy;
+    doc.scheduleError = undefined;
+
+    await doc.save();
+    return doc;
+  }
+
+  /**
+   * Cancel the pending publish, unpublish or both
+   */
+  async cancelSchedule(doc, action = 'all') {
+    if (action === 'publish' || action === 'all') {
+      doc.scheduledPublishAt = undefined;
+      if (doc instanceof Content) doc.scheduledFeedPriority = undefined;
+    }
+    if (action === 'unpublish' || action === 'all') {
+      doc.scheduledUnpublishAt = undefined;
+    }
+    if (!doc.scheduledPublishAt && !doc.scheduledUnpublishAt) {
+      doc.scheduledBy = undefined;
+    }
+    doc.scheduleError = undefined;
+
+    await doc.save();
+    return doc;
+  }
+
+  /**
+   * Upcoming schedules of one type, soonest first
+   */
+  async getUpcoming(type = 'content', { from, to, page = 1, limit = 20 } = {}) {
+    const Model = SCHEDULE_MODELS[type];
+    const nextAtFilter = {};
+    if (from) nextAtFilter.$gte = new Date(from);
+    if (to) nextAtFilter.$lte = new Date(to);
+
+    const skip = (page - 1) * limit;
+
+    const [result] = await Model.aggregate([
+      {
+        $match: {
+          $or: [
+            { scheduledPublishAt: { $ne: null } },
+            { scheduledUnpublishAt: { $ne: null } }
+          ]
+        }
+      },
+      // $min skips missing fields, so this is whichever transition comes first
+      { $addFields: { nextTransitionAt: { $min: ['$scheduledPublishAt', '$scheduledUnpublishAt'] } } },
+      ...(Object.keys(nextAtFilter).length > 0 ? [{ $match: { nextTransitionAt: nextAtFilter } }] : []),
+      { $sort: { nextTransitionAt: 1 } },
+      {
+        $facet: {
+          items: [
+            { $skip: skip },
+            { $limit: limit },
+            {
+              $project: {
+                title: 1,
+                status: 1,
+                contentId: 1,
+                episodeNumber: 1,
+                scheduledPublishAt: 1,
+                scheduledUnpublishAt: 1,
+                scheduledFeedPriority: 1,
+                scheduledBy: 1,
+                scheduleError: 1,
+                nextTransitionAt: 1
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const totalCount = result.total[0]?.count || 0;
+
+    return {
+      items: result.items,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalItems: totalCount,
+        hasNext: skip + result.items.length < totalCount,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  async _publishContent(content, now) {
+    if (content.episodeIds.length === 0) {
+      throw new AppError('Cannot publish content without episodes', 409);
+    }
+    if (content.status !== 'approved') {
+      throw new AppError('Content is not approved', 409);
+    }
+
+    content.status = 'published';
+    content.publishedAt = now;
+    content.scheduledPublishAt = undefined;
+
+    if (content.scheduledFeedPriority) {
+      content.feedSettings.isInRandomFeed = true;
+      content.feedSettings.feedPriority = content.scheduledFeedPriority;
+      content.scheduledFeedPriority = undefined;
+    }
+
+    await content.save();
+
+    // Episodes with their own later publish time keep it; ones still transcoding are left for their own schedule
+    await Episode.updateMany(
+      {
+        _id: { $in: content.episodeIds },
+        status: { $nin: ['published', 'processing'] },
+        $or: [{ scheduledPublishAt: null }, { scheduledPublishAt: { $lte: now } }]
+      },
+      { $set: { status: 'published', publishedAt: now }, $unset: { scheduledPublishAt: '' } }
+    );
+  }
+
+  async _unpublishContent(content) {
+    content.status = 'archived';
+    content.scheduledUnpublishAt = undefined;
+    content.feedSettings.isInRandomFeed = false;
+    await content.save();
+
+    await Episode.updateMany(
+      { _id: { $in: content.episodeIds }, status: 'published' },
+      { $set: { status: 'archived' } }
+    );
+  }
+
+  async _publishEpisode(episode, now) {
+    // Started transcoding since it was picked up; retried once the transcode is done
+    if (episode.status === 'processing') {
+      throw new Error('Episode is still processing');
+    }
+
+    episode.status = 'published';
+    episode.publishedAt = now;
+    episode.scheduledPublishAt = undefined;
+    await episode.save();
+  }
+
+  async _unpublishEpisode(episode) {
+    episode.status = 'archived';
+    episode.scheduledUnpublishAt = undefined;
+    await episode.save();
+  }
+
+  async _applyDue(Model, field, apply, run, totals, statKey, filter = {}) {
+    const now = new Date();
+    const action = field === 'scheduledPublishAt' ? 'publish' : 'unpublish';
+    // Items that failed for good are skipped, so they cannot fill every batch and block the rest
+    const due = await Model.find({ [field]: { $lte: now }, 'scheduleError.action': { $ne: action }, ...filter })
+      .sort({ [field]: 1 })
+      .limit(this.batchSize);
+
+    const touched = [];
+
+    for (const doc of due) {
+      try {
+        await apply(doc, now);
+        totals[statKey] += 1;
+        touched.push(doc);
+        console.log(`📅 ${statKey} ${doc._id} (${doc.title})`);
+      } catch (error) {
+        totals.failed += 1;
+        run.failures.push({ ref: `${Model.modelName}:${doc._id}`, message: error.message });
+        console.error(`❌ Scheduled ${field} failed for ${doc._id}:`, error.message);
+
+        // Retrying cannot fix a rule or validation failure; other errors are retried on the next run
+        if (error.statusCode || error.name === 'ValidationError') {
+          await Model.updateOne(
+            { _id: doc._id },
+            { $set: { scheduleError: { action, message: error.message, failedAt: now } } }
+          );
+        }
+      }
+    }
+
+    return touched;
+  }
+
+  /**
+   * Apply every due publish/unpublish; the run is recorded as a JobRun
+   * Content without episodes or not yet approved keeps its schedule with a scheduleError and is
+   * skipped until it is rescheduled (or approved); episodes still transcoding wait for it to finish
+   */
+  async runDueTransitions() {
+    const run = await JobRun.create({ job: 'content-schedule', host: os.hostname() });
+    const totals = {
+      contentPublished: 0,
+      contentUnpublished: 0,
+      episodesPublished: 0,
+      episodesUnpublished: 0,
+      failed: 0
+    };
+
+    try {
+      const contents = [
+        ...await this._applyDue(Content, 'scheduledPublishAt', (doc, now) => this._publishContent(doc, now), run, totals, 'contentPublished'),
+        ...await this._applyDue(Content, 'scheduledUnpublishAt', doc => this._unpublishContent(doc), run, totals, 'contentUnpublished')
+      ];
+      const episodes = [
+        ...await this._applyDue(Episode, 'scheduledPublishAt', (doc, now) => this._publishEpisode(doc, now), run, totals, 'episodesPublished', { status: { $ne: 'processing' } }),
+        ...await this._applyDue(Episode, 'scheduledUnpublishAt', doc => this._unpublishEpisode(doc), run, totals, 'episodesUnpublished')
+      ];
+
+      if (contents.length > 0 || episodes.length > 0) {
+        await cacheService.invalidateCatalogCaches({
+          contentIds: [...contents.map(doc => doc._id), ...episodes.map(doc => doc.contentId)],
+          episodeIds: episodes.map(doc => doc._id)
+        });
+      }
+
+      await run.finish(totals);
+    } catch (error) {
+      await run.finish(totals, error);
+      throw error;
+    }
+
+    return run;
+  }
+}
+
+module.exports = new SchedulingService();
\ No newline at end of file
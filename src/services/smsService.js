@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * SMS senders implement `send({ to, body })` and resolve to `{ provider, messageId }`.
+ * Real gateways are plugged in with smsService.registerSender(name, sender)
+ * and selected with SMS_PROVIDER.
+ */
+
+// Local development: print messages to the console
+class ConsoleSmsSender {
+  async send({ to, body }) {
+    console.log(`📱 SMS to ${to}: ${body}`);
+    return { provider: 'console', messageId: uuidv4() };
+  }
+}
+
+// Local development / CI: append messages to an outbox file (one JSON object per line)
+class FileSmsSender {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  async send({ to, body }) {
+    const messageId = uuidv4();
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(
+      this.filePath,
+      JSON.stringify({ messageId, to, body, sentAt: new Date() }) + '\n'
+    );
+
+    return { provider: 'file', messageId };
+  }
+}
+
+class SmsService {
+  constructor() {
+    this.provider = (process.env.SMS_PROVIDER || 'console').toLowerCase();
+    this.senders = new Map();
+
+    this.registerSender('console', new ConsoleSmsSender());
+    this.registerSender('file', new FileSmsSender(process.env.SMS_OUTBOX_FILE || './logs/sms-outbox.log'));
+
+    if (process.env.NODE_ENV === 'production' && ['console', 'file'].includes(this.provider)) {
+      console.warn(`⚠️ SMS provider "${this.provider}" is a development stand-in; OTPs will not reach users`);
+    }
+  }
+
+  /**
+   * Register an SMS gateway
+   */
+  registerSender(name, sender) {
+    if (!sender || typeof sender.send !== 'function') {
+      throw new Error(`SMS sender "${name}" must implement send({ to, body })`);
+    }
+
+    this.senders.set(name.toLowerCase(), sender);
+  }
+
+  getSender() {
+    const sender = this.senders.get(this.provider);
+    if (!sender) {
+      throw new AppError(`SMS provider not configured: ${this.provider}`, 500);
+    }
+    return sender;
+  }
+
+  /**
+   * Send a text message to an E.164 phone number
+   */
+  async send(to, body) {
+    const sender = this.getSender();
+
+    try {
+      return await sender.send({ to, body });
+    } catch (error) {
+      console.error('SMS send error:', error);
+      throw new AppError('Failed to send SMS', 502);
+    }
+  }
+}
+
+module.exports = new SmsService();
\ No newline at end of file
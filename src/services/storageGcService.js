@@ -0,0 +1,230 @@
+const os = require('os');
+const Content = require('../models/Content');
+const ContentRevision = require('../models/ContentRevision');
+const Episode = require('../models/Episode');
+const JobRun = require('../models/JobRun');
+const UploadSession = require('../models/UploadSession');
+const storageService = require('./storageService');
+const { AppError } = require('../middleware/errorHandler');
+const { formatFileSize } = require('../utils/helpers');
+
+const DEFAULT_PREFIXES = 'videos/,thumbnails/,hls/,dash/,sources/';
+
+/**
+ * Finds objects in the media prefixes that nothing references any more: renditions and
+ * thumbnails left by failed transcodes, files of deleted content whose delete failed, ...
+ * Reports them with sizes; deletes them only when asked to (confirm).
+ */
+class StorageGcService {
+  constructor() {
+    this.prefixes = (process.env.STORAGE_GC_PREFIXES || DEFAULT_PREFIXES)
+      .split(',')
+      .map(prefix => prefix.trim())
+      .filter(Boolean);
+    // Objects this recent may belong to an upload or transcode that has not saved its episode yet
+    this.minAgeMs = parseInt(process.env.STORAGE_GC_MIN_AGE_HOURS ?? 24) * 60 * 60 * 1000;
+    this.reportLimit = parseInt(process.env.STORAGE_GC_REPORT_LIMIT) || 1000;
+  }
+
+  /**
+   * Keys still in use, and folders whose whole contents are (HLS/DASH segments are not listed one by one)
+   * URLs no configured provider resolves (an old domain, a changed CDN) still protect any key their
+   * path ends with, so an unrecognised reference never turns its object into an orphan
+   */
+  async _collectReferences() {
+    const keys = new Set();
+    const folders = new Set();
+    const suffixes = new Set();
+    const unresolved = [];
+
+    const addKey = key => { if (key) keys.add(key); };
+    const addUnresolved = url => {
+      let pathname;
+      try {
+        pathname = decodeURIComponent(new URL(url).pathname).replace(/^\/+/, '');
+      } catch {
+        return;
+      }
+      if (!pathname) return;
+
+      unresolved.push(url);
+      const parts = pathname.split('/');
+      parts.forEach((part, index) => suffixes.add(parts.slice(index).join('/')));
+    };
+    const addUrl = url => {
+      if (!url) return;
+      const key = storageService.keyFromUrl(url);
+      if (key) addKey(key);
+      else addUnresolved(url);
+    };
+    const addFolder = key => { if (key && key.includes('/')) folders.add(key.slice(0, key.lastIndexOf('/') + 1)); };
+
+    const episodes = Episode.find({})
+      .select('fileInfo.fileName videoUrl thumbnailUrl qualityOptions.url processing.sourceFile hls.masterPlaylist hls.variants.playlist dash.manifest')
+      .lean()
+      .cursor();
+
+    for await (const episode of episodes) {
+      addKey(episode.fileInfo?.fileName);
+      addKey(episode.processing?.sourceFile);
+      addUrl(episode.videoUrl);
+      addUrl(episode.thumbnailUrl);
+      (episode.qualityOptions || []).forEach(option => addUrl(option.url));
+      addFolder(episode.hls?.masterPlaylist);
+      (episode.hls?.variants || []).forEach(variant => addFolder(variant.playlist));
+      addFolder(episode.dash?.manifest);
+    }
+
+    // Title artwork, including what a rollback could restore
+    const contents = Content.find({}).select('thumbnail poster banner trailerUrl').lean().cursor();
+    for await (const content of contents) {
+      [content.thumbnail, content.poster, content.banner, content.trailerUrl].forEach(addUrl);
+    }
+
+    const revisions = ContentRevision.find({}).select('snapshot.thumbnail snapshot.poster snapshot.banner snapshot.trailerUrl').lean().cursor();
+    for await (const { snapshot = {} } of revisions) {
+      [snapshot.thumbnail, snapshot.poster, snapshot.banner, snapshot.trailerUrl].forEach(addUrl);
+    }
+
+    // Direct uploads that have not become an episode yet
+    const sessions = await UploadSession.find({ status: { $in: ['uploading', 'assembling', 'failed'] } })
+      .select('sourceFile')
+      .lean();
+    sessions.forEach(session => addKey(session.sourceFile));
+
+    return { keys, folders, suffixes, unresolved };
+  }
+
+  _isReferenced(fileName, { keys, folders }) {
+    if (keys.has(fileName)) return true;
+
+    for (let index = fileName.indexOf('/'); index !== -1; index = fileName.indexOf('/', index + 1)) {
+      if (folders.has(fileName.slice(0, index + 1))) return true;
+    }
+    return false;
+  }
+
+  // Callers may narrow the scan, never widen it past STORAGE_GC_PREFIXES
+  validatePrefixes(prefixes) {
+    const invalid = prefixes.filter(prefix =>
+      prefix.split('/').includes('..') || !this.prefixes.some(allowed => prefix.startsWith(allowed))
+    );
+
+    if (invalid.length) {
+      throw new AppError(`Prefixes must fall under STORAGE_GC_PREFIXES (${this.prefixes.join(', ')}): ${invalid.join(', ')}`, 400);
+    }
+  }
+
+  /**
+   * Report of the most recent finished run, without scanning storage (null before the first run)
+   */
+  async getLastReport() {
+    const run = await JobRun.findOne({ job: 'storage-gc', status: { $ne: 'running' } })
+      .sort({ startedAt: -1 })
+      .lean();
+
+    if (!run) {
+      return null;
+    }
+
+    return {
+      ...run.stats,
+      runId: run._id,
+      status: run.status,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      failures: run.failures
+    };
+  }
+
+  /**
+   * Walk the media prefixes of every provider (primary and secondary) and report (or, with confirm,
+   * delete) unreferenced objects; an orphan only the secondary holds would otherwise be copied back
+   * by storage-repair. Deletes go through storageService, so both sides are removed.
+   */
+  async run({ confirm = false, prefixes = this.prefixes } = {}) {
+    this.validatePrefixes(prefixes);
+
+    const replicas = storageService.getReplicaProviders();
+    const providers = replicas.map(replica => replica.provider);
+
+    const run = await JobRun.create({ job: 'storage-gc', host: os.hostname() });
+    const stats = {
+      scanned: 0,
+      scannedBytes: 0,
+      orphanCount: 0,
+      orphanBytes: 0,
+      deleted: 0,
+      deletedBytes: 0,
+      unresolvedReferences: 0,
+      protectedByUnresolved: 0
+    };
+    const orphans = [];
+    const deletedNames = new Set();
+    let unresolvedSample = [];
+
+    try {
+      const references = await this._collectReferences();
+      stats.unresolvedReferences = references.unresolved.length;
+      unresolvedSample = references.unresolved.slice(0, 20);
+
+      for (const { provider, service } of replicas) {
+        for (const prefix of prefixes) {
+          for await (const file of service.iterateFiles(prefix)) {
+            stats.scanned += 1;
+            stats.scannedBytes += file.size || 0;
+
+            if (this._isReferenced(file.name, references)) continue;
+            if (Date.now() - new Date(file.lastModified).getTime() < this.minAgeMs) continue;
+            if (references.suffixes.has(file.name)) {
+              stats.protectedByUnresolved += 1;
+              continue;
+            }
+
+            stats.orphanCount += 1;
+            stats.orphanBytes += file.size || 0;
+            if (orphans.length < this.reportLimit) {
+              orphans.push({ provider, name: file.name, size: file.size || 0, lastModified: file.lastModified });
+            }
+
+            // Already removed from both sides while walking the other provider
+            if (!confirm || deletedNames.has(file.name)) continue;
+
+            if (await storageService.deleteFile(file.name)) {
+              deletedNames.add(file.name);
+              stats.deleted += 1;
+              stats.deletedBytes += file.size || 0;
+            } else {
+              run.failures.push({ ref: `${provider}: ${file.name}`, message: 'Delete failed' });
+            }
+          }
+        }
+      }
+
+      console.log(`🧹 Storage GC on ${providers.join(', ')}: ${stats.orphanCount} orphaned object(s), ${formatFileSize(stats.orphanBytes)}${confirm ? `, ${stats.deleted} deleted` : ' (report only)'}`);
+    } catch (error) {
+      await run.finish(this._report({ providers, confirm, prefixes, stats, orphans, unresolvedSample }), error);
+      throw error;
+    }
+
+    // The report is kept on the job run so GET /storage/orphans can serve it without rescanning
+    const report = this._report({ providers, confirm, prefixes, stats, orphans, unresolvedSample });
+    await run.finish(report);
+
+    return { ...report, runId: run._id };
+  }
+
+  _report({ providers, confirm, prefixes, stats, orphans, unresolvedSample }) {
+    return {
+      providers,
+      confirm,
+      prefixes,
+      ...stats,
+      orphans,
+      truncated: stats.orphanCount > orphans.length,
+      unresolvedSample
+    };
+  }
+}
+
+module.exports = new StorageGcService();
\ No newline at end of file
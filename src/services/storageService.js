@@ -1,19 +1,171 @@
 const storageConfig = require('../config/storage');
+const StorageDeletion = require('../models/StorageDeletion');
+const { generateRandomString } = require('../utils/helpers');
 
 class StorageService {
   constructor() {
     this.storage = storageConfig.getService();
     this.provider = storageConfig.getProvider();
     this.config = storageConfig.getStorageConfig();
+
+    // Replication (STORAGE_SECONDARY_PROVIDER): writes go to both, reads fail over to the secondary
+    this.secondary = storageConfig.getSecondaryService();
+    this.secondaryProvider = storageConfig.getSecondaryProvider();
+    this.healthCheckSeconds = parseInt(process.env.STORAGE_HEALTH_CHECK_SECONDS) || 30;
+    this.health = new Map();
   }
 
   async initialize() {
+    if (this.secondary && typeof this.secondary.initialize === 'function') {
+      await this.secondary.initialize();
+    }
     if (this.storage && typeof this.storage.initialize === 'function') {
       return await this.storage.initialize();
     }
     return true;
   }
 
+  isReplicated() {
+    return !!this.secondary;
+  }
+
+  // Every provider that holds a copy of each object, primary first
+  getReplicaProviders() {
+    const providers = [{ provider: this.provider, service: this.storage }];
+    if (this.secondary) {
+      providers.push({ provider: this.secondaryProvider, service: this.secondary });
+    }
+    return providers;
+  }
+
+  _serviceFor(provider) {
+    return this.secondary && provider === this.secondaryProvider ? this.secondary : this.storage;
+  }
+
+  /**
+   * Write the same key to the secondary after the primary succeeded
+   * A failed replica does not fail the upload; the storage-repair job copies it later
+   */
+  async _replicate(result, write) {
+    const replicas = [{ provider: this.provider, fileName: result.fileName, storedAt: new Date() }];
+
+    if (this.secondary) {
+      try {
+        await write(this.secondary);
+        replicas.push({ provider: this.secondaryProvider, fileName: result.fileName, storedAt: new Date() });
+      } catch (error) {
+        console.error(`⚠️ Replication to ${this.secondaryProvider} failed for ${result.fileName}:`, error.message);
+      }
+
+      // A new object under a deleted key: repair must not finish the old delete
+      await StorageDeletion.deleteOne({ fileName: result.fileName }).catch(error => {
+        console.error(`⚠️ Clearing deletion marker failed for ${result.fileName}:`, error.message);
+      });
+    }
+
+    result.replicas = replicas;
+    return result;
+  }
+
+  // Cached per provider so playback requests do not each round-trip the bucket
+  async _isHealthy(provider) {
+    const cached = this.health.get(provider);
+    if (cached && Date.now() - cached.checkedAt < this.healthCheckSeconds * 1000) {
+      return cached.healthy;
+    }
+    if (cached?.pending) {
+      return cached.pending;
+    }
+
+    const pending = Promise.resolve()
+      .then(() => this._serviceFor(provider).healthCheck())
+      .then(result => result?.status === 'healthy', () => false)
+      .then(healthy => {
+        this.health.set(provider, { healthy, checkedAt: Date.now() });
+        return healthy;
+      });
+
+    this.health.set(provider, { ...cached, pending });
+    return pending;
+  }
+
+  /**
+   * Provider reads should go to: the primary, or the secondary while the primary's health check fails
+   */
+  async getActiveProvider() {
+    if (!this.secondary || await this._isHealthy(this.provider)) {
+      return this.provider;
+    }
+
+    if (await this._isHealthy(this.secondaryProvider)) {
+      console.warn(`⚠️ Storage provider ${this.provider} is unhealthy, serving from ${this.secondaryProvider}`);
+      return this.secondaryProvider;
+    }
+
+    return this.provider;
+  }
+
+  // Point a stored primary URL at the same key on another provider
+  toProviderUrl(url, provider) {
+    if (!url || provider === this.provider) return url;
+
+    const primaryBase = this.publicUrlBases().find(base => url.startsWith(base));
+    return primaryBase
+      ? this.generateCDNUrl(url.slice(primaryBase.length), provider)
+      : url;
+  }
+
+  /**
+   * Every URL prefix a provider's objects can be saved under, longest first: the CDN URL plus the
+   * provider's own public forms (GCS uploads store storage.googleapis.com URLs; R2/S3 URLs depend on
+   * whether a custom domain or public URL was configured when the object was written); provider must be configured
+   */
+  publicUrlBases(provider = this.provider) {
+    const config = storageConfig.getStorageConfig(provider);
+    const trim = url => url.replace(/\/+$/, '');
+    const bases = [this.generateCDNUrl('', provider)];
+
+    if (provider === 'gcp') {
+      bases.push(`https://storage.googleapis.com/${config.bucket}/`, `https://${config.bucket}.storage.googleapis.com/`);
+    } else if (provider === 'cloudflare' || provider === 's3') {
+      if (config.customDomain) bases.push(`https://${config.customDomain}/`);
+      if (config.publicUrl) bases.push(`${trim(config.publicUrl)}/`);
+
+      if (provider === 'cloudflare') {
+        bases.push(`https://${config.bucket}.${config.accountId}.r2.cloudflarestorage.com/`);
+      } else {
+        if (config.endpoint) {
+          const endpoint = trim(config.endpoint);
+          bases.push(`${endpoint}/${config.bucket}/`, `${endpoint.replace('://', `://${config.bucket}.`)}/`);
+        }
+        bases.push(`https://${config.bucket}.s3.${config.region || 'us-east-1'}.amazonaws.com/`);
+      }
+    }
+
+    return [...new Set(bases)]
+      .filter(base => base && base.includes('://') && !base.includes('undefined'))
+      .sort((a, b) => b.length - a.length);
+  }
+
+  // Object key behind a public URL from any configured provider (null for external URLs)
+  keyFromUrl(url) {
+    if (!url) return null;
+
+    const path = url.split('?')[0];
+    for (const { provider } of this.getReplicaProviders()) {
+      const base = this.publicUrlBases(provider).find(candidate => path.startsWith(candidate));
+      if (base) {
+        return decodeURIComponent(path.slice(base.length));
+      }
+    }
+    return null;
+  }
+
+  async resolvePlaybackUrl(url) {
+    if (!this.secondary) return url;
+    return this.toProviderUrl(url, await this.getActiveProvider());
+  }
+
   async uploadVideo(fileBuffer, options = {}) {
     try {
       if (!this.storage) {
@@ -30,7 +182,11 @@ class StorageService {
         result.cdnUrl = this.generateCDNUrl(result.fileName);
       }
 
-      return result;
+      return await this._replicate(result, storage => storage.uploadFile(fileBuffer, {
+        fileName: result.fileName,
+        contentType: result.contentType,
+        metadata: { originalName: options.originalName || 'unknown' }
+      }));
     } catch (error) {
       console.error('Storage service upload error:', error);
       throw error;
@@ -53,20 +209,126 @@ class StorageService {
         result.cdnUrl = this.generateCDNUrl(result.fileName);
       }
 
-      return result;
+      return await this._replicate(result, storage => storage.uploadFile(fileBuffer, {
+        fileName: result.fileName,
+        contentType: result.contentType,
+        metadata: { originalName: options.originalName || 'unknown' }
+      }));
     } catch (error) {
       console.error('Storage service image upload error:', error);
       throw error;
     }
   }
 
+  async uploadFile(fileBuffer, options = {}) {
+    try {
+      if (!this.storage) {
+        throw new Error('Storage service not initialized');
+      }
+
+      const result = await this.storage.uploadFile(fileBuffer, options);
+      return await this._replicate(result, storage => storage.uploadFile(fileBuffer, options));
+    } catch (error) {
+      console.error('Storage service file upload error:', error);
+      throw error;
+    }
+  }
+
+  async uploadLocalFile(localPath, options = {}) {
+    try {
+      if (!this.storage) {
+        throw new Error('Storage service not initialized');
+      }
+
+      const result = await this.storage.uploadLocalFile(localPath, options);
+      return await this._replicate(result, storage => storage.uploadLocalFile(localPath, options));
+    } catch (error) {
+      console.error('Storage service local file upload error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a video from disk without reading it into memory
+   * Same key layout and result as uploadVideo, streamed through uploadLocalFile
+   */
+  async uploadVideoFile(localPath, options = {}) {
+    const { originalName, contentId, episodeNumber, seasonNumber = 1, quality = '720p' } = options;
+    const extension = originalName ? originalName.split('.').pop() : 'mp4';
+    const fileName = `videos/${contentId}/${seasonNumber}/${episodeNumber}_${quality}_${Date.now()}_${generateRandomString(8)}.${extension}`;
+
+    const result = await this.uploadLocalFile(localPath, {
+      fileName,
+      contentType: 'video/mp4',
+      public: true,
+      metadata: {
+        contentId: contentId?.toString() || 'unknown',
+        episodeNumber: episodeNumber?.toString() || '0',
+        seasonNumber: seasonNumber.toString(),
+        quality,
+        originalName: originalName || 'unknown'
+      }
+    });
+
+    result.publicUrl = this.storage.getPublicUrl(fileName);
+    // Add CDN URL if using Cloudflare
+    if (this.provider === 'cloudflare') {
+      result.cdnUrl = this.generateCDNUrl(fileName);
+    }
+
+    return result;
+  }
+
+  async downloadFile(fileName, destinationPath) {
+    try {
+      if (!this.storage) {
+        throw new Error('Storage service not initialized');
+      }
+
+      try {
+        return await this.storage.downloadFile(fileName, destinationPath);
+      } catch (error) {
+        if (!this.secondary) throw error;
+        console.warn(`⚠️ Download from ${this.provider} failed, trying ${this.secondaryProvider}: ${fileName}`);
+        return await this.secondary.downloadFile(fileName, destinationPath);
+      }
+    } catch (error) {
+      console.error('Storage service download error:', error);
+      throw error;
+    }
+  }
+
   async deleteFile(fileName) {
     try {
       if (!this.storage) {
         throw new Error('Storage service not initialized');
       }
 
-      return await this.storage.deleteFile(fileName);
+      if (!this.secondary) {
+        return await this.storage.deleteFile(fileName);
+      }
+
+      const failed = [];
+      for (const { provider, service } of this.getReplicaProviders()) {
+        const deleted = await service.deleteFile(fileName).catch(error => {
+          console.error(`⚠️ Delete from ${provider} failed for ${fileName}:`, error.message);
+          return false;
+        });
+        if (!deleted) failed.push(provider);
+      }
+
+      if (failed.length === 0) {
+        return true;
+      }
+
+      // Without a marker the storage-repair job would copy the object back from the side that kept it
+      const marked = await StorageDeletion.markPending(fileName, failed, `Delete failed on ${failed.join(', ')}`)
+        .then(() => true, error => {
+          console.error(`⚠️ Recording pending delete failed for ${fileName}:`, error.message);
+          return false;
+        });
+
+      return marked && !failed.includes(this.provider);
     } catch (error) {
       console.error('Storage service delete error:', error);
       throw error;
@@ -79,13 +341,40 @@ class StorageService {
         throw new Error('Storage service not initialized');
       }
 
-      return await this.storage.getSignedUrl(fileName, options);
+      const provider = options.provider || await this.getActiveProvider();
+      return await this._serviceFor(provider).getSignedUrl(fileName, options);
     } catch (error) {
       console.error('Storage service signed URL error:', error);
       throw error;
     }
   }
 
+  async getSignedUploadUrl(fileName, options = {}) {
+    try {
+      if (!this.storage) {
+        throw new Error('Storage service not initialized');
+      }
+
+      return await this.storage.getSignedUploadUrl(fileName, options);
+    } catch (error) {
+      console.error('Storage service signed upload URL error:', error);
+      throw error;
+    }
+  }
+
+  async fileExists(fileName) {
+    try {
+      if (!this.storage) {
+        throw new Error('Storage service not initialized');
+      }
+
+      return await this.storage.fileExists(fileName);
+    } catch (error) {
+      console.error('Storage service file exists error:', error);
+      throw error;
+    }
+  }
+
   async getFileMetadata(fileName) {
     try {
       if (!this.storage) {
@@ -112,12 +401,15 @@ class StorageService {
     }
   }
 
-  generateCDNUrl(fileName) {
-    if (this.provider === 'cloudflare') {
+  generateCDNUrl(fileName, provider = this.provider) {
+    if (provider === 'cloudflare') {
       const cloudflareConfig = require('../config/cloudflare');
       return cloudflareConfig.getPublicUrl(fileName);
-    } else if (this.provider === 'gcp') {
-      return `${this.config.cdnUrl}/${this.config.bucket}/${fileName}`;
+    } else if (provider === 'gcp') {
+      const config = storageConfig.getStorageConfig('gcp');
+      return `${config.cdnUrl}/${config.bucket}/${fileName}`;
+    } else if (provider === 's3' || provider === 'local') {
+      return this._serviceFor(provider).getPublicUrl(fileName);
     }
     
     return fileName;
@@ -167,7 +459,11 @@ class StorageService {
       }
 
       if (typeof this.storage.healthCheck === 'function') {
-        return await this.storage.healthCheck();
+        const result = await this.storage.healthCheck();
+        if (this.secondary) {
+          result.secondary = await this.secondary.healthCheck();
+        }
+        return result;
       }
 
       return { status: 'healthy', message: 'Storage service is running', provider: this.provider };
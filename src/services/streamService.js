@@ -0,0 +1,135 @@
+const { getRedisClient } = require('../config/redis');
+const { AppError } = require('../middleware/errorHandler');
+const { STREAM_LIMITS, SUBSCRIPTION_TIERS } = require('../utils/constants');
+
+// Drop stale sessions, then admit the device if it already streams or a screen is free
+const ADMIT_SCRIPT = `
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[2])
+if redis.call('ZSCORE', KEYS[1], ARGV[3]) or redis.call('ZCARD', KEYS[1]) < tonumber(ARGV[4]) then
+  redis.call('ZADD', KEYS[1], ARGV[1], ARGV[3])
+  redis.call('EXPIRE', KEYS[1], ARGV[5])
+  return 1
+end
+return 0
+`;
+
+/**
+ * Concurrent playback sessions per user, one per device.
+ * Each user has a sorted set of deviceId -> last heartbeat; startWatching
+ * and progress updates keep a session alive, and sessions that miss
+ * heartbeats for heartbeatTimeout seconds stop counting against the limit.
+ */
+class StreamService {
+  constructor() {
+    this.keyPrefix = 'streams:';
+    this.heartbeatTimeout = parseInt(process.env.STREAM_HEARTBEAT_TIMEOUT_SECONDS) || 90;
+  }
+
+  /**
+   * Generate Redis key with prefix
+   */
+  _generateKey(key) {
+    return `${this.keyPrefix}${key}`;
+  }
+
+  /**
+   * Screens allowed for a user: account override, then STREAM_LIMIT_<TIER>, then the tier default
+   */
+  getStreamLimit(user) {
+    if (user?.subscription?.maxStreams) {
+      return user.subscription.maxStreams;
+    }
+
+    const tier = user?.subscription?.tier || SUBSCRIPTION_TIERS.FREE;
+    return parseInt(process.env[`STREAM_LIMIT_${tier.toUpperCase()}`]) ||
+      STREAM_LIMITS[tier] ||
+      STREAM_LIMITS[SUBSCRIPTION_TIERS.FREE];
+  }
+
+  /**
+   * Start or refresh the device's playback session
+   * Throws 429 when every screen is taken; fails open when Redis is unavailable
+   */
+  async startSession(user, deviceId, details = {}) {
+    const client = getRedisClient();
+    if (!client) return { enforced: false };
+
+    const limit = this.getStreamLimit(user);
+    const now = Date.now();
+    let admitted;
+
+    try {
+      admitted = await client.eval(ADMIT_SCRIPT, {
+        keys: [this._generateKey(user.userId)],
+        arguments: [
+          now.toString(),
+          (now - this.heartbeatTimeout * 1000).toString(),
+          deviceId,
+          limit.toString(),
+          (this.heartbeatTimeout * 2).toString()
+        ]
+      });
+    } catch (error) {
+      console.error('Stream session error:', error);
+      return { enforced: false };
+    }
+
+    if (!admitted) {
+      throw new AppError(
+        `Your plan allows ${limit} screen${limit === 1 ? '' : 's'} at a time. Stop playback on another device to continue.`,
+        429
+      );
+    }
+
+    if (details.episodeId) {
+      const infoKey = this._generateKey(`${user.userId}:info`);
+      await client.hSet(infoKey, deviceId, JSON.stringify({ ...details, updatedAt: new Date(now) }));
+      await client.expire(infoKey, this.heartbeatTimeout * 2);
+    }
+
+    return { enforced: true, limit };
+  }
+
+  /**
+   * End a device's playback session (episode finished or device signed out)
+   */
+  async endSession(userId, deviceId) {
+    const client = getRedisClient();
+    if (!client) return false;
+
+    try {
+      await client.zRem(this._generateKey(userId), deviceId);
+      await client.hDel(this._generateKey(`${userId}:info`), deviceId);
+      return true;
+    } catch (error) {
+      console.error('Stream session end error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Devices currently streaming for a user
+   */
+  async getActiveSessions(userId) {
+    const client = getRedisClient();
+    if (!client) return [];
+
+    try {
+      const cutoff = Date.now() - this.heartbeatTimeout * 1000;
+      const deviceIds = await client.zRangeByScore(this._generateKey(userId), cutoff, '+inf');
+      if (deviceIds.length === 0) return [];
+
+      const info = await client.hmGet(this._generateKey(`${userId}:info`), deviceIds);
+
+      return deviceIds.map((deviceId, index) => ({
+        deviceId,
+        ...(info[index] ? JSON.parse(info[index]) : {})
+      }));
+    } catch (error) {
+      console.error('Stream session list error:', error);
+      return [];
+    }
+  }
+}
+
+module.exports = new StreamService();
\ No newline at end of file
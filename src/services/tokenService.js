@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { getRedisClient } = require('../config/redis');
+const { AppError } = require('../middleware/errorHandler');
+
+class TokenService {
+  constructor() {
+    this.keyPrefix = 'auth:';
+    this.accessTokenTTL = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+    this.refreshTokenTTL = (parseInt(process.env.JWT_REFRESH_TTL_DAYS) || 30) * 24 * 60 * 60; // seconds
+    this.deviceTokenTTL = process.env.USER_DEVICE_TOKEN_EXPIRES_IN || '365d';
+    // Logout-all markers must outlive every token they reject, device tokens included
+    this.revocationTTL = Math.max(
+      this.refreshTokenTTL,
+      this._lifetimeSeconds(this.accessTokenTTL),
+      this._lifetimeSeconds(this.deviceTokenTTL)
+    );
+  }
+
+  /**
+   * Lifetime in seconds of a token signed with expiresIn ('15m', '365d', 3600), read the way jsonwebtoken reads it
+   */
+  _lifetimeSeconds(expiresIn) {
+    const { iat, exp } = jwt.decode(jwt.sign({}, 'lifetime', { expiresIn }));
+    return exp - iat;
+  }
+
+  /**
+   * Generate Redis key with prefix
+   */
+  _generateKey(key) {
+    return `${this.keyPrefix}${key}`;
+  }
+
+  /**
+   * Refresh tokens are stored hashed so a Redis dump does not leak live tokens
+   */
+  _hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Build the session subject for an admin or app user, e.g. `admin:<id>`
+   */
+  getSubject(type, id) {
+    return `${type}:${id}`;
+  }
+
+  // Audience of a session subject (`admin` or `user`); refresh tokens are stored per audience so
+  // neither refresh endpoint accepts, or consumes, the other kind
+  _audience(subject) {
+    return subject.split(':')[0];
+  }
+
+  _refreshKey(audience, tokenHash) {
+    return this._generateKey(`refresh:${audience}:${tokenHash}`);
+  }
+
+  // Refresh tokens issued before keys carried the audience; they are gone once refreshTokenTTL has passed
+  async _consumeLegacyRefreshToken(client, tokenHash, audience) {
+    const legacyKey = this._generateKey(`refresh:${tokenHash}`);
+    const stored = await client.get(legacyKey);
+
+    if (!stored || this._audience(JSON.parse(stored).subject) !== audience) {
+      return null;
+    }
+    return client.getDel(legacyKey);
+  }
+
+  _getClient() {
+    const client = getRedisClient();
+    if (!client) {
+      throw new AppError('Session store unavailable', 503);
+    }
+    return client;
+  }
+
+  /**
+   * Sign a short-lived access token
+   * subject identifies the session owner, e.g. `admin:<id>` or `user:<userId>`
+   */
+  signAccessToken(claims, subject) {
+    return jwt.sign(claims, process.env.JWT_SECRET, {
+      expiresIn: this.accessTokenTTL,
+      jwtid: uuidv4(),
+      ...(subject && { subject })
+    });
+  }
+
+  /**
+   * Sign the long-lived token an app install uses for its (usually anonymous) user
+   * Revoked together with the user's other sessions via revokeAllSessions
+   */
+  signDeviceToken(userId, deviceId) {
+    return jwt.sign({ userId, deviceId, type: 'device' }, process.env.JWT_SECRET, {
+      expiresIn: this.deviceTokenTTL,
+      jwtid: uuidv4(),
+      subject: this.getSubject('user', userId)
+    });
+  }
+
+  /**
+   * Issue an access token plus a rotating refresh token stored in Redis
+   */
+  async issueTokens(subject, claims) {
+    const client = this._getClient();
+
+    const accessToken = this.signAccessToken(claims, subject);
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const tokenHash = this._hashToken(refreshToken);
+
+    await client.set(
+      this._refreshKey(this._audience(subject), tokenHash),
+      JSON.stringify({ subject, claims, issuedAt: new Date() }),
+      { EX: this.refreshTokenTTL }
+    );
+
+    // Track the session so it can be revoked with "log out all sessions"
+    const sessionsKey = this._generateKey(`sessions:${subject}`);
+    await client.sAdd(sessionsKey, tokenHash);
+    await client.expire(sessionsKey, this.refreshTokenTTL);
+
+    const { exp } = jwt.decode(accessToken);
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: exp - Math.floor(Date.now() / 1000),
+      refreshExpiresIn: this.refreshTokenTTL
+    };
+  }
+
+  /**
+   * Consume a refresh token of the given audience (`admin` or `user`) and return the session it
+   * belonged to. A token that was already rotated is treated as stolen: every session
+   * of its owner is revoked.
+   */
+  async consumeRefreshToken(refreshToken, audience) {
+    const client = this._getClient();
+    const tokenHash = this._hashToken(refreshToken);
+
+    // GETDEL so two concurrent refreshes with the same token cannot both succeed
+    const stored = await client.getDel(this._refreshKey(audience, tokenHash)) ||
+      await this._consumeLegacyRefreshToken(client, tokenHash, audience);
+
+    if (!stored) {
+      const reusedBy = await client.get(this._generateKey(`rotated:${audience}:${tokenHash}`));
+      if (reusedBy) {
+        console.warn(`⚠️ Refresh token reuse detected for ${reusedBy}, revoking all sessions`);
+        await this.revokeAllSessions(reusedBy);
+      }
+      throw new AppError('Invalid or expired refresh token', 401);
+    }
+
+    const session = JSON.parse(stored);
+
+    await client.sRem(this._generateKey(`sessions:${session.subject}`), tokenHash);
+    await client.set(this._generateKey(`rotated:${audience}:${tokenHash}`), session.subject, {
+      EX: this.refreshTokenTTL
+    });
+
+    return session;
+  }
+
+  /**
+   * Revoke a single refresh token of the given audience (logout)
+   */
+  async revokeRefreshToken(refreshToken, audience) {
+    const client = getRedisClient();
+    if (!client || !refreshToken) return false;
+
+    try {
+      const tokenHash = this._hashToken(refreshToken);
+      const stored = await client.getDel(this._refreshKey(audience, tokenHash)) ||
+        await this._consumeLegacyRefreshToken(client, tokenHash, audience);
+
+      if (!stored) return false;
+
+      const { subject } = JSON.parse(stored);
+      await client.sRem(this._generateKey(`sessions:${subject}`), tokenHash);
+      return true;
+    } catch (error) {
+      console.error('Refresh token revoke error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Put an access token on the denylist until it expires
+   */
+  async revokeAccessToken(decoded) {
+    const client = getRedisClient();
+    if (!client || !decoded?.jti) return false;
+
+    try {
+      const ttl = decoded.exp - Math.floor(Date.now() / 1000);
+      if (ttl <= 0) return true;
+
+      await client.set(this._generateKey(`denylist:${decoded.jti}`), '1', { EX: ttl });
+      return true;
+    } catch (error) {
+      console.error('Access token revoke error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Revoke every refresh token of a subject and reject access tokens issued before now
+   */
+  async revokeAllSessions(subject) {
+    const client = this._getClient();
+
+    const sessionsKey = this._generateKey(`sessions:${subject}`);
+    const tokenHashes = await client.sMembers(sessionsKey);
+
+    if (tokenHashes.length > 0) {
+      await client.del(tokenHashes.flatMap(hash => [
+        this._refreshKey(this._audience(subject), hash),
+        this._generateKey(`refresh:${hash}`)
+      ]));
+    }
+    await client.del(sessionsKey);
+
+    // Outlives any token issued before this moment
+    await client.set(this._generateKey(`revoked_before:${subject}`), Date.now().toString(), {
+      EX: this.revocationTTL
+    });
+
+    return tokenHashes.length;
+  }
+
+  /**
+   * Reject tokens a device was issued before now (device sign-out)
+   * The marker has no expiry because device tokens outlive refresh tokens
+   */
+  async revokeDevice(subject, deviceId) {
+    const client = this._getClient();
+
+    await client.set(
+      this._generateKey(`device_revoked_before:${subject}:${deviceId}`),
+      Date.now().toString()
+    );
+  }
+
+  /**
+   * Whether a token or refresh session issued at issuedAtMs for a device was signed out since
+   */
+  async isDeviceRevoked(subject, deviceId, issuedAtMs) {
+    const client = getRedisClient();
+    if (!client || !subject || !deviceId) return false;
+
+    try {
+      const revokedBefore = await client.get(
+        this._generateKey(`device_revoked_before:${subject}:${deviceId}`)
+      );
+      // Token iat has one-second precision: compare whole seconds so tokens from the sign-out's own second are kept
+      return Boolean(revokedBefore) && Math.floor(issuedAtMs / 1000) < Math.floor(parseInt(revokedBefore) / 1000);
+    } catch (error) {
+      console.error('Device revocation check error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Check a verified access token against the denylist and logout-all marker
+   * Fails open when Redis is unavailable, like the rest of the cache layer
+   */
+  async isRevoked(decoded) {
+    const client = getRedisClient();
+    if (!client) return false;
+
+    try {
+      if (decoded.jti) {
+        const denied = await client.exists(this._generateKey(`denylist:${decoded.jti}`));
+        if (denied) return true;
+      }
+
+      if (decoded.sub) {
+        const revokedBefore = await client.get(this._generateKey(`revoked_before:${decoded.sub}`));
+        // iat has one-second precision: tokens from the revocation's own second are kept
+        if (revokedBefore && decoded.iat < Math.floor(parseInt(revokedBefore) / 1000)) {
+          return true;
+        }
+      }
+
+      if (decoded.deviceId && await this.isDeviceRevoked(decoded.sub, decoded.deviceId, decoded.iat * 1000)) {
+        return true;
+      }
+
+      return false;
+    } catch (error) {
+      console.error('Token revocation check error:', error);
+      return false;
+    }
+  }
+}
+
+module.exports = new TokenService();
\ No newline at end of file
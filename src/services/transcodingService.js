@@ -0,0 +1,669 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { spawn } = require('child_process');
+const Episode = require('../models/Episode');
+const { getQueue } = require('../config/queue');
+const { getRedisClient } = require('../config/redis');
+const { AppError } = require('../middleware/errorHandler');
+const storageService = require('./storageService');
+const cacheService = require('./cacheService');
+const videoService = require('./videoService');
+
+const QUEUE_NAME = 'video-transcoding';
+
+// Encoder settings per output quality (tuned for small files)
+const QUALITY_SETTINGS = {
+  '480p': { scale: '854:480', bitrate: '800k', maxrate: '1200k', bufsize: '1600k' },
+  '720p': { scale: '1280:720', bitrate: '1500k', maxrate: '2250k', bufsize: '3000k' },
+  '1080p': { scale: '1920:1080', bitrate: '3000k', maxrate: '4500k', bufsize: '6000k' }
+};
+
+// H.264 High@4.0 and stereo AAC-LC at 48 kHz, matching the encoder settings below
+const VIDEO_CODEC = 'avc1.640028';
+const AUDIO_CODEC = 'mp4a.40.2';
+const AUDIO_BITRATE = '128k';
+const AUDIO_SAMPLE_RATE = 48000;
+const AUDIO_CHANNELS = 2;
+
+const SEGMENT_CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.mpd': 'application/dash+xml',
+  '.ts': 'video/mp2t',
+  '.m4s': 'video/iso.segment',
+  '.mp4': 'video/mp4'
+};
+
+const PROGRESS_WRITE_INTERVAL_MS = 3000;
+
+// '1200k' -> 1200000
+const toBitsPerSecond = (rate) => parseInt(rate) * (rate.endsWith('M') ? 1000000 : rate.endsWith('k') ? 1000 : 1);
+
+/**
+ * Video transcoding on a Bull queue: the upload request stores the original file
+ * and enqueues a job; workers download it, run FFmpeg per quality, package each
+ * rendition as HLS and DASH, generate the thumbnail and write progress back to the Episode.
+ */
+class TranscodingService {
+  constructor() {
+    this.concurrency = parseInt(process.env.TRANSCODE_CONCURRENCY) || 1;
+    this.attempts = parseInt(process.env.TRANSCODE_ATTEMPTS) || 3;
+    this.defaultQualities = (process.env.TRANSCODE_QUALITIES || '480p,720p').split(',').map(q => q.trim());
+    this.tmpDir = process.env.TRANSCODE_TMP_DIR || os.tmpdir();
+    this.hlsSegmentType = process.env.HLS_SEGMENT_TYPE === 'fmp4' ? 'fmp4' : 'mpegts';
+    this.segmentSeconds = parseInt(process.env.STREAM_SEGMENT_SECONDS) || 6;
+    this.activeProcesses = new Map(); // episodeId -> running FFmpeg child
+  }
+
+  getQueue() {
+    return getQueue(QUEUE_NAME, {
+      defaultJobOptions: {
+        attempts: this.attempts,
+        backoff: { type: 'exponential', delay: 30 * 1000 },
+        removeOnComplete: 200,
+        removeOnFail: 500
+      }
+    });
+  }
+
+  _cancelKey(episodeId) {
+    return `transcode:cancel:${episodeId}`;
+  }
+
+  /**
+   * Queue transcoding for an episode whose original file is already in storage
+   */
+  async enqueue(episode, { sourceFile, qualities = this.defaultQualities, thumbnailAt = 5 } = {}) {
+    const source = sourceFile || episode.processing?.sourceFile;
+    if (!source) {
+      throw new AppError('Episode has no source file to transcode', 400);
+    }
+
+    const client = getRedisClient();
+    if (client) await client.del(this._cancelKey(episode._id));
+
+    // Saved before the job is added so a fast worker finds the matching jobId
+    const jobId = `transcode:${episode._id}:${Date.now()}`;
+    // A retry keeps the status from before the first attempt
+    const previousStatus = episode.status === 'processing' ? episode.processing?.previousStatus : episode.status;
+    episode.status = 'processing';
+    episode.processing = {
+      jobId,
+      previousStatus,
+      state: 'queued',
+      progress: 0,
+      stage: 'queued',
+      targetQualities: qualities,
+      completedQualities: (episode.processing?.completedQualities || []).filter(q => qualities.includes(q)),
+      sourceFile: source,
+      attempts: 0,
+      queuedAt: new Date()
+    };
+    await episode.save();
+
+    const job = await this.getQueue().add({
+      episodeId: episode._id.toString(),
+      sourceFile: source,
+      qualities,
+      thumbnailAt
+    }, { jobId });
+
+    return job;
+  }
+
+  // Storage key for an episode's original upload
+  sourceFileName(content, episodeId, originalName = '') {
+    const extension = path.extname(originalName).toLowerCase() || '.mp4';
+    return `sources/${content?._id || 'unassigned'}/${episodeId}${extension}`;
+  }
+
+  /**
+   * Create a processing episode for a source file already in storage and queue its transcode
+   * The episode is added to the title's season list; the caller saves the content
+   */
+  async createEpisodeFromSource(source, { episodeId, content, fields, qualities = this.defaultQualities, contentType }) {
+    const episode = new Episode({
+      episodeId,
+      contentId: content?._id,
+      ...fields,
+      // Placeholders until the worker uploads the transcoded renditions
+      videoUrl: storageService.generateCDNUrl(source.fileName),
+      fileInfo: {
+        fileName: source.fileName,
+        fileSize: source.size,
+        contentType,
+        uploadedAt: source.uploadedAt,
+        replicas: source.replicas
+      },
+      streamingOptions: {
+        isPreloadEnabled: true,
+        preloadDuration: 10,
+        adaptiveBitrate: true,
+        chunkSize: 1048576
+      },
+      status: 'processing'
+    });
+    episode.thumbnailUrl = videoService.generateThumbnailUrl(episode);
+
+    const job = await this.enqueue(episode, { sourceFile: source.fileName, qualities });
+
+    if (content) {
+      content.episodeIds.push(episode._id);
+
+      let season = content.seasons.find(s => s.seasonNumber === episode.seasonNumber);
+      if (!season) {
+        content.seasons.push({
+          seasonNumber: episode.seasonNumber,
+          title: `Season ${episode.seasonNumber}`,
+          episodes: []
+        });
+        season = content.seasons[content.seasons.length - 1];
+      }
+      season.episodes.push(episode._id);
+    }
+
+    return { episode, job };
+  }
+
+  /**
+   * Bull job state plus what the episode records
+   */
+  async getStatus(episode) {
+    const jobId = episode.processing?.jobId;
+    const job = jobId ? await this.getQueue().getJob(jobId) : null;
+
+    return {
+      episodeId: episode._id,
+      status: episode.status,
+      processing: episode.processing,
+      job: job ? {
+        id: job.id,
+        state: await job.getState(),
+        progress: job.progress(),
+        attemptsMade: job.attemptsMade,
+        maxAttempts: job.opts.attempts,
+        failedReason: job.failedReason || null,
+        timestamp: new Date(job.timestamp)
+      } : null
+    };
+  }
+
+  /**
+   * Retry a failed or cancelled transcode; qualities already uploaded are not redone
+   */
+  async retry(episode) {
+    if (!['failed', 'cancelled'].includes(episode.processing?.state)) {
+      throw new AppError('Only failed or cancelled transcodes can be retried', 409);
+    }
+
+    return this.enqueue(episode, { qualities: episode.processing.targetQualities });
+  }
+
+  /**
+   * Cancel a queued or running transcode
+   */
+  async cancel(episode) {
+    if (!['queued', 'active'].includes(episode.processing?.state)) {
+      throw new AppError('No transcode is queued or running for this episode', 409);
+    }
+
+    const job = await this.getQueue().getJob(episode.processing.jobId);
+    const state = job ? await job.getState() : null;
+
+    if (job && ['waiting', 'delayed', 'paused'].includes(state)) {
+      await job.remove();
+    } else if (state === 'active') {
+      // The worker checks this flag between steps and stops FFmpeg
+      const client = getRedisClient();
+      if (client) await client.set(this._cancelKey(episode._id), '1', { EX: 24 * 60 * 60 });
+    }
+
+    episode.status = 'draft';
+    episode.processing.state = 'cancelled';
+    episode.processing.stage = 'cancelled';
+    episode.processing.finishedAt = new Date();
+    await episode.save();
+
+    return episode;
+  }
+
+  async _isCancelled(episodeId) {
+    const client = getRedisClient();
+    if (!client) return false;
+    return (await client.get(this._cancelKey(episodeId))) === '1';
+  }
+
+  _runFfmpeg(episodeId, args, { durationSeconds, onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', ['-hide_banner', '-nostats', '-progress', 'pipe:1', ...args]);
+      this.activeProcesses.set(episodeId, ffmpeg);
+
+      let stderr = '';
+      ffmpeg.stderr.on('data', chunk => {
+        stderr = (stderr + chunk).slice(-2000);
+      });
+
+      ffmpeg.stdout.on('data', chunk => {
+        const match = /out_time_(?:ms|us)=(\d+)/.exec(chunk.toString());
+        if (match && durationSeconds && onProgress) {
+          onProgress(Math.min(1, Number(match[1]) / 1e6 / durationSeconds));
+        }
+      });
+
+      ffmpeg.on('error', error => {
+        this.activeProcesses.delete(episodeId);
+        reject(error);
+      });
+
+      ffmpeg.on('close', (code, signal) => {
+        this.activeProcesses.delete(episodeId);
+        if (code === 0) return resolve();
+        reject(new Error(signal ? `FFmpeg stopped (${signal})` : `FFmpeg exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+      });
+    });
+  }
+
+  _transcodeArgs(inputPath, outputPath, quality) {
+    const settings = QUALITY_SETTINGS[quality] || QUALITY_SETTINGS['720p'];
+
+    return [
+      '-i', inputPath,
+      '-c:v', 'libx264',
+      '-preset', 'medium',
+      '-crf', '23',
+      '-vf', `scale=${settings.scale}`,
+      '-b:v', settings.bitrate,
+      '-maxrate', settings.maxrate,
+      '-bufsize', settings.bufsize,
+      '-profile:v', 'high',
+      '-level:v', '4.0',
+      // Keyframe on every segment boundary so HLS packaging can cut without re-encoding
+      '-force_key_frames', `expr:gte(t,n_forced*${this.segmentSeconds})`,
+      '-c:a', 'aac',
+      '-b:a', AUDIO_BITRATE,
+      '-ar', AUDIO_SAMPLE_RATE.toString(),
+      '-ac', AUDIO_CHANNELS.toString(),
+      '-movflags', '+faststart',
+      '-y',
+      outputPath
+    ];
+  }
+
+  _hlsArgs(inputPath, outputDir) {
+    const fmp4 = this.hlsSegmentType === 'fmp4';
+
+    return [
+      '-i', inputPath,
+      '-c', 'copy',
+      '-f', 'hls',
+      '-hls_time', this.segmentSeconds.toString(),
+      '-hls_playlist_type', 'vod',
+      '-hls_segment_type', this.hlsSegmentType,
+      ...(fmp4 ? ['-hls_fmp4_init_filename', 'init.mp4'] : []),
+      '-hls_segment_filename', path.join(outputDir, fmp4 ? 'segment_%05d.m4s' : 'segment_%05d.ts'),
+      '-y',
+      path.join(outputDir, 'index.m3u8')
+    ];
+  }
+
+  _dashArgs(inputPath, outputDir, stream) {
+    return [
+      '-i', inputPath,
+      '-map', `0:${stream}:0`,
+      '-c', 'copy',
+      '-f', 'dash',
+      '-dash_segment_type', 'mp4',
+      '-seg_duration', this.segmentSeconds.toString(),
+      '-use_template', '1',
+      '-use_timeline', '0',
+      '-init_seg_name', 'init.m4s',
+      '-media_seg_name', 'segment_$Number%05d$.m4s',
+      '-y',
+      path.join(outputDir, 'stream.mpd')
+    ];
+  }
+
+  /**
+   * Upload every file in a local folder under a storage prefix; `last` files go up after the rest
+   */
+  async _uploadDirectory(localDir, prefix, { exclude = [], last = [], metadata = {} } = {}) {
+    const files = (await fs.readdir(localDir)).filter(file => !exclude.includes(file)).sort();
+    const ordered = [...files.filter(file => !last.includes(file)), ...files.filter(file => last.includes(file))];
+
+    for (const file of ordered) {
+      await storageService.uploadFile(await fs.readFile(path.join(localDir, file)), {
+        fileName: `${prefix}/${file}`,
+        contentType: SEGMENT_CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+        metadata
+      });
+    }
+
+    return files;
+  }
+
+  _hlsPrefix(episode) {
+    return `hls/${episode.contentId}/${episode.episodeId}`;
+  }
+
+  /**
+   * Cut a transcoded rendition into HLS segments and upload the media playlist with them
+   */
+  async _packageHls(episode, renditionPath, outputDir, quality) {
+    await fs.mkdir(outputDir, { recursive: true });
+    await this._runFfmpeg(episode._id.toString(), this._hlsArgs(renditionPath, outputDir));
+
+    const prefix = `${this._hlsPrefix(episode)}/${quality}`;
+    const files = await this._uploadDirectory(outputDir, prefix, {
+      last: ['index.m3u8'], // Segments first so the playlist never points at missing files
+      metadata: { episodeId: episode.episodeId, quality }
+    });
+
+    const settings = QUALITY_SETTINGS[quality] || QUALITY_SETTINGS['720p'];
+    const [width, height] = settings.scale.split(':').map(Number);
+
+    return {
+      resolution: quality,
+      width,
+      height,
+      bandwidth: toBitsPerSecond(settings.maxrate) + toBitsPerSecond(AUDIO_BITRATE),
+      codecs: `${VIDEO_CODEC},${AUDIO_CODEC}`,
+      playlist: `${prefix}/index.m3u8`,
+      segmentCount: files.filter(file => /^segment_\d+\./.test(file)).length
+    };
+  }
+
+  _dashPrefix(episode) {
+    return `dash/${episode.contentId}/${episode.episodeId}`;
+  }
+
+  /**
+   * Split one stream ('v' or 'a') of a rendition into fMP4 DASH segments and upload them
+   */
+  async _packageDash(episode, renditionPath, outputDir, id, stream) {
+    await fs.mkdir(outputDir, { recursive: true });
+    await this._runFfmpeg(episode._id.toString(), this._dashArgs(renditionPath, outputDir, stream));
+
+    // FFmpeg's own MPD is not used; the manifest is built from the representations
+    const files = await this._uploadDirectory(outputDir, `${this._dashPrefix(episode)}/${id}`, {
+      exclude: ['stream.mpd'],
+      metadata: { episodeId: episode.episodeId, representation: id }
+    });
+
+    const representation = {
+      id,
+      initialization: `${id}/init.m4s`,
+      media: `${id}/segment_$Number%05d$.m4s`,
+      segmentCount: files.filter(file => /^segment_\d+\./.test(file)).length
+    };
+
+    if (stream === 'a') {
+      return {
+        ...representation,
+        contentType: 'audio',
+        bandwidth: toBitsPerSecond(AUDIO_BITRATE),
+        codecs: AUDIO_CODEC,
+        audioSamplingRate: AUDIO_SAMPLE_RATE,
+        audioChannels: AUDIO_CHANNELS
+      };
+    }
+
+    const settings = QUALITY_SETTINGS[id] || QUALITY_SETTINGS['720p'];
+    const [width, height] = settings.scale.split(':').map(Number);
+
+    return {
+      ...representation,
+      contentType: 'video',
+      width,
+      height,
+      bandwidth: toBitsPerSecond(settings.maxrate),
+      codecs: VIDEO_CODEC
+    };
+  }
+
+  // Stored MPD with segment paths relative to its folder
+  async _writeDashManifest(episodeId) {
+    const episode = await Episode.findById(episodeId);
+    if (!episode.dash?.representations?.length) return null;
+
+    const manifest = `${this._dashPrefix(episode)}/manifest.mpd`;
+    const content = videoService.buildDASHManifest(episode.dash, { duration: episode.duration });
+
+    await storageService.uploadFile(Buffer.from(content), {
+      fileName: manifest,
+      contentType: SEGMENT_CONTENT_TYPES['.mpd']
+    });
+
+    episode.dash.manifest = manifest;
+    episode.dash.generatedAt = new Date();
+    await episode.save();
+
+    return manifest;
+  }
+
+  // Master playlist with relative URIs, stored next to the variant folders
+  async _writeHlsMaster(episodeId) {
+    const episode = await Episode.findById(episodeId);
+    if (!episode.hls?.variants?.length) return null;
+
+    const prefix = this._hlsPrefix(episode);
+    const masterPlaylist = `${prefix}/master.m3u8`;
+    const content = videoService.buildHLSMasterPlaylist(episode.hls, key => key.slice(prefix.length + 1));
+
+    await storageService.uploadFile(Buffer.from(content), {
+      fileName: masterPlaylist,
+      contentType: SEGMENT_CONTENT_TYPES['.m3u8']
+    });
+
+    episode.hls.masterPlaylist = masterPlaylist;
+    episode.hls.generatedAt = new Date();
+    await episode.save();
+
+    return masterPlaylist;
+  }
+
+  _thumbnailArgs(inputPath, outputPath, timestamp) {
+    return ['-ss', timestamp.toString(), '-i', inputPath, '-vframes', '1', '-vf', 'scale=854:480', '-q:v', '2', '-y', outputPath];
+  }
+
+  /**
+   * Bull processor for one transcoding job
+   */
+  async processJob(job) {
+    const { episodeId, sourceFile, qualities, thumbnailAt } = job.data;
+    const episode = await Episode.findById(episodeId);
+
+    if (!episode || episode.processing?.jobId !== job.id.toString()) {
+      // Deleted, cancelled or superseded by a newer job
+      return { skipped: true };
+    }
+
+    const workDir = await fs.mkdtemp(path.join(this.tmpDir, `transcode-${episodeId}-`));
+    const inputPath = path.join(workDir, `source${path.extname(sourceFile) || '.mp4'}`);
+    const pending = qualities.filter(q => !episode.processing.completedQualities.includes(q));
+    const totalSteps = pending.length + 1; // + thumbnail
+    let dashAudioDone = (episode.dash?.representations || []).some(r => r.contentType === 'audio');
+    let lastWrite = 0;
+
+    const report = async (step, fraction, stage, force = false) => {
+      const progress = Math.min(99, Math.round(((step + fraction) / totalSteps) * 100));
+      await job.progress(progress);
+
+      if (force || Date.now() - lastWrite >= PROGRESS_WRITE_INTERVAL_MS) {
+        lastWrite = Date.now();
+        await Episode.updateOne({ _id: episodeId }, { $set: { 'processing.progress': progress, 'processing.stage': stage } });
+      }
+
+      if (await this._isCancelled(episodeId)) {
+        this.activeProcesses.get(episodeId)?.kill('SIGKILL');
+        throw new Error('Transcode cancelled');
+      }
+    };
+
+    try {
+      episode.processing.state = 'active';
+      episode.processing.stage = 'download';
+      episode.processing.attempts = job.attemptsMade + 1;
+      episode.processing.startedAt = new Date();
+      episode.processing.error = undefined;
+      await episode.save();
+
+      await storageService.downloadFile(sourceFile, inputPath);
+      const { size: sourceSize } = await fs.stat(inputPath);
+
+      for (const [index, quality] of pending.entries()) {
+        const stage = `transcode:${quality}`;
+        await report(index, 0, stage, true);
+
+        const outputPath = path.join(workDir, `${quality}.mp4`);
+        await this._runFfmpeg(episodeId, this._transcodeArgs(inputPath, outputPath, quality), {
+          durationSeconds: episode.duration,
+          onProgress: fraction => { report(index, fraction, stage).catch(() => {}); }
+        });
+
+        await report(index, 1, `package:${quality}`, true);
+        const hlsDir = path.join(workDir, 'hls', quality);
+        const variant = await this._packageHls(episode, outputPath, hlsDir, quality);
+        await fs.rm(hlsDir, { recursive: true, force: true }).catch(() => {});
+
+        const representations = [await this._packageDash(episode, outputPath, path.join(workDir, 'dash', quality), quality, 'v')];
+        if (!dashAudioDone) {
+          // One audio representation serves every video quality
+          dashAudioDone = true;
+          try {
+            representations.push(await this._packageDash(episode, outputPath, path.join(workDir, 'dash', 'audio'), 'audio', 'a'));
+          } catch (error) {
+            console.error(`⚠️ No DASH audio for ${episodeId}:`, error.message);
+          }
+        }
+        await fs.rm(path.join(workDir, 'dash'), { recursive: true, force: true }).catch(() => {});
+
+        const upload = await storageService.uploadVideoFile(outputPath, {
+          originalName: `${episode.episodeId}.mp4`,
+          contentId: episode.contentId,
+          episodeNumber: episode.episodeNumber,
+          seasonNumber: episode.seasonNumber,
+          quality
+        });
+        await fs.unlink(outputPath).catch(() => {});
+
+        // Saved per quality so a retry only redoes what is missing
+        await Episode.updateOne({ _id: episodeId }, {
+          $pull: {
+            qualityOptions: { resolution: quality },
+            'hls.variants': { resolution: quality },
+            'dash.representations': { id: { $in: representations.map(r => r.id) } }
+          }
+        });
+        await Episode.updateOne({ _id: episodeId }, {
+          $push: {
+            qualityOptions: {
+              resolution: quality,
+              url: upload.cdnUrl || upload.publicUrl,
+              fileSize: upload.size,
+              bitrate: (QUALITY_SETTINGS[quality] || QUALITY_SETTINGS['720p']).bitrate
+            },
+            'hls.variants': variant,
+            'dash.representations': { $each: representations }
+          },
+          $addToSet: { 'processing.completedQualities': quality },
+          $set: {
+            'hls.segmentType': this.hlsSegmentType,
+            'hls.segmentDuration': this.segmentSeconds,
+            'dash.segmentDuration': this.segmentSeconds,
+            ...(quality === '720p' || !episode.fileInfo?.fileSize
+              ? {
+                videoUrl: upload.publicUrl,
+                'fileInfo.fileName': upload.fileName,
+                'fileInfo.fileSize': upload.size,
+                'fileInfo.contentType': 'video/mp4',
+                'fileInfo.replicas': upload.replicas
+              }
+              : {})
+          }
+        });
+      }
+
+      await this._writeHlsMaster(episodeId);
+      await this._writeDashManifest(episodeId);
+
+      await report(pending.length, 0, 'thumbnail', true);
+      const thumbnailPath = path.join(workDir, 'thumbnail.jpg');
+      let thumbnailUrl;
+      try {
+        await this._runFfmpeg(episodeId, this._thumbnailArgs(inputPath, thumbnailPath, thumbnailAt));
+        const thumbnailUpload = await storageService.uploadImage(await fs.readFile(thumbnailPath), {
+          type: 'thumbnail',
+          contentId: episode.contentId,
+          episodeId: episode.episodeId,
+          originalName: `${episode.episodeId}_thumbnail.jpg`
+        });
+        thumbnailUrl = thumbnailUpload.cdnUrl || thumbnailUpload.publicUrl;
+      } catch (error) {
+        // A missing thumbnail should not fail the whole transcode
+        console.error(`⚠️ Thumbnail generation failed for ${episodeId}:`, error.message);
+      }
+
+      const done = await Episode.findById(episodeId);
+      if (thumbnailUrl) done.thumbnailUrl = thumbnailUrl;
+      // Publishing is left to the review and scheduling flow; only an episode still marked processing
+      // goes back to what it was before (new episodes become drafts)
+      if (done.status === 'processing') {
+        done.status = done.processing.previousStatus || 'draft';
+      }
+      done.processing.state = 'completed';
+      done.processing.stage = 'completed';
+      done.processing.progress = 100;
+      done.processing.finishedAt = new Date();
+      await done.save();
+
+      await cacheService.invalidateCatalogCaches({ contentIds: [done.contentId], episodeIds: [done._id] });
+
+      console.log(`✅ Transcoded episode ${episodeId} (${qualities.join(', ')}) from ${sourceSize} bytes`);
+      return { qualities, thumbnailGenerated: !!thumbnailUrl };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  async _onFailed(job, error) {
+    const { episodeId } = job.data;
+    const cancelled = await this._isCancelled(episodeId);
+    const finalAttempt = job.attemptsMade >= (job.opts.attempts || 1);
+
+    const update = cancelled
+      ? { 'processing.state': 'cancelled', 'processing.stage': 'cancelled', 'processing.finishedAt': new Date(), status: 'draft' }
+      : finalAttempt
+        ? { 'processing.state': 'failed', 'processing.stage': 'failed', 'processing.error': error.message, 'processing.finishedAt': new Date() }
+        : { 'processing.state': 'queued', 'processing.stage': 'retrying', 'processing.error': error.message };
+
+    await Episode.updateOne({ _id: episodeId, 'processing.jobId': job.id.toString() }, { $set: update });
+
+    if (cancelled) {
+      // No point retrying a cancelled job
+      await job.discard();
+    }
+
+    console.error(`❌ Transcode ${job.id} failed (attempt ${job.attemptsMade}/${job.opts.attempts}):`, error.message);
+  }
+
+  /**
+   * Start consuming the queue; set TRANSCODE_WORKER_ENABLED=false on API-only instances
+   */
+  startWorker() {
+    if (process.env.TRANSCODE_WORKER_ENABLED === 'false') {
+      console.log('⏸️ Transcoding worker disabled on this instance');
+      return null;
+    }
+
+    const queue = this.getQueue();
+    queue.process(this.concurrency, job => this.processJob(job));
+    queue.on('failed', (job, error) => {
+      this._onFailed(job, error).catch(err => console.error('Transcode failure handling error:', err));
+    });
+
+    console.log(`🎞️ Transcoding worker started (concurrency ${this.concurrency})`);
+    return queue;
+  }
+}
+
+module.exports = new TranscodingService();
\ No newline at end of file
@@ -0,0 +1,471 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const Content = require('../models/Content');
+const UploadSession = require('../models/UploadSession');
+const JobRun = require('../models/JobRun');
+const { AppError } = require('../middleware/errorHandler');
+const { v4: uuidv4 } = require('uuid');
+const storageService = require('./storageService');
+const transcodingService = require('./transcodingService');
+const auditService = require('./auditService');
+const { AUDIT_ACTIONS } = require('../utils/constants');
+
+const MB = 1024 * 1024;
+
+/**
+ * Large video uploads that do not go through multer:
+ * - chunked: resumable chunk-and-commit; chunks are written to a local folder (UPLOAD_TMP_DIR,
+ *   shared between API instances) and assembled on completion
+ * - presigned: the client PUTs the file straight to the bucket and we verify the object on completion
+ * Either way the file becomes the episode source and is handed to the transcoding queue.
+ */
+class UploadService {
+  constructor() {
+    this.tmpDir = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'cino-uploads');
+    this.defaultChunkSize = (parseInt(process.env.UPLOAD_CHUNK_SIZE_MB) || 16) * MB;
+    this.maxChunkSize = 100 * MB;
+    this.maxFileSize = (parseInt(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 20 * 1024) * MB;
+    this.sessionTTLHours = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+    this.presignExpiresSeconds = parseInt(process.env.UPLOAD_PRESIGN_EXPIRES_SECONDS) || 3600;
+    this.maxPresignedFileSize = 5 * 1024 * MB; // Single PUT limit on R2/S3
+  }
+
+  _sessionDir(uploadId) {
+    return path.join(this.tmpDir, uploadId);
+  }
+
+  _chunkPath(uploadId, index) {
+    return path.join(this._sessionDir(uploadId), `${index}.part`);
+  }
+
+  async _removeChunks(uploadId) {
+    await fs.promises.rm(this._sessionDir(uploadId), { recursive: true, force: true });
+  }
+
+  async _assertContentExists(contentId) {
+    if (contentId && !(await Content.exists({ _id: contentId }))) {
+      throw new AppError('Content not found', 404);
+    }
+  }
+
+  _episodeSettings({ generateQualities = true, ...episode }) {
+    return {
+      ...episode,
+      qualities: generateQualities ? transcodingService.defaultQualities : ['720p']
+    };
+  }
+
+  /**
+   * Start a chunked upload; the response tells the client how to split the file
+   */
+  async createSession(admin, { fileName, fileSize, contentType, chunkSize, checksum, episode }) {
+    if (fileSize > this.maxFileSize) {
+      throw new AppError(`File is larger than the ${Math.floor(this.maxFileSize / MB)}MB limit`, 413);
+    }
+
+    await this._assertContentExists(episode.contentId);
+
+    const size = Math.min(chunkSize || this.defaultChunkSize, this.maxChunkSize);
+
+    const session = await UploadSession.create({
+      createdBy: { adminId: admin._id, username: admin.username },
+      fileName,
+      fileSize,
+      contentType,
+      checksum: checksum?.toLowerCase(),
+      chunkSize: size,
+      totalChunks: Math.ceil(fileSize / size),
+      episode: this._episodeSettings(episode),
+      expiresAt: new Date(Date.now() + this.sessionTTLHours * 60 * 60 * 1000)
+    });
+
+    await fs.promises.mkdir(this._sessionDir(session.uploadId), { recursive: true });
+
+    return session;
+  }
+
+  /**
+   * Reserve a source key and return a presigned PUT for it; the client uploads straight to the bucket
+   */
+  async createPresignedSession(admin, { fileName, fileSize, contentType, episode }) {
+    if (fileSize > Math.min(this.maxFileSize, this.maxPresignedFileSize)) {
+      throw new AppError('File is too large for a direct upload; use a chunked upload instead', 413);
+    }
+
+    await this._assertContentExists(episode.contentId);
+
+    const reservedEpisodeId = `episode_${Date.now()}_${uuidv4().slice(0, 8)}`;
+    const sourceFile = transcodingService.sourceFileName(
+      episode.contentId ? { _id: episode.contentId } : null,
+      reservedEpisodeId,
+      fileName
+    );
+
+    const session = new UploadSession({
+      method: 'presigned',
+      createdBy: { adminId: admin._id, username: admin.username },
+      fileName,
+      fileSize,
+      contentType,
+      reservedEpisodeId,
+      sourceFile,
+      episode: this._episodeSettings(episode),
+      expiresAt: new Date(Date.now() + this.sessionTTLHours * 60 * 60 * 1000)
+    });
+
+    const upload = await storageService.getSignedUploadUrl(sourceFile, {
+      expiresIn: this.presignExpiresSeconds,
+      contentType,
+      contentLength: fileSize,
+      metadata: { uploadid: session.uploadId }
+    });
+
+    await session.save();
+    return { session, upload };
+  }
+
+  async getSession(uploadId) {
+    const session = await UploadSession.findOne({ uploadId });
+    if (!session) {
+      throw new AppError('Upload not found', 404);
+    }
+    return session;
+  }
+
+  /**
+   * Write one chunk from the request stream; re-sending a chunk replaces it
+   * sha256, when given, is checked against the chunk's bytes
+   */
+  async writeChunk(session, index, stream, { sha256 } = {}) {
+    if (session.method !== 'chunked') {
+      throw new AppError('This upload goes straight to storage; it does not take chunks', 409);
+    }
+    if (session.status !== 'uploading') {
+      throw new AppError(`Upload is ${session.status}`, 409);
+    }
+    if (session.expiresAt < new Date()) {
+      throw new AppError('Upload has expired', 410);
+    }
+    if (index >= session.totalChunks) {
+      throw new AppError(`Chunk index must be below ${session.totalChunks}`, 400);
+    }
+
+    const expectedLength = session.getChunkLength(index);
+    const hash = crypto.createHash('sha256');
+    let received = 0;
+
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > expectedLength) {
+          return callback(new AppError(`Chunk ${index} must be ${expectedLength} bytes`, 400));
+        }
+        hash.update(chunk);
+        callback(null, chunk);
+      }
+    });
+
+    // Written under a temporary name so an interrupted request never leaves a partial chunk
+    const finalPath = this._chunkPath(session.uploadId, index);
+    const partialPath = `${finalPath}.${uuidv4()}.tmp`;
+
+    try {
+      await fs.promises.mkdir(this._sessionDir(session.uploadId), { recursive: true });
+      await pipeline(stream, counter, fs.createWriteStream(partialPath));
+
+      if (received !== expectedLength) {
+        throw new AppError(`Chunk ${index} must be ${expectedLength} bytes, got ${received}`, 400);
+      }
+      if (sha256 && hash.digest('hex') !== sha256.toLowerCase()) {
+        throw new AppError(`Chunk ${index} checksum mismatch`, 422);
+      }
+
+      await fs.promises.rename(partialPath, finalPath);
+    } catch (error) {
+      await fs.promises.unlink(partialPath).catch(() => {});
+      throw error;
+    }
+
+    const updated = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'uploading', receivedChunks: { $ne: index } },
+      { $addToSet: { receivedChunks: index }, $inc: { bytesReceived: expectedLength } },
+      { new: true }
+    );
+
+    return updated || UploadSession.findById(session._id);
+  }
+
+  /**
+   * Concatenate the chunks into one file and check its size and checksum
+   */
+  async _assemble(session) {
+    const assembledPath = path.join(this._sessionDir(session.uploadId), `assembled${path.extname(session.fileName)}`);
+    const hash = crypto.createHash('sha256');
+    const output = fs.createWriteStream(assembledPath);
+
+    try {
+      for (let index = 0; index < session.totalChunks; index++) {
+        const hashing = new Transform({
+          transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            callback(null, chunk);
+          }
+        });
+        await pipeline(fs.createReadStream(this._chunkPath(session.uploadId, index)), hashing, output, { end: false });
+      }
+    } finally {
+      output.end();
+      await new Promise(resolve => output.on('close', resolve));
+    }
+
+    const { size } = await fs.promises.stat(assembledPath);
+    if (size !== session.fileSize) {
+      throw new Error(`Assembled file is ${size} bytes, expected ${session.fileSize}`);
+    }
+    if (session.checksum && hash.digest('hex') !== session.checksum) {
+      throw new Error('Assembled file checksum does not match');
+    }
+
+    return assembledPath;
+  }
+
+  /**
+   * Create the processing episode for a stored source, queue its transcode and close the session
+   */
+  async _createEpisode(session, req, { content, episodeId, source }) {
+    // The title comes in as content; the rest of the session's episode fields go to the new episode
+    const { qualities, ...fields } = session.toObject().episode;
+    delete fields.contentId;
+    const { episode, job } = await transcodingService.createEpisodeFromSource(source, {
+      episodeId,
+      content,
+      fields,
+      qualities,
+      contentType: session.contentType
+    });
+
+    if (content) {
+      await content.save();
+    }
+
+    session.status = 'completed';
+    session.episodeId = episode._id;
+    session.sourceFile = source.fileName;
+    session.jobId = job.id;
+    session.error = undefined;
+    session.completedAt = new Date();
+    await session.save();
+
+    await auditService.record(req, {
+      action: AUDIT_ACTIONS.EPISODE_UPLOAD,
+      targetType: 'episode',
+      targetIds: [episode._id, episode.contentId],
+      after: episode,
+      metadata: {
+        originalName: session.fileName,
+        size: session.fileSize,
+        qualities,
+        jobId: job.id,
+        uploadId: session.uploadId,
+        method: session.method
+      }
+    });
+
+    return episode;
+  }
+
+  /**
+   * Store the assembled file as the episode source and queue its transcode
+   */
+  async _finalize(session, req) {
+    try {
+      const assembledPath = await this._assemble(session);
+
+      const content = session.episode.contentId ? await Content.findById(session.episode.contentId) : null;
+      const episodeId = `episode_${Date.now()}_${uuidv4().slice(0, 8)}`;
+
+      const source = await storageService.uploadLocalFile(assembledPath, {
+        fileName: transcodingService.sourceFileName(content, episodeId, session.fileName),
+        contentType: session.contentType,
+        metadata: { originalName: session.fileName, episodeId, uploadId: session.uploadId }
+      });
+
+      await this._createEpisode(session, req, { content, episodeId, source });
+      await this._removeChunks(session.uploadId);
+      console.log(`✅ Upload ${session.uploadId} assembled and queued for transcoding`);
+    } catch (error) {
+      // Chunks are kept, so the client can call complete again
+      console.error(`❌ Upload ${session.uploadId} could not be completed:`, error.message);
+      session.status = 'failed';
+      session.error = error.message;
+      await session.save().catch(() => {});
+    }
+
+    return session;
+  }
+
+  /**
+   * Check the object the client uploaded, then create the episode
+   * A missing object leaves the upload open; a wrong size or type fails it and deletes the object
+   */
+  async _completePresigned(session, req) {
+    const claimed = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: { $in: ['uploading', 'failed'] } },
+      { $set: { status: 'assembling' }, $unset: { error: 1 } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new AppError(`Upload is ${session.status}`, 409);
+    }
+
+    const fail = async (message) => {
+      claimed.status = 'failed';
+      claimed.error = message;
+      await claimed.save();
+    };
+
+    let exists;
+    let metadata;
+    try {
+      exists = await storageService.fileExists(claimed.sourceFile);
+      metadata = exists ? await storageService.getFileMetadata(claimed.sourceFile) : null;
+    } catch (error) {
+      await fail(error.message);
+      throw error;
+    }
+
+    if (!exists) {
+      claimed.status = 'uploading';
+      await claimed.save();
+      throw new AppError('The file has not been uploaded to storage yet', 409);
+    }
+
+    const problem = !metadata
+      ? 'Uploaded object could not be read'
+      : metadata.size !== claimed.fileSize
+        ? `Uploaded object is ${metadata.size} bytes, expected ${claimed.fileSize}`
+        : metadata.contentType && metadata.contentType !== claimed.contentType
+          ? `Uploaded object is ${metadata.contentType}, expected ${claimed.contentType}`
+          : null;
+
+    if (problem) {
+      await fail(problem);
+      await storageService.deleteFile(claimed.sourceFile).catch(() => {});
+      throw new AppError(`${problem}; request a new upload`, 422);
+    }
+
+    try {
+      const content = claimed.episode.contentId ? await Content.findById(claimed.episode.contentId) : null;
+      await this._createEpisode(claimed, req, {
+        content,
+        episodeId: claimed.reservedEpisodeId,
+        source: {
+          fileName: claimed.sourceFile,
+          size: metadata.size,
+          uploadedAt: metadata.lastModified || metadata.updated || new Date(),
+          // Only the primary has it until the storage-repair job copies it
+          replicas: [{ provider: storageService.getProvider(), fileName: claimed.sourceFile, storedAt: new Date() }]
+        }
+      });
+    } catch (error) {
+      await fail(error.message);
+      throw error;
+    }
+
+    console.log(`✅ Direct upload ${claimed.uploadId} verified and queued for transcoding`);
+    return claimed;
+  }
+
+  /**
+   * Commit the upload. Chunked uploads need every chunk and are assembled in the background,
+   * so the client polls the session until it is completed (or failed); presigned uploads are
+   * verified in storage and completed right away
+   */
+  async complete(session, req) {
+    if (session.status === 'completed') {
+      return { session, started: false };
+    }
+
+    if (session.method === 'presigned') {
+      return { session: await this._completePresigned(session, req), started: false };
+    }
+
+    const missing = session.getMissingChunks();
+    if (missing.length > 0) {
+      throw new AppError(`Upload is missing ${missing.length} chunk(s): ${missing.slice(0, 20).join(', ')}`, 409);
+    }
+
+    // Only one request gets to assemble
+    const claimed = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: { $in: ['uploading', 'failed'] } },
+      { $set: { status: 'assembling' }, $unset: { error: 1 } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new AppError(`Upload is ${session.status}`, 409);
+    }
+
+    this._finalize(claimed, req);
+    return { session: claimed, started: true };
+  }
+
+  // Chunks on disk, or the object a direct upload may already have written
+  async _discardUpload(session) {
+    if (session.method === 'presigned') {
+      await storageService.deleteFile(session.sourceFile).catch(() => {});
+    } else {
+      await this._removeChunks(session.uploadId);
+    }
+  }
+
+  async abort(session) {
+    if (['completed', 'assembling'].includes(session.status)) {
+      throw new AppError(`Upload is ${session.status}`, 409);
+    }
+
+    session.status = 'aborted';
+    await session.save();
+    await this._discardUpload(session);
+
+    return session;
+  }
+
+  /**
+   * Drop the chunks (or direct-upload objects) of uploads that were never completed (upload-cleanup job)
+   */
+  async cleanupExpired() {
+    const run = await JobRun.create({ job: 'upload-cleanup', host: os.hostname() });
+    let expired = 0;
+
+    try {
+      const sessions = await UploadSession.find({
+        status: { $in: ['uploading', 'failed'] },
+        expiresAt: { $lte: new Date() }
+      });
+
+      for (const session of sessions) {
+        try {
+          await this._discardUpload(session);
+          session.status = 'expired';
+          await session.save();
+          expired += 1;
+        } catch (error) {
+          run.failures.push({ ref: session.uploadId, message: error.message });
+        }
+      }
+
+      await run.finish({ expired });
+    } catch (error) {
+      await run.finish({ expired }, error);
+      throw error;
+    }
+
+    return { expired };
+  }
+}
+
+module.exports = new UploadService();
\ No newline at end of file
@@ -1,7 +1,13 @@
-const { generateSignedUrl } = require('../config/gcp');
 const { setCache, getCache } = require('../config/redis');
 const storageService = require('./storageService');
 
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+
+// Seconds as an xs:duration, e.g. 1800.5 -> PT1800.5S
+const toIsoDuration = (seconds = 0) => `PT${Math.round(seconds * 1000) / 1000}S`;
+
 class VideoService {
   /**
    * Get streaming URL for video with optimization
@@ -22,6 +28,9 @@ class VideoService {
         streamUrl = episode.videoUrl;
       }
 
+      // Served from the secondary while the primary storage is down (replication only)
+      streamUrl = await storageService.resolvePlaybackUrl(streamUrl);
+
       // Add streaming parameters for Cloudflare optimization
       const params = new URLSearchParams({
         quality: optimalQuality.resolution,
@@ -110,20 +119,19 @@ class VideoService {
    */
   async getSignedStreamingUrl(episode, expiresIn = 3600) {
     try {
-      const cacheKey = `signed_url:${episode._id}:${expiresIn}`;
+      // Keyed by provider so a failover does not keep handing out the unhealthy one's URLs
+      const provider = await storageService.getActiveProvider();
+      const cacheKey = `signed_url:${episode._id}:${provider}:${expiresIn}`;
       
       // Check cache first
       let signedUrl = await getCache(cacheKey);
       
       if (!signedUrl) {
-        if (storageService.getProvider() === 'gcp') {
-          signedUrl = await generateSignedUrl(episode.fileInfo.fileName, expiresIn);
-        } else {
-          // For Cloudflare R2, use their signed URL method
-          signedUrl = await storageService.getSignedUrl(episode.fileInfo.fileName, {
-            expiresIn
-          });
-        }
+        signedUrl = await storageService.getSignedUrl(episode.fileInfo.fileName, {
+          provider,
+          expiresIn, // Cloudflare R2 / S3 / local
+          expires: expiresIn // GCP
+        });
         
         if (signedUrl) {
           // Cache for 80% of expiry time
@@ -304,8 +312,15 @@ class VideoService {
     const status = {
       status: episode.status,
       progress: this._calculateProcessingProgress(episode),
+      stage: episode.processing?.stage || null,
+      state: episode.processing?.state || null,
+      error: episode.processing?.error || null,
+      attempts: episode.processing?.attempts || 0,
+      targetQualities: episode.processing?.targetQualities || [],
       availableQualities: episode.qualityOptions?.map(q => q.resolution) || [],
-      processingTime: episode.updatedAt ? episode.updatedAt - episode.createdAt : 0,
+      processingTime: episode.processing?.startedAt
+        ? (episode.processing.finishedAt || new Date()) - episode.processing.startedAt
+        : 0,
       optimization: {
         qualitiesGenerated: episode.qualityOptions?.length || 0,
         hasThumbnail: !!episode.thumbnailUrl,
@@ -330,10 +345,8 @@ class VideoService {
       case 'published':
         return 100;
       case 'processing':
-        // Estimate based on qualities generated
-        const targetQualities = 2; // 480p, 720p
-        const currentQualities = episode.qualityOptions?.length || 0;
-        return Math.min(90, (currentQualities / targetQualities) * 90);
+        // Written back by the transcoding worker
+        return episode.processing?.progress || 0;
       case 'draft':
         return 0;
       default:
@@ -348,8 +361,13 @@ class VideoService {
     const fileSize = episode.fileInfo?.fileSize || 0;
     const duration = episode.duration || 0;
     
-    // Rough estimation: 1 minute of processing per 1 minute of video
-    const estimatedMinutes = Math.max(1, Math.ceil(duration / 60));
+    const { progress, startedAt } = episode.processing || {};
+
+    // Extrapolate from the worker's progress once it has started,
+    // otherwise assume 1 minute of processing per 1 minute of video
+    const estimatedMinutes = startedAt && progress > 0
+      ? Math.max(1, Math.ceil(((Date.now() - startedAt) * (100 - progress) / progress) / 60000))
+      : Math.max(1, Math.ceil(duration / 60));
     
     return {
       estimatedMinutes,
@@ -477,6 +495,15 @@ class VideoService {
    */
   async generateStreamingManifest(episode, format = 'hls', options = {}) {
     try {
+      // Manifests point at the secondary while the primary storage is down
+      const provider = await storageService.getActiveProvider();
+
+      if (format === 'hls') {
+        return this._generateHLSManifest(episode, { ...options, provider });
+      } else if (format === 'dash') {
+        return this._generateDASHManifest(episode, { ...options, provider });
+      }
+
       if (!episode.qualityOptions || episode.qualityOptions.length === 0) {
         throw new Error('No quality options available for streaming manifest');
       }
@@ -487,23 +514,19 @@ class VideoService {
         format,
         episodeId: episode._id,
         duration: episode.duration,
-        provider: storageService.getProvider(),
+        provider,
         cdnOptimized: cdnOptimization,
         variants: episode.qualityOptions.map(quality => ({
           resolution: quality.resolution,
           bitrate: quality.bitrate,
-          url: cdnOptimization ? this._addCDNOptimization(quality.url) : quality.url,
+          url: cdnOptimization
+            ? this._addCDNOptimization(storageService.toProviderUrl(quality.url, provider))
+            : storageService.toProviderUrl(quality.url, provider),
           bandwidth: this._getBandwidthForQuality(quality.resolution),
           fileSize: quality.fileSize
         }))
       };
 
-      if (format === 'hls') {
-        return this._generateHLSManifest(manifest);
-      } else if (format === 'dash') {
-        return this._generateDASHManifest(manifest);
-      }
-
       return manifest;
     } catch (error) {
       console.error('Manifest generation error:', error);
@@ -511,6 +534,28 @@ class VideoService {
     }
   }
 
+  /**
+   * Build an HLS master playlist from the episode's packaged renditions
+   * resolveUri maps each variant's media playlist key to the URI written in the playlist
+   */
+  buildHLSMasterPlaylist(hls, resolveUri = key => key) {
+    const lines = [
+      '#EXTM3U',
+      `#EXT-X-VERSION:${hls.segmentType === 'fmp4' ? 7 : 3}`,
+      '#EXT-X-INDEPENDENT-SEGMENTS',
+      ''
+    ];
+
+    [...hls.variants]
+      .sort((a, b) => a.bandwidth - b.bandwidth)
+      .forEach(variant => {
+        lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${variant.bandwidth},RESOLUTION=${variant.width}x${variant.height},CODECS="${variant.codecs}"`);
+        lines.push(resolveUri(variant.playlist));
+      });
+
+    return `${lines.join('\n')}\n`;
+  }
+
   /**
    * Add CDN optimization parameters
    */
@@ -523,46 +568,131 @@ class VideoService {
   }
 
   /**
-   * Enhanced HLS manifest generation
+   * HLS master playlist with absolute URLs to the media playlists in storage
    */
-  _generateHLSManifest(manifest) {
-    let hlsContent = '#EXTM3U\n#EXT-X-VERSION:6\n\n';
-    
-    // Add bandwidth-optimized streams
-    manifest.variants
-      .sort((a, b) => a.bandwidth - b.bandwidth)
-      .forEach(variant => {
-        hlsContent += `#EXT-X-STREAM-INF:BANDWIDTH=${variant.bandwidth},RESOLUTION=${variant.resolution}`;
-        if (manifest.cdnOptimized) {
-          hlsContent += `,CODECS="avc1.64001e,mp4a.40.2"`;
-        }
-        hlsContent += `\n${variant.url}\n\n`;
-      });
+  _generateHLSManifest(episode, { provider } = {}) {
+    if (!episode.hls?.variants?.length) {
+      throw new Error('HLS renditions are not available for this episode');
+    }
 
     return {
       type: 'hls',
-      content: hlsContent,
-      variants: manifest.variants.length,
-      cdnOptimized: manifest.cdnOptimized
+      content: this.buildHLSMasterPlaylist(episode.hls, key => storageService.generateCDNUrl(key, provider)),
+      variants: episode.hls.variants.length,
+      segmentType: episode.hls.segmentType
     };
   }
 
   /**
-   * Enhanced DASH manifest generation
+   * Build a static MPD (ISO/IEC 23009-1, live profile) from the episode's DASH representations
+   * baseUrl, when given, is written as the MPD BaseURL so segment paths resolve against storage
    */
-  _generateDASHManifest(manifest) {
+  buildDASHManifest(dash, { duration, baseUrl } = {}) {
+    const attrs = (values) => Object.entries(values)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+      .join(' ');
+
+    const segmentDuration = dash.segmentDuration || 6;
+    const byType = (type) => dash.representations
+      .filter(representation => representation.contentType === type)
+      .sort((a, b) => a.bandwidth - b.bandwidth);
+
+    const segmentTemplate = (representation) => `<SegmentTemplate ${attrs({
+      timescale: 1000,
+      duration: segmentDuration * 1000,
+      startNumber: 1,
+      initialization: representation.initialization,
+      media: representation.media
+    })}/>`;
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<MPD ${attrs({
+        xmlns: 'urn:mpeg:dash:schema:mpd:2011',
+        profiles: 'urn:mpeg:dash:profile:isoff-live:2011',
+        type: 'static',
+        mediaPresentationDuration: toIsoDuration(duration),
+        minBufferTime: toIsoDuration(segmentDuration * 2)
+      })}>`
+    ];
+
+    if (baseUrl) lines.push(`  <BaseURL>${escapeXml(baseUrl)}</BaseURL>`);
+    lines.push('  <Period id="0" start="PT0S">');
+
+    const video = byType('video');
+    if (video.length > 0) {
+      lines.push(`    <AdaptationSet ${attrs({
+        id: 0,
+        contentType: 'video',
+        mimeType: 'video/mp4',
+        segmentAlignment: 'true',
+        startWithSAP: 1,
+        maxWidth: Math.max(...video.map(r => r.width)),
+        maxHeight: Math.max(...video.map(r => r.height))
+      })}>`);
+      for (const representation of video) {
+        lines.push(`      <Representation ${attrs({
+          id: representation.id,
+          bandwidth: representation.bandwidth,
+          codecs: representation.codecs,
+          width: representation.width,
+          height: representation.height,
+          sar: '1:1'
+        })}>`);
+        lines.push(`        ${segmentTemplate(representation)}`);
+        lines.push('      </Representation>');
+      }
+      lines.push('    </AdaptationSet>');
+    }
+
+    const audio = byType('audio');
+    if (audio.length > 0) {
+      lines.push(`    <AdaptationSet ${attrs({
+        id: 1,
+        contentType: 'audio',
+        mimeType: 'audio/mp4',
+        segmentAlignment: 'true',
+        startWithSAP: 1
+      })}>`);
+      for (const representation of audio) {
+        lines.push(`      <Representation ${attrs({
+          id: representation.id,
+          bandwidth: representation.bandwidth,
+          codecs: representation.codecs,
+          audioSamplingRate: representation.audioSamplingRate
+        })}>`);
+        lines.push(`        <AudioChannelConfiguration ${attrs({
+          schemeIdUri: 'urn:mpeg:dash:23003:3:audio_channel_configuration:2011',
+          value: representation.audioChannels || 2
+        })}/>`);
+        lines.push(`        ${segmentTemplate(representation)}`);
+        lines.push('      </Representation>');
+      }
+      lines.push('    </AdaptationSet>');
+    }
+
+    lines.push('  </Period>', '</MPD>');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * DASH MPD with a BaseURL pointing at the episode's segments in storage
+   */
+  _generateDASHManifest(episode, { provider } = {}) {
+    if (!episode.dash?.representations?.length || !episode.dash.manifest) {
+      throw new Error('DASH representations are not available for this episode');
+    }
+
+    const folder = episode.dash.manifest.slice(0, episode.dash.manifest.lastIndexOf('/'));
+
     return {
       type: 'dash',
-      mediaPresentationDuration: `PT${manifest.duration}S`,
-      cdnOptimized: manifest.cdnOptimized,
-      representations: manifest.variants.map(variant => ({
-        id: variant.resolution,
-        bandwidth: variant.bandwidth,
-        width: this._getWidthForResolution(variant.resolution),
-        height: this._getHeightForResolution(variant.resolution),
-        baseURL: variant.url,
-        fileSize: variant.fileSize
-      }))
+      content: this.buildDASHManifest(episode.dash, {
+        duration: episode.duration,
+        baseUrl: `${storageService.generateCDNUrl(folder, provider)}/`
+      }),
+      representations: episode.dash.representations.length
     };
   }
 
@@ -580,34 +710,6 @@ class VideoService {
     return bandwidths[quality] || 1500000;
   }
 
-  /**
-   * Get width for resolution
-   */
-  _getWidthForResolution(resolution) {
-    const widths = {
-      '480p': 854,
-      '720p': 1280,
-      '1080p': 1920,
-      '4k': 3840
-    };
-
-    return widths[resolution] || 1280;
-  }
-
-  /**
-   * Get height for resolution
-   */
-  _getHeightForResolution(resolution) {
-    const heights = {
-      '480p': 480,
-      '720p': 720,
-      '1080p': 1080,
-      '4k': 2160
-    };
-
-    return heights[resolution] || 720;
-  }
-
   /**
    * Track video playback quality changes for optimization
    */
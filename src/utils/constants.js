@@ -17,6 +17,8 @@ const CONTENT_TYPES = {
   // Content status
   const CONTENT_STATUS = {
     DRAFT: 'draft',
+    IN_REVIEW: 'in_review',
+    APPROVED: 'approved',
     PUBLISHED: 'published',
     ARCHIVED: 'archived',
     PRIVATE: 'private'
@@ -37,6 +39,105 @@ const CONTENT_TYPES = {
     SUSPENDED: 'suspended'
   };
   
+  // Admin roles
+  const ADMIN_ROLES = {
+    ADMIN: 'admin',
+    MODERATOR: 'moderator',
+    CONTENT_EDITOR: 'content-editor',
+    ANALYST: 'analyst',
+    REVIEWER: 'reviewer'
+  };
+  
+  // Admin permissions (resource:action)
+  const ADMIN_PERMISSIONS = {
+    CONTENT_READ: 'content:read',
+    CONTENT_CREATE: 'content:create',
+    CONTENT_UPDATE: 'content:update',
+    CONTENT_PUBLISH: 'content:publish',
+    CONTENT_DELETE: 'content:delete',
+    CONTENT_REVIEW: 'content:review',
+    CONTENT_EXPORT: 'content:export',
+    EPISODE_UPLOAD: 'episode:upload',
+    EPISODE_UPDATE: 'episode:update',
+    ANALYTICS_READ: 'analytics:read',
+    ANALYTICS_TRACK: 'analytics:track',
+    ANALYTICS_CLEANUP: 'analytics:cleanup',
+    CACHE_READ: 'cache:read',
+    CACHE_CLEAR: 'cache:clear',
+    CACHE_WARM: 'cache:warm',
+    STORAGE_READ: 'storage:read',
+    STORAGE_CLEANUP: 'storage:cleanup',
+    SYSTEM_READ: 'system:read',
+    ADMIN_USERS_MANAGE: 'admin-users:manage',
+    AUDIT_READ: 'audit:read'
+  };
+  
+  // Permission sets granted to each admin role ('*' grants everything)
+  const ROLE_PERMISSIONS = {
+    [ADMIN_ROLES.ADMIN]: ['*'],
+    [ADMIN_ROLES.MODERATOR]: [
+      ADMIN_PERMISSIONS.CONTENT_READ,
+      ADMIN_PERMISSIONS.CONTENT_PUBLISH,
+      ADMIN_PERMISSIONS.ANALYTICS_READ
+    ],
+    [ADMIN_ROLES.CONTENT_EDITOR]: [
+      ADMIN_PERMISSIONS.CONTENT_READ,
+      ADMIN_PERMISSIONS.CONTENT_CREATE,
+      ADMIN_PERMISSIONS.CONTENT_UPDATE,
+      ADMIN_PERMISSIONS.EPISODE_UPLOAD,
+      ADMIN_PERMISSIONS.EPISODE_UPDATE
+    ],
+    [ADMIN_ROLES.ANALYST]: [
+      ADMIN_PERMISSIONS.CONTENT_READ,
+      ADMIN_PERMISSIONS.ANALYTICS_READ
+    ],
+    [ADMIN_ROLES.REVIEWER]: [
+      ADMIN_PERMISSIONS.CONTENT_READ,
+      ADMIN_PERMISSIONS.CONTENT_REVIEW
+    ]
+  };
+  
+  // Audit log actions (resource.action)
+  const AUDIT_ACTIONS = {
+    CONTENT_CREATE: 'content.create',
+    CONTENT_UPDATE: 'content.update',
+    CONTENT_ROLLBACK: 'content.rollback',
+    CONTENT_IMPORT: 'content.import',
+    CONTENT_SUBMIT_REVIEW: 'content.submit_review',
+    CONTENT_ASSIGN_REVIEWER: 'content.assign_reviewer',
+    CONTENT_APPROVE: 'content.approve',
+    CONTENT_REJECT: 'content.reject',
+    CONTENT_PUBLISH: 'content.publish',
+    CONTENT_DELETE: 'content.delete',
+    CONTENT_BULK_UPDATE: 'content.bulk_update',
+    CONTENT_FEED_SETTINGS_UPDATE: 'content.feed_settings_update',
+    CONTENT_SCHEDULE: 'content.schedule',
+    CONTENT_SCHEDULE_CANCEL: 'content.schedule_cancel',
+    EPISODE_UPLOAD: 'episode.upload',
+    EPISODE_UPDATE: 'episode.update',
+    EPISODE_THUMBNAIL_UPLOAD: 'episode.thumbnail_upload',
+    EPISODE_SCHEDULE: 'episode.schedule',
+    EPISODE_SCHEDULE_CANCEL: 'episode.schedule_cancel',
+    EPISODE_TRANSCODE_RETRY: 'episode.transcode_retry',
+    EPISODE_TRANSCODE_CANCEL: 'episode.transcode_cancel',
+    CACHE_CLEAR: 'cache.clear',
+    CACHE_WARM: 'cache.warm',
+    ANALYTICS_CLEANUP: 'analytics.cleanup',
+    STORAGE_GC: 'storage.gc',
+    ADMIN_USER_CREATE: 'admin_user.create',
+    ADMIN_USER_UPDATE: 'admin_user.update',
+    ADMIN_USER_DISABLE: 'admin_user.disable',
+    ADMIN_USER_ENABLE: 'admin_user.enable',
+    ADMIN_USER_RESET_PASSWORD: 'admin_user.reset_password',
+    ADMIN_USER_LOGOUT_ALL: 'admin_user.logout_all'
+  };
+  
+  // Admin account status
+  const ADMIN_STATUS = {
+    ACTIVE: 'active',
+    DISABLED: 'disabled'
+  };
+  
   // Watchlist status
   const WATCHLIST_STATUS = {
     WATCHING: 'watching',
@@ -60,6 +161,26 @@ const CONTENT_TYPES = {
     ADULT: '18+'
   };
   
+  // Age ratings ordered from most to least permissive audience
+  const AGE_RATING_ORDER = [AGE_RATINGS.ALL, AGE_RATINGS.TEEN, AGE_RATINGS.MATURE, AGE_RATINGS.ADULT];
+  
+  // Extra viewing profiles per account (the account's main profile is not counted)
+  const MAX_VIEWING_PROFILES = 5;
+  
+  // Subscription tiers
+  const SUBSCRIPTION_TIERS = {
+    FREE: 'free',
+    STANDARD: 'standard',
+    PREMIUM: 'premium'
+  };
+  
+  // Simultaneous playback sessions allowed per tier (screens)
+  const STREAM_LIMITS = {
+    free: 1,
+    standard: 2,
+    premium: 4
+  };
+  
   // Video qualities
   const VIDEO_QUALITIES = {
     LOW: '480p',
@@ -306,6 +427,7 @@ const CONTENT_TYPES = {
   // Database collections
   const COLLECTIONS = {
     USERS: 'users',
+    ADMIN_USERS: 'adminusers',
     CONTENT: 'contents',
     EPISODES: 'episodes',
     WATCHLISTS: 'watchlists',
@@ -348,9 +470,18 @@ const CONTENT_TYPES = {
     CONTENT_STATUS,
     EPISODE_STATUS,
     USER_STATUS,
+    ADMIN_ROLES,
+    ADMIN_PERMISSIONS,
+    ROLE_PERMISSIONS,
+    AUDIT_ACTIONS,
+    ADMIN_STATUS,
     WATCHLIST_STATUS,
     VISIBILITY,
     AGE_RATINGS,
+    AGE_RATING_ORDER,
+    MAX_VIEWING_PROFILES,
+    SUBSCRIPTION_TIERS,
+    STREAM_LIMITS,
     VIDEO_QUALITIES,
     PLATFORMS,
     DATA_USAGE,
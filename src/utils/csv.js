@@ -0,0 +1,110 @@
+/**
+ * Minimal RFC 4180 CSV support (quoted fields, escaped quotes, CRLF or LF line endings)
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Skip a UTF-8 byte order mark written by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * Each object gets its 1-based data row number as `_row`
+ */
+const parseCsvObjects = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+
+  return rows.map((cells, index) => {
+    const record = { _row: index + 1 };
+    columns.forEach((column, i) => {
+      if (column && cells[i] !== undefined && cells[i].trim() !== '') {
+        record[column] = cells[i].trim();
+      }
+    });
+    return record;
+  });
+};
+
+/**
+ * Format one CSV line; objects are written as JSON, arrays as '|'-separated lists
+ */
+const toCsvRow = (values) => {
+  return values.map(value => {
+    if (value === undefined || value === null) return '';
+
+    let cell;
+    if (value instanceof Date) {
+      cell = value.toISOString();
+    } else if (Array.isArray(value)) {
+      cell = value.join('|');
+    } else if (typeof value === 'object') {
+      cell = JSON.stringify(value);
+    } else {
+      cell = String(value);
+    }
+
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  }).join(',') + '\r\n';
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvObjects,
+  toCsvRow
+};
\ No newline at end of file
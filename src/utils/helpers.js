@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const { AGE_RATING_ORDER } = require('./constants');
 
 /**
  * Generate unique user ID
@@ -106,6 +107,23 @@ const isValidEmail = (email) => {
   return emailRegex.test(email);
 };
 
+/**
+ * Normalize a phone number to E.164 (+<country code><number>)
+ * Bare 10-digit numbers are treated as Indian mobile numbers
+ */
+const normalizePhoneNumber = (phone, defaultCountryCode = '91') => {
+  if (!phone) return null;
+
+  const cleaned = String(phone).replace(/[\s\-().]/g, '');
+
+  if (/^\+[1-9]\d{7,14}$/.test(cleaned)) return cleaned;
+  if (/^00[1-9]\d{7,14}$/.test(cleaned)) return `+${cleaned.slice(2)}`;
+  if (/^0?[6-9]\d{9}$/.test(cleaned)) return `+${defaultCountryCode}${cleaned.slice(-10)}`;
+  if (new RegExp(`^${defaultCountryCode}[6-9]\\d{9}$`).test(cleaned)) return `+${cleaned}`;
+
+  return null;
+};
+
 /**
  * Validate MongoDB ObjectId
  */
@@ -120,6 +138,25 @@ const generateRandomString = (length = 10) => {
   return crypto.randomBytes(Math.ceil(length / 2)).toString('hex').slice(0, length);
 };
 
+/**
+ * Get the content age ratings a viewer limited to maxAgeRating may watch
+ * No limit returns null (everything allowed)
+ */
+const getAllowedAgeRatings = (maxAgeRating) => {
+  if (!maxAgeRating) return null;
+
+  const maxIndex = AGE_RATING_ORDER.indexOf(maxAgeRating);
+  return maxIndex === -1 ? [AGE_RATING_ORDER[0]] : AGE_RATING_ORDER.slice(0, maxIndex + 1);
+};
+
+/**
+ * Check whether content with the given ageRating may be shown under maxAgeRating
+ */
+const isAgeRatingAllowed = (ageRating, maxAgeRating) => {
+  const allowed = getAllowedAgeRatings(maxAgeRating);
+  return !allowed || allowed.includes(ageRating || AGE_RATING_ORDER[0]);
+};
+
 /**
  * Calculate percentage
  */
@@ -370,6 +407,31 @@ const createSuccessResponse = (data, message = 'Success') => {
   };
 };
 
+/**
+ * Drop the named indexes from a model's collection if they exist
+ * For indexes older deployments created that the schema no longer declares
+ */
+const dropLegacyIndexes = async (model, names) => {
+  let existing;
+  try {
+    existing = await model.collection.indexes();
+  } catch (error) {
+    // Fresh database: the collection does not exist yet
+    if (error.codeName === 'NamespaceNotFound') return [];
+    throw error;
+  }
+
+  const dropped = [];
+  for (const { name } of existing) {
+    if (!names.includes(name)) continue;
+
+    await model.collection.dropIndex(name);
+    dropped.push(name);
+    console.log(`🗂️ Dropped legacy index ${model.collection.collectionName}.${name}`);
+  }
+  return dropped;
+};
+
 module.exports = {
   generateUserId,
   generateContentId,
@@ -381,8 +443,11 @@ module.exports = {
   generateThumbnailFilename,
   estimateVideoQuality,
   isValidEmail,
+  normalizePhoneNumber,
   isValidObjectId,
   generateRandomString,
+  getAllowedAgeRatings,
+  isAgeRatingAllowed,
   calculatePercentage,
   deepClone,
   cleanObject,
@@ -400,5 +465,6 @@ module.exports = {
   isValidVideoFile,
   isValidImageFile,
   createErrorResponse,
-  createSuccessResponse
+  createSuccessResponse,
+  dropLegacyIndexes
 };
\ No newline at end of file
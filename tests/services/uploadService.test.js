@@ -0,0 +1,219 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+// Chunks and the "bucket" both live in a temp dir; no Redis or MongoDB is needed
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'cino-upload-test-'));
+process.env.UPLOAD_TMP_DIR = path.join(tmpRoot, 'chunks');
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(tmpRoot, 'storage');
+
+const UploadSession = require('../../src/models/UploadSession');
+const uploadService = require('../../src/services/uploadService');
+const storageService = require('../../src/services/storageService');
+const transcodingService = require('../../src/services/transcodingService');
+const auditService = require('../../src/services/auditService');
+
+const admin = { _id: '64b000000000000000000001', username: 'editor' };
+const episodeObjectId = '64b0000000000000000000e1';
+
+// In-memory stand-in for the upload_sessions collection, covering the queries uploadService makes
+const sessions = new Map();
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '_id') return String(doc._id) === String(condition);
+  if (condition?.$in) return condition.$in.includes(doc[field]);
+  if (condition?.$ne !== undefined) return !doc[field].includes(condition.$ne);
+  return doc[field] === condition;
+});
+
+const applyUpdate = (doc, update) => {
+  Object.entries(update.$set || {}).forEach(([field, value]) => { doc[field] = value; });
+  Object.keys(update.$unset || {}).forEach(field => { doc[field] = undefined; });
+  Object.entries(update.$inc || {}).forEach(([field, value]) => { doc[field] += value; });
+  Object.entries(update.$addToSet || {}).forEach(([field, value]) => {
+    if (!doc[field].includes(value)) doc[field].push(value);
+  });
+};
+
+const chunkStream = (buffer) => Readable.from([buffer]);
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// A 10-byte file in 4-byte chunks: 4 + 4 + 2
+const file = Buffer.from('0123456789');
+const chunks = [file.subarray(0, 4), file.subarray(4, 8), file.subarray(8)];
+
+const startUpload = (overrides = {}) => uploadService.createSession(admin, {
+  fileName: 'episode.mp4',
+  fileSize: file.length,
+  contentType: 'video/mp4',
+  chunkSize: 4,
+  episode: { title: 'Pilot', episodeNumber: 1 },
+  ...overrides
+});
+
+// complete() assembles in the background; wait for that to finish
+const completeAndWait = async (session) => {
+  const finalize = jest.spyOn(uploadService, '_finalize');
+  const result = await uploadService.complete(session, { ip: '127.0.0.1' });
+  if (result.started) await finalize.mock.results[0].value;
+  finalize.mockRestore();
+  return result;
+};
+
+beforeEach(() => {
+  sessions.clear();
+
+  jest.spyOn(UploadSession, 'create').mockImplementation(async (data) => {
+    const doc = new UploadSession(data);
+    sessions.set(String(doc._id), doc);
+    return doc;
+  });
+  jest.spyOn(UploadSession, 'findById').mockImplementation(async (id) => sessions.get(String(id)) || null);
+  jest.spyOn(UploadSession, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const doc = [...sessions.values()].find(candidate => matches(candidate, filter));
+    if (!doc) return null;
+    applyUpdate(doc, update);
+    return doc;
+  });
+  jest.spyOn(UploadSession.prototype, 'save').mockImplementation(async function() { return this; });
+
+  jest.spyOn(storageService, 'uploadLocalFile').mockImplementation(async (localPath, { fileName }) => {
+    const target = path.join(tmpRoot, 'bucket', fileName);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.copyFile(localPath, target);
+    return { fileName, size: (await fs.promises.stat(target)).size, uploadedAt: new Date() };
+  });
+  jest.spyOn(transcodingService, 'createEpisodeFromSource').mockImplementation(async (source, { episodeId }) => ({
+    episode: { _id: episodeObjectId, episodeId, contentId: null },
+    job: { id: 'transcode:1' }
+  }));
+  jest.spyOn(auditService, 'record').mockResolvedValue(null);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(tmpRoot, { recursive: true, force: true });
+});
+
+describe('uploadService chunk writes', () => {
+  it('writes a chunk to the session folder and records it', async () => {
+    const session = await startUpload();
+
+    const updated = await uploadService.writeChunk(session, 1, chunkStream(chunks[1]), { sha256: sha256(chunks[1]) });
+
+    expect(updated.receivedChunks).toEqual([1]);
+    expect(updated.bytesReceived).toBe(4);
+    expect(fs.readFileSync(uploadService._chunkPath(session.uploadId, 1))).toEqual(chunks[1]);
+  });
+
+  it('rejects a chunk of the wrong length without leaving a file behind', async () => {
+    const session = await startUpload();
+
+    await expect(uploadService.writeChunk(session, 0, chunkStream(Buffer.from('012'))))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    expect(session.receivedChunks).toEqual([]);
+    expect(fs.readdirSync(uploadService._sessionDir(session.uploadId))).toEqual([]);
+  });
+
+  it('rejects a chunk whose checksum does not match', async () => {
+    const session = await startUpload();
+
+    await expect(uploadService.writeChunk(session, 0, chunkStream(chunks[0]), { sha256: sha256(chunks[1]) }))
+      .rejects.toMatchObject({ statusCode: 422 });
+
+    expect(session.receivedChunks).toEqual([]);
+  });
+
+  it('replaces a re-sent chunk without counting its bytes twice', async () => {
+    const session = await startUpload();
+
+    await uploadService.writeChunk(session, 0, chunkStream(Buffer.from('abcd')));
+    const updated = await uploadService.writeChunk(session, 0, chunkStream(chunks[0]));
+
+    expect(updated.receivedChunks).toEqual([0]);
+    expect(updated.bytesReceived).toBe(4);
+    expect(fs.readFileSync(uploadService._chunkPath(session.uploadId, 0))).toEqual(chunks[0]);
+  });
+});
+
+describe('uploadService resume', () => {
+  it('lists the chunks still missing after an interrupted upload', async () => {
+    const session = await startUpload();
+
+    await uploadService.writeChunk(session, 0, chunkStream(chunks[0]));
+
+    const resumed = await UploadSession.findById(session._id);
+    expect(resumed.getMissingChunks()).toEqual([1, 2]);
+  });
+
+  it('refuses to complete until every chunk is there', async () => {
+    const session = await startUpload();
+    await uploadService.writeChunk(session, 2, chunkStream(chunks[2]));
+
+    await expect(uploadService.complete(session, {}))
+      .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('0, 1') });
+    expect(session.status).toBe('uploading');
+  });
+});
+
+describe('uploadService assembly', () => {
+  it('assembles chunks sent out of order in index order', async () => {
+    const session = await startUpload({ checksum: sha256(file) });
+
+    for (const index of [2, 0, 1]) {
+      await uploadService.writeChunk(session, index, chunkStream(chunks[index]));
+    }
+
+    const { started } = await completeAndWait(session);
+
+    expect(started).toBe(true);
+    expect(session.status).toBe('completed');
+    expect(String(session.episodeId)).toBe(episodeObjectId);
+
+    const [, { fileName }] = storageService.uploadLocalFile.mock.calls[0];
+    expect(session.sourceFile).toBe(fileName);
+    expect(fs.readFileSync(path.join(tmpRoot, 'bucket', fileName))).toEqual(file);
+
+    // Chunks are dropped once the source is stored
+    expect(fs.existsSync(uploadService._sessionDir(session.uploadId))).toBe(false);
+  });
+
+  it('fails the upload and keeps the chunks when the checksum does not match', async () => {
+    const session = await startUpload({ checksum: sha256(Buffer.from('something else')) });
+
+    for (const [index, chunk] of chunks.entries()) {
+      await uploadService.writeChunk(session, index, chunkStream(chunk));
+    }
+
+    await completeAndWait(session);
+
+    expect(session.status).toBe('failed');
+    expect(session.error).toMatch(/checksum/);
+    expect(storageService.uploadLocalFile).not.toHaveBeenCalled();
+    expect(fs.existsSync(uploadService._chunkPath(session.uploadId, 0))).toBe(true);
+  });
+
+  it('can be completed again after a failed assembly', async () => {
+    const session = await startUpload();
+
+    for (const [index, chunk] of chunks.entries()) {
+      await uploadService.writeChunk(session, index, chunkStream(chunk));
+    }
+
+    storageService.uploadLocalFile.mockRejectedValueOnce(new Error('Bucket unavailable'));
+    await completeAndWait(session);
+    expect(session.status).toBe('failed');
+
+    await completeAndWait(session);
+    expect(session.status).toBe('completed');
+  });
+});
\ No newline at end of file
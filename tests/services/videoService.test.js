@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const { validateXML } = require('xmllint-wasm');
+const videoService = require('../../src/services/videoService');
+
+// DASH-MPD.xsd from ISO/IEC 23009-1, reduced to what an on-demand manifest uses (see the file header)
+const schema = fs.readFileSync(path.join(__dirname, '../fixtures/DASH-MPD.xsd'), 'utf8');
+
+// What the transcoding worker stores for an episode packaged at 480p and 720p with one audio track
+const dash = {
+  segmentDuration: 6,
+  representations: [
+    {
+      id: 'v720p',
+      contentType: 'video',
+      width: 1280,
+      height: 720,
+      bandwidth: 1628000,
+      codecs: 'avc1.640028',
+      initialization: '720p/init.m4s',
+      media: '720p/segment_$Number%05d$.m4s'
+    },
+    {
+      id: 'v480p',
+      contentType: 'video',
+      width: 854,
+      height: 480,
+      bandwidth: 928000,
+      codecs: 'avc1.640028',
+      initialization: '480p/init.m4s',
+      media: '480p/segment_$Number%05d$.m4s'
+    },
+    {
+      id: 'audio',
+      contentType: 'audio',
+      bandwidth: 128000,
+      codecs: 'mp4a.40.2',
+      audioSamplingRate: 48000,
+      audioChannels: 2,
+      initialization: 'audio/init.m4s',
+      media: 'audio/segment_$Number%05d$.m4s'
+    }
+  ]
+};
+
+const validate = async (manifest) => validateXML({
+  xml: [{ fileName: 'manifest.mpd', contents: manifest }],
+  schema: [{ fileName: 'DASH-MPD.xsd', contents: schema }]
+});
+
+describe('videoService.buildDASHManifest', () => {
+  it('produces an MPD that is valid against the DASH schema', async () => {
+    const manifest = videoService.buildDASHManifest(dash, {
+      duration: 1325.48,
+      baseUrl: 'https://cdn.example.com/dash/content1/episode_1/?token=a&expires=1'
+    });
+
+    const result = await validate(manifest);
+
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+  });
+
+  it('is valid without a BaseURL or audio track', async () => {
+    const manifest = videoService.buildDASHManifest({
+      segmentDuration: 4,
+      representations: dash.representations.filter(representation => representation.contentType === 'video')
+    }, { duration: 60 });
+
+    const result = await validate(manifest);
+
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+  });
+
+  it('orders representations by bandwidth and sets the segment template timing', () => {
+    const manifest = videoService.buildDASHManifest(dash, { duration: 1325.48 });
+
+    expect(manifest).toContain('mediaPresentationDuration="PT1325.48S"');
+    expect(manifest).toContain('minBufferTime="PT12S"');
+    expect(manifest.indexOf('id="v480p"')).toBeLessThan(manifest.indexOf('id="v720p"'));
+    expect(manifest).toContain('<SegmentTemplate timescale="1000" duration="6000" startNumber="1" initialization="720p/init.m4s" media="720p/segment_$Number%05d$.m4s"/>');
+  });
+
+  it('is rejected by the schema when a required attribute is missing', async () => {
+    // Guards against a schema that accepts anything
+    const manifest = videoService.buildDASHManifest(dash, { duration: 60 }).replace(/ bandwidth="\d+"/, '');
+
+    const result = await validate(manifest);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors[0].message).toMatch(/bandwidth/);
+  });
+});
\ No newline at end of file
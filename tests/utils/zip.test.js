@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const yauzl = require('yauzl');
+const { createZip } = require('../../src/utils/zip');
+
+// Read every entry back with yauzl, an independent ZIP reader
+const unzip = (buffer) => new Promise((resolve, reject) => {
+  yauzl.fromBuffer(buffer, { lazyEntries: true, strictFileNames: true, validateEntrySizes: true }, (error, zipfile) => {
+    if (error) return reject(error);
+
+    const entries = [];
+    zipfile.on('error', reject);
+    zipfile.on('end', () => resolve(entries));
+    zipfile.on('entry', (entry) => {
+      zipfile.openReadStream(entry, (streamError, stream) => {
+        if (streamError) return reject(streamError);
+
+        const chunks = [];
+        stream.on('error', reject);
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+          entries.push({ entry, data: Buffer.concat(chunks) });
+          zipfile.readEntry();
+        });
+      });
+    });
+    zipfile.readEntry();
+  });
+});
+
+describe('createZip', () => {
+  // What a data export archive holds, plus the edge cases: non-ASCII names, binary and empty files
+  const files = [
+    { name: 'profile.json', data: JSON.stringify({ userId: 'user_1', name: 'Zoë' }, null, 2) },
+    { name: 'watch-history/données.json', data: JSON.stringify([{ episodeId: 'ep_1', watchedSeconds: 1325 }]) },
+    { name: 'attachments/random.bin', data: crypto.randomBytes(64 * 1024) },
+    { name: 'empty.txt', data: '' }
+  ];
+
+  it('round-trips every entry through a standard ZIP reader', async () => {
+    const entries = await unzip(createZip(files));
+
+    expect(entries.map(({ entry }) => entry.fileName)).toEqual(files.map(file => file.name));
+
+    entries.forEach(({ entry, data }, index) => {
+      const expected = Buffer.from(files[index].data);
+      expect(data.equals(expected)).toBe(true);
+      expect(entry.compressionMethod).toBe(8);
+      expect(entry.uncompressedSize).toBe(expected.length);
+      // Checked against zlib's CRC-32, not the one the writer uses
+      expect(entry.crc32).toBe(zlib.crc32(expected));
+    });
+  });
+
+  it('stores the modification time as a DOS timestamp (2-second precision)', async () => {
+    const modifiedAt = new Date(2024, 2, 9, 14, 35, 27);
+
+    const [{ entry }] = await unzip(createZip(files.slice(0, 1), modifiedAt));
+
+    expect(entry.getLastModDate()).toEqual(new Date(2024, 2, 9, 14, 35, 26));
+  });
+
+  it('produces an archive with no entries that still opens', async () => {
+    await expect(unzip(createZip([]))).resolves.toEqual([]);
+  });
+});
\ No newline at end of file